@@ -0,0 +1,52 @@
+const PolygonAnchoring = require('./PolygonAnchoring');
+const Rfc3161Anchoring = require('./Rfc3161Anchoring');
+const OpenTimestampsAnchoring = require('./OpenTimestampsAnchoring');
+
+const BACKENDS = {
+  polygon: PolygonAnchoring,
+  rfc3161: Rfc3161Anchoring,
+  opentimestamps: OpenTimestampsAnchoring,
+};
+
+/**
+ * Factory to create the anchoring backend of a tenant or a VD
+ */
+class AnchoringFactory {
+  /**
+   * Backend name of a tenant: `tenants.metadata.anchoring.backend`, else
+   * ANCHOR_BACKEND, else 'polygon'
+   * @param {object|null} tenant - Tenant instance
+   * @returns {string}
+   */
+  static backendName(tenant) {
+    return (tenant?.metadata?.anchoring?.backend || process.env.ANCHOR_BACKEND || 'polygon').toLowerCase();
+  }
+
+  /**
+   * Whether a backend of this name exists
+   * @param {string} name - Backend name
+   * @returns {boolean}
+   */
+  static isBackend(name) {
+    return Object.prototype.hasOwnProperty.call(BACKENDS, String(name).toLowerCase());
+  }
+
+  /**
+   * Get anchoring backend instance by name
+   * @param {string} name - 'polygon' | 'rfc3161' | 'opentimestamps' (default: polygon)
+   * @returns {import('./AnchoringInterface')} - Anchoring backend instance
+   * @throws {Error} - code 'UNKNOWN_ANCHOR_BACKEND'
+   */
+  static getBackend(name = 'polygon') {
+    if (!AnchoringFactory.isBackend(name)) {
+      // Never fall back: a proof must be checked by the backend that made it
+      const error = new Error(`Unknown anchoring backend: '${name}'`);
+      error.code = 'UNKNOWN_ANCHOR_BACKEND';
+      error.transient = false;
+      throw error;
+    }
+    return new BACKENDS[String(name).toLowerCase()]();
+  }
+}
+
+module.exports = AnchoringFactory;
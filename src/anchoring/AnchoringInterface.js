@@ -0,0 +1,67 @@
+/**
+ * Anchoring Interface - Base class for anchoring backends
+ * All anchoring backends should implement these methods
+ *
+ * A backend commits an MRU to an external time source. Backends that anchor
+ * on a chain return the transaction; the others return a proof that is stored
+ * on the batches (anchor_proof) and copied into the VD.
+ */
+class AnchoringInterface {
+  /**
+   * Anchor an MRU
+   * @param {object} request - { merkleRootUltimate, timeWindow, issuerId, network, merkleRoots, metadata, batchIds }
+   * @returns {Promise<object>} - { status, proof } for proof backends:
+   *   status 'confirmed' (final) or 'pending' (upgrade() until final);
+   *   chain backends return the anchorTransactionService submission instead
+   */
+  async anchor(request) {
+    throw new Error('anchor() must be implemented by anchoring backend');
+  }
+
+  /**
+   * Complete a pending proof
+   * Backends whose proofs are final on anchor() keep this default.
+   * @param {object} proof - Proof returned by anchor()
+   * @returns {Promise<object>} - { status: 'confirmed' | 'pending', proof }
+   */
+  async upgrade(proof) {
+    return { status: 'confirmed', proof };
+  }
+
+  /**
+   * Check that a proof commits to an MRU
+   * @param {object} proof - Proof stored on the batch / in the VD
+   * @param {string} merkleRootUltimate - MRU the certificate's Merkle proofs lead to
+   * @param {object} options - Backend-specific verification options
+   * @returns {Promise<object>} - { checked, verified, pending, timestamp, error, ...backend details }
+   *   checked false: the proof could not be checked (time source unreachable);
+   *   pending: the proof is not final yet
+   */
+  async verify(proof, merkleRootUltimate, options = {}) {
+    throw new Error('verify() must be implemented by anchoring backend');
+  }
+
+  /**
+   * Get backend name
+   * @returns {string} - Name stored as anchor_backend and in the VD
+   */
+  getName() {
+    throw new Error('getName() must be implemented by anchoring backend');
+  }
+
+  /**
+   * Build an anchoring error
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {boolean} transient - Whether a later attempt may succeed
+   * @returns {Error}
+   */
+  error(message, code, transient = false) {
+    const error = new Error(message);
+    error.code = code;
+    error.transient = transient;
+    return error;
+  }
+}
+
+module.exports = AnchoringInterface;
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const AnchoringInterface = require('./AnchoringInterface');
+const ots = require('./ots');
+const logger = require('../utils/logger');
+
+/**
+ * OpenTimestamps-style calendar anchoring
+ *
+ * The SHA-256 of the MRU bytes, salted with a random nonce, is submitted to
+ * every calendar of OTS_CALENDAR_URLS (POST /digest). The calendars aggregate
+ * it into a Bitcoin transaction later, so the first proof only holds pending
+ * attestations and the batches stay PendingConfirmation. upgrade() asks each
+ * calendar for the completed timestamp (GET /timestamp/<commitment>); once a
+ * Bitcoin attestation checks out against the block header from OTS_EXPLORER_URL
+ * (an Esplora API) the proof is final and the batches are Confirmed.
+ *
+ * The proof is the detached .ots file (base64), readable by the
+ * OpenTimestamps client for a file holding the 32 MRU bytes.
+ */
+
+const DEFAULT_CALENDARS = 'https://a.pool.opentimestamps.org,https://b.pool.opentimestamps.org';
+const DEFAULT_EXPLORER = 'https://blockstream.info/api';
+
+/**
+ * Calendar settings from the environment
+ *
+ * @returns {object} - { calendarUrls, explorerUrl, timeoutMs }
+ */
+function getOtsConfig() {
+  return {
+    calendarUrls: (process.env.OTS_CALENDAR_URLS || DEFAULT_CALENDARS)
+      .split(',').map(url => url.trim().replace(/\/+$/, '')).filter(Boolean),
+    explorerUrl: (process.env.OTS_EXPLORER_URL || DEFAULT_EXPLORER).trim().replace(/\/+$/, ''),
+    timeoutMs: parseInt(process.env.OTS_TIMEOUT_MS) || 30000,
+  };
+}
+
+function mruDigest(merkleRootUltimate) {
+  return crypto.createHash('sha256').update(Buffer.from(merkleRootUltimate.replace(/^0x/, ''), 'hex')).digest();
+}
+
+class OpenTimestampsAnchoring extends AnchoringInterface {
+  /**
+   * @returns {Promise<object>} - { status: 'pending', proof: { ots, calendars, bitcoin: null } }
+   *   ots: base64 .ots file; calendars: calendars that accepted the digest
+   * @throws {Error} - code 'ANCHOR_BACKEND_NOT_CONFIGURED' | 'CALENDARS_UNAVAILABLE' (transient)
+   */
+  async anchor(request) {
+    const config = getOtsConfig();
+    if (config.calendarUrls.length === 0) {
+      throw this.error('OTS_CALENDAR_URLS is empty', 'ANCHOR_BACKEND_NOT_CONFIGURED');
+    }
+
+    const digest = mruDigest(request.merkleRootUltimate);
+    const root = ots.createTimestamp(digest);
+    const salted = ots.addOp(root, { name: 'append', arg: crypto.randomBytes(16) });
+    const commitment = ots.addOp(salted, { name: 'sha256' });
+
+    const calendars = [];
+    for (const url of config.calendarUrls) {
+      try {
+        const response = await axios.post(`${url}/digest`, commitment.msg, {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/vnd.opentimestamps.v1' },
+          responseType: 'arraybuffer',
+          timeout: config.timeoutMs,
+        });
+        ots.mergeTimestamp(commitment, ots.parseTimestamp(Buffer.from(response.data), commitment.msg));
+        calendars.push(url);
+      } catch (error) {
+        logger.warn('Calendar did not accept the digest', { calendar: url, error: error.message });
+      }
+    }
+    if (calendars.length === 0) {
+      throw this.error('No calendar accepted the digest', 'CALENDARS_UNAVAILABLE', true);
+    }
+
+    logger.info('MRU submitted to calendars', { merkleRootUltimate: request.merkleRootUltimate, calendars });
+
+    return {
+      status: 'pending',
+      proof: { ots: ots.serializeFile(digest, root).toString('base64'), calendars, bitcoin: null },
+    };
+  }
+
+  /**
+   * Fetch the completed timestamps from the calendars of the proof
+   *
+   * Only calendars the digest was submitted to are asked, whatever the pending
+   * attestations point at.
+   *
+   * @returns {Promise<object>} - { status: 'confirmed' | 'pending', proof }
+   *   proof.bitcoin: { height, blockHash, time } once confirmed
+   */
+  async upgrade(proof) {
+    const config = getOtsConfig();
+    const { digest, timestamp } = ots.parseFile(Buffer.from(proof.ots, 'base64'));
+
+    for (const { node, attestation } of ots.listAttestations(timestamp)) {
+      if (attestation.type !== 'pending' || !proof.calendars.includes(attestation.uri.replace(/\/+$/, ''))) {
+        continue;
+      }
+      const url = `${attestation.uri.replace(/\/+$/, '')}/timestamp/${node.msg.toString('hex')}`;
+      try {
+        const response = await axios.get(url, {
+          headers: { Accept: 'application/vnd.opentimestamps.v1' },
+          responseType: 'arraybuffer',
+          timeout: config.timeoutMs,
+          validateStatus: status => status === 200 || status === 404,
+        });
+        if (response.status === 200) {
+          ots.mergeTimestamp(node, ots.parseTimestamp(Buffer.from(response.data), node.msg));
+        }
+      } catch (error) {
+        logger.warn('Calendar upgrade failed', { calendar: attestation.uri, error: error.message });
+      }
+    }
+
+    const upgraded = { ...proof, ots: ots.serializeFile(digest, timestamp).toString('base64') };
+    const bitcoin = await this.checkBitcoinAttestations(timestamp, config);
+    if (!bitcoin.verified) {
+      return { status: 'pending', proof: upgraded };
+    }
+    return { status: 'confirmed', proof: { ...upgraded, bitcoin: bitcoin.block } };
+  }
+
+  /**
+   * @returns {Promise<object>} - { checked, verified, pending, timestamp, bitcoin, calendars, error }
+   *   pending: no Bitcoin attestation yet (upgrade has not completed the proof);
+   *   checked false: the block header could not be read
+   */
+  async verify(proof, merkleRootUltimate) {
+    const result = { checked: true, verified: false, pending: false, timestamp: null, bitcoin: null, calendars: proof.calendars || [], error: null };
+    let parsed;
+    try {
+      parsed = ots.parseFile(Buffer.from(proof.ots, 'base64'));
+    } catch (error) {
+      result.error = `Invalid .ots proof: ${error.message}`;
+      return result;
+    }
+    if (!parsed.digest.equals(mruDigest(merkleRootUltimate))) {
+      result.error = 'The .ots proof does not cover this MRU';
+      return result;
+    }
+
+    const bitcoin = await this.checkBitcoinAttestations(parsed.timestamp, getOtsConfig());
+    if (bitcoin.attestations === 0) {
+      result.pending = true;
+      result.error = 'Timestamp is not in a Bitcoin block yet';
+      return result;
+    }
+    result.checked = bitcoin.checked;
+    result.verified = bitcoin.verified;
+    result.bitcoin = bitcoin.block;
+    result.timestamp = bitcoin.block ? new Date(bitcoin.block.time * 1000).toISOString() : null;
+    result.error = bitcoin.error;
+    return result;
+  }
+
+  /**
+   * Check the Bitcoin attestations of a tree against the block headers
+   *
+   * @returns {Promise<object>} - { attestations, checked, verified, block: { height, blockHash, time } | null, error }
+   */
+  async checkBitcoinAttestations(timestamp, config) {
+    const attested = ots.listAttestations(timestamp).filter(({ attestation }) => attestation.type === 'bitcoin');
+    const outcome = { attestations: attested.length, checked: true, verified: false, block: null, error: null };
+
+    for (const { node, attestation } of attested) {
+      try {
+        const { data: blockHash } = await axios.get(`${config.explorerUrl}/block-height/${attestation.height}`, {
+          responseType: 'text',
+          timeout: config.timeoutMs,
+        });
+        const { data: block } = await axios.get(`${config.explorerUrl}/block/${String(blockHash).trim()}`, {
+          timeout: config.timeoutMs,
+        });
+        // Attested message is the Merkle root in internal byte order; explorers show it reversed
+        if (Buffer.from(node.msg).reverse().toString('hex') === block.merkle_root) {
+          return { ...outcome, verified: true, block: { height: attestation.height, blockHash: block.id, time: block.timestamp } };
+        }
+        outcome.error = `Merkle root of Bitcoin block ${attestation.height} does not match the proof`;
+      } catch (error) {
+        outcome.checked = false;
+        outcome.error = `Bitcoin block ${attestation.height} could not be read: ${error.message}`;
+      }
+    }
+    return outcome;
+  }
+
+  getName() {
+    return 'opentimestamps';
+  }
+}
+
+module.exports = OpenTimestampsAnchoring;
@@ -0,0 +1,40 @@
+const AnchoringInterface = require('./AnchoringInterface');
+const anchorTransactionService = require('../services/anchorTransactionService');
+const blockchainService = require('../services/blockchainService');
+
+/**
+ * AnchorStore anchoring (putRoot on the tenant's network)
+ *
+ * The managed form of blockchainService.anchorMRUToBlockchain: transactions are
+ * tracked in anchor_transactions, and mining, confirmation depth, fee bumps and
+ * reorgs are handled by anchorTransactionService / batchService.resumeAnchoring.
+ * The proof is the transaction itself (txHash, network, chainId on the batch).
+ */
+class PolygonAnchoring extends AnchoringInterface {
+  /**
+   * @returns {Promise<object>} - anchorTransactionService.submitAnchorTransaction() result
+   */
+  async anchor(request) {
+    return anchorTransactionService.submitAnchorTransaction(request);
+  }
+
+  /**
+   * @param {object} proof - { txHash, network, chainId }
+   * @param {string|null} merkleRootUltimate - Expected MRU (null for a directly anchored leaf)
+   * @param {object} options - blockchainService.verifyTransaction options (certHash, quorum, rpc)
+   * @returns {Promise<object>} - blockchainService.verifyTransaction() result
+   */
+  async verify(proof, merkleRootUltimate, options = {}) {
+    return blockchainService.verifyTransaction(proof.txHash, merkleRootUltimate, {
+      network: proof.network,
+      chainId: proof.chainId,
+      ...options,
+    });
+  }
+
+  getName() {
+    return 'polygon';
+  }
+}
+
+module.exports = PolygonAnchoring;
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const AnchoringInterface = require('./AnchoringInterface');
+const der = require('./der');
+const logger = require('../utils/logger');
+
+/**
+ * RFC 3161 time-stamp authority anchoring
+ *
+ * The MRU bytes are hashed with SHA-256 and sent to TSA_URL as a TimeStampReq.
+ * The TimeStampToken of the reply (CMS SignedData over a TSTInfo) is the proof:
+ * it is final at once, so batches are Confirmed as soon as the TSA answers.
+ *
+ * Verification checks that the token's message imprint is the MRU hash, that the
+ * signed attributes carry the digest of the TSTInfo, and the signature with the
+ * TSA certificate: TSA_CERT (PEM file) when configured, else the certificate
+ * embedded in the token, which is then reported as not trusted.
+ */
+
+const OIDS = {
+  signedData: '1.2.840.113549.1.7.2',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  messageDigest: '1.2.840.113549.1.9.4',
+  rsaPss: '1.2.840.113549.1.1.10',
+};
+
+const HASH_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512',
+};
+
+const SHA256_OID = '2.16.840.1.101.3.4.2.1';
+
+/**
+ * TSA settings from the environment
+ *
+ * @returns {object} - { url, certPath, timeoutMs }
+ */
+function getTsaConfig() {
+  return {
+    url: (process.env.TSA_URL || '').trim() || null,
+    certPath: (process.env.TSA_CERT || '').trim() || null,
+    timeoutMs: parseInt(process.env.TSA_TIMEOUT_MS) || 30000,
+  };
+}
+
+/**
+ * SHA-256 of the MRU bytes (the message imprint sent to the TSA)
+ *
+ * @param {string} merkleRootUltimate - MRU hex, with or without 0x
+ * @returns {Buffer}
+ */
+function mruImprint(merkleRootUltimate) {
+  return crypto.createHash('sha256').update(Buffer.from(merkleRootUltimate.replace(/^0x/, ''), 'hex')).digest();
+}
+
+/**
+ * Build a DER TimeStampReq for a SHA-256 imprint
+ *
+ * @param {Buffer} imprint - Hashed message
+ * @param {Buffer} nonce - Random nonce the reply must echo
+ * @returns {Buffer}
+ */
+function buildTimeStampRequest(imprint, nonce) {
+  return der.sequence(
+    der.integer(1),
+    der.sequence(der.sequence(der.oid(SHA256_OID), der.nullValue()), der.octetString(imprint)),
+    der.integer(nonce),
+    der.boolean(true) // certReq: embed the TSA certificate in the token
+  );
+}
+
+/**
+ * Pick apart a TimeStampToken
+ *
+ * @param {Buffer} token - DER ContentInfo
+ * @returns {object} - { tstInfo: { raw, hashAlgorithm, imprint, serialNumber, genTime, nonce }, certificates, signerInfo }
+ * @throws {Error} - Not a SignedData TimeStampToken
+ */
+function parseTimeStampToken(token) {
+  const contentInfo = der.decode(token);
+  if (der.oidString(contentInfo.children[0]) !== OIDS.signedData) {
+    throw new Error('TimeStampToken is not CMS SignedData');
+  }
+  const signedData = contentInfo.children[1].children[0].children;
+  const encapContentInfo = signedData[2];
+  if (der.oidString(encapContentInfo.children[0]) !== OIDS.tstInfo) {
+    throw new Error('TimeStampToken does not hold a TSTInfo');
+  }
+  const tstInfoRaw = encapContentInfo.children[1].children[0].content;
+  const tstInfo = der.decode(tstInfoRaw).children;
+  const messageImprint = tstInfo[2].children;
+  const nonce = tstInfo.slice(5).find(element => element.tag === der.TAGS.INTEGER);
+
+  const certificates = (signedData.find(element => element.tag === 0xa0)?.children || []).map(element => element.raw);
+  const signerInfos = signedData[signedData.length - 1];
+  if (signerInfos.tag !== der.TAGS.SET || signerInfos.children.length === 0) {
+    throw new Error('TimeStampToken has no signer');
+  }
+  const signer = signerInfos.children[0].children;
+  const signedAttrs = signer.find(element => element.tag === 0xa0) || null;
+  const afterAttrs = signer.slice(signedAttrs ? signer.indexOf(signedAttrs) + 1 : 3);
+
+  return {
+    tstInfo: {
+      raw: tstInfoRaw,
+      hashAlgorithm: HASH_ALGORITHMS[der.oidString(messageImprint[0].children[0])] || null,
+      imprint: messageImprint[1].content,
+      serialNumber: der.integerHex(tstInfo[3]),
+      genTime: der.parseGeneralizedTime(tstInfo[4]),
+      nonce: nonce ? der.integerHex(nonce) : null,
+    },
+    certificates,
+    signerInfo: {
+      // issuerAndSerialNumber (a SEQUENCE) or subjectKeyIdentifier
+      serialNumber: signer[1].tag === der.TAGS.SEQUENCE ? der.integerHex(signer[1].children[1]) : null,
+      digestAlgorithm: HASH_ALGORITHMS[der.oidString(signer[2].children[0])] || null,
+      signedAttrs,
+      signatureAlgorithm: der.oidString(afterAttrs[0].children[0]),
+      signature: afterAttrs[1].content,
+    },
+  };
+}
+
+/**
+ * Certificate to check the token signature with
+ *
+ * @returns {object} - { certificate: X509Certificate|null, trusted }
+ */
+function signingCertificate(parsed, certPath) {
+  if (certPath) {
+    return { certificate: new crypto.X509Certificate(fs.readFileSync(certPath)), trusted: true };
+  }
+  const embedded = parsed.certificates.map(raw => new crypto.X509Certificate(raw));
+  const serial = parsed.signerInfo.serialNumber;
+  const certificate = embedded.find(cert => serial && BigInt(`0x${cert.serialNumber}`).toString(16) === serial)
+    || embedded[0]
+    || null;
+  return { certificate, trusted: false };
+}
+
+/**
+ * Check the CMS signature of a parsed token
+ *
+ * @returns {string|null} - Why the signature does not hold, or null
+ */
+function checkSignature(parsed, certificate) {
+  const { signerInfo, tstInfo } = parsed;
+  if (!signerInfo.digestAlgorithm) {
+    return 'Unsupported signer digest algorithm';
+  }
+  if (signerInfo.signatureAlgorithm === OIDS.rsaPss) {
+    return 'RSASSA-PSS token signatures are not supported';
+  }
+
+  let signedContent = tstInfo.raw;
+  if (signerInfo.signedAttrs) {
+    const digestAttr = signerInfo.signedAttrs.children.find(attr => der.oidString(attr.children[0]) === OIDS.messageDigest);
+    const expected = crypto.createHash(signerInfo.digestAlgorithm).update(tstInfo.raw).digest();
+    if (!digestAttr || !digestAttr.children[1].children[0].content.equals(expected)) {
+      return 'Signed attributes do not match the TSTInfo';
+    }
+    // Signed as a SET OF, stored as [0] IMPLICIT
+    signedContent = der.encode(der.TAGS.SET, signerInfo.signedAttrs.content);
+  }
+
+  const valid = crypto.verify(signerInfo.digestAlgorithm, signedContent, certificate.publicKey, signerInfo.signature);
+  return valid ? null : 'TimeStampToken signature is invalid';
+}
+
+class Rfc3161Anchoring extends AnchoringInterface {
+  /**
+   * @returns {Promise<object>} - { status: 'confirmed', proof: { token, hashAlgorithm, messageImprint, genTime, serialNumber, tsaUrl } }
+   *   token: base64 DER TimeStampToken
+   * @throws {Error} - code 'ANCHOR_BACKEND_NOT_CONFIGURED' | 'TSA_UNAVAILABLE' (transient) | 'TIMESTAMP_REJECTED' | 'INVALID_TIMESTAMP_PROOF'
+   */
+  async anchor(request) {
+    const config = getTsaConfig();
+    if (!config.url) {
+      throw this.error('TSA_URL is required for the rfc3161 anchoring backend', 'ANCHOR_BACKEND_NOT_CONFIGURED');
+    }
+
+    const imprint = mruImprint(request.merkleRootUltimate);
+    const nonce = crypto.randomBytes(8);
+    let response;
+    try {
+      response = await axios.post(config.url, buildTimeStampRequest(imprint, nonce), {
+        headers: { 'Content-Type': 'application/timestamp-query', Accept: 'application/timestamp-reply' },
+        responseType: 'arraybuffer',
+        timeout: config.timeoutMs,
+      });
+    } catch (error) {
+      throw this.error(`TSA request failed: ${error.message}`, 'TSA_UNAVAILABLE', true);
+    }
+
+    // TimeStampResp: { status: PKIStatusInfo, timeStampToken }; 0 granted, 1 granted with mods
+    const reply = der.decode(Buffer.from(response.data));
+    const status = Number(der.integerHex(reply.children[0].children[0]));
+    if (status > 1 || !reply.children[1]) {
+      throw this.error(`TSA rejected the request (PKIStatus ${status})`, 'TIMESTAMP_REJECTED');
+    }
+    const token = reply.children[1].raw;
+
+    const parsed = parseTimeStampToken(token);
+    if (!parsed.tstInfo.imprint.equals(imprint) || parsed.tstInfo.nonce !== BigInt(`0x${nonce.toString('hex')}`).toString(16)) {
+      throw this.error('TSA reply does not match the request (imprint or nonce)', 'INVALID_TIMESTAMP_PROOF');
+    }
+
+    logger.info('MRU timestamped by TSA', {
+      merkleRootUltimate: request.merkleRootUltimate,
+      tsaUrl: config.url,
+      genTime: parsed.tstInfo.genTime.toISOString(),
+      serialNumber: parsed.tstInfo.serialNumber,
+    });
+
+    return {
+      status: 'confirmed',
+      proof: {
+        token: token.toString('base64'),
+        hashAlgorithm: 'sha256',
+        messageImprint: imprint.toString('hex'),
+        genTime: parsed.tstInfo.genTime.toISOString(),
+        serialNumber: parsed.tstInfo.serialNumber,
+        tsaUrl: config.url,
+      },
+    };
+  }
+
+  /**
+   * @returns {Promise<object>} - { checked: true, verified, pending: false, timestamp, serialNumber, tsa, trusted, error }
+   *   tsa: subject of the signing certificate; trusted: checked against TSA_CERT
+   */
+  async verify(proof, merkleRootUltimate) {
+    const result = { checked: true, verified: false, pending: false, timestamp: null, serialNumber: null, tsa: null, trusted: false, error: null };
+    try {
+      const parsed = parseTimeStampToken(Buffer.from(proof.token, 'base64'));
+      result.timestamp = parsed.tstInfo.genTime.toISOString();
+      result.serialNumber = parsed.tstInfo.serialNumber;
+
+      if (!parsed.tstInfo.hashAlgorithm) {
+        result.error = 'Unsupported message imprint algorithm';
+        return result;
+      }
+      const expected = crypto.createHash(parsed.tstInfo.hashAlgorithm)
+        .update(Buffer.from(merkleRootUltimate.replace(/^0x/, ''), 'hex'))
+        .digest();
+      if (!parsed.tstInfo.imprint.equals(expected)) {
+        result.error = 'TimeStampToken does not cover this MRU';
+        return result;
+      }
+
+      const { certificate, trusted } = signingCertificate(parsed, getTsaConfig().certPath);
+      if (!certificate) {
+        result.error = 'No TSA certificate to check the signature with (set TSA_CERT)';
+        return result;
+      }
+      result.tsa = certificate.subject;
+      result.trusted = trusted;
+
+      const genTime = parsed.tstInfo.genTime.getTime();
+      if (genTime < new Date(certificate.validFrom).getTime() || genTime > new Date(certificate.validTo).getTime()) {
+        result.error = 'TSA certificate was not valid at the time-stamp time';
+        return result;
+      }
+
+      result.error = checkSignature(parsed, certificate);
+      result.verified = result.error === null;
+    } catch (error) {
+      result.error = `Invalid TimeStampToken: ${error.message}`;
+    }
+    return result;
+  }
+
+  getName() {
+    return 'rfc3161';
+  }
+}
+
+module.exports = Rfc3161Anchoring;
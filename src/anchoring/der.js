@@ -0,0 +1,256 @@
+/**
+ * Minimal DER encoder / decoder
+ *
+ * Covers what RFC 3161 time-stamping needs: TimeStampReq, TimeStampResp and the
+ * CMS SignedData of a TimeStampToken. Single-byte tags only; indefinite lengths
+ * are rejected (not DER).
+ */
+
+const TAGS = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31,
+};
+
+/**
+ * Decode one DER element
+ *
+ * @param {Buffer} buffer - DER bytes
+ * @param {number} offset - Where the element starts
+ * @returns {object} - { tag, constructed, start, end, raw, content, children }
+ *   raw: the whole element; content: its value; children: decoded elements of a constructed value
+ * @throws {Error} - Truncated or non-DER input
+ */
+function decode(buffer, offset = 0) {
+  if (offset + 2 > buffer.length) {
+    throw new Error('DER: truncated element');
+  }
+  const tag = buffer[offset];
+  if ((tag & 0x1f) === 0x1f) {
+    throw new Error('DER: multi-byte tags are not supported');
+  }
+
+  let length = buffer[offset + 1];
+  let header = 2;
+  if (length === 0x80) {
+    throw new Error('DER: indefinite length');
+  }
+  if (length > 0x80) {
+    const bytes = length & 0x7f;
+    if (bytes > 4 || offset + 2 + bytes > buffer.length) {
+      throw new Error('DER: invalid length');
+    }
+    length = 0;
+    for (let i = 0; i < bytes; i++) {
+      length = length * 256 + buffer[offset + 2 + i];
+    }
+    header += bytes;
+  }
+
+  const end = offset + header + length;
+  if (end > buffer.length) {
+    throw new Error('DER: truncated element');
+  }
+
+  const constructed = (tag & 0x20) !== 0;
+  const content = buffer.subarray(offset + header, end);
+  return {
+    tag,
+    constructed,
+    start: offset,
+    end,
+    raw: buffer.subarray(offset, end),
+    content,
+    children: constructed ? decodeAll(content) : null,
+  };
+}
+
+/**
+ * Decode consecutive DER elements (the value of a SEQUENCE or SET)
+ *
+ * @param {Buffer} buffer - DER bytes
+ * @returns {Array<object>} - decode() of each element
+ */
+function decodeAll(buffer) {
+  const elements = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const element = decode(buffer, offset);
+    elements.push(element);
+    offset = element.end;
+  }
+  return elements;
+}
+
+/**
+ * Encode an element
+ *
+ * @param {number} tag - Tag byte
+ * @param {Buffer|Array<Buffer>} content - Value, or encoded children to concatenate
+ * @returns {Buffer}
+ */
+function encode(tag, content) {
+  const value = Array.isArray(content) ? Buffer.concat(content) : content;
+  let length;
+  if (value.length < 0x80) {
+    length = Buffer.from([value.length]);
+  } else {
+    const bytes = [];
+    for (let remaining = value.length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+      bytes.unshift(remaining % 256);
+    }
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, value]);
+}
+
+const sequence = (...items) => encode(TAGS.SEQUENCE, items);
+const set = (...items) => encode(TAGS.SET, items);
+const octetString = (value) => encode(TAGS.OCTET_STRING, value);
+const nullValue = () => encode(TAGS.NULL, Buffer.alloc(0));
+const boolean = (value) => encode(TAGS.BOOLEAN, Buffer.from([value ? 0xff : 0]));
+const utf8String = (value) => encode(TAGS.UTF8_STRING, Buffer.from(value, 'utf8'));
+
+/**
+ * Context-specific constructed element ([n] EXPLICIT, or [n] IMPLICIT of a SET / SEQUENCE)
+ */
+const contextual = (number, ...items) => encode(0xa0 | number, items);
+
+/**
+ * Encode a non-negative INTEGER
+ *
+ * @param {number|bigint|Buffer} value - Number, or big-endian unsigned bytes
+ * @returns {Buffer}
+ */
+function integer(value) {
+  let bytes;
+  if (Buffer.isBuffer(value)) {
+    bytes = value;
+  } else {
+    let hex = BigInt(value).toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+    bytes = Buffer.from(hex, 'hex');
+  }
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  bytes = bytes.subarray(start);
+  if (bytes.length === 0) bytes = Buffer.from([0]);
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  return encode(TAGS.INTEGER, bytes);
+}
+
+/**
+ * Unsigned value of a decoded INTEGER, as lowercase hex without leading zeros
+ *
+ * @param {object} element - decode() of an INTEGER
+ * @returns {string}
+ */
+function integerHex(element) {
+  return BigInt(`0x${element.content.toString('hex') || '0'}`).toString(16);
+}
+
+/**
+ * Encode an OBJECT IDENTIFIER
+ *
+ * @param {string} dotted - e.g. '2.16.840.1.101.3.4.2.1'
+ * @returns {Buffer}
+ */
+function oid(dotted) {
+  const arcs = dotted.split('.').map(Number);
+  const bytes = [arcs[0] * 40 + arcs[1]];
+  for (const arc of arcs.slice(2)) {
+    const chunk = [arc & 0x7f];
+    for (let rest = Math.floor(arc / 128); rest > 0; rest = Math.floor(rest / 128)) {
+      chunk.unshift((rest & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return encode(TAGS.OID, Buffer.from(bytes));
+}
+
+/**
+ * Dotted form of a decoded OBJECT IDENTIFIER
+ *
+ * @param {object} element - decode() of an OID
+ * @returns {string}
+ */
+function oidString(element) {
+  const bytes = element.content;
+  const arcs = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let arc = 0;
+  for (const byte of bytes.subarray(1)) {
+    arc = arc * 128 + (byte & 0x7f);
+    if ((byte & 0x80) === 0) {
+      arcs.push(arc);
+      arc = 0;
+    }
+  }
+  return arcs.join('.');
+}
+
+/**
+ * Encode a GeneralizedTime (UTC, whole seconds)
+ *
+ * @param {Date} date
+ * @returns {Buffer}
+ */
+function generalizedTime(date) {
+  const text = date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z');
+  return encode(TAGS.GENERALIZED_TIME, Buffer.from(text, 'ascii'));
+}
+
+/**
+ * Encode a UTCTime (certificate validity before 2050)
+ *
+ * @param {Date} date
+ * @returns {Buffer}
+ */
+function utcTime(date) {
+  const text = date.toISOString().slice(2).replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z');
+  return encode(TAGS.UTC_TIME, Buffer.from(text, 'ascii'));
+}
+
+/**
+ * Date of a decoded GeneralizedTime (YYYYMMDDHHMMSS[.fff]Z)
+ *
+ * @param {object} element - decode() of a GeneralizedTime
+ * @returns {Date}
+ * @throws {Error} - Not a UTC GeneralizedTime
+ */
+function parseGeneralizedTime(element) {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\.\d+)?Z$/.exec(element.content.toString('ascii'));
+  if (!match) {
+    throw new Error('DER: invalid GeneralizedTime');
+  }
+  const [, year, month, day, hour, minute, second, fraction] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${fraction || ''}Z`);
+}
+
+module.exports = {
+  TAGS,
+  decode,
+  decodeAll,
+  encode,
+  sequence,
+  set,
+  octetString,
+  nullValue,
+  boolean,
+  utf8String,
+  contextual,
+  integer,
+  integerHex,
+  oid,
+  oidString,
+  generalizedTime,
+  utcTime,
+  parseGeneralizedTime,
+};
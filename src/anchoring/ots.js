@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * OpenTimestamps proof serialization
+ *
+ * A timestamp is a tree: each node holds a message, the attestations made on
+ * it and the operations that lead from it to further nodes. The binary format
+ * and tags are those of the OpenTimestamps .ots files, limited to the
+ * operations calendars use (sha256, keccak256, append, prepend, reverse) and to
+ * pending (calendar) and Bitcoin block header attestations.
+ */
+
+const FILE_MAGIC = Buffer.from('004f70656e54696d657374616d7073000050726f6f6600bf89e2e884e89294', 'hex');
+const FILE_VERSION = 1;
+const FILE_HASH_SHA256 = 0x08;
+
+const ATTESTATION_TAGS = {
+  pending: '83dfe30d2ef90c8e',
+  bitcoin: '0588960d73d71901',
+};
+
+const OPS = {
+  0x08: 'sha256',
+  0x67: 'keccak256',
+  0xf0: 'append',
+  0xf1: 'prepend',
+  0xf2: 'reverse',
+};
+const OP_TAGS = Object.fromEntries(Object.entries(OPS).map(([tag, name]) => [name, Number(tag)]));
+const BINARY_OPS = ['append', 'prepend'];
+
+const MAX_PAYLOAD = 8192;
+
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.position = 0;
+  }
+
+  byte() {
+    if (this.position >= this.buffer.length) {
+      throw new Error('OTS: truncated proof');
+    }
+    return this.buffer[this.position++];
+  }
+
+  bytes(length) {
+    if (this.position + length > this.buffer.length) {
+      throw new Error('OTS: truncated proof');
+    }
+    const bytes = this.buffer.subarray(this.position, this.position + length);
+    this.position += length;
+    return bytes;
+  }
+
+  varuint() {
+    let value = 0;
+    let shift = 0;
+    for (;;) {
+      const byte = this.byte();
+      value += (byte & 0x7f) * 2 ** shift;
+      if ((byte & 0x80) === 0) return value;
+      shift += 7;
+    }
+  }
+
+  varbytes() {
+    const length = this.varuint();
+    if (length > MAX_PAYLOAD) {
+      throw new Error('OTS: oversized field');
+    }
+    return this.bytes(length);
+  }
+}
+
+function varuint(value) {
+  const bytes = [];
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+function varbytes(value) {
+  return Buffer.concat([varuint(value.length), value]);
+}
+
+/**
+ * Apply an operation to a message
+ *
+ * @param {object} op - { name, arg }
+ * @param {Buffer} msg
+ * @returns {Buffer}
+ */
+function applyOp(op, msg) {
+  switch (op.name) {
+    case 'sha256':
+      return crypto.createHash('sha256').update(msg).digest();
+    case 'keccak256':
+      return Buffer.from(ethers.utils.keccak256(msg).slice(2), 'hex');
+    case 'append':
+      return Buffer.concat([msg, op.arg]);
+    case 'prepend':
+      return Buffer.concat([op.arg, msg]);
+    case 'reverse':
+      return Buffer.from(msg).reverse();
+    default:
+      throw new Error(`OTS: unsupported operation ${op.name}`);
+  }
+}
+
+/**
+ * New timestamp node
+ *
+ * @param {Buffer} msg
+ * @returns {object} - { msg, attestations: [{ type, uri | height | tag, payload }], ops: [{ op, timestamp }] }
+ */
+function createTimestamp(msg) {
+  return { msg, attestations: [], ops: [] };
+}
+
+/**
+ * Add an operation below a node
+ *
+ * @returns {object} - The node of the operation's result
+ */
+function addOp(node, op) {
+  const existing = node.ops.find(entry => entry.op.name === op.name && Buffer.compare(entry.op.arg || Buffer.alloc(0), op.arg || Buffer.alloc(0)) === 0);
+  if (existing) return existing.timestamp;
+  const timestamp = createTimestamp(applyOp(op, node.msg));
+  node.ops.push({ op, timestamp });
+  return timestamp;
+}
+
+function readAttestation(reader) {
+  const tag = reader.bytes(8).toString('hex');
+  const payload = Buffer.from(reader.varbytes());
+  const inner = new Reader(payload);
+  if (tag === ATTESTATION_TAGS.pending) {
+    return { type: 'pending', uri: inner.varbytes().toString('utf8'), payload };
+  }
+  if (tag === ATTESTATION_TAGS.bitcoin) {
+    return { type: 'bitcoin', height: inner.varuint(), payload };
+  }
+  return { type: 'unknown', tag, payload };
+}
+
+function readTimestamp(reader, msg) {
+  const node = createTimestamp(msg);
+  const readBranch = (tag) => {
+    if (tag === 0x00) {
+      node.attestations.push(readAttestation(reader));
+      return;
+    }
+    const name = OPS[tag];
+    if (!name) {
+      throw new Error(`OTS: unsupported operation 0x${tag.toString(16)}`);
+    }
+    const op = BINARY_OPS.includes(name) ? { name, arg: Buffer.from(reader.varbytes()) } : { name };
+    node.ops.push({ op, timestamp: readTimestamp(reader, applyOp(op, msg)) });
+  };
+
+  let tag = reader.byte();
+  while (tag === 0xff) {
+    readBranch(reader.byte());
+    tag = reader.byte();
+  }
+  readBranch(tag);
+  return node;
+}
+
+/**
+ * Parse a serialized timestamp against the message it starts from
+ *
+ * @param {Buffer} buffer - Serialized timestamp (a calendar reply)
+ * @param {Buffer} msg - Message the timestamp commits
+ * @returns {object} - createTimestamp() tree
+ */
+function parseTimestamp(buffer, msg) {
+  return readTimestamp(new Reader(buffer), msg);
+}
+
+/**
+ * Serialize a timestamp tree
+ *
+ * @param {object} node - createTimestamp() tree
+ * @returns {Buffer}
+ */
+function serializeTimestamp(node) {
+  const branches = [
+    ...node.attestations.map(attestation => {
+      const tag = attestation.type === 'unknown' ? attestation.tag : ATTESTATION_TAGS[attestation.type];
+      return Buffer.concat([Buffer.from([0x00]), Buffer.from(tag, 'hex'), varbytes(attestation.payload)]);
+    }),
+    ...node.ops.map(({ op, timestamp }) => Buffer.concat([
+      Buffer.from([OP_TAGS[op.name]]),
+      BINARY_OPS.includes(op.name) ? varbytes(op.arg) : Buffer.alloc(0),
+      serializeTimestamp(timestamp),
+    ])),
+  ];
+  if (branches.length === 0) {
+    throw new Error('OTS: timestamp node without attestations or operations');
+  }
+  return Buffer.concat(branches.map((branch, index) =>
+    index < branches.length - 1 ? Buffer.concat([Buffer.from([0xff]), branch]) : branch));
+}
+
+/**
+ * Pending (calendar) attestation
+ *
+ * @param {string} uri - Calendar URL
+ * @returns {object}
+ */
+function pendingAttestation(uri) {
+  return { type: 'pending', uri, payload: varbytes(Buffer.from(uri, 'utf8')) };
+}
+
+/**
+ * Bitcoin block header attestation (the node's message is the block's Merkle root)
+ *
+ * @param {number} height - Block height
+ * @returns {object}
+ */
+function bitcoinAttestation(height) {
+  return { type: 'bitcoin', height, payload: varuint(height) };
+}
+
+/**
+ * Merge another tree for the same message into a node
+ */
+function mergeTimestamp(node, other) {
+  for (const attestation of other.attestations) {
+    if (!node.attestations.some(existing => existing.payload.equals(attestation.payload) && existing.type === attestation.type)) {
+      node.attestations.push(attestation);
+    }
+  }
+  for (const { op, timestamp } of other.ops) {
+    mergeTimestamp(addOp(node, op), timestamp);
+  }
+}
+
+/**
+ * Every node of a tree with its attestations
+ *
+ * @param {object} node - createTimestamp() tree
+ * @returns {Array<object>} - [{ node, attestation }]
+ */
+function listAttestations(node) {
+  return [
+    ...node.attestations.map(attestation => ({ node, attestation })),
+    ...node.ops.flatMap(({ timestamp }) => listAttestations(timestamp)),
+  ];
+}
+
+/**
+ * Serialize a detached .ots proof
+ *
+ * @param {Buffer} digest - SHA-256 of the timestamped file (here: of the MRU bytes)
+ * @param {object} node - Timestamp tree starting at the digest
+ * @returns {Buffer}
+ */
+function serializeFile(digest, node) {
+  return Buffer.concat([FILE_MAGIC, varuint(FILE_VERSION), Buffer.from([FILE_HASH_SHA256]), digest, serializeTimestamp(node)]);
+}
+
+/**
+ * Parse a detached .ots proof
+ *
+ * @param {Buffer} buffer - .ots file
+ * @returns {object} - { digest, timestamp }
+ * @throws {Error} - Not a version 1 SHA-256 .ots file
+ */
+function parseFile(buffer) {
+  const reader = new Reader(buffer);
+  if (!reader.bytes(FILE_MAGIC.length).equals(FILE_MAGIC)) {
+    throw new Error('OTS: not an OpenTimestamps proof');
+  }
+  if (reader.varuint() !== FILE_VERSION) {
+    throw new Error('OTS: unsupported proof version');
+  }
+  if (reader.byte() !== FILE_HASH_SHA256) {
+    throw new Error('OTS: only SHA-256 file hashes are supported');
+  }
+  const digest = Buffer.from(reader.bytes(32));
+  return { digest, timestamp: readTimestamp(reader, digest) };
+}
+
+module.exports = {
+  applyOp,
+  createTimestamp,
+  addOp,
+  parseTimestamp,
+  serializeTimestamp,
+  pendingAttestation,
+  bitcoinAttestation,
+  mergeTimestamp,
+  listAttestations,
+  serializeFile,
+  parseFile,
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const express = require('express');
+const { regenerateJob, regenerateBatch } = require('../services/regenerationService');
+const {
+  requestJobRevocation,
+  requestBatchRevocation,
+  requestTimeWindowInvalidation,
+} = require('../services/revocationService');
+const {
+  registerIssuer,
+  rollIssuerKey,
+  recoverIssuerKey,
+  setIssuerMetadataURI,
+  syncIssuerKeys,
+  vouchForIssuer,
+} = require('../services/issuerRegistryService');
+const logger = require('../utils/logger');
+
+/**
+ * Operator endpoints served by the worker's HTTP server (mounted under /admin)
+ *
+ * Every request needs `Authorization: Bearer <WORKER_ADMIN_TOKEN>`. Without a
+ * configured token the endpoints are disabled.
+ *
+ *   POST /admin/jobs/:jobId/regenerate       { "scope": "render|qr|vd", "reason": "..." }
+ *   POST /admin/batches/:batchId/regenerate  { "scope": "render|qr|vd", "reason": "..." }
+ *   POST /admin/jobs/:jobId/revoke           { "reason": "..." }
+ *   POST /admin/batches/:batchId/revoke       { "reason": "..." }
+ *   POST /admin/issuers/:issuerId/invalidate-window  { "start": ..., "end": ..., "reason": "...", "network": "..." }
+ *   POST /admin/tenants/:tenantId/issuer           { "issuerId": "...", "publicKey": "...", "owner": "0x..." }
+ *   POST /admin/tenants/:tenantId/issuer/roll-key  { "publicKey": "...", "signature": "0x..." }
+ *   POST /admin/tenants/:tenantId/issuer/recover-key  { "publicKey": "..." }
+ *   POST /admin/tenants/:tenantId/issuer/metadata-uri  { "uri": "..." }
+ *   POST /admin/tenants/:tenantId/issuer/sync
+ *   POST /admin/tenants/:tenantId/issuer/vouch
+ */
+
+// HTTP status per service error code
+const ERROR_STATUS = {
+  INVALID_SCOPE: 400,
+  INVALID_REASON: 400,
+  INVALID_WINDOW: 400,
+  INVALID_ISSUER: 400,
+  INVALID_PUBLIC_KEY: 400,
+  INVALID_METADATA_URI: 400,
+  UNKNOWN_NETWORK: 400,
+  NOT_FOUND: 404,
+  ISSUER_NOT_REGISTERED: 409,
+  ISSUER_ALREADY_REGISTERED: 409,
+  WITNESSES_NOT_CONFIGURED: 409,
+  REGENERATE_NOT_ALLOWED: 409,
+  REVOKE_NOT_ALLOWED: 409,
+};
+
+/**
+ * Constant-time token comparison
+ *
+ * @param {string} provided - Token from the request
+ * @param {string} expected - Configured token
+ * @returns {boolean}
+ */
+function tokenMatches(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Reject requests without the admin bearer token
+ */
+function requireAdminToken(req, res, next) {
+  const expected = process.env.WORKER_ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ ok: false, error: 'Admin API disabled (WORKER_ADMIN_TOKEN is not set)' });
+  }
+
+  const [type, token] = (req.get('authorization') || '').split(' ');
+  if (type !== 'Bearer' || !token || !tokenMatches(token, expected)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+/**
+ * Wrap a service call: JSON result on success, mapped status code on failure
+ *
+ * @param {Function} handler - (req) => Promise<object>
+ * @returns {Function} - Express handler
+ */
+function respond(handler) {
+  return async (req, res) => {
+    try {
+      const result = await handler(req);
+      res.json({ ok: true, ...result });
+    } catch (error) {
+      const status = ERROR_STATUS[error.code] || 500;
+      if (status === 500) {
+        logger.error('Admin request failed', { path: req.path, error: error.message });
+      }
+      res.status(status).json({ ok: false, code: error.code, error: error.message });
+    }
+  };
+}
+
+/**
+ * Actor recorded in the event history for admin requests
+ */
+function requestActor(req) {
+  return `api:${req.get('x-actor') || req.ip}`;
+}
+
+/**
+ * Create the /admin router
+ *
+ * @returns {object} - Express router
+ */
+function createAdminRouter() {
+  const router = express.Router();
+  router.use(express.json());
+  router.use(requireAdminToken);
+
+  router.post('/jobs/:jobId/regenerate', respond((req) => (
+    regenerateJob(req.params.jobId, req.body?.scope, { actor: requestActor(req), reason: req.body?.reason })
+  )));
+
+  router.post('/batches/:batchId/regenerate', respond((req) => (
+    regenerateBatch(req.params.batchId, req.body?.scope, { actor: requestActor(req), reason: req.body?.reason })
+  )));
+
+  router.post('/jobs/:jobId/revoke', respond((req) => (
+    requestJobRevocation(req.params.jobId, req.body?.reason, { actor: requestActor(req) })
+  )));
+
+  router.post('/batches/:batchId/revoke', respond((req) => (
+    requestBatchRevocation(req.params.batchId, req.body?.reason, { actor: requestActor(req) })
+  )));
+
+  router.post('/issuers/:issuerId/invalidate-window', respond((req) => (
+    requestTimeWindowInvalidation(
+      req.params.issuerId,
+      req.body?.start,
+      req.body?.end,
+      req.body?.reason,
+      { actor: requestActor(req), network: req.body?.network }
+    )
+  )));
+
+  router.post('/tenants/:tenantId/issuer', respond((req) => (
+    registerIssuer(
+      req.params.tenantId,
+      { issuerId: req.body?.issuerId, publicKey: req.body?.publicKey, owner: req.body?.owner },
+      { actor: requestActor(req) }
+    )
+  )));
+
+  // Owner keys never travel over the API: rollKey needs the owner signature, or the worker owns the issuer
+  router.post('/tenants/:tenantId/issuer/roll-key', respond((req) => (
+    rollIssuerKey(req.params.tenantId, req.body?.publicKey, {
+      actor: requestActor(req),
+      signature: req.body?.signature,
+    })
+  )));
+
+  router.post('/tenants/:tenantId/issuer/recover-key', respond((req) => (
+    recoverIssuerKey(req.params.tenantId, req.body?.publicKey, { actor: requestActor(req) })
+  )));
+
+  router.post('/tenants/:tenantId/issuer/metadata-uri', respond((req) => (
+    setIssuerMetadataURI(req.params.tenantId, req.body?.uri, { actor: requestActor(req) })
+  )));
+
+  router.post('/tenants/:tenantId/issuer/sync', respond((req) => (
+    syncIssuerKeys(req.params.tenantId)
+  )));
+
+  router.post('/tenants/:tenantId/issuer/vouch', respond((req) => (
+    vouchForIssuer(req.params.tenantId, { actor: requestActor(req) })
+  )));
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
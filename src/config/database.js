@@ -44,6 +44,14 @@ const connectDB = async () => {
       const VerificationBatch = require('../models/VerificationBatch');
       const VerificationJob = require('../models/VerificationJob');
       const Client = require('../models/Client');
+      const DocumentJobEvent = require('../models/DocumentJobEvent');
+      const DocumentBatchEvent = require('../models/DocumentBatchEvent');
+      const RevocationRequest = require('../models/RevocationRequest');
+      require('../models/AnchorTransaction'); // no associations (batch_ids is a JSONB list), registered for sync
+      // Chain indexer tables (keyed by chain and hashes, no associations)
+      require('../models/ChainEvent');
+      require('../models/ChainCheckpoint');
+      require('../models/ChainDiscrepancy');
 
       // Define associations
       DocumentTemplate.hasMany(DocumentBatch, { foreignKey: 'templateId', as: 'batches' });
@@ -58,6 +66,14 @@ const connectDB = async () => {
       Tenant.hasMany(DocumentBatch, { foreignKey: 'tenantId', as: 'batches' });
       DocumentBatch.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
 
+      // Issuance audit trail
+      DocumentJob.hasMany(DocumentJobEvent, { foreignKey: 'jobId', as: 'events', constraints: false });
+      DocumentBatch.hasMany(DocumentBatchEvent, { foreignKey: 'batchId', as: 'events', constraints: false });
+
+      // On-chain revocation requests
+      DocumentJob.hasMany(RevocationRequest, { foreignKey: 'jobId', as: 'revocations', constraints: false });
+      DocumentBatch.hasMany(RevocationRequest, { foreignKey: 'batchId', as: 'revocations', constraints: false });
+
       // Verification batch and job associations
       VerificationBatch.hasMany(VerificationJob, { foreignKey: 'verificationBatchId', as: 'jobs' });
       VerificationJob.belongsTo(VerificationBatch, { foreignKey: 'verificationBatchId', as: 'batch' });
@@ -91,6 +107,89 @@ const connectDB = async () => {
           }
           await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "recipient_email" VARCHAR(255)');
 
+          // Processing leases (multi-replica job claiming)
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "locked_by" VARCHAR(255)');
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "lease_expires_at" TIMESTAMP WITH TIME ZONE');
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "attempts" INTEGER NOT NULL DEFAULT 0');
+
+          // Retry / dead-letter
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "next_attempt_at" TIMESTAMP WITH TIME ZONE');
+          await sequelize.query(`DO $$ BEGIN
+            CREATE TYPE "enum_document_jobs_error_type" AS ENUM('transient', 'permanent');
+          EXCEPTION WHEN duplicate_object THEN null; END $$;`);
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "error_type" "enum_document_jobs_error_type"');
+          await sequelize.query('ALTER TYPE "enum_document_jobs_status" ADD VALUE IF NOT EXISTS \'DeadLettered\'');
+
+          // State machine audit
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "last_transition" JSONB');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "last_transition" JSONB');
+
+          // Batch pause / cancel
+          await sequelize.query('ALTER TYPE "enum_document_batches_status" ADD VALUE IF NOT EXISTS \'Paused\'');
+          await sequelize.query('ALTER TYPE "enum_document_batches_status" ADD VALUE IF NOT EXISTS \'Cancelled\'');
+          await sequelize.query('ALTER TYPE "enum_document_jobs_status" ADD VALUE IF NOT EXISTS \'Cancelled\'');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "resume_status" VARCHAR(50)');
+
+          // Scheduling priority (higher runs first)
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "priority" INTEGER NOT NULL DEFAULT 0');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "priority" INTEGER NOT NULL DEFAULT 0');
+
+          // AnchorStore.putRoot arguments
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "anchor_issuer_id" VARCHAR(66)');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "time_window" BIGINT');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "anchor_nonce" VARCHAR(78)');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "canonicalization_version" VARCHAR(78)');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "di_hash" VARCHAR(66)');
+
+          // Confirmation depth (roots anchored before it was tracked count as confirmed)
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "anchor_status" VARCHAR(20)');
+          await sequelize.query('UPDATE "document_batches" SET "anchor_status" = \'Confirmed\' WHERE "txHash" IS NOT NULL AND "anchor_status" IS NULL');
+          await sequelize.query('ALTER TABLE "anchor_transactions" ADD COLUMN IF NOT EXISTS "block_hash" VARCHAR(66)');
+          await sequelize.query('ALTER TABLE "anchor_transactions" ADD COLUMN IF NOT EXISTS "reorgs" INTEGER NOT NULL DEFAULT 0');
+
+          // On-chain revocation
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "revocation_status" VARCHAR(20)');
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "revocation_reason" TEXT');
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "revocation_tx_hash" VARCHAR(66)');
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "revocation_block_number" BIGINT');
+          await sequelize.query('ALTER TABLE "document_jobs" ADD COLUMN IF NOT EXISTS "revoked_at" TIMESTAMP WITH TIME ZONE');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "revocation_status" VARCHAR(20)');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "revocation_reason" TEXT');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "revocation_tx_hash" VARCHAR(66)');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "revocation_block_number" BIGINT');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "revoked_at" TIMESTAMP WITH TIME ZONE');
+
+          // Time-window invalidation requests
+          await sequelize.query('ALTER TYPE "enum_revocation_requests_scope" ADD VALUE IF NOT EXISTS \'window\'');
+          await sequelize.query('ALTER TYPE "enum_revocation_requests_method" ADD VALUE IF NOT EXISTS \'invalidateTimeWindow\'');
+          await sequelize.query('ALTER TABLE "revocation_requests" ALTER COLUMN "batch_id" DROP NOT NULL');
+          await sequelize.query('ALTER TABLE "revocation_requests" ADD COLUMN IF NOT EXISTS "issuer_id" VARCHAR(66)');
+          await sequelize.query('ALTER TABLE "revocation_requests" ADD COLUMN IF NOT EXISTS "window_start" BIGINT');
+          await sequelize.query('ALTER TABLE "revocation_requests" ADD COLUMN IF NOT EXISTS "window_end" BIGINT');
+
+          // Network registry: chain of the anchor, network of a revocation
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "chain_id" INTEGER');
+          await sequelize.query('ALTER TABLE "revocation_requests" ADD COLUMN IF NOT EXISTS "network" VARCHAR(50)');
+
+          // Direct anchoring (anchor / anchorBatch) instead of MRI / MRU
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "proof_type" VARCHAR(20)');
+
+          // Anchoring backends (RFC 3161 TSA, OpenTimestamps calendars) next to AnchorStore
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "anchor_backend" VARCHAR(20)');
+          await sequelize.query('ALTER TABLE "document_batches" ADD COLUMN IF NOT EXISTS "anchor_proof" JSONB');
+
+          // Issuance audit trail is append-only
+          await sequelize.query(`CREATE OR REPLACE FUNCTION reject_audit_event_change() RETURNS trigger AS $$
+            BEGIN
+              RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+            END;
+            $$ LANGUAGE plpgsql;`);
+          for (const table of ['document_job_events', 'document_batch_events']) {
+            await sequelize.query(`DROP TRIGGER IF EXISTS ${table}_append_only ON "${table}"`);
+            await sequelize.query(`CREATE TRIGGER ${table}_append_only BEFORE UPDATE OR DELETE ON "${table}"
+              FOR EACH ROW EXECUTE FUNCTION reject_audit_event_change()`);
+          }
+
           // Source Enums
           try {
             await sequelize.query(`DO $$ BEGIN 
@@ -120,6 +219,13 @@ const connectDB = async () => {
         } catch (schemaErr) {
           logger.warn('Manual schema fix check performed');
         }
+
+        // LISTEN/NOTIFY wakeups for pipeline stages
+        try {
+          await require('../services/pipelineNotifier').installPipelineTriggers();
+        } catch (triggerErr) {
+          logger.warn('Failed to install pipeline notification triggers', { error: triggerErr.message });
+        }
       }
 
       logger.info('Database models initialized and synced successfully.');
@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Network registry
+ *
+ * Every chain the worker anchors on or verifies against is described here:
+ *   {
+ *     chainId,
+ *     rpcUrls: [...],                    // tried in order, the next one on failure
+ *     contracts: { anchorStore, events },
+ *     explorer: { txUrl, addressUrl },   // templates with {txHash} / {address}
+ *     fees: { minPriorityFeeGwei, minMaxFeeGwei, maxFeeGwei },
+ *     confirmations,                     // depth before an anchor counts as confirmed
+ *     quorum,                            // RPC endpoints that must agree on verification reads
+ *     startBlock,                        // AnchorStore deployment block, where the chain indexer starts
+ *   }
+ *
+ * The built-in networks below are merged with the JSON file named by
+ * NETWORKS_CONFIG_PATH ({ "default": "polygon", "networks": { "<name>": {...} } }),
+ * which can override any field or add networks, and then with the legacy
+ * environment variables (AMOY_RPC_URL, ANCHORSTORE_ADDRESS, ...).
+ */
+
+const BUILTIN_NETWORKS = {
+  'polygon-amoy': {
+    chainId: 80002,
+    rpcUrls: ['https://rpc-amoy.polygon.technology/'],
+    contracts: {
+      anchorStore: '0xe768655cFA2D46D00915A9C95d71159C56969834',
+      events: '0x9b920bD254A89067A95B8733A5ba8D5bBeb5C34B',
+    },
+    explorer: {
+      txUrl: 'https://amoy.polygonscan.com/tx/{txHash}',
+      addressUrl: 'https://amoy.polygonscan.com/address/{address}',
+    },
+    // Amoy public RPCs reject transactions with a tip below 25 gwei
+    fees: { minPriorityFeeGwei: 25 },
+    confirmations: 16,
+  },
+  polygon: {
+    chainId: 137,
+    rpcUrls: ['https://polygon-rpc.com/'],
+    contracts: {},
+    explorer: {
+      txUrl: 'https://polygonscan.com/tx/{txHash}',
+      addressUrl: 'https://polygonscan.com/address/{address}',
+    },
+    fees: {},
+    confirmations: 64,
+  },
+  ethereum: {
+    chainId: 1,
+    rpcUrls: ['https://cloudflare-eth.com/'],
+    contracts: {},
+    explorer: {
+      txUrl: 'https://etherscan.io/tx/{txHash}',
+      addressUrl: 'https://etherscan.io/address/{address}',
+    },
+    fees: {},
+    confirmations: 12,
+  },
+};
+
+const DEFAULT_NETWORK = 'polygon-amoy';
+
+let registry = null;
+
+/**
+ * Error for a network that is not in the registry or not usable
+ */
+function networkError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.transient = false;
+  return error;
+}
+
+/**
+ * Merge a network override into a registry entry (objects are merged, arrays replaced)
+ */
+function mergeNetwork(base = {}, override = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject ? { ...(base[key] || {}), ...value } : value;
+  }
+  return merged;
+}
+
+/**
+ * Comma-separated list from the environment
+ */
+function listEnv(name) {
+  return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Positive number from the environment, or undefined
+ */
+function numberEnv(name) {
+  const raw = (process.env[name] || '').trim();
+  const value = Number(raw);
+  return raw && Number.isFinite(value) && value > 0 ? value : undefined;
+}
+
+/**
+ * Drop undefined fields so they do not override the registry
+ */
+function defined(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Read the NETWORKS_CONFIG_PATH file
+ *
+ * @returns {object} - { default, networks }
+ * @throws {Error} - code 'INVALID_NETWORK_CONFIG' when the file cannot be read or parsed
+ */
+function readConfigFile() {
+  const configPath = (process.env.NETWORKS_CONFIG_PATH || '').trim();
+  if (!configPath) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+  } catch (error) {
+    throw networkError(`Could not load NETWORKS_CONFIG_PATH ${configPath}: ${error.message}`, 'INVALID_NETWORK_CONFIG');
+  }
+}
+
+/**
+ * Build the registry from the built-in networks, the config file and the environment
+ *
+ * @returns {object} - { defaultNetwork, networks: { name: entry } }
+ * @throws {Error} - code 'INVALID_NETWORK_CONFIG'
+ */
+function loadRegistry() {
+  const file = readConfigFile();
+
+  const networks = {};
+  for (const [name, network] of Object.entries(BUILTIN_NETWORKS)) {
+    networks[name] = mergeNetwork({}, network);
+  }
+  for (const [name, network] of Object.entries(file.networks || {})) {
+    const key = name.toLowerCase();
+    networks[key] = mergeNetwork(networks[key], network);
+  }
+
+  const defaultNetwork = (process.env.ANCHOR_NETWORK || file.default || DEFAULT_NETWORK).trim().toLowerCase();
+
+  // RPC_URLS_<NETWORK> (comma-separated) replaces the RPC list of a network;
+  // MIN_PRIORITY_FEE_GWEI / MIN_MAX_FEE_GWEI raise the fee floors of every network
+  const feeFloors = defined({
+    minPriorityFeeGwei: numberEnv('MIN_PRIORITY_FEE_GWEI'),
+    minMaxFeeGwei: numberEnv('MIN_MAX_FEE_GWEI'),
+  });
+  for (const name of Object.keys(networks)) {
+    const rpcUrls = listEnv(`RPC_URLS_${envSuffix(name)}`);
+    if (rpcUrls.length > 0) {
+      networks[name].rpcUrls = rpcUrls;
+    }
+    networks[name].fees = mergeNetwork(networks[name].fees, feeFloors);
+  }
+
+  // Settings from before the registry, when Amoy was the only network
+  const amoyRpc = (process.env.AMOY_RPC_URL || process.env.POLYGON_AMOY_RPC_URL || '').trim();
+  if (amoyRpc && networks['polygon-amoy'] && listEnv('RPC_URLS_POLYGON_AMOY').length === 0) {
+    networks['polygon-amoy'].rpcUrls = [amoyRpc];
+  }
+  if (networks['polygon-amoy']) {
+    networks['polygon-amoy'].fees = mergeNetwork(networks['polygon-amoy'].fees, defined({
+      minPriorityFeeGwei: numberEnv('AMOY_MIN_PRIORITY_FEE_GWEI'),
+      minMaxFeeGwei: numberEnv('AMOY_MIN_MAX_FEE_GWEI'),
+    }));
+  }
+  if (networks[defaultNetwork]) {
+    networks[defaultNetwork].contracts = mergeNetwork(networks[defaultNetwork].contracts, defined({
+      anchorStore: (process.env.ANCHORSTORE_ADDRESS || '').trim() || undefined,
+      events: (process.env.EVENTS_ADDRESS || '').trim() || undefined,
+    }));
+  }
+
+  const chainIds = new Map();
+  for (const [name, network] of Object.entries(networks)) {
+    const chainId = Number(network.chainId);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw networkError(`Network ${name} has no valid chainId`, 'INVALID_NETWORK_CONFIG');
+    }
+    if (chainIds.has(chainId)) {
+      throw networkError(`Networks ${chainIds.get(chainId)} and ${name} share chainId ${chainId}`, 'INVALID_NETWORK_CONFIG');
+    }
+    chainIds.set(chainId, name);
+    networks[name] = {
+      ...network,
+      name,
+      chainId,
+      rpcUrls: Array.isArray(network.rpcUrls) ? network.rpcUrls : [],
+      contracts: network.contracts || {},
+      explorer: network.explorer || {},
+      fees: network.fees || {},
+    };
+  }
+
+  if (!networks[defaultNetwork]) {
+    throw networkError(`Default network ${defaultNetwork} is not in the network registry`, 'INVALID_NETWORK_CONFIG');
+  }
+
+  logger.debug('Network registry loaded', { defaultNetwork, networks: Object.keys(networks) });
+  return { defaultNetwork, networks };
+}
+
+/**
+ * Environment variable suffix of a network name ('polygon-amoy' -> 'POLYGON_AMOY')
+ *
+ * @param {string} name - Network name
+ * @returns {string}
+ */
+function envSuffix(name) {
+  return String(name || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadRegistry();
+  }
+  return registry;
+}
+
+/**
+ * Name of the network batches are anchored on when their tenant does not choose one
+ *
+ * @returns {string} - ANCHOR_NETWORK, the config file default, or 'polygon-amoy'
+ */
+function getDefaultNetworkName() {
+  return getRegistry().defaultNetwork;
+}
+
+/**
+ * Look up a network by name or chainId
+ *
+ * @param {string|number} nameOrChainId - Network name, or chainId (number or decimal string)
+ * @returns {object|null} - Registry entry, or null when unknown
+ */
+function getNetwork(nameOrChainId) {
+  if (nameOrChainId === null || nameOrChainId === undefined || nameOrChainId === '') {
+    return null;
+  }
+  const { networks } = getRegistry();
+  if (/^\d+$/.test(String(nameOrChainId))) {
+    const chainId = Number(nameOrChainId);
+    return Object.values(networks).find(network => network.chainId === chainId) || null;
+  }
+  return networks[String(nameOrChainId).trim().toLowerCase()] || null;
+}
+
+/**
+ * Look up a network, defaulting to the default network
+ *
+ * @param {string|number} [nameOrChainId] - Network name or chainId (default network when omitted)
+ * @returns {object} - Registry entry
+ * @throws {Error} - code 'UNKNOWN_NETWORK'
+ */
+function requireNetwork(nameOrChainId) {
+  const ref = nameOrChainId === null || nameOrChainId === undefined || nameOrChainId === ''
+    ? getDefaultNetworkName()
+    : nameOrChainId;
+  const network = getNetwork(ref);
+  if (!network) {
+    throw networkError(`Unknown network: ${ref} (not in the network registry)`, 'UNKNOWN_NETWORK');
+  }
+  return network;
+}
+
+/**
+ * Network an anchor was made on, from the chainId and/or name recorded with it (VD, QR, batch)
+ *
+ * The chainId wins when both are given. Anchors recorded before the registry
+ * only carry the name guessed from the RPC URL; a missing or 'unknown' name
+ * resolves to the default network, which was the only one back then.
+ *
+ * @param {object} ref - { network, chainId }
+ * @returns {object} - Registry entry
+ * @throws {Error} - code 'UNKNOWN_NETWORK'
+ */
+function resolveNetwork(ref = {}) {
+  if (ref.chainId !== null && ref.chainId !== undefined && ref.chainId !== '') {
+    const network = getNetwork(Number(ref.chainId));
+    if (!network) {
+      throw networkError(`Unknown chainId: ${ref.chainId} (not in the network registry)`, 'UNKNOWN_NETWORK');
+    }
+    return network;
+  }
+  if (!ref.network || ref.network === 'unknown') {
+    return requireNetwork();
+  }
+  return requireNetwork(ref.network);
+}
+
+/**
+ * Network a tenant anchors on (`tenants.metadata.blockchain.network`)
+ *
+ * @param {object} tenant - Tenant (or null)
+ * @returns {string} - Network name (not checked against the registry)
+ */
+function tenantNetworkName(tenant) {
+  const network = tenant?.metadata?.blockchain?.network;
+  return typeof network === 'string' && network.trim() ? network.trim().toLowerCase() : getDefaultNetworkName();
+}
+
+/**
+ * Explorer link for a transaction
+ *
+ * @param {object} network - Registry entry
+ * @param {string} txHash - Transaction hash
+ * @returns {string|null} - URL, or null when the network has no explorer
+ */
+function explorerTxUrl(network, txHash) {
+  const template = network && network.explorer && network.explorer.txUrl;
+  return template ? template.replace('{txHash}', txHash) : null;
+}
+
+/**
+ * All registered networks
+ *
+ * @returns {Array<object>} - Registry entries
+ */
+function listNetworks() {
+  return Object.values(getRegistry().networks);
+}
+
+/**
+ * Forget the loaded registry so the next lookup reads the file and environment again (tests)
+ */
+function resetNetworks() {
+  registry = null;
+}
+
+module.exports = {
+  BUILTIN_NETWORKS,
+  getDefaultNetworkName,
+  getNetwork,
+  requireNetwork,
+  resolveNetwork,
+  tenantNetworkName,
+  explorerTxUrl,
+  listNetworks,
+  envSuffix,
+  resetNetworks,
+};
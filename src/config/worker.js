@@ -0,0 +1,151 @@
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const WORKER_MODES = ['polling', 'sqs', 'lambda'];
+
+// Pipeline stages a process can be assigned to (in pipeline order)
+const WORKER_ROLES = ['render', 'mri', 'mru', 'qr', 'embed'];
+
+// Alternative role names accepted in WORKER_ROLES.
+// MRU calculation and anchoring run as a single stage, so 'anchor' maps to 'mru'.
+const ROLE_ALIASES = {
+  anchor: 'mru',
+  pdf: 'render',
+  finalize: 'mri',
+};
+
+/**
+ * Resolve the deployment mode from WORKER_MODE
+ *
+ * Unknown values fall back to 'polling' so a typo never leaves the worker idle.
+ *
+ * @returns {string} - 'polling' | 'sqs' | 'lambda'
+ */
+function getWorkerMode() {
+  const mode = (process.env.WORKER_MODE || 'polling').trim().toLowerCase();
+
+  if (!WORKER_MODES.includes(mode)) {
+    logger.warn(`Unknown WORKER_MODE '${mode}', defaulting to polling`);
+    return 'polling';
+  }
+
+  return mode;
+}
+
+/**
+ * Resolve the pipeline stages this process runs from WORKER_ROLES
+ *
+ * WORKER_ROLES is a comma-separated list (e.g. "render,embed" or "mru,anchor").
+ * Empty or "all" enables every stage. Unknown roles are ignored with a warning.
+ *
+ * @param {string} [value] - Raw roles string (default: process.env.WORKER_ROLES)
+ * @returns {Array<string>} - Enabled roles, in pipeline order
+ */
+function getWorkerRoles(value = process.env.WORKER_ROLES) {
+  const raw = (value || '').trim().toLowerCase();
+  if (!raw || raw === 'all' || raw === '*') {
+    return [...WORKER_ROLES];
+  }
+
+  const enabled = new Set();
+  for (const entry of raw.split(',').map(r => r.trim()).filter(Boolean)) {
+    const role = ROLE_ALIASES[entry] || entry;
+    if (!WORKER_ROLES.includes(role)) {
+      logger.warn(`Unknown worker role '${entry}' in WORKER_ROLES, ignoring`);
+      continue;
+    }
+    enabled.add(role);
+  }
+
+  if (enabled.size === 0) {
+    logger.warn('WORKER_ROLES did not contain any known role, enabling all roles');
+    return [...WORKER_ROLES];
+  }
+
+  return WORKER_ROLES.filter(role => enabled.has(role));
+}
+
+/**
+ * SQS queues consumed by the enabled roles
+ *
+ * SQS_QUEUE_URL_<ROLE> (e.g. SQS_QUEUE_URL_RENDER) gives a stage its own queue;
+ * stages without one share SQS_QUEUE_URL. With role-split consumers on a
+ * shared queue, every receive by a consumer of the wrong role counts towards
+ * the queue's maxReceiveCount, so split deployments should use per-role queues.
+ *
+ * @param {Array<string>} roles - Enabled roles
+ * @returns {Array<object>} - [{ url, roles }], one entry per distinct queue
+ * @throws {Error} - A role has neither its own queue nor SQS_QUEUE_URL
+ */
+function getQueueUrls(roles) {
+  const queues = new Map(); // url -> roles
+  for (const role of roles) {
+    const url = (process.env[`SQS_QUEUE_URL_${role.toUpperCase()}`] || process.env.SQS_QUEUE_URL || '').trim();
+    if (!url) {
+      throw new Error(`SQS_QUEUE_URL or SQS_QUEUE_URL_${role.toUpperCase()} is required when WORKER_MODE=sqs`);
+    }
+    if (!queues.has(url)) queues.set(url, []);
+    queues.get(url).push(role);
+  }
+  return [...queues].map(([url, queueRoles]) => ({ url, roles: queueRoles }));
+}
+
+let workerId = null;
+
+/**
+ * Stable identifier of this worker process, used as the lease owner on claimed jobs
+ *
+ * WORKER_ID overrides the generated `<hostname>:<pid>:<random>` value.
+ *
+ * @returns {string} - Worker id
+ */
+function getWorkerId() {
+  if (!workerId) {
+    workerId = (process.env.WORKER_ID || '').trim() ||
+      `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  }
+  return workerId;
+}
+
+/**
+ * Lease settings for claimed jobs
+ *
+ * @returns {object} - { leaseMs, heartbeatMs, reaperIntervalMs }
+ */
+function getLeaseConfig() {
+  const leaseMs = parseInt(process.env.JOB_LEASE_MS) || 120000; // 2 minutes default
+  return {
+    leaseMs,
+    heartbeatMs: parseInt(process.env.JOB_LEASE_HEARTBEAT_MS) || Math.floor(leaseMs / 3),
+    reaperIntervalMs: parseInt(process.env.JOB_LEASE_REAPER_INTERVAL) || 30000,
+  };
+}
+
+/**
+ * Fair scheduling settings for the render stage
+ *
+ * Tenants can override both values in `tenants.metadata.scheduling`
+ * ({ weight, maxConcurrentPdf }).
+ *
+ * @returns {object} - { defaultTenantWeight, tenantPdfConcurrency, tenantCacheMs }
+ */
+function getSchedulingConfig() {
+  const weight = parseFloat(process.env.TENANT_DEFAULT_WEIGHT);
+  return {
+    defaultTenantWeight: weight > 0 ? weight : 1,
+    tenantPdfConcurrency: parseInt(process.env.TENANT_PDF_CONCURRENCY) || 0, // 0 = only PDF_CONCURRENCY applies
+    tenantCacheMs: parseInt(process.env.TENANT_SCHEDULING_CACHE_MS) || 60000,
+  };
+}
+
+module.exports = {
+  WORKER_MODES,
+  WORKER_ROLES,
+  getWorkerMode,
+  getWorkerRoles,
+  getQueueUrls,
+  getWorkerId,
+  getLeaseConfig,
+  getSchedulingConfig,
+};
@@ -2,6 +2,8 @@ require('dotenv').config();
 const express = require('express');
 const { connectDB } = require('./config/database');
 const { startWorker, stopWorker } = require('./worker');
+const { getWorkerMode, getWorkerRoles } = require('./config/worker');
+const { createAdminRouter } = require('./api/adminRoutes');
 const logger = require('./utils/logger');
 
 // Handle uncaught exceptions
@@ -66,11 +68,15 @@ async function main() {
       res.json({
         ok: true,
         worker: 'running',
-        mode: 'polling',
+        mode: getWorkerMode(),
+        roles: getWorkerRoles(),
         timestamp: new Date().toISOString(),
       });
     });
 
+    // Operator endpoints (regenerate jobs / batches), require WORKER_ADMIN_TOKEN
+    app.use('/admin', createAdminRouter());
+
     app.listen(PORT, '0.0.0.0', () => {
       logger.info('Health server listening for worker', { port: PORT });
     });
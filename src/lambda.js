@@ -4,7 +4,7 @@
  */
 
 const { connectDB } = require('./config/database');
-const { processJobById } = require('./worker');
+const { dispatchMessage } = require('./worker');
 const { parseMessage } = require('./services/sqsService');
 const logger = require('./utils/logger');
 
@@ -52,16 +52,17 @@ exports.handler = async (event, context) => {
         messageId: record.messageId,
       });
 
-      // Parse message to get jobId
+      // Parse message to get action and target ids
       const messageData = parseMessage(record);
-      const jobId = messageData.jobId;
 
-      // Process the job
-      await processJobById(jobId);
+      // Dispatch to the matching pipeline stage
+      await dispatchMessage(messageData);
 
-      logger.info('Job processed successfully in Lambda', { 
-        jobId,
-        messageId: record.messageId 
+      logger.info('Message processed successfully in Lambda', {
+        action: messageData.action,
+        jobId: messageData.jobId,
+        batchId: messageData.batchId,
+        messageId: record.messageId
       });
 
     } catch (error) {
@@ -0,0 +1,180 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One signed anchoring transaction (putRoot / putRootEmitOnly) for an MRU, or
+ * (anchor / anchorBatch) for the leaves of a directly anchored batch
+ *
+ * Rows are written before the transaction is broadcast so an MRU is never
+ * orphaned by a crash, a dropped RPC connection or an underpriced transaction:
+ *   built -> submitted -> mined -> confirmed
+ * A transaction stuck in the mempool is replaced by a new row with the same
+ * nonce and higher fees; whichever of them is mined wins, the others end up
+ * 'replaced'. 'failed' rows (reverted, dry run rejected, nonce taken) release
+ * their batches for a new anchoring attempt after nextAttemptAt. A mined or
+ * recently confirmed transaction whose block is dropped by a reorg goes back to
+ * 'submitted' (or 'mined' when it was included in another block).
+ */
+const AnchorTransaction = sequelize.define('AnchorTransaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  merkleRootUltimate: {
+    type: DataTypes.STRING(66),
+    allowNull: false,
+    comment: 'Anchored MRU, or the direct anchoring key (keccak256 of the anchored leaves)',
+    field: 'merkle_root_ultimate',
+  },
+  batchIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Batches under the MRU, in MRU tree order',
+    field: 'batch_ids',
+  },
+  issuerId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Issuer identifier the root is bound to (DocumentBatch.issuerId / ANCHOR_ISSUER_ID)',
+    field: 'issuer_id',
+  },
+  timeWindow: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'time_window',
+  },
+  method: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    comment: 'putRoot | putRootEmitOnly | anchor | anchorBatch',
+  },
+  anchor: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'putRoot binding: { method, issuerId, timeWindow, nonce, canonicalizationVersion, diHash }, or { method, certHashes } for direct anchoring',
+  },
+  status: {
+    type: DataTypes.ENUM('built', 'submitted', 'mined', 'confirmed', 'replaced', 'failed'),
+    allowNull: false,
+    defaultValue: 'built',
+  },
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'chain_id',
+  },
+  fromAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: true,
+    field: 'from_address',
+  },
+  nonce: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Account nonce (shared by a transaction and its replacements)',
+  },
+  txHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    field: 'tx_hash',
+  },
+  rawTransaction: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Signed transaction, rebroadcast if the node lost it',
+    field: 'raw_transaction',
+  },
+  gasLimit: {
+    type: DataTypes.STRING(78),
+    allowNull: true,
+    field: 'gas_limit',
+  },
+  maxFeePerGas: {
+    type: DataTypes.STRING(78),
+    allowNull: true,
+    comment: 'wei (EIP-1559)',
+    field: 'max_fee_per_gas',
+  },
+  maxPriorityFeePerGas: {
+    type: DataTypes.STRING(78),
+    allowNull: true,
+    comment: 'wei (EIP-1559)',
+    field: 'max_priority_fee_per_gas',
+  },
+  gasPrice: {
+    type: DataTypes.STRING(78),
+    allowNull: true,
+    comment: 'wei (legacy transactions)',
+    field: 'gas_price',
+  },
+  replacesId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Transaction this one replaced (fee bump)',
+    field: 'replaces_id',
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'block_number',
+  },
+  blockHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Block the transaction was mined in, compared with the canonical chain to detect reorgs',
+    field: 'block_hash',
+  },
+  reorgs: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Times the block of the transaction was dropped from the canonical chain',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Failed anchoring attempts for the MRU, this one included (failed rows)',
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Earliest time the batches of a failed anchoring may be anchored again (null: dead-lettered)',
+    field: 'next_attempt_at',
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'error_message',
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'submitted_at',
+  },
+  minedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'mined_at',
+  },
+  confirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'confirmed_at',
+  },
+}, {
+  tableName: 'anchor_transactions',
+  timestamps: true,
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['merkle_root_ultimate'] },
+    { fields: ['from_address', 'nonce'] },
+  ],
+});
+
+module.exports = AnchorTransaction;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * How far the chain indexer got on one AnchorStore deployment
+ *
+ * Logs are indexed from startBlock up to blockNumber (inclusive); the next run
+ * continues at blockNumber + 1. A new AnchorStore address starts a new
+ * checkpoint. reconciledAt is the confirmedAt of the last anchoring
+ * transaction checked against the indexed events.
+ */
+const ChainCheckpoint = sequelize.define('ChainCheckpoint', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'chain_id',
+  },
+  contractAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: false,
+    comment: 'AnchorStore address (lowercase)',
+    field: 'contract_address',
+  },
+  startBlock: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: 'First indexed block (registry startBlock, else the block the indexer first ran at)',
+    field: 'start_block',
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: 'Last indexed block',
+    field: 'block_number',
+  },
+  reconciledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'confirmedAt of the last anchor_transactions row reconciled with the indexed events',
+    field: 'reconciled_at',
+  },
+}, {
+  tableName: 'chain_checkpoints',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['chain_id', 'contract_address'] },
+  ],
+});
+
+module.exports = ChainCheckpoint;
@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Disagreement between the local records and AnchorStore, flagged by the chain indexer
+ *
+ *   root_not_on_chain:  a putRoot transaction we recorded as confirmed, in a
+ *                       block the indexer covered, has no MerkleRootSubmitted
+ *                       event for its root (lost write, wrong contract, reorg
+ *                       after confirmation)
+ *   root_without_batch: a root was submitted for one of our issuers (or by
+ *                       our worker wallet) and no batch has it as its MRU
+ *                       (anchored outside the worker, or the batch update was lost)
+ *
+ * A root_not_on_chain flag is resolved when the root's event is indexed later.
+ */
+const ChainDiscrepancy = sequelize.define('ChainDiscrepancy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  type: {
+    type: DataTypes.ENUM('root_not_on_chain', 'root_without_batch'),
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'resolved'),
+    allowNull: false,
+    defaultValue: 'open',
+  },
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'chain_id',
+  },
+  root: {
+    type: DataTypes.STRING(66),
+    allowNull: false,
+    comment: 'bytes32 root (MRU)',
+  },
+  issuerId: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'bytes32 issuerId the root is (or should be) bound to',
+    field: 'issuer_id',
+  },
+  txHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Our anchoring transaction (root_not_on_chain) or the transaction that submitted the root (root_without_batch)',
+    field: 'tx_hash',
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'block_number',
+  },
+  batchIds: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Batches of the anchoring transaction (root_not_on_chain)',
+    field: 'batch_ids',
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at',
+  },
+}, {
+  tableName: 'chain_discrepancies',
+  timestamps: true,
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['chain_id', 'root'] },
+  ],
+});
+
+module.exports = ChainDiscrepancy;
@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * AnchorStore event recorded by the chain indexer (chainIndexerService)
+ *
+ * MerkleRootSubmitted, Revoked, RootRevoked, TimeWindowInvalidated and
+ * IssuerKeyRolled logs of every indexed network, once they are as deep as the
+ * network's confirmation depth. The columns hold the values lookups need; args
+ * holds every decoded event argument. A log is recorded once per
+ * (chain_id, tx_hash, log_index).
+ */
+const ChainEvent = sequelize.define('ChainEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'chain_id',
+  },
+  contractAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: false,
+    comment: 'AnchorStore address (lowercase)',
+    field: 'contract_address',
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'MerkleRootSubmitted | Revoked | RootRevoked | TimeWindowInvalidated | IssuerKeyRolled',
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'block_number',
+  },
+  blockHash: {
+    type: DataTypes.STRING(66),
+    allowNull: false,
+    field: 'block_hash',
+  },
+  txHash: {
+    type: DataTypes.STRING(66),
+    allowNull: false,
+    field: 'tx_hash',
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'log_index',
+  },
+  issuerId: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'bytes32 issuerId (for MerkleRootSubmitted: AnchorStore.rootIssuer of the root)',
+    field: 'issuer_id',
+  },
+  root: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Submitted or revoked root (MerkleRootSubmitted, RootRevoked)',
+  },
+  certHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Revoked certificate leaf (Revoked)',
+    field: 'cert_hash',
+  },
+  timeWindow: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'timeWindow of a submitted root (MerkleRootSubmitted)',
+    field: 'time_window',
+  },
+  windowStart: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'First invalidated timeWindow (TimeWindowInvalidated)',
+    field: 'window_start',
+  },
+  windowEnd: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Last invalidated timeWindow (TimeWindowInvalidated)',
+    field: 'window_end',
+  },
+  actor: {
+    type: DataTypes.STRING(42),
+    allowNull: true,
+    comment: 'Address that sent the transaction (issuer / invalidatedBy / rolledBy argument)',
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Revocation reason (Revoked, RootRevoked)',
+  },
+  args: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Decoded event arguments (numbers as decimal strings)',
+  },
+}, {
+  tableName: 'chain_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['chain_id', 'tx_hash', 'log_index'] },
+    { fields: ['chain_id', 'root'] },
+    { fields: ['chain_id', 'cert_hash'] },
+    { fields: ['chain_id', 'issuer_id'] },
+  ],
+});
+
+module.exports = ChainEvent;
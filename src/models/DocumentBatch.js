@@ -35,9 +35,21 @@ const DocumentBatch = sequelize.define('DocumentBatch', {
     },
   },
   status: {
-    type: DataTypes.ENUM('Pending', 'Processing', 'Completed', 'Failed'),
+    type: DataTypes.ENUM('Pending', 'Processing', 'Completed', 'Failed', 'Paused', 'Cancelled'),
     defaultValue: 'Pending',
   },
+  resumeStatus: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Status to return to when a Paused batch is resumed',
+    field: 'resume_status',
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Scheduling priority of all jobs in the batch; higher runs first (e.g. API single issuance)',
+  },
   originalFileName: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -67,6 +79,12 @@ const DocumentBatch = sequelize.define('DocumentBatch', {
     allowNull: true,
     comment: 'Issuer public key for signature verification',
   },
+  proofType: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'How the certificates are anchored: merkle (MRI / MRU under putRoot) or direct (each leaf with anchor / anchorBatch)',
+    field: 'proof_type',
+  },
   merkleRoot: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -90,17 +108,105 @@ const DocumentBatch = sequelize.define('DocumentBatch', {
   network: {
     type: DataTypes.STRING,
     allowNull: true,
-    comment: 'Blockchain network name',
+    comment: 'Blockchain network name (network registry, config/networks)',
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Chain ID of the anchoring network',
+    field: 'chain_id',
+  },
+  anchorStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Anchoring depth: PendingConfirmation (mined, below the network confirmation depth), Confirmed',
+    field: 'anchor_status',
   },
   finalizedAt: {
     type: DataTypes.DATE,
     allowNull: true,
     comment: 'Timestamp when batch was finalized',
   },
+  // AnchorStore.putRoot arguments the MRU was anchored with
+  anchorIssuerId: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'issuerId (bytes32) the MRU was anchored under',
+    field: 'anchor_issuer_id',
+  },
+  timeWindow: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'timeWindow the MRU was anchored under (unix seconds)',
+    field: 'time_window',
+  },
+  anchorNonce: {
+    type: DataTypes.STRING(78),
+    allowNull: true,
+    comment: 'issuerRootNonce used for the putRoot call (uint256 as decimal string)',
+    field: 'anchor_nonce',
+  },
+  canonicalizationVersion: {
+    type: DataTypes.STRING(78),
+    allowNull: true,
+    comment: 'AnchorStore canonicalizationVersion at anchoring time (uint256 as decimal string)',
+    field: 'canonicalization_version',
+  },
+  diHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'diHash passed to putRoot: keccak256 of the MRIs under the MRU, in tree order',
+    field: 'di_hash',
+  },
+  anchorBackend: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Anchoring backend: polygon (AnchorStore), rfc3161 (TSA), opentimestamps (calendar); null: polygon',
+    field: 'anchor_backend',
+  },
+  anchorProof: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Proof of a non-chain backend (TimeStampToken, .ots file), copied into the VD',
+    field: 'anchor_proof',
+  },
+  revocationStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'On-chain revocation: Pending (requested), Revoked, Failed',
+    field: 'revocation_status',
+  },
+  revocationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'revocation_reason',
+  },
+  revocationTxHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Transaction that revoked the batch on AnchorStore',
+    field: 'revocation_tx_hash',
+  },
+  revocationBlockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'revocation_block_number',
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at',
+  },
   signingStatus: {
     type: DataTypes.ENUM('PendingSigning', 'Signed', 'Finalized'),
     allowNull: true,
   },
+  lastTransition: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Last status transition: { field, from, to, actor, reason, at }',
+    field: 'last_transition',
+  },
   metadata: {
     type: DataTypes.JSONB,
     allowNull: true,
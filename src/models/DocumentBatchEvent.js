@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Append-only issuance audit log for DocumentBatch
+ * (one row per stage change; rows are never updated or deleted)
+ */
+const DocumentBatchEvent = sequelize.define('DocumentBatchEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  batchId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'batch_id',
+  },
+  stage: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Pipeline stage or operation: mri, mru, anchor, embed, ...',
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'What happened: transition, completed, failed, reset, ...',
+  },
+  fromStatus: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'from_status',
+  },
+  toStatus: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'to_status',
+  },
+  actor: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Worker id, API client, signer, ...',
+  },
+  hashes: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Values produced at this point: merkleRoot (MRI), merkleRootUltimate (MRU), txHash, ...',
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Stage specific context (paths, error, previous values, ...)',
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_ms',
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'occurred_at',
+  },
+}, {
+  tableName: 'document_batch_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['batch_id', 'occurred_at'] },
+  ],
+  hooks: {
+    beforeUpdate: () => { throw new Error('document_batch_events is append-only'); },
+    beforeBulkUpdate: () => { throw new Error('document_batch_events is append-only'); },
+    beforeDestroy: () => { throw new Error('document_batch_events is append-only'); },
+    beforeBulkDestroy: () => { throw new Error('document_batch_events is append-only'); },
+  },
+});
+
+module.exports = DocumentBatchEvent;
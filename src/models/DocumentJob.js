@@ -28,13 +28,82 @@ const DocumentJob = sequelize.define('DocumentJob', {
     field: 'recipient_email',
   },
   status: {
-    type: DataTypes.ENUM('Pending', 'Processing', 'PendingSigning', 'Generated', 'Failed'),
+    type: DataTypes.ENUM('Pending', 'Processing', 'PendingSigning', 'Generated', 'Failed', 'DeadLettered', 'Cancelled'),
     defaultValue: 'Pending',
   },
   errorMessage: {
     type: DataTypes.TEXT,
     allowNull: true,
   },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Scheduling priority; higher runs first (the batch priority applies if higher)',
+  },
+  lockedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Worker id currently holding the processing lease',
+    field: 'locked_by',
+  },
+  leaseExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Processing lease expiry; expired leases are returned to Pending by the reaper',
+    field: 'lease_expires_at',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of times processing was attempted and did not complete',
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Earliest time the current stage may be retried (exponential backoff)',
+    field: 'next_attempt_at',
+  },
+  errorType: {
+    type: DataTypes.ENUM('transient', 'permanent'),
+    allowNull: true,
+    comment: 'Classification of the last failure',
+    field: 'error_type',
+  },
+  lastTransition: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Last status transition: { field, from, to, actor, reason, at }',
+    field: 'last_transition',
+  },
+  revocationStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'On-chain revocation: Pending (requested), Revoked, Failed',
+    field: 'revocation_status',
+  },
+  revocationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'revocation_reason',
+  },
+  revocationTxHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Transaction that revoked the certificate on AnchorStore',
+    field: 'revocation_tx_hash',
+  },
+  revocationBlockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'revocation_block_number',
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at',
+  },
   certificatePath: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Append-only issuance audit log for DocumentJob
+ * (one row per stage change; rows are never updated or deleted)
+ */
+const DocumentJobEvent = sequelize.define('DocumentJobEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'job_id',
+  },
+  batchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'batch_id',
+  },
+  stage: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Pipeline stage or operation: render, sign, qr, embed, lease, ...',
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'What happened: transition, completed, failed, reset, ...',
+  },
+  fromStatus: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'from_status',
+  },
+  toStatus: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'to_status',
+  },
+  actor: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Worker id, API client, signer, ...',
+  },
+  hashes: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Values produced at this point: documentHash (H(d)), fingerprintHash (H(DI)), merkleLeaf (L), ...',
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Stage specific context (paths, error, previous values, ...)',
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_ms',
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'occurred_at',
+  },
+}, {
+  tableName: 'document_job_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['job_id', 'occurred_at'] },
+    { fields: ['batch_id'] },
+  ],
+  hooks: {
+    beforeUpdate: () => { throw new Error('document_job_events is append-only'); },
+    beforeBulkUpdate: () => { throw new Error('document_job_events is append-only'); },
+    beforeDestroy: () => { throw new Error('document_job_events is append-only'); },
+    beforeBulkDestroy: () => { throw new Error('document_job_events is append-only'); },
+  },
+});
+
+module.exports = DocumentJobEvent;
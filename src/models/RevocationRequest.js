@@ -0,0 +1,124 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * On-chain revocation of a certificate (job), of a whole batch, or of everything
+ * an issuer anchored in a time window (compromised issuer key)
+ *
+ * Created by the revoke / invalidate-window CLIs and the admin API, submitted to
+ * AnchorStore by the revocation stage (mru role).
+ */
+const RevocationRequest = sequelize.define('RevocationRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  scope: {
+    type: DataTypes.ENUM('job', 'batch', 'window'),
+    allowNull: false,
+  },
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Revoked job (scope job)',
+    field: 'job_id',
+  },
+  batchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Revoked batch, or the batch of the revoked job (null for scope window)',
+    field: 'batch_id',
+  },
+  issuerId: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'bytes32 AnchorStore issuerId whose time window is invalidated (scope window)',
+    field: 'issuer_id',
+  },
+  windowStart: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'First invalidated timeWindow (unix seconds, inclusive)',
+    field: 'window_start',
+  },
+  windowEnd: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Last invalidated timeWindow (unix seconds, inclusive)',
+    field: 'window_end',
+  },
+  method: {
+    type: DataTypes.ENUM('revoke', 'revokeBatch', 'revokeRoot', 'invalidateTimeWindow'),
+    allowNull: false,
+    comment: 'AnchorStore function used: revoke / revokeBatch (certificate leaves), revokeRoot (MRU) or invalidateTimeWindow',
+  },
+  certHashes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'bytes32 values revoked on-chain: merkle leaves (L), or the MRU for revokeRoot (empty for invalidateTimeWindow)',
+    field: 'cert_hashes',
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  requestedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Operator / API client that requested the revocation',
+    field: 'requested_by',
+  },
+  status: {
+    type: DataTypes.ENUM('Pending', 'Confirmed', 'Failed'),
+    allowNull: false,
+    defaultValue: 'Pending',
+  },
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Registry network the transaction is sent to (where the certificates were anchored)',
+  },
+  txHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    field: 'tx_hash',
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'block_number',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Earliest time a failed submission may be retried',
+    field: 'next_attempt_at',
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'error_message',
+  },
+  confirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'confirmed_at',
+  },
+}, {
+  tableName: 'revocation_requests',
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'next_attempt_at'] },
+    { fields: ['job_id'] },
+    { fields: ['batch_id'] },
+    { fields: ['issuer_id'] },
+  ],
+});
+
+module.exports = RevocationRequest;
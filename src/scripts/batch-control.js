@@ -0,0 +1,65 @@
+/**
+ * Batch Control Script
+ *
+ * Pause, resume or cancel a batch that is in flight.
+ *
+ * - pause:  no stage renders, signs, finalizes or anchors the batch
+ * - resume: the batch continues where it left off
+ * - cancel: unfinished jobs are cancelled and their stored artifacts deleted
+ *
+ * Usage:
+ *   node src/scripts/batch-control.js <pause|resume|cancel> <batchId> [reason]
+ *
+ * Examples:
+ *   node src/scripts/batch-control.js pause "123e4567-e89b-12d3-a456-426614174000" "wrong expiry date"
+ *   node src/scripts/batch-control.js cancel "123e4567-e89b-12d3-a456-426614174000"
+ */
+
+require('dotenv').config();
+const os = require('os');
+const { connectDB } = require('../config/database');
+const { pauseBatch, resumeBatch, cancelBatch } = require('../services/batchControlService');
+
+const COMMANDS = {
+  pause: pauseBatch,
+  resume: resumeBatch,
+  cancel: cancelBatch,
+};
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const [command, batchId, reason] = process.argv.slice(2);
+
+  if (!COMMANDS[command] || !batchId) {
+    console.log('Usage: node src/scripts/batch-control.js <pause|resume|cancel> <batchId> [reason]');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const actor = `cli:${os.userInfo().username}`;
+    const result = await COMMANDS[command](batchId, { actor, reason });
+
+    if (command === 'cancel') {
+      console.log(`✅ Batch ${batchId} cancelled`);
+      console.log(`Jobs cancelled: ${result.cancelledJobs}`);
+      console.log(`Artifacts deleted: ${result.deletedArtifacts}`);
+      if (result.batch.txHash) {
+        console.log(`⚠️  Batch was already anchored (tx ${result.batch.txHash}); revoke its certificates to invalidate them`);
+      }
+    } else {
+      console.log(`✅ Batch ${batchId} is now ${result.status}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Failed to ${command} batch:`, error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
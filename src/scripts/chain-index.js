@@ -0,0 +1,71 @@
+/**
+ * Chain Index Script
+ *
+ * Run one chain indexer pass (the worker running the mru role does this every
+ * CHAIN_INDEXER_POLL_INTERVAL) and list the open discrepancies between the
+ * local batches and AnchorStore.
+ *
+ * Usage:
+ *   node src/scripts/chain-index.js [network]
+ *
+ * Without a network every indexed network is scanned (CHAIN_INDEXER_NETWORKS,
+ * else every network with an AnchorStore address). A pass covers at most
+ * CHAIN_INDEXER_MAX_BLOCKS blocks per network; run it again to catch up further.
+ *
+ * Examples:
+ *   node src/scripts/chain-index.js
+ *   node src/scripts/chain-index.js polygon-amoy
+ */
+
+require('dotenv').config();
+const { connectDB } = require('../config/database');
+const { indexNetwork, indexChains, listDiscrepancies } = require('../services/chainIndexerService');
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const [network] = process.argv.slice(2);
+
+  try {
+    await connectDB();
+
+    const results = network ? [await indexNetwork(network)] : await indexChains();
+    let failed = false;
+
+    for (const result of results) {
+      if (result.error) {
+        failed = true;
+        console.error(`❌ ${result.network}: ${result.error}`);
+        continue;
+      }
+      console.log(`✅ ${result.network}: blocks ${result.fromBlock}-${result.toBlock} indexed`);
+      console.log(`   Events recorded: ${result.events}`);
+      console.log(`   Discrepancies flagged: ${result.discrepancies}`);
+      if (result.behind) {
+        console.log(`ℹ️  Confirmed head is block ${result.safeBlock}; run again to continue`);
+      }
+    }
+
+    const discrepancies = await listDiscrepancies({ network });
+    if (discrepancies.length === 0) {
+      console.log('✅ No open discrepancies');
+    } else {
+      console.log(`⚠️  ${discrepancies.length} open discrepancies:`);
+      for (const discrepancy of discrepancies) {
+        console.log(`   [${discrepancy.network}] ${discrepancy.type} root=${discrepancy.root} tx=${discrepancy.txHash || '-'}`);
+        if (discrepancy.batchIds) {
+          console.log(`      Batches: ${discrepancy.batchIds.join(', ')}`);
+        }
+      }
+    }
+
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Chain indexing failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -2,21 +2,24 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const networks = require('../config/networks');
+const { buildPutRootArgs } = require('../services/blockchainService');
 
 // Load ABI
 const ABI_PATH = path.join(__dirname, '../abis/AnchorStore.json');
 const ABI = require(ABI_PATH);
 
-// Config
-const RPC_URL =
-    process.env.AMOY_RPC_URL ||
-    process.env.POLYGON_AMOY_RPC_URL ||
-    "https://rpc-amoy.polygon.technology/";
+// Config (network name as the first argument, default network otherwise;
+// issuer id as the second argument, ANCHOR_ISSUER_ID otherwise)
+const NETWORK = networks.requireNetwork(process.argv[2]);
+const ISSUER_ID = process.argv[3] || process.env.ANCHOR_ISSUER_ID;
+const RPC_URL = NETWORK.rpcUrls[0];
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
-const CONTRACT_ADDRESS = process.env.ANCHORSTORE_ADDRESS;
+const CONTRACT_ADDRESS = NETWORK.contracts.anchorStore;
 
 async function main() {
     console.log("Starting diagnosis...");
+    console.log(`Network: ${NETWORK.name} (chainId ${NETWORK.chainId})`);
     console.log(`RPC: ${RPC_URL}`);
     console.log(`Contract: ${CONTRACT_ADDRESS}`);
 
@@ -85,11 +88,20 @@ async function main() {
     const timeWindow = 1766039799;
     const mru = "0x33ea94fe72184464c0c68e5bdbd651f3cfd412275ede480c1870a57d381b51be";
 
-    console.log(`\nSimulating putRootLegacy(${timeWindow}, ${mru})...`);
+    if (!ISSUER_ID) {
+        console.error("\nCannot simulate putRoot: pass the issuer id as the second argument or set ANCHOR_ISSUER_ID");
+        return;
+    }
+
+    console.log(`\nSimulating putRoot(${timeWindow}, ${mru}) for issuer ${ISSUER_ID}...`);
 
     try {
+        // Same arguments the worker sends (issuer nonce and canonical hash read from the contract)
+        const putRoot = await buildPutRootArgs(contract, { timeWindow, merkleRoot: mru, issuerId: ISSUER_ID });
+        console.log(`issuerId: ${putRoot.issuerId}, nonce: ${putRoot.nonce}, canonicalizationVersion: ${putRoot.canonicalizationVersion}`);
+
         // Try callStatic to get revert reason
-        await contract.callStatic.putRootLegacy(timeWindow, mru);
+        await contract.callStatic.putRoot(...putRoot.args);
         console.log("Simulation SUCCESS: Transaction should succeed.");
     } catch (error) {
         console.error("Simulation FAILED:");
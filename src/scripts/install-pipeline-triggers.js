@@ -0,0 +1,35 @@
+/**
+ * Install Pipeline Notification Triggers
+ *
+ * Creates the Postgres triggers that wake worker stages (LISTEN/NOTIFY) when
+ * jobs or batches change state outside the worker, e.g. jobs inserted or
+ * signed by the platform backend. Safe to run repeatedly.
+ *
+ * In development (NODE_ENV=development) the triggers are installed on startup.
+ *
+ * Usage:
+ *   node src/scripts/install-pipeline-triggers.js
+ */
+
+require('dotenv').config();
+const { connectDB } = require('../config/database');
+const { installPipelineTriggers } = require('../services/pipelineNotifier');
+
+/**
+ * Main entry point
+ */
+async function main() {
+  try {
+    await connectDB();
+    await installPipelineTriggers();
+
+    console.log('✅ Pipeline notification triggers installed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to install pipeline triggers:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,57 @@
+/**
+ * Invalidate Time Window Script
+ *
+ * Invalidate everything an issuer anchored in a time window, e.g. after the
+ * issuer key leaked. The AnchorStore.invalidateTimeWindow transaction is
+ * submitted by the worker running the mru role; every batch anchored by the
+ * issuer with a timeWindow in [start, end] is then marked revoked.
+ *
+ * Usage:
+ *   node src/scripts/invalidate-window.js <issuerId> <start> <end> <reason> [network]
+ *
+ * start / end are unix seconds or ISO dates (inclusive). Without a network the
+ * window is invalidated on every network the issuer anchored batches of it on.
+ *
+ * Examples:
+ *   node src/scripts/invalidate-window.js "issuer-1" 2025-03-01T00:00:00Z 2025-03-14T12:00:00Z "signing key leaked"
+ *   node src/scripts/invalidate-window.js "0x1234...abcd" 1740787200 1741953600 "signing key leaked"
+ */
+
+require('dotenv').config();
+const os = require('os');
+const { connectDB } = require('../config/database');
+const { requestTimeWindowInvalidation } = require('../services/revocationService');
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const [issuerId, start, end, reason, network] = process.argv.slice(2);
+
+  if (!issuerId || !start || !end || !reason) {
+    console.log('Usage: node src/scripts/invalidate-window.js <issuerId> <start> <end> <reason> [network]');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const result = await requestTimeWindowInvalidation(issuerId, start, end, reason, {
+      actor: `cli:${os.userInfo().username}`,
+      network,
+    });
+
+    console.log(`✅ Invalidation of issuer ${result.issuerId} requested`);
+    console.log(`   Window: ${new Date(result.start * 1000).toISOString()} - ${new Date(result.end * 1000).toISOString()}`);
+    console.log(`   Networks: ${result.networks.join(', ')}`);
+    console.log(`   Batches anchored in the window: ${result.batches}`);
+    console.log('ℹ️  The transaction is submitted by the worker running the mru role');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to request time window invalidation:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
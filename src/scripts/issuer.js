@@ -0,0 +1,122 @@
+/**
+ * Issuer Registry Script
+ *
+ * Manage a tenant's on-chain issuer identity (AnchorStore issuer registry) and
+ * its mirror in the tenant record (tenants.public_key, tenants.metadata.issuer).
+ *
+ * Usage:
+ *   node src/scripts/issuer.js register <tenantId> <issuerId> [publicKey] [owner]
+ *   node src/scripts/issuer.js roll-key <tenantId> <newPublicKey> [ownerSignature]
+ *   node src/scripts/issuer.js recover-key <tenantId> <newPublicKey>
+ *   node src/scripts/issuer.js set-uri <tenantId> <uri>
+ *   node src/scripts/issuer.js sync <tenantId>
+ *   node src/scripts/issuer.js vouch <tenantId>
+ *
+ * register defaults publicKey to the tenant's public key and owner to the worker
+ * wallet. roll-key signs with ISSUER_OWNER_PRIVATE_KEY (default PRIVATE_KEY)
+ * unless the owner signature is given. vouch collects witness signatures
+ * (WITNESS_PRIVATE_KEYS, WITNESS_WEBHOOK_URL) and submits AnchorStore.vouch.
+ *
+ * Examples:
+ *   node src/scripts/issuer.js register 6f1c...-tenant "issuer-1"
+ *   node src/scripts/issuer.js roll-key 6f1c...-tenant 02ab...cd
+ *   node src/scripts/issuer.js recover-key 6f1c...-tenant 03ef...01
+ */
+
+require('dotenv').config();
+const os = require('os');
+const { connectDB } = require('../config/database');
+const issuerRegistryService = require('../services/issuerRegistryService');
+
+/**
+ * Print the mirrored key history
+ */
+function printKeys(keys) {
+  for (const key of keys || []) {
+    const from = new Date(key.validFrom * 1000).toISOString();
+    const until = key.validUntil ? new Date(key.validUntil * 1000).toISOString() : 'now';
+    console.log(`   ${key.commitment} ${from} - ${until}${key.publicKey ? '' : ' (key not mirrored)'}`);
+  }
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const [command, tenantId, ...args] = process.argv.slice(2);
+  const actor = `cli:${os.userInfo().username}`;
+
+  if (!command || !tenantId) {
+    console.log('Usage: node src/scripts/issuer.js <register|roll-key|recover-key|set-uri|sync|vouch> <tenantId> [args...]');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    switch (command) {
+      case 'register': {
+        const [issuerId, publicKey, owner] = args;
+        const result = await issuerRegistryService.registerIssuer(tenantId, { issuerId, publicKey, owner }, { actor });
+        console.log(`✅ Tenant ${tenantId} registered as issuer ${result.anchorIssuerId}`);
+        console.log(`   Owner: ${result.owner}`);
+        console.log(`   Key: ${result.commitment}`);
+        console.log(`   Tx: ${result.txHash}`);
+        break;
+      }
+      case 'roll-key':
+      case 'recover-key': {
+        const [publicKey, signature] = args;
+        const result = command === 'roll-key'
+          ? await issuerRegistryService.rollIssuerKey(tenantId, publicKey, {
+            actor,
+            signature,
+            ownerPrivateKey: process.env.ISSUER_OWNER_PRIVATE_KEY,
+          })
+          : await issuerRegistryService.recoverIssuerKey(tenantId, publicKey, { actor });
+        console.log(`✅ Issuer ${result.anchorIssuerId} key ${command === 'roll-key' ? 'rolled' : 'recovered'}`);
+        console.log(`   New key: ${result.commitment}`);
+        console.log(`   Tx: ${result.txHash}`);
+        break;
+      }
+      case 'set-uri': {
+        const result = await issuerRegistryService.setIssuerMetadataURI(tenantId, args[0], { actor });
+        console.log(`✅ Issuer ${result.anchorIssuerId} metadata URI set to ${result.metadataURI}`);
+        console.log(`   Tx: ${result.txHash}`);
+        break;
+      }
+      case 'sync': {
+        const issuer = await issuerRegistryService.syncIssuerKeys(tenantId);
+        console.log(`✅ Issuer ${issuer.anchorIssuerId} synced (${issuer.active ? 'active' : 'inactive'})`);
+        printKeys(issuer.keys);
+        if (issuer.vouches) {
+          console.log(`   Witness vouches: ${issuer.vouches.count}`);
+        }
+        break;
+      }
+      case 'vouch': {
+        const result = await issuerRegistryService.vouchForIssuer(tenantId, { actor });
+        console.log(`✅ Issuer ${result.anchorIssuerId} has ${result.vouchCount} witness vouch(es)`);
+        for (const entry of result.results) {
+          const detail = entry.status === 'failed' ? entry.error : (entry.txHash || '');
+          console.log(`   ${entry.witness || '(webhook)'} [${entry.source}] ${entry.status} ${detail}`.trimEnd());
+        }
+        if (result.results.some(entry => entry.status === 'failed')) {
+          process.exit(1);
+        }
+        break;
+      }
+      default:
+        console.log(`Unknown command: ${command}`);
+        process.exit(1);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ ${command} failed:`, error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
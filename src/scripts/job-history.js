@@ -0,0 +1,81 @@
+/**
+ * Issuance History
+ *
+ * Prints the audit trail of a job (rendered, signed, finalized, anchored,
+ * embedded, ...) together with the events of its batch.
+ *
+ * Usage:
+ *   node src/scripts/job-history.js <jobId>
+ *   node src/scripts/job-history.js --batch <batchId>
+ */
+
+require('dotenv').config();
+const { connectDB } = require('../config/database');
+const DocumentJob = require('../models/DocumentJob');
+const { getJobHistory, getBatchHistory } = require('../services/eventService');
+
+/**
+ * Print one event line
+ * @param {object} event - DocumentJobEvent or DocumentBatchEvent
+ * @param {string} label - Entity label
+ */
+function printEvent(event, label) {
+  const status = event.fromStatus || event.toStatus ? ` ${event.fromStatus || '-'} -> ${event.toStatus || '-'}` : '';
+  const duration = event.durationMs !== null && event.durationMs !== undefined ? ` (${event.durationMs} ms)` : '';
+  console.log(`${new Date(event.occurredAt).toISOString()}  ${label}  ${event.stage}/${event.event}${status}${duration}  actor=${event.actor || '-'}`);
+  if (event.hashes) console.log(`    hashes:  ${JSON.stringify(event.hashes)}`);
+  if (event.details) console.log(`    details: ${JSON.stringify(event.details)}`);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1 || (args[0] === '--batch' && !args[1])) {
+    console.log('Usage: node src/scripts/job-history.js <jobId>');
+    console.log('       node src/scripts/job-history.js --batch <batchId>');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    let events;
+    if (args[0] === '--batch') {
+      const { batchEvents, jobEvents } = await getBatchHistory(args[1], { includeJobs: true });
+      events = [
+        ...batchEvents.map(event => ({ event, label: 'batch' })),
+        ...jobEvents.map(event => ({ event, label: `job ${event.jobId}` })),
+      ];
+    } else {
+      const job = await DocumentJob.findByPk(args[0], { attributes: ['id', 'batchId'] });
+      if (!job) {
+        throw new Error(`Job not found: ${args[0]}`);
+      }
+      const jobEvents = await getJobHistory(job.id);
+      const { batchEvents } = await getBatchHistory(job.batchId);
+      events = [
+        ...jobEvents.map(event => ({ event, label: 'job  ' })),
+        ...batchEvents.map(event => ({ event, label: 'batch' })),
+      ];
+    }
+
+    events
+      .sort((a, b) => new Date(a.event.occurredAt) - new Date(b.event.occurredAt))
+      .forEach(({ event, label }) => printEvent(event, label));
+
+    if (events.length === 0) {
+      console.log('No events recorded');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,76 @@
+/**
+ * Regenerate Script
+ *
+ * Regenerate the artifacts of a single job or of every job in a batch.
+ *
+ * Scopes:
+ * - render: re-render the PDF (H(d) and the signature change; the job has to be signed again)
+ * - qr:     re-issue the QR code and re-embed it into the PDF
+ * - vd:     re-embed the QR code and verification bundle (VD) into the PDF
+ *
+ * Usage:
+ *   node src/scripts/regenerate.js <render|qr|vd> <jobId> [reason]
+ *   node src/scripts/regenerate.js <render|qr|vd> --batch <batchId> [reason]
+ *
+ * Examples:
+ *   node src/scripts/regenerate.js render "123e4567-e89b-12d3-a456-426614174000" "template CSS fix"
+ *   node src/scripts/regenerate.js vd --batch "123e4567-e89b-12d3-a456-426614174000" "issuer key rotated"
+ */
+
+require('dotenv').config();
+const os = require('os');
+const { connectDB } = require('../config/database');
+const { REGENERATE_SCOPES, regenerateJob, regenerateBatch } = require('../services/regenerationService');
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const scope = args[0];
+  const isBatch = args[1] === '--batch';
+  const id = isBatch ? args[2] : args[1];
+  const reason = isBatch ? args[3] : args[2];
+
+  if (!REGENERATE_SCOPES.includes(scope) || !id) {
+    console.log('Usage: node src/scripts/regenerate.js <render|qr|vd> <jobId> [reason]');
+    console.log('       node src/scripts/regenerate.js <render|qr|vd> --batch <batchId> [reason]');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const actor = `cli:${os.userInfo().username}`;
+
+    if (isBatch) {
+      const result = await regenerateBatch(id, scope, { actor, reason });
+      console.log(`✅ Batch ${id}: ${result.regenerated.length} job(s) queued for ${scope} regeneration`);
+      for (const { jobId, reason: skipReason } of result.skipped) {
+        console.log(`⚠️  Skipped ${jobId}: ${skipReason}`);
+      }
+    } else {
+      const result = await regenerateJob(id, scope, { actor, reason });
+      console.log(`✅ Job ${id} queued for ${scope} regeneration (status: ${result.status})`);
+      console.log('Previous artifacts:');
+      for (const [field, value] of Object.entries(result.previous)) {
+        if (value) console.log(`  ${field}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+      }
+      for (const [field, copy] of Object.entries(result.archived)) {
+        console.log(`  ${field} kept as: ${copy}`);
+      }
+    }
+
+    if (scope === 'render') {
+      console.log('ℹ️  Re-rendered certificates have to be signed again before the batch is finalized');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Failed to regenerate ${scope}:`, error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,59 @@
+/**
+ * Revoke Script
+ *
+ * Request the on-chain revocation of a certificate or of a whole batch. The
+ * revocation transaction is submitted by the worker running the mru role; the
+ * reason is published on-chain in the Revoked / RootRevoked event.
+ *
+ * Usage:
+ *   node src/scripts/revoke.js <jobId> <reason>
+ *   node src/scripts/revoke.js --batch <batchId> <reason>
+ *
+ * Examples:
+ *   node src/scripts/revoke.js "123e4567-e89b-12d3-a456-426614174000" "issued to the wrong recipient"
+ *   node src/scripts/revoke.js --batch "123e4567-e89b-12d3-a456-426614174000" "course results withdrawn"
+ */
+
+require('dotenv').config();
+const os = require('os');
+const { connectDB } = require('../config/database');
+const { requestJobRevocation, requestBatchRevocation } = require('../services/revocationService');
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const isBatch = args[0] === '--batch';
+  const id = isBatch ? args[1] : args[0];
+  const reason = isBatch ? args[2] : args[1];
+
+  if (!id || !reason) {
+    console.log('Usage: node src/scripts/revoke.js <jobId> <reason>');
+    console.log('       node src/scripts/revoke.js --batch <batchId> <reason>');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const actor = `cli:${os.userInfo().username}`;
+
+    if (isBatch) {
+      const result = await requestBatchRevocation(id, reason, { actor });
+      console.log(`✅ Revocation of batch ${id} requested (${result.certificates} certificate(s), ${result.method})`);
+    } else {
+      const result = await requestJobRevocation(id, reason, { actor });
+      console.log(`✅ Revocation of certificate ${id} requested (batch ${result.batchId})`);
+    }
+
+    console.log('ℹ️  The transaction is submitted by the worker running the mru role');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to request revocation:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -5,7 +5,7 @@
  * Can process a single PDF file or a ZIP file containing multiple PDFs.
  * 
  * Usage:
- *   node src/scripts/verify-certificate.js <path-to-pdf-or-zip>
+ *   node src/scripts/verify-certificate.js <path-to-pdf-or-zip> [--as-of <date>]
  * 
  * Examples:
  *   # Verify a single PDF
@@ -13,6 +13,9 @@
  * 
  *   # Verify multiple PDFs from a ZIP file
  *   node src/scripts/verify-certificate.js ./certificates.zip
+ *
+ *   # Check expiry (Ed) and invalidation expiry (Ei) as of a past date
+ *   node src/scripts/verify-certificate.js ./certificate.pdf --as-of 2030-06-01
  */
 
 require('dotenv').config();
@@ -28,18 +31,23 @@ const logger = require('../utils/logger');
  * Main function
  */
 async function main() {
-  // Get file path from command line arguments
-  const filePath = process.argv[2];
+  // Get file path and options from command line arguments
+  const args = process.argv.slice(2);
+  const asOfIndex = args.indexOf('--as-of');
+  const asOf = asOfIndex >= 0 ? args.splice(asOfIndex, 2)[1] : undefined;
+  const filePath = args[0];
 
   if (!filePath) {
     console.error('\n❌ Error: File path is required\n');
     console.log('Usage:');
-    console.log('  node src/scripts/verify-certificate.js <path-to-pdf-or-zip>\n');
+    console.log('  node src/scripts/verify-certificate.js <path-to-pdf-or-zip> [--as-of <date>]\n');
     console.log('Examples:');
     console.log('  # Verify a single PDF');
     console.log('  node src/scripts/verify-certificate.js ./storage/qr-embedded-certificates/tenant/batch/job-with-qr.pdf\n');
     console.log('  # Verify multiple PDFs from a ZIP file');
     console.log('  node src/scripts/verify-certificate.js ./certificates.zip\n');
+    console.log('  # Check Ed / Ei as of a past date');
+    console.log('  node src/scripts/verify-certificate.js ./certificate.pdf --as-of 2030-06-01\n');
     process.exit(1);
   }
 
@@ -125,7 +133,7 @@ async function main() {
 
     // Verify certificates
     console.log(`🔐 Verifying ${pdfFiles.length} certificate(s)...\n`);
-    const verificationResults = await verifyCertificates(pdfFiles);
+    const verificationResults = await verifyCertificates(pdfFiles, { asOf });
 
     // Display results
     console.log('='.repeat(80));
@@ -140,7 +148,10 @@ async function main() {
     // Display detailed results for each file
     verificationResults.forEach((result, index) => {
       console.log(`\n📄 File ${index + 1}: ${result.filename}`);
-      console.log(`   Status: ${result.valid ? '✅ VALID' : '❌ INVALID'}`);
+      console.log(`   Status: ${result.valid ? '✅ VALID' : '❌ INVALID'}${result.validity ? ` (${result.validity})` : ''}`);
+      if (result.steps?.validityPeriod?.historical) {
+        console.log(`   Checked as of: ${result.steps.validityPeriod.asOf}`);
+      }
       
       if (result.errors && result.errors.length > 0) {
         console.log(`   Errors:`);
@@ -0,0 +1,736 @@
+const { Op } = require('sequelize');
+const { ethers } = require('ethers');
+const AnchorTransaction = require('../models/AnchorTransaction');
+const blockchainService = require('./blockchainService');
+const networks = require('../config/networks');
+const { withReservedNonce, releaseNonce, resetNonce } = require('./nonceManager');
+const { planRetry } = require('../utils/retryPolicy');
+const logger = require('../utils/logger');
+
+/**
+ * Anchoring transaction manager
+ *
+ * Every anchoring transaction is signed with a nonce from the local nonce
+ * manager and stored in anchor_transactions before it is broadcast, so the
+ * worker can pick it up again after an RPC error, a timeout or a restart:
+ *   - built:     signed, not accepted by the node yet (rebroadcast on resume)
+ *   - submitted: accepted by the node; replaced with higher fees (same nonce)
+ *                when not mined within ANCHOR_TX_TIMEOUT_MS
+ *   - mined:     receipt seen, below the confirmation depth of the network;
+ *                the batches get their txHash as PendingConfirmation
+ *   - confirmed: confirmation depth reached, the batches are Confirmed and QR
+ *                generation starts
+ *   - replaced:  another transaction with the same nonce won
+ *   - failed:    reverted, rejected by the dry run, or the nonce was used by a
+ *                transaction we did not send; the batches are released for a
+ *                new anchoring attempt after the retry backoff
+ *
+ * Mined transactions, and confirmed ones for ANCHOR_REORG_WATCH_MS, are checked
+ * against the canonical chain on every resume. A transaction whose block was
+ * dropped by a reorg goes back to 'submitted' and is rebroadcast, replaced or
+ * failed like any other pending transaction.
+ */
+
+const OPEN_STATUSES = ['built', 'submitted', 'mined'];
+
+// Messages of a broadcast the node already has (rebroadcast of the same raw transaction)
+const ALREADY_KNOWN = /already known|known transaction|already imported/i;
+
+/**
+ * Read an integer setting, keeping 0 when it is set explicitly
+ */
+function intEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+/**
+ * Confirmations after which an anchoring transaction counts as confirmed
+ *
+ * ANCHOR_CONFIRMATIONS_<NETWORK> (e.g. ANCHOR_CONFIRMATIONS_POLYGON_AMOY) wins
+ * over ANCHOR_CONFIRMATIONS, which wins over the `confirmations` of the network
+ * in the registry.
+ *
+ * @param {string} network - Network name (e.g. 'polygon-amoy')
+ * @returns {number} - Confirmation depth (at least 1)
+ */
+function confirmationDepth(network) {
+  const entry = networks.getNetwork(network);
+  const depth = intEnv(`ANCHOR_CONFIRMATIONS_${networks.envSuffix(network)}`,
+    intEnv('ANCHOR_CONFIRMATIONS', (entry && entry.confirmations) || 1));
+  return Math.max(depth, 1);
+}
+
+/**
+ * Read transaction manager settings from the environment
+ *
+ * @param {string} network - Network the transactions are sent to (selects the confirmation
+ *   depth, and the fee cap when ANCHOR_MAX_FEE_GWEI is not set)
+ * @returns {object} - { timeoutMs, feeBumpPercent, maxReplacements, maxFeePerGas, confirmations, reorgWatchMs }
+ */
+function getTransactionConfig(network) {
+  const entry = networks.getNetwork(network);
+  const maxFeeGwei = Number(process.env.ANCHOR_MAX_FEE_GWEI || (entry && entry.fees.maxFeeGwei));
+  return {
+    timeoutMs: intEnv('ANCHOR_TX_TIMEOUT_MS', 3 * 60 * 1000), // 3 minutes
+    // Nodes only accept a replacement that raises the fees by at least 10%
+    feeBumpPercent: Math.max(intEnv('ANCHOR_FEE_BUMP_PERCENT', 20), 10),
+    maxReplacements: intEnv('ANCHOR_MAX_REPLACEMENTS', 5),
+    maxFeePerGas: Number.isFinite(maxFeeGwei) && maxFeeGwei > 0
+      ? ethers.utils.parseUnits(String(maxFeeGwei), 'gwei')
+      : null,
+    confirmations: confirmationDepth(network),
+    reorgWatchMs: intEnv('ANCHOR_REORG_WATCH_MS', 60 * 60 * 1000), // 1 hour
+  };
+}
+
+/**
+ * Fee columns of a transaction request, as decimal wei strings
+ */
+function feeColumns(tx) {
+  return {
+    gasLimit: tx.gasLimit ? tx.gasLimit.toString() : null,
+    maxFeePerGas: tx.maxFeePerGas ? tx.maxFeePerGas.toString() : null,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas ? tx.maxPriorityFeePerGas.toString() : null,
+    gasPrice: tx.gasPrice ? tx.gasPrice.toString() : null,
+  };
+}
+
+/**
+ * Fees for a replacement: the previous fees raised by feeBumpPercent, or the
+ * current network fees if those are higher
+ *
+ * @param {object} transaction - AnchorTransaction being replaced
+ * @param {object} current - getTransactionFees() result
+ * @param {object} config - getTransactionConfig() result
+ * @returns {object|null} - Fee fields, or null when the bump would pass ANCHOR_MAX_FEE_GWEI
+ */
+function bumpFees(transaction, current, config) {
+  const bump = (value) => ethers.BigNumber.from(value).mul(100 + config.feeBumpPercent).div(100).add(1);
+  const atLeast = (value, floor) => (floor && ethers.BigNumber.from(floor).gt(value) ? ethers.BigNumber.from(floor) : value);
+
+  let fees;
+  if (transaction.maxFeePerGas) {
+    fees = {
+      type: 2,
+      maxFeePerGas: atLeast(bump(transaction.maxFeePerGas), current.maxFeePerGas),
+      maxPriorityFeePerGas: atLeast(bump(transaction.maxPriorityFeePerGas), current.maxPriorityFeePerGas),
+    };
+    if (fees.maxPriorityFeePerGas.gt(fees.maxFeePerGas)) {
+      fees.maxFeePerGas = fees.maxPriorityFeePerGas;
+    }
+  } else {
+    fees = { type: 0, gasPrice: atLeast(bump(transaction.gasPrice), current.gasPrice) };
+  }
+
+  const price = fees.maxFeePerGas || fees.gasPrice;
+  if (config.maxFeePerGas && price.gt(config.maxFeePerGas)) {
+    return null;
+  }
+  return fees;
+}
+
+/**
+ * Anchoring result in the shape batchService stores on the batches
+ *
+ * @param {object} transaction - Mined AnchorTransaction
+ * @param {object} receipt - Transaction receipt (optional)
+ * @returns {object} - { txHash, network, chainId, blockNumber, eventData, anchor }
+ */
+function toAnchorResult(transaction, receipt = null) {
+  return {
+    txHash: transaction.txHash,
+    network: transaction.network,
+    chainId: transaction.chainId,
+    blockNumber: receipt ? receipt.blockNumber : Number(transaction.blockNumber),
+    eventData: receipt ? blockchainService.parseAnchorReceipt(receipt) : null,
+    anchor: transaction.anchor,
+  };
+}
+
+/**
+ * Lowest nonce not held by an in-flight anchoring transaction of the address on the chain
+ */
+async function inFlightNonceFloor(address, chainId) {
+  const highest = await AnchorTransaction.max('nonce', {
+    where: { fromAddress: address, chainId, status: { [Op.in]: ['built', 'submitted'] } },
+  });
+  return Number.isFinite(highest) ? highest + 1 : 0;
+}
+
+/**
+ * Send a stored raw transaction to the node
+ *
+ * @param {object} transaction - AnchorTransaction
+ * @param {object} provider - ethers provider
+ * @returns {Promise<boolean>} - true if the node has the transaction
+ */
+async function broadcast(transaction, provider) {
+  try {
+    await provider.sendTransaction(transaction.rawTransaction);
+  } catch (error) {
+    if (!ALREADY_KNOWN.test(error.message || '')) {
+      logger.warn('Anchor transaction broadcast failed, will retry', {
+        txHash: transaction.txHash,
+        nonce: transaction.nonce,
+        error: error.message,
+      });
+      await transaction.update({ errorMessage: error.message });
+      return false;
+    }
+  }
+
+  await transaction.update({
+    status: 'submitted',
+    submittedAt: transaction.submittedAt || new Date(),
+    errorMessage: null,
+  });
+  logger.info('Anchor transaction submitted', { txHash: transaction.txHash, nonce: transaction.nonce });
+  return true;
+}
+
+/**
+ * Record a failed anchoring attempt and schedule the retry of its MRU
+ *
+ * @param {object} transaction - AnchorTransaction, or the values of a transaction that was never built
+ * @param {Error} error - Failure
+ * @returns {Promise<object>} - Failed AnchorTransaction
+ */
+async function recordFailure(transaction, error) {
+  const previousAttempts = await AnchorTransaction.count({
+    where: { merkleRootUltimate: transaction.merkleRootUltimate, status: 'failed' },
+  });
+  const plan = planRetry(error, previousAttempts);
+  const values = {
+    status: 'failed',
+    attempts: plan.attempts,
+    nextAttemptAt: plan.retry ? plan.nextAttemptAt : null,
+    errorMessage: error.message,
+  };
+
+  logger[plan.retry ? 'warn' : 'error']('Anchoring attempt failed', {
+    merkleRootUltimate: transaction.merkleRootUltimate,
+    txHash: transaction.txHash || null,
+    attempts: plan.attempts,
+    errorType: plan.errorType,
+    nextAttemptAt: values.nextAttemptAt,
+    error: error.message,
+  });
+
+  return transaction.update
+    ? transaction.update(values)
+    : AnchorTransaction.create({ ...transaction, ...values });
+}
+
+/**
+ * Settle a nonce group once one of its transactions has a receipt
+ *
+ * @param {object} mined - Transaction of the group that was mined
+ * @param {Array<object>} group - All transactions sharing the nonce
+ * @param {object} receipt - Receipt of the mined transaction
+ * @param {object} config - getTransactionConfig() result
+ * @returns {Promise<object>} - { status, transaction, result }
+ */
+async function settle(mined, group, receipt, config) {
+  for (const other of group) {
+    if (other.id !== mined.id && other.status !== 'replaced') {
+      await other.update({ status: 'replaced' });
+    }
+  }
+
+  if (receipt.status === 0) {
+    await recordFailure(mined, new Error(`Anchor transaction ${mined.txHash} reverted in block ${receipt.blockNumber}`));
+    return { status: 'failed', transaction: mined, result: null };
+  }
+
+  // Same transaction in another block: its first block was dropped by a reorg
+  const reorged = !!mined.blockHash && mined.blockHash !== receipt.blockHash;
+  if (reorged) {
+    logger.warn('Anchor transaction was mined again in another block after a reorg', {
+      txHash: mined.txHash,
+      previousBlockNumber: mined.blockNumber,
+      blockNumber: receipt.blockNumber,
+    });
+  }
+
+  const confirmed = (receipt.confirmations || 0) >= config.confirmations;
+  const wasConfirmed = mined.status === 'confirmed';
+  await mined.update({
+    status: confirmed ? 'confirmed' : 'mined',
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    reorgs: (mined.reorgs || 0) + (reorged ? 1 : 0),
+    minedAt: mined.minedAt || new Date(),
+    confirmedAt: confirmed ? (mined.confirmedAt || new Date()) : null,
+    errorMessage: null,
+  });
+
+  if (confirmed !== wasConfirmed || reorged) {
+    logger.info(confirmed ? 'Anchor transaction confirmed' : 'Anchor transaction mined, waiting for confirmations', {
+      txHash: mined.txHash,
+      blockNumber: receipt.blockNumber,
+      confirmations: receipt.confirmations,
+      required: config.confirmations,
+    });
+  }
+
+  return {
+    status: confirmed ? 'confirmed' : 'mined',
+    transaction: mined,
+    result: toAnchorResult(mined, receipt),
+  };
+}
+
+/**
+ * Replace a stuck transaction with the same nonce and higher fees
+ *
+ * @returns {Promise<object|null>} - Replacement AnchorTransaction, or null if none was sent
+ */
+async function replaceTransaction(transaction, wallet, provider, config) {
+  const current = await blockchainService.getTransactionFees(provider, transaction.chainId);
+  const fees = bumpFees(transaction, current, config);
+  if (!fees) {
+    logger.warn('Anchor transaction is stuck but a replacement would pass ANCHOR_MAX_FEE_GWEI', {
+      txHash: transaction.txHash,
+      nonce: transaction.nonce,
+    });
+    return null;
+  }
+
+  const previous = ethers.utils.parseTransaction(transaction.rawTransaction);
+  const request = {
+    to: previous.to,
+    data: previous.data,
+    gasLimit: previous.gasLimit,
+    chainId: previous.chainId,
+    nonce: previous.nonce,
+    ...fees,
+  };
+  const rawTransaction = await wallet.signTransaction(request);
+
+  const replacement = await AnchorTransaction.create({
+    merkleRootUltimate: transaction.merkleRootUltimate,
+    batchIds: transaction.batchIds,
+    issuerId: transaction.issuerId,
+    timeWindow: transaction.timeWindow,
+    method: transaction.method,
+    anchor: transaction.anchor,
+    network: transaction.network,
+    chainId: transaction.chainId,
+    fromAddress: transaction.fromAddress,
+    nonce: transaction.nonce,
+    txHash: ethers.utils.keccak256(rawTransaction),
+    rawTransaction,
+    ...feeColumns(request),
+    replacesId: transaction.id,
+    status: 'built',
+  });
+
+  logger.info('Replacing stuck anchor transaction', {
+    txHash: transaction.txHash,
+    replacementTxHash: replacement.txHash,
+    nonce: transaction.nonce,
+    maxFeePerGas: replacement.maxFeePerGas,
+    gasPrice: replacement.gasPrice,
+  });
+
+  if (await broadcast(replacement, provider)) {
+    await transaction.update({ status: 'replaced' });
+  }
+  return replacement;
+}
+
+/**
+ * Wait for the transaction to be mined
+ *
+ * Only inclusion is awaited: the confirmation depth is reached on later resumes
+ * while the batches are PendingConfirmation.
+ *
+ * @returns {Promise<object|null>} - Receipt, or null on timeout
+ */
+async function waitForReceipt(provider, txHash, config) {
+  try {
+    return await provider.waitForTransaction(txHash, 1, config.timeoutMs);
+  } catch (error) {
+    if (error.code === ethers.errors.TIMEOUT) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Anchor an MRU through a managed transaction
+ *
+ * Waits up to ANCHOR_TX_TIMEOUT_MS for the transaction to be mined. A transaction
+ * that is not mined by then stays in anchor_transactions and is completed (or
+ * replaced) by resumeAnchorTransactions.
+ *
+ * With params.certHashes the leaves are anchored directly (anchor / anchorBatch)
+ * instead of putRoot; merkleRootUltimate is then the direct anchoring key
+ * (blockchainService.computeDirectAnchorKey) the row is tracked under.
+ *
+ * @param {object} params - { merkleRootUltimate, timeWindow, issuerId, merkleRoots, metadata, batchIds, network, certHashes }
+ *   network: registry network to anchor on (default: ANCHOR_NETWORK)
+ * @returns {Promise<object>} - { status, transaction, result }
+ *   status: 'confirmed' | 'mined' (below the confirmation depth) | 'pending' | 'failed';
+ *   result holds { txHash, network, chainId, blockNumber, eventData, anchor } once mined
+ * @throws {Error} - When the transaction cannot be built (dry run revert, RPC down); recorded as a failed row
+ */
+async function submitAnchorTransaction(params) {
+  const values = {
+    merkleRootUltimate: params.merkleRootUltimate,
+    batchIds: params.batchIds,
+    issuerId: params.issuerId || null,
+    timeWindow: params.timeWindow,
+  };
+
+  let build;
+  try {
+    build = params.certHashes
+      ? await blockchainService.buildDirectAnchorTransaction(params.certHashes, { network: params.network })
+      : await blockchainService.buildAnchorTransaction(params.merkleRootUltimate, params.timeWindow, {
+        network: params.network,
+        issuerId: params.issuerId,
+        merkleRoots: params.merkleRoots,
+        metadata: params.metadata,
+      });
+  } catch (error) {
+    const method = params.certHashes ? (params.certHashes.length === 1 ? 'anchor' : 'anchorBatch') : 'putRoot';
+    await recordFailure({ ...values, method, network: params.network || null }, error);
+    throw error;
+  }
+
+  const config = getTransactionConfig(build.network);
+  const address = build.wallet.address;
+
+  // Persisted as 'built' under the signer lock: other nodes see the nonce as in flight from then on
+  const transaction = await withReservedNonce(build.wallet, build.chainId, async (nonce) => {
+    try {
+      const request = { ...build.request, nonce };
+      const rawTransaction = await build.wallet.signTransaction(request);
+      return await AnchorTransaction.create({
+        ...values,
+        method: build.method,
+        anchor: build.anchor,
+        network: build.network,
+        chainId: build.chainId,
+        fromAddress: address,
+        nonce,
+        txHash: ethers.utils.keccak256(rawTransaction),
+        rawTransaction,
+        ...feeColumns(request),
+        status: 'built',
+      });
+    } catch (error) {
+      releaseNonce(address, nonce, build.chainId);
+      throw error;
+    }
+  }, () => inFlightNonceFloor(address, build.chainId));
+
+  logger.info('Anchor transaction built', {
+    merkleRootUltimate: params.merkleRootUltimate,
+    txHash: transaction.txHash,
+    nonce: transaction.nonce,
+    method: build.method,
+  });
+
+  if (!(await broadcast(transaction, build.provider))) {
+    return { status: 'pending', transaction, result: null };
+  }
+
+  const receipt = await waitForReceipt(build.provider, transaction.txHash, config);
+  if (!receipt) {
+    logger.warn('Anchor transaction not mined in time, it will be resumed', {
+      txHash: transaction.txHash,
+      timeoutMs: config.timeoutMs,
+    });
+    return { status: 'pending', transaction, result: null };
+  }
+
+  return settle(transaction, [transaction], receipt, config);
+}
+
+/**
+ * Put a transaction whose block was dropped by a reorg back in flight
+ *
+ * Its raw transaction is rebroadcast (or replaced) like any other pending
+ * transaction, so the MRU is anchored again without a new MRU calculation.
+ *
+ * @param {object} transaction - Mined or confirmed AnchorTransaction
+ */
+async function dropFromChain(transaction) {
+  logger.warn('Anchor transaction block is no longer canonical, anchoring again', {
+    txHash: transaction.txHash,
+    merkleRootUltimate: transaction.merkleRootUltimate,
+    blockNumber: transaction.blockNumber,
+    blockHash: transaction.blockHash,
+    status: transaction.status,
+  });
+  await transaction.update({
+    status: 'submitted',
+    blockNumber: null,
+    blockHash: null,
+    reorgs: (transaction.reorgs || 0) + 1,
+    minedAt: null,
+    confirmedAt: null,
+    submittedAt: new Date(), // replacement timeout starts over
+  });
+}
+
+/**
+ * Check recently confirmed transactions against the canonical chain
+ *
+ * A transaction whose block was dropped goes back to 'mined' (included in
+ * another block, below the confirmation depth again) or 'submitted' (not in
+ * the chain any more), and is picked up by the resume pass that follows.
+ * Transactions that are no longer confirmed are added to summary.reorged,
+ * those that reverted in their new block to summary.failed as well.
+ *
+ * @param {Function} connect - (transaction) => Promise<{ provider }> for the network of the transaction
+ * @param {object} summary - resumeAnchorTransactions() summary
+ */
+async function watchConfirmedTransactions(connect, summary) {
+  const recent = await AnchorTransaction.findAll({
+    where: {
+      status: 'confirmed',
+      confirmedAt: { [Op.gte]: new Date(Date.now() - getTransactionConfig().reorgWatchMs) },
+    },
+  });
+
+  for (const transaction of recent) {
+    let receipt;
+    try {
+      const { provider } = await connect(transaction);
+      receipt = await provider.getTransactionReceipt(transaction.txHash);
+    } catch (error) {
+      logger.warn('Could not check confirmed anchor transaction for reorgs', { txHash: transaction.txHash, error: error.message });
+      continue;
+    }
+    if (receipt && receipt.blockHash === transaction.blockHash) continue;
+
+    if (receipt && !transaction.blockHash) {
+      // Confirmed before block hashes were recorded
+      await transaction.update({ blockHash: receipt.blockHash });
+      continue;
+    }
+
+    if (!receipt) {
+      await dropFromChain(transaction);
+      summary.reorged.push(transaction);
+      continue;
+    }
+
+    // Included in another block: confirmed again only once it is deep enough
+    const outcome = await settle(transaction, [transaction], receipt, getTransactionConfig(transaction.network));
+    if (outcome.status !== 'confirmed') {
+      summary.reorged.push(transaction);
+    }
+    if (outcome.status === 'failed') {
+      summary.failed.push(transaction);
+    }
+  }
+}
+
+/**
+ * Move one nonce group forward: settle it if mined, fail it if the nonce was
+ * taken, rebroadcast it if the node lost it, replace it if it is stuck
+ *
+ * @returns {Promise<object>} - { status, transaction, result, reorged }
+ *   reorged: the transaction of the group whose block was dropped, if any
+ */
+async function resumeNonceGroup(group, wallet, provider, config) {
+  for (const transaction of group) {
+    const receipt = await provider.getTransactionReceipt(transaction.txHash);
+    if (receipt) {
+      return settle(transaction, group, receipt, config);
+    }
+  }
+
+  // A mined transaction without a receipt: its block is no longer canonical
+  const reorged = group.find(t => t.status === 'mined');
+  if (reorged) {
+    await dropFromChain(reorged);
+  }
+
+  // The attempt still in flight (replacements that lost are 'replaced')
+  const latest = [...group].reverse().find(t => t.status !== 'replaced') || group[group.length - 1];
+
+  // The nonce was consumed by a transaction that is not in the group
+  const minedNonce = await provider.getTransactionCount(latest.fromAddress, 'latest');
+  if (minedNonce > latest.nonce) {
+    for (const transaction of group.slice(0, -1)) {
+      if (transaction.status !== 'replaced') {
+        await transaction.update({ status: 'replaced' });
+      }
+    }
+    resetNonce(latest.fromAddress, latest.chainId);
+    await recordFailure(latest, new Error(`Nonce ${latest.nonce} was used by another transaction`));
+    return { status: 'failed', transaction: latest, result: null, reorged: reorged || null };
+  }
+
+  if (latest.status === 'built') {
+    await broadcast(latest, provider);
+    return { status: 'pending', transaction: latest, result: null, reorged: reorged || null };
+  }
+
+  const waitingMs = Date.now() - new Date(latest.submittedAt || latest.createdAt).getTime();
+  const replacements = group.length - 1;
+  const canReplace = wallet.address.toLowerCase() === latest.fromAddress.toLowerCase();
+
+  if (waitingMs >= config.timeoutMs && replacements < config.maxReplacements && canReplace) {
+    await replaceTransaction(latest, wallet, provider, config);
+    return { status: 'pending', transaction: latest, result: null, reorged: reorged || null };
+  }
+
+  // Still waiting: make sure the node has not dropped it
+  if (!(await provider.getTransaction(latest.txHash))) {
+    await broadcast(latest, provider);
+  }
+  return { status: 'pending', transaction: latest, result: null, reorged: reorged || null };
+}
+
+/**
+ * Resume the anchoring transactions left open by an earlier run
+ *
+ * Called at the start of every MRU run, so it also picks up transactions of a
+ * worker that crashed or restarted. This is also the reorg watcher: mined and
+ * recently confirmed transactions are checked against the canonical chain.
+ * Each transaction is resumed on the network it was sent to.
+ *
+ * @returns {Promise<object>} - { confirmed: [{ transaction, result }], mined: [{ transaction, result }],
+ *   failed: [transaction], reorged: [transaction], pending }
+ */
+async function resumeAnchorTransactions() {
+  const summary = { confirmed: [], mined: [], failed: [], reorged: [], pending: 0 };
+
+  const watched = await AnchorTransaction.count({
+    where: {
+      [Op.or]: [
+        { status: { [Op.in]: OPEN_STATUSES } },
+        { status: 'confirmed', confirmedAt: { [Op.gte]: new Date(Date.now() - getTransactionConfig().reorgWatchMs) } },
+      ],
+    },
+  });
+  if (watched === 0) {
+    return summary;
+  }
+
+  // One connection per network; transactions recorded before the registry
+  // carry a network name guessed from the RPC URL and resolve to the default network
+  const connections = new Map();
+  const connect = (transaction) => {
+    const network = networks.resolveNetwork({ network: transaction.network, chainId: transaction.chainId });
+    if (!connections.has(network.name)) {
+      connections.set(network.name, blockchainService.connectAnchorStore({ network: network.name }));
+    }
+    return connections.get(network.name);
+  };
+
+  await watchConfirmedTransactions(connect, summary);
+
+  const open = await AnchorTransaction.findAll({
+    where: { status: { [Op.in]: OPEN_STATUSES } },
+    order: [['nonce', 'ASC'], ['createdAt', 'ASC']],
+  });
+  if (open.length === 0) {
+    return summary;
+  }
+
+  // Group every attempt (including replaced ones) by chain, sender and nonce
+  const groupKey = (transaction) => `${transaction.chainId || ''}:${transaction.fromAddress}:${transaction.nonce}`;
+  const groups = new Map();
+  const nonces = new Map();
+  for (const transaction of open) {
+    groups.set(groupKey(transaction), null);
+    nonces.set(groupKey(transaction), {
+      chainId: transaction.chainId || null,
+      fromAddress: transaction.fromAddress,
+      nonce: transaction.nonce,
+    });
+  }
+  const attempts = await AnchorTransaction.findAll({
+    where: {
+      [Op.or]: [...nonces.values()],
+      status: { [Op.ne]: 'failed' },
+    },
+    order: [['createdAt', 'ASC']],
+  });
+  for (const transaction of attempts) {
+    const key = groupKey(transaction);
+    groups.set(key, [...(groups.get(key) || []), transaction]);
+  }
+
+  for (const [key, group] of groups) {
+    if (!group || group.length === 0) continue;
+    try {
+      const { wallet, provider } = await connect(group[0]);
+      const outcome = await resumeNonceGroup(group, wallet, provider, getTransactionConfig(group[0].network));
+      if (outcome.reorged && !summary.reorged.includes(outcome.reorged)) {
+        summary.reorged.push(outcome.reorged);
+      }
+      if (outcome.status === 'confirmed') {
+        summary.confirmed.push({ transaction: outcome.transaction, result: outcome.result });
+      } else if (outcome.status === 'mined') {
+        summary.mined.push({ transaction: outcome.transaction, result: outcome.result });
+        summary.pending++;
+      } else if (outcome.status === 'failed') {
+        summary.failed.push(outcome.transaction);
+      } else {
+        summary.pending++;
+      }
+    } catch (error) {
+      logger.warn('Could not resume anchor transaction', { nonceGroup: key, error: error.message });
+      summary.pending++;
+    }
+  }
+
+  if (summary.confirmed.length || summary.failed.length || summary.reorged.length) {
+    logger.info('Anchor transactions resumed', {
+      confirmed: summary.confirmed.length,
+      failed: summary.failed.length,
+      reorged: summary.reorged.length,
+      pending: summary.pending,
+    });
+  }
+  return summary;
+}
+
+/**
+ * Anchoring state of an MRU
+ *
+ * @param {string} merkleRootUltimate - MRU
+ * @returns {Promise<object>} - { state, transaction }
+ *   state: 'none' (never attempted), 'open' (built / submitted / mined), 'confirmed',
+ *   'retry' (failed, backoff elapsed), 'waiting' (failed, backoff running), 'dead' (failed permanently)
+ */
+async function getAnchorState(merkleRootUltimate) {
+  const transactions = await AnchorTransaction.findAll({
+    where: { merkleRootUltimate },
+    order: [['createdAt', 'DESC']],
+  });
+
+  const confirmed = transactions.find(t => t.status === 'confirmed');
+  if (confirmed) return { state: 'confirmed', transaction: confirmed };
+
+  const open = transactions.find(t => OPEN_STATUSES.includes(t.status));
+  if (open) return { state: 'open', transaction: open };
+
+  const failed = transactions.find(t => t.status === 'failed');
+  if (!failed) return { state: 'none', transaction: null };
+  if (!failed.nextAttemptAt) return { state: 'dead', transaction: failed };
+  return {
+    state: new Date(failed.nextAttemptAt) <= new Date() ? 'retry' : 'waiting',
+    transaction: failed,
+  };
+}
+
+module.exports = {
+  getTransactionConfig,
+  confirmationDepth,
+  bumpFees,
+  toAnchorResult,
+  submitAnchorTransaction,
+  resumeAnchorTransactions,
+  getAnchorState,
+};
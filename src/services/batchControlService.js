@@ -0,0 +1,264 @@
+const { Op } = require('sequelize');
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+const StorageFactory = require('../storage/StorageFactory');
+const { transition } = require('./stateMachine');
+const eventService = require('./eventService');
+const logger = require('../utils/logger');
+
+/**
+ * Operator control of batches in flight: pause, resume and cancel
+ *
+ * A Paused or Cancelled batch is skipped by every pipeline stage (render,
+ * sign, MRI, MRU/anchor, QR, embed). Resume returns the batch to the status it
+ * had when it was paused and the stages continue where they left off.
+ * Cancel moves all unfinished jobs to Cancelled and deletes the artifacts the
+ * worker stored for them.
+ */
+
+// Batch statuses that stop all pipeline stages
+const HALTED_BATCH_STATUSES = ['Paused', 'Cancelled'];
+
+// Job statuses that are left untouched by cancellation
+const FINAL_JOB_STATUSES = ['Cancelled'];
+
+/**
+ * Whether a batch is paused or cancelled
+ *
+ * @param {object} batch - DocumentBatch instance (or { status })
+ * @returns {boolean}
+ */
+function isBatchHalted(batch) {
+  return !!batch && HALTED_BATCH_STATUSES.includes(batch.status);
+}
+
+/**
+ * Sequelize condition matching batches that are not paused or cancelled
+ *
+ * @returns {object} - Where clause for DocumentBatch.status
+ */
+function activeBatchWhere() {
+  return { status: { [Op.notIn]: HALTED_BATCH_STATUSES } };
+}
+
+/**
+ * Whether a batch is anchored deep enough for its QR codes
+ *
+ * Batches anchored before anchorStatus existed have a txHash and no status.
+ * Anchoring used to wait for the receipt, so those count as Confirmed.
+ *
+ * @param {object} batch - DocumentBatch instance (or { anchorStatus, txHash })
+ * @returns {boolean}
+ */
+function isAnchorConfirmed(batch) {
+  return !!batch && (batch.anchorStatus === 'Confirmed' || (!batch.anchorStatus && !!batch.txHash));
+}
+
+/**
+ * Sequelize condition matching the batches isAnchorConfirmed() accepts
+ *
+ * @returns {object} - Where clause for DocumentBatch.anchorStatus / txHash
+ */
+function confirmedAnchorWhere() {
+  return {
+    [Op.or]: [
+      { anchorStatus: 'Confirmed' },
+      { anchorStatus: null, txHash: { [Op.not]: null } },
+    ],
+  };
+}
+
+/**
+ * Load a batch or throw
+ *
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<object>} - DocumentBatch instance
+ */
+async function loadBatch(batchId) {
+  const batch = await DocumentBatch.findByPk(batchId);
+  if (!batch) {
+    throw new Error(`Batch not found: ${batchId}`);
+  }
+  return batch;
+}
+
+/**
+ * Pause a batch: no stage renders, signs, finalizes or anchors it until resumed
+ *
+ * Jobs already rendering finish their current step; nothing new is started.
+ *
+ * @param {string} batchId - Batch ID
+ * @param {object} options - Options
+ * @param {string} options.actor - Operator / API client
+ * @param {string} options.reason - Why the batch is paused
+ * @returns {Promise<object>} - Updated batch
+ */
+async function pauseBatch(batchId, options = {}) {
+  const batch = await loadBatch(batchId);
+  if (batch.status === 'Paused') return batch;
+
+  const applied = await transition(batch, 'Paused', {
+    updates: { resumeStatus: batch.status },
+    actor: options.actor || 'operator',
+    reason: options.reason || 'paused by operator',
+    stage: 'control',
+  });
+  if (!applied) {
+    throw new Error(`Batch ${batchId} changed while being paused, try again`);
+  }
+
+  logger.info('Batch paused', { batchId, resumeStatus: batch.resumeStatus, actor: options.actor });
+  return batch;
+}
+
+/**
+ * Resume a paused batch and wake every pipeline stage
+ *
+ * @param {string} batchId - Batch ID
+ * @param {object} options - Options
+ * @param {string} options.actor - Operator / API client
+ * @param {string} options.reason - Why the batch is resumed
+ * @returns {Promise<object>} - Updated batch
+ */
+async function resumeBatch(batchId, options = {}) {
+  const batch = await loadBatch(batchId);
+  if (batch.status !== 'Paused') {
+    throw new Error(`Batch ${batchId} is not paused (status: ${batch.status})`);
+  }
+
+  const resumeStatus = batch.resumeStatus || 'Pending';
+  const applied = await transition(batch, resumeStatus, {
+    updates: { resumeStatus: null },
+    actor: options.actor || 'operator',
+    reason: options.reason || 'resumed by operator',
+    stage: 'control',
+  });
+  if (!applied) {
+    throw new Error(`Batch ${batchId} changed while being resumed, try again`);
+  }
+
+  const { PIPELINE_CHANNELS, notifyStage } = require('./pipelineNotifier');
+  for (const role of Object.keys(PIPELINE_CHANNELS)) {
+    await notifyStage(role, { batchId });
+  }
+
+  logger.info('Batch resumed', { batchId, status: resumeStatus, actor: options.actor });
+  return batch;
+}
+
+/**
+ * Delete a stored artifact, tolerating files that are already gone
+ *
+ * @param {object} storage - Storage driver
+ * @param {string} filePath - Path returned by store()
+ * @returns {Promise<boolean>} - True if deleted
+ */
+async function deleteArtifact(storage, filePath) {
+  try {
+    return await storage.delete(filePath);
+  } catch (error) {
+    logger.warn('Failed to delete artifact', { filePath, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Cancel a batch: stop all stages, cancel unfinished jobs and delete their artifacts
+ *
+ * Uploaded source PDFs (data.source = 'pdf_upload') belong to the platform and
+ * are kept. A batch whose root is already anchored stays anchored on-chain;
+ * its certificates have to be revoked separately.
+ *
+ * @param {string} batchId - Batch ID
+ * @param {object} options - Options
+ * @param {string} options.actor - Operator / API client
+ * @param {string} options.reason - Why the batch is cancelled
+ * @returns {Promise<object>} - { batch, cancelledJobs, deletedArtifacts }
+ */
+async function cancelBatch(batchId, options = {}) {
+  const batch = await loadBatch(batchId);
+  const actor = options.actor || 'operator';
+  const reason = options.reason || 'cancelled by operator';
+
+  if (batch.status !== 'Cancelled') {
+    const applied = await transition(batch, 'Cancelled', {
+      updates: { resumeStatus: null },
+      actor,
+      reason,
+      stage: 'control',
+      details: { anchored: !!batch.txHash },
+    });
+    if (!applied) {
+      throw new Error(`Batch ${batchId} changed while being cancelled, try again`);
+    }
+  }
+
+  if (batch.txHash) {
+    logger.warn('Cancelled batch is already anchored; revoke its certificates to invalidate them', {
+      batchId,
+      txHash: batch.txHash,
+    });
+  }
+
+  const storage = StorageFactory.getStorage();
+  const jobs = await DocumentJob.findAll({
+    where: { batchId, status: { [Op.notIn]: FINAL_JOB_STATUSES } },
+  });
+
+  let cancelledJobs = 0;
+  let deletedArtifacts = 0;
+
+  for (const job of jobs) {
+    const artifacts = {
+      certificatePath: job?.data?.source === 'pdf_upload' ? null : job.certificatePath,
+      qrCodePath: job.qrCodePath,
+      certificateWithQRPath: job.certificateWithQRPath,
+    };
+
+    const applied = await transition(job, 'Cancelled', {
+      updates: {
+        lockedBy: null,
+        leaseExpiresAt: null,
+        nextAttemptAt: null,
+        qrCodePath: null,
+        certificateWithQRPath: null,
+        ...(artifacts.certificatePath ? { certificatePath: null } : {}),
+      },
+      actor,
+      reason,
+      stage: 'control',
+      details: { artifacts },
+    });
+    if (!applied) {
+      logger.warn('Job changed while cancelling batch, skipped', { batchId, jobId: job.id });
+      continue;
+    }
+    cancelledJobs++;
+
+    for (const filePath of Object.values(artifacts).filter(Boolean)) {
+      if (await deleteArtifact(storage, filePath)) deletedArtifacts++;
+    }
+  }
+
+  await eventService.recordBatchEvent(batch, {
+    stage: 'control',
+    event: 'cleanup',
+    actor,
+    details: { cancelledJobs, deletedArtifacts, storageDriver: storage.getName() },
+  });
+
+  logger.info('Batch cancelled', { batchId, cancelledJobs, deletedArtifacts, actor });
+  return { batch, cancelledJobs, deletedArtifacts };
+}
+
+module.exports = {
+  HALTED_BATCH_STATUSES,
+  isBatchHalted,
+  activeBatchWhere,
+  isAnchorConfirmed,
+  confirmedAnchorWhere,
+  pauseBatch,
+  resumeBatch,
+  cancelBatch,
+  deleteArtifact,
+};
@@ -2,6 +2,10 @@ const DocumentJob = require('../models/DocumentJob');
 const DocumentBatch = require('../models/DocumentBatch');
 const { calculateMerkleLeaf, extractDataFromFingerprint, recoverPublicKey } = require('./cryptoService');
 const { buildBatchMerkleRoot, getMerkleProof } = require('./merkleService');
+const { transition } = require('./stateMachine');
+const eventService = require('./eventService');
+const { isBatchHalted, activeBatchWhere } = require('./batchControlService');
+const networks = require('../config/networks');
 const logger = require('../utils/logger');
 const { addQRAnnotationToPDF } = require('../utils/pdf-qr-annotator');
 
@@ -11,9 +15,15 @@ const path = require('path');
 const { PDFDocument } = require('pdf-lib'); // To edit PDF
 // Go out one folder and go to the storage folder
 const StorageFactory = require('../storage/StorageFactory');
+const AnchoringFactory = require('../anchoring/AnchoringFactory');
 const storageService = StorageFactory.getStorage();
 const pdfService = require('./pdfService'); // For QR code
 
+const DEFAULT_DIRECT_ANCHOR_MAX_LEAVES = 100;
+
+// anchor_transactions methods of direct anchoring (no MRU, see processDirectAnchoring)
+const DIRECT_ANCHOR_METHODS = ['anchor', 'anchorBatch'];
+
 
 /**
  * Process and Finalize a Single Job (Generate Final PDF)
@@ -49,6 +59,7 @@ async function finalizeJob(jobId) {
     const qrPayload = {
       txHash: verificationBundle.txHash,
       network: verificationBundle.network,
+      chainId: verificationBundle.chainId,
       issuerId: verificationBundle.issuerId,
       // Add other minimal fields if needed
     };
@@ -66,10 +77,16 @@ async function finalizeJob(jobId) {
       job.id // This will make the name ID.pdf
     );
 
-    // 6. Update Job
+    // 6. Update Job (status stays 'Generated'; the final PDF path marks the job as done)
+    const previousPath = job.certificateWithQRPath;
     await job.update({
       certificateWithQRPath: finalPath,
-      status: 'Completed' // or whatever the final status is
+    });
+
+    await eventService.recordJobEvent(job, {
+      stage: 'finalize',
+      event: 'completed',
+      details: { certificateWithQRPath: finalPath, previousCertificateWithQRPath: previousPath || null },
     });
 
     logger.info('Job Finalized & PDF Saved', { jobId, finalPath });
@@ -98,6 +115,7 @@ async function processSignatures(signatures) {
 
   // Track batches we've updated with the signer's key to satisfy "One User = One Key"
   const updatedBatches = new Set();
+  const batchStatuses = new Map(); // batchId -> status (paused / cancelled batches reject signatures)
 
   for (const { jobId, signature } of signatures) {
     try {
@@ -109,6 +127,15 @@ async function processSignatures(signatures) {
         continue;
       }
 
+      if (!batchStatuses.has(job.batchId)) {
+        const batch = await DocumentBatch.findByPk(job.batchId, { attributes: ['id', 'status'] });
+        batchStatuses.set(job.batchId, batch?.status);
+      }
+      if (isBatchHalted({ status: batchStatuses.get(job.batchId) })) {
+        results.failed.push({ jobId, error: `Batch is ${batchStatuses.get(job.batchId)}` });
+        continue;
+      }
+
       if (job.status !== 'PendingSigning') {
         results.failed.push({
           jobId,
@@ -126,13 +153,22 @@ async function processSignatures(signatures) {
       // Calculate Merkle leaf: L = H(SI)
       const merkleLeaf = calculateMerkleLeaf(signature);
 
-      // Update job with signature and leaf
-      await job.update({
-        issuerSignature: signature,
-        merkleLeaf: merkleLeaf,
-        status: 'Generated',  // Ready for batch finalization
+      // Update job with signature and leaf - ready for batch finalization
+      const applied = await transition(job, 'Generated', {
+        updates: {
+          issuerSignature: signature,
+          merkleLeaf: merkleLeaf,
+        },
+        actor: 'signer',
+        reason: 'signature submitted',
+        stage: 'sign',
       });
 
+      if (!applied) {
+        results.failed.push({ jobId, error: 'Job status changed while processing signature' });
+        continue;
+      }
+
       logger.debug('Signature processed', { jobId, merkleLeaf });
       results.success.push({ jobId, merkleLeaf });
 
@@ -154,10 +190,12 @@ async function processSignatures(signatures) {
 /**
  * Finalize batch and generate MRI (Justifai Phase 3)
  * 
- * Builds Merkle tree from all L values in batch and calculates MRI
+ * Builds Merkle tree from all L values in batch and calculates MRI. Batches
+ * anchored directly (resolveProofType) skip the tree: their leaves are anchored
+ * as they are by processDirectAnchoring.
  * 
  * @param {string} batchId - Batch ID to finalize
- * @returns {Promise<object>} - { merkleRoot (MRI), totalJobs, batch }
+ * @returns {Promise<object>} - { merkleRoot (MRI, null for direct anchoring), proofType, totalJobs, batch }
  */
 async function finalizeBatch(batchId) {
   logger.info('Finalizing batch', { batchId });
@@ -169,10 +207,15 @@ async function finalizeBatch(batchId) {
     throw new Error(`Batch not found: ${batchId}`);
   }
 
+  if (isBatchHalted(batch)) {
+    throw new Error(`Batch ${batchId} is ${batch.status} - not finalizing`);
+  }
+
   if (batch.signingStatus === 'Finalized') {
     logger.warn('Batch already finalized', { batchId, merkleRoot: batch.merkleRoot });
     return {
       merkleRoot: batch.merkleRoot,
+      proofType: batch.proofType || 'merkle',
       alreadyFinalized: true,
       batch,
     };
@@ -200,6 +243,27 @@ async function finalizeBatch(batchId) {
     );
   }
 
+  const tenant = batch.tenantId ? await Tenant.findByPk(batch.tenantId, { attributes: ['id', 'metadata'] }) : null;
+  if (resolveProofType(batch, tenant, jobs.length) === 'direct') {
+    const applied = await transition(batch, 'Finalized', {
+      field: 'signingStatus',
+      updates: {
+        proofType: 'direct',
+        finalizedAt: new Date(),
+      },
+      reason: 'leaves anchored directly, no MRI',
+      stage: 'mri',
+      details: { totalJobs: jobs.length, proofType: 'direct' },
+    });
+
+    if (!applied) {
+      throw new Error(`Batch ${batchId} changed while being finalized`);
+    }
+
+    logger.info('Batch finalized for direct anchoring', { batchId, totalJobs: jobs.length });
+    return { merkleRoot: null, proofType: 'direct', totalJobs: jobs.length, batch };
+  }
+
   logger.info('Building Merkle tree', { batchId, totalJobs: jobs.length });
 
   // Build Merkle tree and get MRI
@@ -219,12 +283,22 @@ async function finalizeBatch(batchId) {
   }
 
   // Update batch with MRI and finalization data
-  await batch.update({
-    merkleRoot,
-    signingStatus: 'Finalized',
-    finalizedAt: new Date(),
+  const applied = await transition(batch, 'Finalized', {
+    field: 'signingStatus',
+    updates: {
+      merkleRoot,
+      proofType: 'merkle',
+      finalizedAt: new Date(),
+    },
+    reason: 'MRI calculated',
+    stage: 'mri',
+    details: { totalJobs: jobs.length },
   });
 
+  if (!applied) {
+    throw new Error(`Batch ${batchId} changed while being finalized`);
+  }
+
   logger.info('Batch finalized successfully', {
     batchId,
     merkleRoot,
@@ -233,16 +307,51 @@ async function finalizeBatch(batchId) {
 
   return {
     merkleRoot,  // MRI to send to frontend
+    proofType: 'merkle',
     totalJobs: jobs.length,
     batch,
   };
 }
 
+/**
+ * How a batch's certificates are anchored
+ *
+ * 'direct' anchors every leaf L with AnchorStore.anchor / anchorBatch as soon as
+ * the batch is finalized, without waiting for an MRU (urgent single certificates
+ * from the API); 'merkle' (default) anchors the MRI under an MRU with putRoot.
+ * `document_batches.metadata.anchoring` wins over the tenant's
+ * `tenants.metadata.blockchain.anchoring`. Direct anchoring writes every leaf to
+ * the contract, so batches with more than DIRECT_ANCHOR_MAX_LEAVES (default 100)
+ * leaves are anchored under a Merkle root instead.
+ *
+ * @param {object} batch - DocumentBatch instance
+ * @param {object} tenant - The batch's Tenant (or null)
+ * @param {number} leafCount - Signed certificates in the batch
+ * @returns {string} - 'direct' | 'merkle'
+ */
+function resolveProofType(batch, tenant, leafCount) {
+  const requested = batch.metadata?.anchoring || tenant?.metadata?.blockchain?.anchoring || 'merkle';
+  if (String(requested).toLowerCase() !== 'direct') {
+    return 'merkle';
+  }
+
+  const maxLeaves = parseInt(process.env.DIRECT_ANCHOR_MAX_LEAVES, 10) || DEFAULT_DIRECT_ANCHOR_MAX_LEAVES;
+  if (leafCount > maxLeaves) {
+    logger.warn('Batch is too large for direct anchoring, anchoring it under a Merkle root', {
+      batchId: batch.id,
+      leafCount,
+      maxLeaves,
+    });
+    return 'merkle';
+  }
+  return 'direct';
+}
+
 /**
  * Update batch with blockchain anchoring data (after frontend anchors MRU)
  * 
  * @param {string} batchId - Batch ID
- * @param {object} blockchainData - { txHash, network, merkleProofUltimate }
+ * @param {object} blockchainData - { txHash, network, chainId, merkleProofUltimate }
  * @returns {Promise<object>} - Updated batch
  */
 async function updateBatchWithBlockchainData(batchId, blockchainData) {
@@ -255,11 +364,14 @@ async function updateBatchWithBlockchainData(batchId, blockchainData) {
   }
 
   const { txHash, network, merkleProofUltimate } = blockchainData;
+  const registered = networks.getNetwork(blockchainData.chainId || network);
 
   await batch.update({
     txHash,
-    network,
+    network: registered ? registered.name : network,
+    chainId: registered ? registered.chainId : null,
     merkleProofUltimate,
+    anchorStatus: 'Confirmed', // anchored by the frontend, which waited for it
   });
 
   logger.info('Batch updated with blockchain data', { batchId, txHash, network });
@@ -271,8 +383,63 @@ async function updateBatchWithBlockchainData(batchId, blockchainData) {
 }
 
 const publicKeyService = require('./publicKeyService');
+const issuerRegistryService = require('./issuerRegistryService');
 const Tenant = require('../models/Tenant'); // Ensure Tenant model is available
 
+/**
+ * Issuer public key for a batch's verification bundles
+ *
+ * Sources, first match wins:
+ *   1. batch.issuerPublicKey (set by auto-signing: the key the batch was signed with)
+ *   2. the key the tenant had registered on AnchorStore when the batch was anchored
+ *      (tenants.metadata.issuer mirror), so bundles regenerated after a key roll
+ *      keep the old key
+ *   3. tenants.public_key
+ *   4. tenant public key file (legacy publicKeyPath)
+ *   5. derived from batch.metadata.signingPrivateKey
+ *   6. ISSUER_PUBLIC_KEY (global mode)
+ *
+ * @param {object} batch - DocumentBatch with its tenant included
+ * @returns {Promise<object>} - { publicKey, source }
+ */
+async function resolveIssuerPublicKey(batch) {
+  const tenant = batch.tenant;
+
+  if (batch.issuerPublicKey) {
+    return { publicKey: batch.issuerPublicKey, source: 'batch' };
+  }
+
+  const anchoredAt = batch.timeWindow
+    ? Number(batch.timeWindow)
+    : Math.floor(new Date(batch.finalizedAt || batch.createdAt || Date.now()).getTime() / 1000);
+  const registeredKey = issuerRegistryService.registeredKeyAt(tenant, anchoredAt);
+  if (registeredKey) {
+    return { publicKey: registeredKey, source: 'registry' };
+  }
+
+  if (tenant && tenant.publicKey) {
+    logger.info('Using Tenant Public Key (DB) as fallback', { tenantId: tenant.id });
+    return { publicKey: tenant.publicKey, source: 'tenant' };
+  }
+
+  if (tenant && tenant.publicKeyPath) {
+    try {
+      const tenantKey = await publicKeyService.loadPublicKey(tenant.publicKeyPath);
+      if (tenantKey) {
+        return { publicKey: tenantKey, source: 'file' };
+      }
+    } catch (err) {
+      logger.warn('Failed to load Tenant Public Key', { error: err.message });
+    }
+  }
+
+  if (batch.metadata?.signingPrivateKey) {
+    return { publicKey: crypto.derivePublicKey(batch.metadata.signingPrivateKey), source: 'derived' };
+  }
+
+  return { publicKey: process.env.ISSUER_PUBLIC_KEY || null, source: 'env' };
+}
+
 /**
  * Generate verification bundle (VD) for a specific document
  * 
@@ -301,42 +468,7 @@ async function generateVerificationBundle(jobId) {
   // This ensures that the verification hash matches the signed hash
   const { edTimestamp, eiTimestamp } = extractDataFromFingerprint(job.documentFingerprint);
 
-  // Determine which Public Key to use
-  // Determine which Public Key to use
-  let issuerPublicKey = null;
-
-  // 1. PRIMARY SOURCE: Specific Batch Issuer Key (e.g. set by auto-signing)
-  if (batch.issuerPublicKey) {
-    issuerPublicKey = batch.issuerPublicKey;
-  }
-
-  // 2. Fallback: Tenant's Public Key from DB
-  if (!issuerPublicKey && batch.tenant && batch.tenant.publicKey) {
-    issuerPublicKey = batch.tenant.publicKey;
-    logger.info('Using Tenant Public Key (DB) as fallback', { tenantId: batch.tenant.id });
-  }
-
-  // 3. Fallback: File-based key (Legacy)
-  if (!issuerPublicKey && batch.tenant && batch.tenant.publicKeyPath) {
-    try {
-      const tenantKey = await publicKeyService.loadPublicKey(batch.tenant.publicKeyPath);
-      if (tenantKey) {
-        issuerPublicKey = tenantKey;
-      }
-    } catch (err) {
-      logger.warn('Failed to load Tenant Public Key', { error: err.message });
-    }
-  }
-
-  // 4. Fallback: Derive from metadata key (Auto-signing check)
-  if (!issuerPublicKey && batch.metadata?.signingPrivateKey) {
-    issuerPublicKey = crypto.derivePublicKey(batch.metadata.signingPrivateKey);
-  }
-
-  // Fallback to Env if still null (Legacy/Global mode)
-  if (!issuerPublicKey) {
-    issuerPublicKey = process.env.ISSUER_PUBLIC_KEY;
-  }
+  const { publicKey: issuerPublicKey } = await resolveIssuerPublicKey(batch);
 
   // Build verification bundle (VD)
   const verificationBundle = {
@@ -355,15 +487,33 @@ async function generateVerificationBundle(jobId) {
     issuerId: batch.issuerId,
     issuerPublicKey: issuerPublicKey, // DYNAMIC KEY
 
+    // 'direct': L itself is anchored (anchor / anchorBatch), the Merkle fields are empty
+    proofType: batch.proofType || 'merkle',
+
     // Merkle tree data
     merkleProofIntermediate: job.merkleProofIntermediate || [],  // MPI
     merkleRootIntermediate: batch.merkleRoot,                    // MRI
     merkleRootUltimate: batch.merkleRootUltimate,                // MRU
     merkleProofUltimate: batch.merkleProofUltimate || [],        // MPU
 
+    // Anchoring backend: 'polygon' (the blockchain data below), 'rfc3161' or 'opentimestamps' (anchorProof)
+    anchorBackend: batch.anchorBackend || 'polygon',
+    anchorProof: batch.anchorProof || null, // { token } TimeStampToken / { ots } .ots file, both base64
+
     // Blockchain data
     txHash: batch.txHash || null,
     network: batch.network || null,
+    chainId: batch.chainId || null, // selects the RPC at verification (null for anchors made before the network registry)
+
+    // AnchorStore.putRoot binding (null for roots anchored before putRoot was used)
+    anchorIssuerId: batch.anchorIssuerId || null,
+    timeWindow: batch.timeWindow != null ? String(batch.timeWindow) : null,
+    anchorNonce: batch.anchorNonce || null,
+    canonicalizationVersion: batch.canonicalizationVersion || null,
+    diHash: batch.diHash || null,
+
+    // Witness vouches for the anchoring issuer when the VD was generated (null: never collected)
+    witnessVouches: issuerRegistryService.recordedVouchCount(batch.tenant, batch.anchorIssuerId),
   };
 
   // Update job with verification bundle
@@ -454,6 +604,7 @@ async function getBatchesReadyForMRU(limit = 10) {
       signingStatus: 'Finalized',
       merkleRoot: { [Op.ne]: null },
       merkleRootUltimate: null,
+      ...activeBatchWhere(), // paused / cancelled batches are not anchored
     },
     order: [['finalizedAt', 'ASC']],
     limit,
@@ -556,6 +707,12 @@ async function updateBatchesWithMRU(batches, merkleRootUltimate, tree) {
       merkleProofUltimate,
     });
 
+    await eventService.recordBatchEvent(batch, {
+      stage: 'mru',
+      event: 'completed',
+      details: { batchCount: batches.length, batchIds: batches.map(b => b.id) },
+    });
+
     // Propagate MPU to all jobs in the batch
     // This ensures jobs have the full proof path available immediately
     const DocumentJob = require('../models/DocumentJob');
@@ -577,6 +734,596 @@ async function updateBatchesWithMRU(batches, merkleRootUltimate, tree) {
   return updateCount;
 }
 
+/**
+ * Issuer a batch's root is anchored under (AnchorStore issuerId source)
+ *
+ * @param {object} batch - DocumentBatch instance
+ * @returns {string|null} - DocumentBatch.issuerId, ANCHOR_ISSUER_ID, or null
+ */
+function getAnchorIssuerId(batch) {
+  return batch.issuerId || process.env.ANCHOR_ISSUER_ID || null;
+}
+
+/**
+ * Network and anchoring backend of each batch, from its tenant
+ * (`tenants.metadata.blockchain.network`, `tenants.metadata.anchoring.backend`)
+ *
+ * @param {Array<DocumentBatch>} batches - Batches to anchor
+ * @returns {Promise<object>} - { networkOf, backendOf }: (batch) => network name / backend name
+ */
+async function loadAnchorTargets(batches) {
+  const tenantIds = [...new Set(batches.map(batch => batch.tenantId).filter(Boolean))];
+  const tenants = tenantIds.length > 0
+    ? await Tenant.findAll({ where: { id: tenantIds }, attributes: ['id', 'metadata'] })
+    : [];
+  const byTenant = new Map(tenants.map(tenant => [tenant.id, tenant]));
+  return {
+    networkOf: (batch) => networks.tenantNetworkName(byTenant.get(batch.tenantId)),
+    backendOf: (batch) => AnchoringFactory.backendName(byTenant.get(batch.tenantId)),
+  };
+}
+
+/**
+ * Pick the batches to anchor together
+ *
+ * putRoot binds one root to one issuer, and a root lives on one network, so
+ * only batches of the same issuer and network share an MRU. The issuer and
+ * network of the oldest ready batch go first; the others are anchored on the
+ * following runs. Batches without any issuer id, or whose tenant targets a
+ * network missing from the registry, cannot be anchored and are left out.
+ * Batches of the other backends (TSA, calendars) need neither: they share an
+ * MRU with every batch of the same backend.
+ *
+ * @param {Array<DocumentBatch>} batches - Batches ready for MRU (oldest first)
+ * @param {Function} networkOf - (batch) => network name (default: the default network)
+ * @param {Function} backendOf - (batch) => anchoring backend name (default: polygon)
+ * @returns {object} - { backend, issuerId, network, batches, hasMore, missingIssuer, unknownNetwork, unknownBackend }
+ */
+function selectIssuerGroup(batches, networkOf = () => networks.getDefaultNetworkName(), backendOf = () => 'polygon') {
+  const onChain = batch => backendOf(batch) === 'polygon';
+  const unknownBackend = batches.filter(batch => !AnchoringFactory.isBackend(backendOf(batch)));
+  const known = batches.filter(batch => AnchoringFactory.isBackend(backendOf(batch)));
+  const missingIssuer = known.filter(batch => onChain(batch) && !getAnchorIssuerId(batch));
+  const unknownNetwork = known.filter(batch => onChain(batch) && getAnchorIssuerId(batch) && !networks.getNetwork(networkOf(batch)));
+  const anchorable = known.filter(batch => !onChain(batch) || (getAnchorIssuerId(batch) && networks.getNetwork(networkOf(batch))));
+  const skipped = { missingIssuer, unknownNetwork, unknownBackend };
+
+  if (anchorable.length === 0) {
+    return { backend: null, issuerId: null, network: null, batches: [], hasMore: false, ...skipped };
+  }
+
+  const backend = backendOf(anchorable[0]);
+  if (backend !== 'polygon') {
+    const group = anchorable.filter(batch => backendOf(batch) === backend);
+    return { backend, issuerId: null, network: null, batches: group, hasMore: group.length < anchorable.length, ...skipped };
+  }
+
+  const issuerId = getAnchorIssuerId(anchorable[0]);
+  const network = networks.getNetwork(networkOf(anchorable[0])).name;
+  const group = anchorable.filter(batch => onChain(batch) &&
+    getAnchorIssuerId(batch) === issuerId && networks.getNetwork(networkOf(batch)).name === network);
+  return { backend, issuerId, network, batches: group, hasMore: group.length < anchorable.length, ...skipped };
+}
+
+/**
+ * Store a mined anchoring on its batches
+ *
+ * Sets txHash and the putRoot binding, regenerates the verification bundles and
+ * sends PDFs embedded before the anchoring back through QR / embed. QR codes are
+ * only generated once anchorStatus is Confirmed.
+ *
+ * @param {Array<DocumentBatch>} batches - Batches under the anchored MRU, or a directly anchored batch
+ * @param {object} blockchainResult - { txHash, network, chainId, blockNumber, eventData, anchor }
+ * @param {number|null} timeWindow - putRoot timeWindow (unix seconds), null for direct anchoring
+ * @param {number} anchorStartedAt - When anchoring started (ms, for event durations)
+ * @param {string} anchorStatus - 'Confirmed' or 'PendingConfirmation' (below the network confirmation depth)
+ */
+async function applyAnchorResult(batches, blockchainResult, timeWindow, anchorStartedAt, anchorStatus = 'Confirmed') {
+  // Update all batches with blockchain data
+  // Note: Status is NOT set to 'Completed' here - it will be set after PDFs are written with txHash
+  const anchor = blockchainResult.anchor || {};
+  for (const batch of batches) {
+    await batch.update({
+      txHash: blockchainResult.txHash,
+      network: blockchainResult.network,
+      chainId: blockchainResult.chainId || null,
+      anchorStatus,
+      anchorBackend: 'polygon',
+      anchorProof: null,
+      anchorIssuerId: anchor.issuerId || null,
+      timeWindow,
+      anchorNonce: anchor.nonce || null,
+      canonicalizationVersion: anchor.canonicalizationVersion || null,
+      diHash: anchor.diHash || null,
+      // Keep status as 'Processing' - will be set to 'Completed' after PDFs are written
+    });
+
+    await eventService.recordBatchEvent(batch, {
+      stage: 'anchor',
+      event: 'completed',
+      details: {
+        network: blockchainResult.network,
+        chainId: blockchainResult.chainId || null,
+        blockNumber: blockchainResult.blockNumber,
+        anchorStatus,
+        timeWindow,
+        ...anchor,
+      },
+      durationMs: Date.now() - anchorStartedAt,
+    });
+
+    logger.debug('Batch updated with blockchain data', {
+      batchId: batch.id,
+      txHash: blockchainResult.txHash,
+      network: blockchainResult.network,
+    });
+  }
+
+  await refreshAnchoredArtifacts(batches, { txHash: blockchainResult.txHash });
+}
+
+/**
+ * Store the proof of a non-chain anchoring backend on its batches
+ *
+ * Same follow-up as applyAnchorResult: the proof goes into the verification
+ * bundles, and PDFs embedded before are generated again.
+ *
+ * @param {Array<DocumentBatch>} batches - Batches under the timestamped MRU
+ * @param {string} anchorBackend - Backend name ('rfc3161', 'opentimestamps')
+ * @param {object} proof - Proof returned by the backend
+ * @param {string} anchorStatus - 'Confirmed' or 'PendingConfirmation' (proof not final yet)
+ * @param {number} anchorStartedAt - When anchoring started (ms, for event durations)
+ */
+async function applyAnchorProof(batches, anchorBackend, proof, anchorStatus, anchorStartedAt) {
+  for (const batch of batches) {
+    await batch.update({ anchorBackend, anchorProof: proof, anchorStatus });
+    await eventService.recordBatchEvent(batch, {
+      stage: 'anchor',
+      event: 'completed',
+      details: { anchorBackend, anchorStatus },
+      durationMs: Date.now() - anchorStartedAt,
+    });
+  }
+
+  await refreshAnchoredArtifacts(batches, { anchorBackend });
+}
+
+/**
+ * Regenerate the verification bundles of newly anchored batches and send PDFs
+ * embedded before the anchoring back through QR / embed
+ *
+ * @param {Array<DocumentBatch>} batches - Anchored batches
+ * @param {object} anchoring - What anchored them, for the audit trail ({ txHash } or { anchorBackend })
+ */
+async function refreshAnchoredArtifacts(batches, anchoring) {
+  // Regenerate verification bundles for all jobs in all batches with the anchoring data
+  for (const batch of batches) {
+    await generateVerificationBundlesForBatch(batch.id);
+    logger.debug('Verification bundles regenerated for batch', { batchId: batch.id });
+
+    // If PDFs were already created before blockchain anchoring, mark them for regeneration
+    // The PDF QR worker will pick them up and regenerate with updated verification bundle
+    const DocumentJob = require('../models/DocumentJob');
+    const { Op } = require('sequelize');
+
+    // Keep the superseded PDF paths in the audit trail before clearing them
+    const embeddedJobs = await DocumentJob.findAll({
+      where: { batchId: batch.id, certificateWithQRPath: { [Op.not]: null } },
+      attributes: ['id', 'batchId', 'certificateWithQRPath'],
+    });
+    for (const job of embeddedJobs) {
+      await eventService.recordJobEvent(job, {
+        stage: 'anchor',
+        event: 'reset',
+        details: {
+          reason: 'PDF invalidated by re-anchoring',
+          previousCertificateWithQRPath: job.certificateWithQRPath,
+          ...anchoring,
+        },
+      });
+    }
+
+    const [regenerated] = await DocumentJob.update(
+      { certificateWithQRPath: null }, // Clear so PDF gets regenerated with new VD
+      {
+        where: {
+          batchId: batch.id,
+          certificateWithQRPath: { [Op.not]: null }
+        }
+      }
+    );
+    if (regenerated > 0 && batch.status === 'Completed') {
+      await transition(batch, 'Processing', { reason: 'PDFs invalidated by re-anchoring', stage: 'anchor' });
+    }
+    logger.debug('Marked existing PDFs for regeneration with the anchoring data', { batchId: batch.id });
+  }
+}
+
+/**
+ * Move batches to the anchoring state of their transaction
+ *
+ * Batches without the transaction's txHash (not stored yet, or anchored by a
+ * transaction that was dropped by a reorg) get the full anchoring result;
+ * batches that already have it only change anchorStatus. Directly anchored
+ * batches have no MRU and are matched by id alone.
+ *
+ * @param {object} transaction - Mined or confirmed AnchorTransaction
+ * @param {object} result - toAnchorResult() of the transaction
+ * @param {string} anchorStatus - 'Confirmed' or 'PendingConfirmation'
+ * @returns {Promise<Array<string>>} - IDs of the batches that changed
+ */
+async function applyAnchorTransaction(transaction, result, anchorStatus) {
+  const { Op } = require('sequelize');
+  const direct = DIRECT_ANCHOR_METHODS.includes(transaction.method);
+  const batches = await DocumentBatch.findAll({
+    where: {
+      id: { [Op.in]: transaction.batchIds },
+      ...(direct ? { proofType: 'direct' } : { merkleRootUltimate: transaction.merkleRootUltimate }),
+    },
+  });
+
+  const stale = batches.filter(b => b.txHash !== transaction.txHash);
+  if (stale.length > 0) {
+    const timeWindow = direct ? null : Number(transaction.timeWindow);
+    await applyAnchorResult(stale, result, timeWindow, new Date(transaction.createdAt).getTime(), anchorStatus);
+  }
+
+  const deepened = batches.filter(b => b.txHash === transaction.txHash && b.anchorStatus !== anchorStatus);
+  for (const batch of deepened) {
+    await batch.update({ anchorStatus });
+    await eventService.recordBatchEvent(batch, {
+      stage: 'anchor',
+      event: anchorStatus === 'Confirmed' ? 'confirmed' : 'pending_confirmation',
+      details: { txHash: transaction.txHash, blockNumber: result.blockNumber },
+    });
+  }
+
+  const changed = [...stale, ...deepened].map(b => b.id);
+  if (changed.length > 0) {
+    logger.info('Batches anchoring state updated', {
+      txHash: transaction.txHash,
+      merkleRootUltimate: transaction.merkleRootUltimate,
+      anchorStatus,
+      batchIds: changed,
+    });
+  }
+  return changed;
+}
+
+/**
+ * Upgrade the pending proofs of non-chain anchoring backends
+ *
+ * Batches under one MRU share the proof, which is upgraded once per root. A
+ * proof that became final moves its batches to Confirmed and goes into their
+ * verification bundles; a partial upgrade is kept for the next run.
+ *
+ * @returns {Promise<object>} - { confirmedBatchIds, pending }
+ */
+async function upgradePendingProofs() {
+  const { Op } = require('sequelize');
+  const summary = { confirmedBatchIds: [], pending: 0 };
+
+  const batches = await DocumentBatch.findAll({
+    where: {
+      anchorStatus: 'PendingConfirmation',
+      anchorProof: { [Op.ne]: null },
+      ...activeBatchWhere(),
+    },
+  });
+  const byRoot = new Map();
+  for (const batch of batches) {
+    byRoot.set(batch.merkleRootUltimate, [...(byRoot.get(batch.merkleRootUltimate) || []), batch]);
+  }
+
+  for (const [merkleRootUltimate, rootBatches] of byRoot) {
+    const { anchorBackend, anchorProof } = rootBatches[0];
+    let upgrade;
+    try {
+      upgrade = await AnchoringFactory.getBackend(anchorBackend).upgrade(anchorProof);
+    } catch (error) {
+      logger.warn('Could not upgrade anchoring proof', { merkleRootUltimate, anchorBackend, error: error.message });
+      summary.pending++;
+      continue;
+    }
+
+    if (upgrade.status !== 'confirmed') {
+      summary.pending++;
+      if (JSON.stringify(upgrade.proof) !== JSON.stringify(anchorProof)) {
+        for (const batch of rootBatches) {
+          await batch.update({ anchorProof: upgrade.proof });
+        }
+      }
+      continue;
+    }
+
+    for (const batch of rootBatches) {
+      await batch.update({ anchorProof: upgrade.proof, anchorStatus: 'Confirmed' });
+      await eventService.recordBatchEvent(batch, {
+        stage: 'anchor',
+        event: 'confirmed',
+        details: { anchorBackend, ...(upgrade.proof.bitcoin ? { bitcoin: upgrade.proof.bitcoin } : {}) },
+      });
+      await generateVerificationBundlesForBatch(batch.id);
+      summary.confirmedBatchIds.push(batch.id);
+    }
+    logger.info('Anchoring proof is final', {
+      merkleRootUltimate,
+      anchorBackend,
+      batchIds: rootBatches.map(b => b.id),
+    });
+  }
+  return summary;
+}
+
+/**
+ * Finish anchoring transactions left open by earlier runs
+ *
+ * Mined transactions are stored on their batches as PendingConfirmation and
+ * become Confirmed once the network confirmation depth is reached. Batches of a
+ * transaction whose block was dropped by a reorg go back to PendingConfirmation;
+ * if the transaction then fails, they lose their txHash and their MRU (or,
+ * for direct anchoring, their leaves) is anchored again. Batches that have an MRU but no txHash and no open
+ * transaction (anchoring failed, or the worker died before the transaction was
+ * persisted) get their MRU cleared once the retry backoff of the last attempt
+ * has passed, so getBatchesReadyForMRU picks them up again. Roots whose
+ * anchoring failed permanently are left for an operator.
+ *
+ * @returns {Promise<object>} - { confirmedBatchIds, pending }
+ *   confirmedBatchIds: batches that reached Confirmed (ready for QR codes);
+ *   pending: transactions still waiting to be mined or confirmed
+ */
+async function resumeAnchoring() {
+  const anchorTransactionService = require('./anchorTransactionService');
+  const { Op } = require('sequelize');
+  const confirmedBatchIds = [];
+
+  let resumed;
+  try {
+    resumed = await anchorTransactionService.resumeAnchorTransactions();
+  } catch (error) {
+    logger.warn('Could not resume anchor transactions', { error: error.message });
+    return { confirmedBatchIds, pending: 0 };
+  }
+
+  // Blocks dropped by a reorg: hold QR generation until the anchoring is deep enough again
+  for (const transaction of resumed.reorged) {
+    const batches = await DocumentBatch.findAll({ where: { txHash: transaction.txHash } });
+    for (const batch of batches) {
+      await batch.update({ anchorStatus: 'PendingConfirmation' });
+      await eventService.recordBatchEvent(batch, {
+        stage: 'anchor',
+        event: 'reorged',
+        details: { txHash: transaction.txHash, status: transaction.status, reorgs: transaction.reorgs },
+      });
+    }
+    if (batches.length > 0) {
+      logger.warn('Anchoring block dropped by a reorg', {
+        txHash: transaction.txHash,
+        batchIds: batches.map(b => b.id),
+        qrIssued: batches.some(b => b.status === 'Completed'),
+      });
+    }
+  }
+
+  for (const { transaction, result } of resumed.mined) {
+    await applyAnchorTransaction(transaction, result, 'PendingConfirmation');
+  }
+  for (const { transaction, result } of resumed.confirmed) {
+    confirmedBatchIds.push(...await applyAnchorTransaction(transaction, result, 'Confirmed'));
+  }
+
+  // Dropped by a reorg and then failed: the batches are not anchored any more
+  for (const transaction of resumed.failed) {
+    const direct = DIRECT_ANCHOR_METHODS.includes(transaction.method);
+    const batches = await DocumentBatch.findAll({
+      where: {
+        id: { [Op.in]: transaction.batchIds },
+        ...(direct ? { proofType: 'direct' } : { merkleRootUltimate: transaction.merkleRootUltimate }),
+        txHash: { [Op.ne]: null },
+      },
+    });
+    for (const batch of batches) {
+      const previousTxHash = batch.txHash;
+      await batch.update({
+        txHash: null,
+        network: null,
+        chainId: null,
+        anchorStatus: null,
+        anchorBackend: null,
+        anchorIssuerId: null,
+        timeWindow: null,
+        anchorNonce: null,
+        canonicalizationVersion: null,
+        diHash: null,
+      });
+      await eventService.recordBatchEvent(batch, {
+        stage: 'anchor',
+        event: 'reset',
+        details: {
+          reason: 'Anchor transaction dropped by a reorg failed',
+          previousTxHash,
+          error: transaction.errorMessage,
+        },
+      });
+    }
+  }
+
+  // Batches with an MRU but neither txHash nor proof, grouped by root
+  const unanchored = await DocumentBatch.findAll({
+    where: {
+      signingStatus: 'Finalized',
+      merkleRootUltimate: { [Op.ne]: null },
+      txHash: null,
+      anchorProof: null,
+      ...activeBatchWhere(),
+    },
+  });
+  const byRoot = new Map();
+  for (const batch of unanchored) {
+    byRoot.set(batch.merkleRootUltimate, [...(byRoot.get(batch.merkleRootUltimate) || []), batch]);
+  }
+
+  for (const [merkleRootUltimate, batches] of byRoot) {
+    const { state, transaction } = await anchorTransactionService.getAnchorState(merkleRootUltimate);
+
+    if (state === 'confirmed') {
+      // Confirmed, but the worker stopped before the batches were updated
+      confirmedBatchIds.push(...await applyAnchorTransaction(
+        transaction, anchorTransactionService.toAnchorResult(transaction), 'Confirmed'));
+      continue;
+    }
+    if (state !== 'none' && state !== 'retry') {
+      continue; // open, waiting for the backoff, or dead-lettered
+    }
+
+    const DocumentJob = require('../models/DocumentJob');
+    for (const batch of batches) {
+      await batch.update({ merkleRootUltimate: null, merkleProofUltimate: null });
+      await DocumentJob.update({ merkleProofUltimate: null }, { where: { batchId: batch.id } });
+      await eventService.recordBatchEvent(batch, {
+        stage: 'mru',
+        event: 'reset',
+        details: {
+          reason: 'MRU was never anchored',
+          merkleRootUltimate,
+          lastError: transaction ? transaction.errorMessage : null,
+        },
+      });
+    }
+    logger.info('Released unanchored MRU for a new anchoring attempt', {
+      merkleRootUltimate,
+      batchIds: batches.map(b => b.id),
+      previousAttempts: transaction ? transaction.attempts : 0,
+    });
+  }
+
+  return { confirmedBatchIds, pending: resumed.pending };
+}
+
+/**
+ * Anchor the leaves of finalized batches with proofType 'direct'
+ *
+ * Each batch gets its own anchor / anchorBatch transaction, tracked in
+ * anchor_transactions under computeDirectAnchorKey(leaves) with the same nonce,
+ * fee bump, confirmation depth and reorg handling as an MRU. A batch whose last
+ * attempt failed is submitted again once the retry backoff has passed; one whose
+ * transaction is still open is left to resumeAnchoring.
+ *
+ * @param {number} limit - Maximum number of batches to anchor
+ * @returns {Promise<object>} - { batchIds, confirmedBatchIds, pending }
+ *   batchIds: batches anchored by this run; confirmedBatchIds: batches that
+ *   reached Confirmed (ready for QR codes); pending: transactions of this run
+ *   still waiting to be mined or confirmed
+ */
+async function processDirectAnchoring(limit = 10) {
+  const anchorTransactionService = require('./anchorTransactionService');
+  const blockchainService = require('./blockchainService');
+  const { Op } = require('sequelize');
+  const summary = { batchIds: [], confirmedBatchIds: [], pending: 0 };
+
+  const batches = await DocumentBatch.findAll({
+    where: {
+      signingStatus: 'Finalized',
+      proofType: 'direct',
+      txHash: null,
+      ...activeBatchWhere(),
+    },
+    order: [['finalizedAt', 'ASC']],
+    limit,
+  });
+  if (batches.length === 0) {
+    return summary;
+  }
+
+  const { networkOf } = await loadAnchorTargets(batches);
+  for (const batch of batches) {
+    const network = networks.getNetwork(networkOf(batch));
+    if (!network) {
+      logger.warn('Batch whose tenant targets a network missing from the registry cannot be anchored', {
+        batchId: batch.id,
+        network: networkOf(batch),
+      });
+      continue;
+    }
+
+    // Same leaves in the same order on every attempt, so the key finds earlier transactions
+    const jobs = await DocumentJob.findAll({
+      where: { batchId: batch.id, merkleLeaf: { [Op.ne]: null } },
+      attributes: ['id', 'merkleLeaf'],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    });
+    if (jobs.length === 0) {
+      continue;
+    }
+    const certHashes = jobs.map(job => job.merkleLeaf);
+    const anchorKey = blockchainService.computeDirectAnchorKey(certHashes);
+
+    const { state, transaction } = await anchorTransactionService.getAnchorState(anchorKey);
+    if (state === 'confirmed') {
+      // Confirmed, but the worker stopped before the batch was updated
+      summary.confirmedBatchIds.push(...await applyAnchorTransaction(
+        transaction, anchorTransactionService.toAnchorResult(transaction), 'Confirmed'));
+      continue;
+    }
+    if (state !== 'none' && state !== 'retry') {
+      continue; // open, waiting for the backoff, or dead-lettered
+    }
+
+    const anchorStartedAt = Date.now();
+    try {
+      logger.info('Anchoring batch leaves directly', {
+        batchId: batch.id,
+        network: network.name,
+        certHashes: certHashes.length,
+      });
+
+      const submission = await anchorTransactionService.submitAnchorTransaction({
+        merkleRootUltimate: anchorKey,
+        certHashes,
+        // Bookkeeping only: direct anchoring has no time window on the contract
+        timeWindow: Math.floor(new Date(batch.finalizedAt || anchorStartedAt).getTime() / 1000),
+        issuerId: getAnchorIssuerId(batch),
+        network: network.name,
+        batchIds: [batch.id],
+      });
+
+      if (submission.status === 'confirmed' || submission.status === 'mined') {
+        const anchorStatus = submission.status === 'confirmed' ? 'Confirmed' : 'PendingConfirmation';
+        await applyAnchorResult([batch], submission.result, null, anchorStartedAt, anchorStatus);
+        summary.batchIds.push(batch.id);
+        if (anchorStatus === 'Confirmed') {
+          summary.confirmedBatchIds.push(batch.id);
+        } else {
+          summary.pending++;
+        }
+      } else {
+        // Pending: finished by resumeAnchoring on a later run. Failed: retried after the backoff.
+        if (submission.status === 'pending') {
+          summary.pending++;
+        }
+        logger.warn('Direct anchoring not mined yet', {
+          batchId: batch.id,
+          status: submission.status,
+          txHash: submission.transaction.txHash,
+        });
+      }
+    } catch (error) {
+      logger.error('Direct anchoring failed', { batchId: batch.id, error: error.message });
+      await eventService.recordBatchEvent(batch, {
+        stage: 'anchor',
+        event: 'failed',
+        details: { error: error.message, proofType: 'direct' },
+        durationMs: Date.now() - anchorStartedAt,
+      });
+    }
+  }
+
+  if (summary.batchIds.length > 0) {
+    logger.info('Batches anchored directly', summary);
+  }
+  return summary;
+}
+
 /**
  * Process MRU calculation for ready batches
  * 
@@ -588,12 +1335,49 @@ async function updateBatchesWithMRU(batches, merkleRootUltimate, tree) {
  */
 async function processMRUCalculation(limit = 10) {
   try {
+    // Finish transactions of earlier runs first, and release roots that were never anchored
+    const resumed = await resumeAnchoring();
+    // Complete calendar proofs of earlier runs (TSA tokens are final at once)
+    const upgraded = await upgradePendingProofs();
+    const resumedBatchIds = [...resumed.confirmedBatchIds, ...upgraded.confirmedBatchIds];
+    const resumedPending = resumed.pending + upgraded.pending;
+
+    // Directly anchored batches do not wait for an MRU
+    const direct = await processDirectAnchoring(limit);
+    const directBatchIds = direct.confirmedBatchIds;
+    let pendingAnchors = resumedPending + direct.pending;
+
     // Get batches ready for MRU
-    const batches = await getBatchesReadyForMRU(limit);
+    const readyBatches = await getBatchesReadyForMRU(limit);
 
-    if (batches.length === 0) {
+    if (readyBatches.length === 0) {
       logger.debug('No batches ready for MRU calculation');
-      return { processed: 0, message: 'No batches ready for MRU' };
+      return { processed: 0, message: 'No batches ready for MRU', resumedBatchIds, directBatchIds, pendingAnchors };
+    }
+
+    // One MRU per backend, and on chain per issuer and network (putRoot binds the root to an issuer id)
+    const { networkOf, backendOf } = await loadAnchorTargets(readyBatches);
+    const {
+      backend: backendName, issuerId, network, batches, hasMore, missingIssuer, unknownNetwork, unknownBackend,
+    } = selectIssuerGroup(readyBatches, networkOf, backendOf);
+
+    if (missingIssuer.length > 0) {
+      logger.warn('Batches without issuerId cannot be anchored (set DocumentBatch.issuerId or ANCHOR_ISSUER_ID)', {
+        batchIds: missingIssuer.map(b => b.id),
+      });
+    }
+    if (unknownNetwork.length > 0) {
+      logger.warn('Batches whose tenant targets a network missing from the registry cannot be anchored', {
+        batches: unknownNetwork.map(b => ({ id: b.id, network: networkOf(b) })),
+      });
+    }
+    if (unknownBackend.length > 0) {
+      logger.warn('Batches whose tenant sets an unknown anchoring backend cannot be anchored', {
+        batches: unknownBackend.map(b => ({ id: b.id, backend: backendOf(b) })),
+      });
+    }
+    if (batches.length === 0) {
+      return { processed: 0, message: 'No batches with an issuerId ready for MRU', resumedBatchIds, directBatchIds, pendingAnchors };
     }
 
     logger.info('Found batches ready for MRU calculation', {
@@ -607,10 +1391,12 @@ async function processMRUCalculation(limit = 10) {
     // Update all batches with MRU and MPU
     const updateCount = await updateBatchesWithMRU(batches, merkleRootUltimate, tree);
 
-    // Anchor MRU to blockchain
+    // Anchor MRU with the backend of the group (AnchorStore, TSA or calendars)
+    const backend = AnchoringFactory.getBackend(backendName);
     let blockchainResult = null;
+    let anchorStatus = null;
+    const anchorStartedAt = Date.now();
     try {
-      const blockchainService = require('./blockchainService');
 
       // Use the oldest batch's finalizedAt timestamp as timeWindow, or current timestamp
       const oldestBatch = batches.reduce((oldest, batch) => {
@@ -623,81 +1409,85 @@ async function processMRUCalculation(limit = 10) {
         ? Math.floor(new Date(oldestBatch.finalizedAt).getTime() / 1000)
         : Math.floor(Date.now() / 1000);
 
-      logger.info('Anchoring MRU to blockchain', {
+      logger.info('Anchoring MRU', {
         merkleRootUltimate,
+        backend: backendName,
         timeWindow,
+        issuerId,
+        network,
         batchCount: batches.length,
         batchIds: batches.map(b => b.id),
       });
 
-      blockchainResult = await blockchainService.anchorMRUToBlockchain(
+      const submission = await backend.anchor({
         merkleRootUltimate,
-        timeWindow
-      );
-
-      if (!blockchainResult || !blockchainResult.txHash) {
-        throw new Error('Blockchain anchoring returned invalid result - no txHash');
-      }
-
-      logger.info('MRU anchored to blockchain successfully', {
-        txHash: blockchainResult.txHash,
-        network: blockchainResult.network,
-        blockNumber: blockchainResult.blockNumber,
+        timeWindow,
+        issuerId,
+        network,
+        merkleRoots: batches.map(b => b.merkleRoot), // same order as the MRU tree leaves
+        metadata: { batchCount: batches.length },
+        batchIds: batches.map(b => b.id),
       });
 
-      // Update all batches with blockchain data
-      // Note: Status is NOT set to 'Completed' here - it will be set after PDFs are written with txHash
-      for (const batch of batches) {
-        await batch.update({
+      if (submission.proof) {
+        // TSA token (final) or calendar proof (upgraded by resumeAnchoring until Bitcoin confirms it)
+        anchorStatus = submission.status === 'confirmed' ? 'Confirmed' : 'PendingConfirmation';
+        await applyAnchorProof(batches, backendName, submission.proof, anchorStatus, anchorStartedAt);
+        if (anchorStatus !== 'Confirmed') {
+          pendingAnchors++;
+        }
+      } else if (submission.status === 'confirmed' || submission.status === 'mined') {
+        blockchainResult = submission.result;
+        anchorStatus = submission.status === 'confirmed' ? 'Confirmed' : 'PendingConfirmation';
+
+        logger.info('MRU anchored to blockchain successfully', {
           txHash: blockchainResult.txHash,
           network: blockchainResult.network,
-          // Keep status as 'Processing' - will be set to 'Completed' after PDFs are written
+          blockNumber: blockchainResult.blockNumber,
+          anchorStatus,
         });
 
-        logger.debug('Batch updated with blockchain data', {
-          batchId: batch.id,
-          txHash: blockchainResult.txHash,
-          network: blockchainResult.network,
+        await applyAnchorResult(batches, blockchainResult, timeWindow, anchorStartedAt, anchorStatus);
+      } else {
+        // Pending: finished by resumeAnchoring on a later run. Failed: released after the backoff.
+        logger.warn('MRU anchoring not mined yet', {
+          merkleRootUltimate,
+          status: submission.status,
+          txHash: submission.transaction.txHash,
         });
       }
 
-      // Regenerate verification bundles for all jobs in all batches with real blockchain data
-      for (const batch of batches) {
-        await generateVerificationBundlesForBatch(batch.id);
-        logger.debug('Verification bundles regenerated for batch', { batchId: batch.id });
-
-        // If PDFs were already created before blockchain anchoring, mark them for regeneration
-        // The PDF QR worker will pick them up and regenerate with updated verification bundle
-        const DocumentJob = require('../models/DocumentJob');
-        const { Op } = require('sequelize');
-        await DocumentJob.update(
-          { certificateWithQRPath: null }, // Clear so PDF gets regenerated with new VD
-          {
-            where: {
-              batchId: batch.id,
-              certificateWithQRPath: { [Op.not]: null }
-            }
-          }
-        );
-        logger.debug('Marked existing PDFs for regeneration with blockchain data', { batchId: batch.id });
-      }
-
     } catch (blockchainError) {
       logger.error('Blockchain anchoring failed', {
         error: blockchainError.message,
+        backend: backendName,
         stack: blockchainError.stack,
         merkleRootUltimate,
         batches: batches.map(b => b.id),
       });
+      for (const batch of batches) {
+        await eventService.recordBatchEvent(batch, {
+          stage: 'anchor',
+          event: 'failed',
+          details: { error: blockchainError.message, anchorBackend: backendName },
+          durationMs: Date.now() - anchorStartedAt,
+        });
+      }
       // Don't throw - allow MRU calculation to succeed even if blockchain fails
-      // Batches will have MRU but no txHash/network
+      // Batches will have MRU but no txHash/network (or proof): released by resumeAnchoring
     }
 
     return {
       processed: updateCount,
       merkleRootUltimate,
       batchIds: batches.map(b => b.id),
-      blockchainResult,
+      anchorBackend: backendName,
+      blockchainResult, // null for the proof backends
+      anchorStatus, // 'Confirmed', 'PendingConfirmation' (QR codes wait for the confirmation depth) or null (not anchored)
+      hasMore, // batches of other issuers or networks are still waiting
+      resumedBatchIds, // confirmed by a transaction or calendar proof of an earlier run
+      directBatchIds, // anchored directly (proofType 'direct') and confirmed
+      pendingAnchors, // transactions still waiting to be mined or confirmed
     };
   } catch (error) {
     logger.error('MRU calculation failed', { error: error.message });
@@ -716,5 +1506,11 @@ module.exports = {
   calculateUltimateMerkleRoot,
   updateBatchesWithMRU,
   processMRUCalculation,
+  processDirectAnchoring,
+  resolveProofType,
+  resumeAnchoring,
+  getAnchorIssuerId,
+  selectIssuerGroup,
+  upgradePendingProofs,
   finalizeJob
 };
@@ -1,13 +1,10 @@
 require("dotenv").config();
 const { ethers } = require("ethers");
 const logger = require('../utils/logger');
+const { withReservedNonce, releaseNonce, resetNonce } = require('./nonceManager');
+const rpcProvider = require('./rpcProvider');
 
-const DEFAULT_RPC_URL = 'https://rpc-amoy.polygon.technology/';
-const DEFAULT_CHAIN_ID = 80002;
-
-// Contract addresses
-const ANCHORSTORE_ADDRESS = process.env.ANCHORSTORE_ADDRESS || "0xe768655cFA2D46D00915A9C95d71159C56969834";
-const EVENTS_ADDRESS = process.env.EVENTS_ADDRESS || "0x9b920bD254A89067A95B8733A5ba8D5bBeb5C34B";
+const networks = require('../config/networks');
 
 // Import full ABI
 const ABI_ANCHORSTORE = require('../abis/AnchorStore.json');
@@ -15,30 +12,22 @@ const ABI_ANCHORSTORE = require('../abis/AnchorStore.json');
 // Minimal ABI for events only (if needed separately, otherwise use the same)
 const ABI_EVENTS_ONLY = ABI_ANCHORSTORE;
 
-function parseOptionalGweiEnv(varName) {
-  const raw = (process.env[varName] || '').trim();
-  if (!raw) return null;
-  const numeric = Number(raw);
+function gweiValue(value) {
+  const numeric = Number(value);
   if (!Number.isFinite(numeric) || numeric <= 0) return null;
   return ethers.utils.parseUnits(String(numeric), 'gwei');
 }
 
 async function getFeeOverrides(provider, chainId) {
-  // Polygon Amoy public RPCs often enforce a minimum *priority fee*.
+  // Some public RPCs (Polygon Amoy) enforce a minimum *priority fee*.
   // If we let ethers default (sometimes ~1-2 gwei), the RPC rejects with:
   // "transaction gas price below minimum: gas tip cap ..., minimum needed ..."
-  const minPriorityFromEnv =
-    parseOptionalGweiEnv('AMOY_MIN_PRIORITY_FEE_GWEI') ||
-    parseOptionalGweiEnv('MIN_PRIORITY_FEE_GWEI');
-
-  const minMaxFeeFromEnv =
-    parseOptionalGweiEnv('AMOY_MIN_MAX_FEE_GWEI') ||
-    parseOptionalGweiEnv('MIN_MAX_FEE_GWEI');
-
-  const defaultMinPriority = chainId === 80002 ? ethers.utils.parseUnits('25', 'gwei') : null;
-
-  const minPriority = minPriorityFromEnv || defaultMinPriority;
-  if (!minPriority && !minMaxFeeFromEnv) return {};
+  // The floors come from the fee policy of the network in the registry.
+  const network = networks.getNetwork(chainId);
+  const fees = network ? network.fees : {};
+  const minPriority = gweiValue(fees.minPriorityFeeGwei);
+  const minMaxFee = gweiValue(fees.minMaxFeeGwei);
+  if (!minPriority && !minMaxFee) return {};
 
   try {
     const feeData = await provider.getFeeData();
@@ -62,7 +51,7 @@ async function getFeeOverrides(provider, chainId) {
     let maxFee = suggestedMaxFee || computedFromBase || computedFallback;
     if (computedFromBase && maxFee.lt(computedFromBase)) maxFee = computedFromBase;
     if (computedFallback && maxFee.lt(computedFallback)) maxFee = computedFallback;
-    if (minMaxFeeFromEnv && maxFee.lt(minMaxFeeFromEnv)) maxFee = minMaxFeeFromEnv;
+    if (minMaxFee && maxFee.lt(minMaxFee)) maxFee = minMaxFee;
 
     if (!priority || !maxFee) return {};
 
@@ -76,33 +65,292 @@ async function getFeeOverrides(provider, chainId) {
   }
 }
 
+/**
+ * Error for a network the worker cannot use as configured (retrying will not help)
+ */
+function networkConfigError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.transient = false;
+  return error;
+}
+
+/**
+ * RPC URLs of a registry network
+ *
+ * @param {object} network - Network registry entry
+ * @param {object} options - { rpc } (a single RPC URL overriding the registry list)
+ * @returns {Array<string>}
+ * @throws {Error} - code 'NETWORK_NOT_CONFIGURED' when the network has no RPC URL
+ */
+function rpcUrlsOf(network, options = {}) {
+  const rpcUrls = options.rpc ? [options.rpc] : network.rpcUrls;
+  if (!rpcUrls || rpcUrls.length === 0) {
+    throw networkConfigError(
+      `No RPC URL configured for network ${network.name} (set RPC_URLS_${networks.envSuffix(network.name)})`,
+      'NETWORK_NOT_CONFIGURED'
+    );
+  }
+  return rpcUrls;
+}
+
+/**
+ * Provider for a registry network
+ *
+ * Requests go to the first healthy RPC URL and fail over to the next one when
+ * an endpoint fails, stalls or serves another chain (see rpcProvider).
+ *
+ * @param {object} network - Network registry entry
+ * @param {object} options - { rpc } (a single RPC URL overriding the registry list)
+ * @returns {object} - ethers provider
+ * @throws {Error} - code 'NETWORK_NOT_CONFIGURED' when the network has no RPC URL
+ */
+function getProvider(network, options = {}) {
+  return new rpcProvider.FailoverProvider(network, rpcUrlsOf(network, options));
+}
+
+/**
+ * Number of RPC endpoints that must agree on a verification read
+ *
+ * options.quorum, else RPC_QUORUM_<NETWORK>, else RPC_QUORUM, else the
+ * network's `quorum` in the registry, else 1 (no quorum: failover only).
+ * A single RPC URL passed as options.rpc is trusted unless options.quorum is set.
+ *
+ * @param {object} network - Network registry entry
+ * @param {object} options - { quorum, rpc }
+ * @returns {number}
+ */
+function verificationQuorum(network, options = {}) {
+  const candidates = options.rpc
+    ? [options.quorum]
+    : [
+      options.quorum,
+      process.env[`RPC_QUORUM_${networks.envSuffix(network.name)}`],
+      process.env.RPC_QUORUM,
+      network.quorum,
+    ];
+  for (const candidate of candidates) {
+    const value = parseInt(candidate, 10);
+    if (Number.isFinite(value) && value > 0) {
+      return value;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Check that the RPC serves the chain the registry has for the network
+ *
+ * An RPC URL pointing at the wrong chain would anchor (or verify) under the
+ * wrong network name. An RPC that does not answer is left for the call itself
+ * to report; with several RPC URLs only a mismatch on all of them is reported.
+ *
+ * @param {object} provider - ethers provider
+ * @param {object} network - Network registry entry
+ * @throws {Error} - code 'CHAIN_MISMATCH'
+ */
+async function checkChainId(provider, network) {
+  let reported;
+  try {
+    reported = Number((await provider.getNetwork()).chainId);
+  } catch (error) {
+    if (error.code === 'CHAIN_MISMATCH') {
+      throw error;
+    }
+    return;
+  }
+  if (reported !== network.chainId) {
+    throw networkConfigError(
+      `RPC for network ${network.name} serves chainId ${reported}, expected ${network.chainId}`,
+      'CHAIN_MISMATCH'
+    );
+  }
+}
+
+/**
+ * Contract address of a network, throwing when it is not deployed there
+ *
+ * @param {object} network - Network registry entry
+ * @param {string} name - 'anchorStore' | 'events'
+ * @returns {string} - Contract address
+ * @throws {Error} - code 'NETWORK_NOT_CONFIGURED'
+ */
+function contractAddressOf(network, name) {
+  const address = network.contracts[name];
+  if (!address) {
+    throw networkConfigError(`No ${name} contract address configured for network ${network.name}`, 'NETWORK_NOT_CONFIGURED');
+  }
+  return address;
+}
+
+/**
+ * Read-only AnchorStore on the network an anchor was made on
+ *
+ * @param {object} options - { network, chainId, rpc } (default network when neither is given)
+ * @returns {object} - { contract, provider, network }
+ */
+function readAnchorStore(options = {}) {
+  const network = networks.resolveNetwork(options);
+  const provider = getProvider(network, options);
+  return {
+    contract: new ethers.Contract(contractAddressOf(network, 'anchorStore'), ABI_ANCHORSTORE, provider),
+    provider,
+    network,
+  };
+}
+
+/**
+ * Normalize a hex value to a 0x-prefixed bytes32 string
+ *
+ * @param {string} value - Hex string with or without 0x
+ * @param {string} name - Value name for error messages
+ * @returns {string} - 0x + 64 hex chars
+ */
+function toBytes32(value, name = 'value') {
+  if (!value || typeof value !== 'string') {
+    throw new Error(`${name} must be a hex string`);
+  }
+  const bytes32 = value.startsWith('0x') ? value : '0x' + value.padStart(64, '0');
+  if (!ethers.utils.isHexString(bytes32, 32)) {
+    throw new Error(`Invalid ${name} format: expected 32 bytes (64 hex chars), got ${bytes32.length - 2}`);
+  }
+  return bytes32.toLowerCase();
+}
+
+/**
+ * AnchorStore issuerId for a batch issuer identifier
+ *
+ * A bytes32 hex value is used as-is; any other identifier is hashed with keccak256.
+ *
+ * @param {string} issuerId - Issuer identifier (DocumentBatch.issuerId / ANCHOR_ISSUER_ID)
+ * @returns {string} - bytes32 issuerId
+ */
+function issuerIdToBytes32(issuerId) {
+  if (!issuerId) {
+    throw new Error('issuerId is required for putRoot');
+  }
+  const value = String(issuerId).trim();
+  return ethers.utils.isHexString(value, 32) ? value.toLowerCase() : ethers.utils.id(value);
+}
+
+/**
+ * bytes32 commitment to an issuer public key, as stored by the AnchorStore issuer registry
+ *
+ * The registry only holds 32 bytes per key, so a secp256k1 public key (compressed or
+ * uncompressed hex) is committed to as keccak256 of its uncompressed form; both
+ * encodings of the same key give the same commitment. A bytes32 value is taken to be
+ * a commitment already and is returned as-is.
+ *
+ * @param {string} publicKey - Public key hex (with or without 0x) or bytes32 commitment
+ * @returns {string} - bytes32 key commitment
+ */
+function publicKeyToBytes32(publicKey) {
+  if (!publicKey || typeof publicKey !== 'string') {
+    throw new Error('publicKey must be a hex string');
+  }
+  const hex = publicKey.trim().replace(/^0x/i, '').toLowerCase();
+  if (/^[0-9a-f]{64}$/.test(hex)) {
+    return '0x' + hex;
+  }
+  let uncompressed;
+  try {
+    uncompressed = ethers.utils.computePublicKey('0x' + hex, false);
+  } catch (error) {
+    throw new Error(`Invalid public key: ${error.message}`);
+  }
+  return ethers.utils.keccak256(uncompressed);
+}
+
+/**
+ * diHash bound to an MRU: keccak256 over the MRIs it was built from, in tree order
+ *
+ * @param {Array<string>} merkleRoots - MRI values
+ * @returns {string} - bytes32 diHash
+ */
+function computeDiHash(merkleRoots) {
+  const mris = merkleRoots.map(mri => toBytes32(mri, 'MRI'));
+  return ethers.utils.keccak256(ethers.utils.concat(mris));
+}
+
+/**
+ * Key of a direct anchoring in anchor_transactions: keccak256 over the anchored leaves, in order
+ *
+ * @param {Array<string>} certHashes - Merkle leaves L
+ * @returns {string} - bytes32 key
+ */
+function computeDirectAnchorKey(certHashes) {
+  const leaves = certHashes.map(certHash => toBytes32(certHash, 'certHash'));
+  return ethers.utils.keccak256(ethers.utils.concat(leaves));
+}
+
+/**
+ * expectedCanonicalHash for putRoot: keccak256(abi.encodePacked(root, canonicalizationVersion))
+ *
+ * @param {string} merkleRoot - bytes32 root
+ * @param {string|number} canonicalizationVersion - AnchorStore canonicalizationVersion()
+ * @returns {string} - bytes32 hash
+ */
+function computeExpectedCanonicalHash(merkleRoot, canonicalizationVersion) {
+  return ethers.utils.solidityKeccak256(
+    ['bytes32', 'uint256'],
+    [toBytes32(merkleRoot, 'merkle root'), ethers.BigNumber.from(canonicalizationVersion)]
+  );
+}
+
+/**
+ * Build the seven putRoot arguments, reading the issuer nonce and
+ * canonicalization version from the contract
+ *
+ * @param {object} contract - AnchorStore contract instance
+ * @param {object} params - { timeWindow, merkleRoot, issuerId, merkleRoots, metadata }
+ * @returns {Promise<object>} - { args, issuerId, diHash, nonce, canonicalizationVersion, expectedCanonicalHash }
+ */
+async function buildPutRootArgs(contract, params) {
+  const merkleRoot = toBytes32(params.merkleRoot, 'MRU');
+  const issuerId = issuerIdToBytes32(params.issuerId);
+  const diHash = computeDiHash(params.merkleRoots && params.merkleRoots.length ? params.merkleRoots : [merkleRoot]);
+  const metadata = params.metadata ? ethers.utils.toUtf8Bytes(JSON.stringify(params.metadata)) : '0x';
+
+  const [canonicalizationVersion, nonce] = await Promise.all([
+    contract.canonicalizationVersion(),
+    contract.issuerRootNonce(issuerId),
+  ]);
+  const expectedCanonicalHash = computeExpectedCanonicalHash(merkleRoot, canonicalizationVersion);
+
+  return {
+    args: [params.timeWindow, merkleRoot, issuerId, diHash, metadata, expectedCanonicalHash, nonce],
+    issuerId,
+    diHash,
+    nonce: nonce.toString(),
+    canonicalizationVersion: canonicalizationVersion.toString(),
+    expectedCanonicalHash,
+  };
+}
+
 /**
  * Anchor MRU (Merkle Root Ultimate) to blockchain
  * 
+ * Sends and waits in one call, without persisting the transaction or replacing
+ * it when it gets stuck. The pipeline anchors through anchorTransactionService.
+ * 
  * @param {string} merkleRootUltimate - MRU value (hex string)
  * @param {number} timeWindow - Time window / batch ID / timestamp bucket
  * @param {Object} options - Optional configuration
  * @param {string} options.contractType - "anchorstore" or "events" (default: from env or "anchorstore")
- * @param {string} options.rpc - RPC URL (default: from env AMOY_RPC_URL)
+ * @param {string} options.network - Registry network to anchor on (default: ANCHOR_NETWORK)
+ * @param {string} options.rpc - RPC URL (default: the RPC list of the network)
  * @param {string} options.privateKey - Private key (default: from env PRIVATE_KEY)
- * @returns {Promise<Object>} - { txHash, network, blockNumber }
+ * @param {string} options.issuerId - Issuer the root is bound to (required for anchorstore)
+ * @param {Array<string>} options.merkleRoots - MRIs under the MRU (diHash input)
+ * @param {object} options.metadata - Optional JSON metadata stored with the root
+ * @returns {Promise<Object>} - { txHash, network, chainId, blockNumber, eventData, anchor }
+ *   anchor: { method, issuerId, timeWindow, nonce, canonicalizationVersion, diHash } for putRoot
  */
 async function anchorMRUToBlockchain(merkleRootUltimate, timeWindow, options = {}) {
   const CONTRACT_TYPE = options.contractType || process.env.CONTRACT_TYPE || "anchorstore";
-  const RPC =
-    options.rpc ||
-    process.env.AMOY_RPC_URL ||
-    process.env.POLYGON_AMOY_RPC_URL ||
-    DEFAULT_RPC_URL;
+  const network = networks.requireNetwork(options.network);
   const PRIVATE_KEY = options.privateKey || process.env.PRIVATE_KEY;
 
-  if (!RPC) {
-    const error = new Error(
-      "AMOY_RPC_URL missing in .env or options. Please set AMOY_RPC_URL environment variable."
-    );
-    logger.error('Blockchain configuration error', { error: error.message });
-    throw error;
-  }
   if (!PRIVATE_KEY) {
     const error = new Error("PRIVATE_KEY missing in .env or options. Please set PRIVATE_KEY environment variable.");
     logger.error('Blockchain configuration error', { error: error.message });
@@ -110,29 +358,19 @@ async function anchorMRUToBlockchain(merkleRootUltimate, timeWindow, options = {
   }
   
   logger.debug('Blockchain configuration validated', {
-    hasRPC: !!RPC,
+    network: network.name,
     hasPrivateKey: !!PRIVATE_KEY,
     contractType: CONTRACT_TYPE,
   });
 
   // Validate MRU format (should be 32 bytes hex string)
-  if (!merkleRootUltimate || typeof merkleRootUltimate !== 'string') {
-    throw new Error("MRU must be a hex string");
-  }
-
-  // Convert hex string to bytes32 format if needed
-  let mruBytes32;
-  if (merkleRootUltimate.startsWith('0x')) {
-    mruBytes32 = merkleRootUltimate;
-  } else {
-    // Ensure it's 64 hex characters (32 bytes)
-    const padded = merkleRootUltimate.padStart(64, '0');
-    mruBytes32 = '0x' + padded;
-  }
+  const mruBytes32 = toBytes32(merkleRootUltimate, 'MRU');
 
-  // Validate length
-  if (mruBytes32.length !== 66) { // 0x + 64 hex chars
-    throw new Error(`Invalid MRU format: expected 32 bytes (64 hex chars), got ${mruBytes32.length - 2}`);
+  // putRoot binds the root to an issuer; without one the root could not be attributed
+  if (CONTRACT_TYPE === "anchorstore" && !options.issuerId) {
+    const error = new Error('issuerId is required to anchor with putRoot (set DocumentBatch.issuerId or ANCHOR_ISSUER_ID)');
+    error.transient = false;
+    throw error;
   }
 
   logger.info('Anchoring MRU to blockchain', {
@@ -142,13 +380,13 @@ async function anchorMRUToBlockchain(merkleRootUltimate, timeWindow, options = {
   });
 
   // Setup provider and wallet
-  const provider = new ethers.providers.JsonRpcProvider(RPC);
+  const provider = getProvider(network, options);
+  await checkChainId(provider, network);
   const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
 
   let feeOverrides = {};
   try {
-    const networkMeta = await provider.getNetwork();
-    feeOverrides = await getFeeOverrides(provider, Number(networkMeta.chainId));
+    feeOverrides = await getFeeOverrides(provider, network.chainId);
     if (feeOverrides.maxPriorityFeePerGas && feeOverrides.maxFeePerGas) {
       logger.info('Using EIP-1559 fee overrides', {
         maxPriorityFeePerGas: feeOverrides.maxPriorityFeePerGas.toString(),
@@ -163,35 +401,50 @@ async function anchorMRUToBlockchain(merkleRootUltimate, timeWindow, options = {
   let contractAddress, abi;
   if (CONTRACT_TYPE === "anchorstore") {
     abi = ABI_ANCHORSTORE;
-    contractAddress = ANCHORSTORE_ADDRESS;
+    contractAddress = contractAddressOf(network, 'anchorStore');
   } else {
     abi = ABI_EVENTS_ONLY;
-    contractAddress = EVENTS_ADDRESS;
+    contractAddress = contractAddressOf(network, 'events');
   }
 
   // Create contract instance
   const contract = new ethers.Contract(contractAddress, abi, wallet);
 
-  // Determine network name from RPC URL
-  const network = extractNetworkName(RPC);
-
   logger.info('Sending transaction to blockchain', {
     contractAddress,
-    network,
+    network: network.name,
     timeWindow,
     mru: mruBytes32,
   });
 
   // Send transaction
   let tx;
+  let anchor = null;
   try {
     if (CONTRACT_TYPE === "anchorstore") {
-      // Use putRootLegacy for the 2-argument call (timeWindow, mru)
-      // The standard putRoot now requires 7 arguments
-      logger.info('Calling putRootLegacy', { timeWindow, mruBytes32 });
-      tx = await contract.putRootLegacy(timeWindow, mruBytes32, feeOverrides);
+      // putRoot(timeWindow, merkleRoot, issuerId, diHash, metadata, expectedCanonicalHash, nonce)
+      const putRoot = await buildPutRootArgs(contract, {
+        timeWindow,
+        merkleRoot: mruBytes32,
+        issuerId: options.issuerId,
+        merkleRoots: options.merkleRoots,
+        metadata: options.metadata,
+      });
+      anchor = {
+        method: 'putRoot',
+        issuerId: putRoot.issuerId,
+        timeWindow: String(timeWindow),
+        nonce: putRoot.nonce,
+        canonicalizationVersion: putRoot.canonicalizationVersion,
+        diHash: putRoot.diHash,
+      };
+      logger.info('Calling putRoot', { mruBytes32, ...anchor });
+
+      // Dry run first so a revert (unregistered issuer, stale nonce, ...) surfaces with its reason
+      await contract.callStatic.putRoot(...putRoot.args, feeOverrides);
+      tx = await sendWithManagedNonce(wallet, contract, 'putRoot', putRoot.args, feeOverrides, network.chainId);
     } else {
-      tx = await contract.putRootEmitOnly(timeWindow, mruBytes32, feeOverrides);
+      tx = await sendWithManagedNonce(wallet, contract, 'putRootEmitOnly', [timeWindow, mruBytes32], feeOverrides, network.chainId);
     }
 
     logger.info('Transaction submitted', { txHash: tx.hash });
@@ -203,32 +456,15 @@ async function anchorMRUToBlockchain(merkleRootUltimate, timeWindow, options = {
       blockNumber: receipt.blockNumber,
     });
 
-    // Parse event if exists
-    let eventData = null;
-    try {
-      for (let log of receipt.logs) {
-        const parsed = contract.interface.parseLog(log);
-        if (parsed && parsed.name === "MerkleRootSubmitted") {
-          eventData = {
-            timeWindow: parsed.args.timeWindow.toString(),
-            root: parsed.args.root,
-            issuer: parsed.args.issuer,
-            blockNumber: parsed.args.blockNumber ? parsed.args.blockNumber.toString() : receipt.blockNumber,
-            timestamp: parsed.args.timestamp ? parsed.args.timestamp.toString() : null,
-          };
-          logger.info('MerkleRootSubmitted event parsed', eventData);
-          break;
-        }
-      }
-    } catch (parseError) {
-      logger.warn('Could not parse event from transaction', { error: parseError.message });
-    }
+    const eventData = parseAnchorReceipt(receipt);
 
     return {
       txHash: receipt.transactionHash,
-      network,
+      network: network.name,
+      chainId: network.chainId,
       blockNumber: receipt.blockNumber,
       eventData,
+      anchor,
     };
 
   } catch (error) {
@@ -241,8 +477,863 @@ async function anchorMRUToBlockchain(merkleRootUltimate, timeWindow, options = {
   }
 }
 
+/**
+ * MerkleRootSubmitted event data from an anchoring receipt
+ *
+ * @param {object} receipt - Transaction receipt
+ * @returns {object|null} - { timeWindow, root, issuer, blockNumber, timestamp } or null
+ */
+function parseAnchorReceipt(receipt) {
+  const iface = new ethers.utils.Interface(ABI_ANCHORSTORE);
+  try {
+    for (const log of receipt.logs || []) {
+      let parsed = null;
+      try {
+        parsed = iface.parseLog(log);
+      } catch (parseError) {
+        continue; // not an AnchorStore event
+      }
+      if (parsed && parsed.name === "MerkleRootSubmitted") {
+        const eventData = {
+          timeWindow: parsed.args.timeWindow.toString(),
+          root: parsed.args.root,
+          issuer: parsed.args.issuer,
+          blockNumber: parsed.args.blockNumber ? parsed.args.blockNumber.toString() : receipt.blockNumber,
+          timestamp: parsed.args.timestamp ? parsed.args.timestamp.toString() : null,
+        };
+        logger.info('MerkleRootSubmitted event parsed', eventData);
+        return eventData;
+      }
+    }
+  } catch (parseError) {
+    logger.warn('Could not parse event from transaction', { error: parseError.message });
+  }
+  return null;
+}
+
+/**
+ * Current network fees for a new transaction
+ *
+ * EIP-1559 fees when the chain supports them (with the Amoy minimums of
+ * getFeeOverrides), otherwise a legacy gasPrice.
+ *
+ * @param {object} provider - ethers provider
+ * @param {number} chainId - Chain id
+ * @returns {Promise<object>} - { type: 2, maxFeePerGas, maxPriorityFeePerGas } or { type: 0, gasPrice }
+ */
+async function getTransactionFees(provider, chainId) {
+  const overrides = await getFeeOverrides(provider, chainId);
+  if (overrides.maxFeePerGas && overrides.maxPriorityFeePerGas) {
+    return { type: 2, ...overrides };
+  }
+
+  const feeData = await provider.getFeeData();
+  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+    return { type: 2, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+  }
+  return { type: 0, gasPrice: feeData.gasPrice };
+}
+
+/**
+ * Build the anchoring transaction for an MRU without signing or sending it
+ *
+ * Same putRoot arguments and dry run as anchorMRUToBlockchain. The pipeline
+ * anchors through anchorTransactionService, which signs the request with a
+ * managed nonce, persists it before broadcasting and replaces it when it gets
+ * stuck.
+ *
+ * @param {string} merkleRootUltimate - MRU value (hex string)
+ * @param {number} timeWindow - putRoot timeWindow (unix seconds)
+ * @param {object} options - { contractType, network, rpc, privateKey, issuerId, merkleRoots, metadata }
+ * @returns {Promise<object>} - { wallet, provider, network, chainId, method, anchor, request }
+ *   request: { to, data, gasLimit, chainId, type, maxFeePerGas, maxPriorityFeePerGas | gasPrice }
+ */
+async function buildAnchorTransaction(merkleRootUltimate, timeWindow, options = {}) {
+  const CONTRACT_TYPE = options.contractType || process.env.CONTRACT_TYPE || "anchorstore";
+  const mruBytes32 = toBytes32(merkleRootUltimate, 'MRU');
+
+  if (CONTRACT_TYPE === "anchorstore" && !options.issuerId) {
+    const error = new Error('issuerId is required to anchor with putRoot (set DocumentBatch.issuerId or ANCHOR_ISSUER_ID)');
+    error.transient = false;
+    throw error;
+  }
+
+  const { contract: anchorStore, wallet, provider, network, chainId, feeOverrides } = await connectAnchorStore(options);
+
+  let contract = anchorStore;
+  let method;
+  let args;
+  let anchor = null;
+  if (CONTRACT_TYPE === "anchorstore") {
+    const putRoot = await buildPutRootArgs(contract, {
+      timeWindow,
+      merkleRoot: mruBytes32,
+      issuerId: options.issuerId,
+      merkleRoots: options.merkleRoots,
+      metadata: options.metadata,
+    });
+    method = 'putRoot';
+    args = putRoot.args;
+    anchor = {
+      method,
+      issuerId: putRoot.issuerId,
+      timeWindow: String(timeWindow),
+      nonce: putRoot.nonce,
+      canonicalizationVersion: putRoot.canonicalizationVersion,
+      diHash: putRoot.diHash,
+    };
+  } else {
+    contract = new ethers.Contract(contractAddressOf(networks.requireNetwork(network), 'events'), ABI_EVENTS_ONLY, wallet);
+    method = 'putRootEmitOnly';
+    args = [timeWindow, mruBytes32];
+  }
+
+  const request = await prepareAnchorRequest(
+    contract, method, args, { wallet, provider, chainId, feeOverrides }, { merkleRootUltimate: mruBytes32 });
+
+  return { wallet, provider, network, chainId, method, anchor, request };
+}
+
+/**
+ * Build the direct anchoring transaction for certificate hashes without signing or sending it
+ *
+ * One hash is anchored with anchor(certHash), several with anchorBatch(certHashes).
+ * No Merkle root, issuer binding or time window is involved: every hash gets its
+ * own Anchored event and isAnchored / anchoredAt entry on the contract.
+ *
+ * @param {Array<string>} certHashes - Merkle leaves L (hex)
+ * @param {object} options - { network, rpc, privateKey }
+ * @returns {Promise<object>} - { wallet, provider, network, chainId, method, anchor, request } (as buildAnchorTransaction)
+ */
+async function buildDirectAnchorTransaction(certHashes, options = {}) {
+  if (!Array.isArray(certHashes) || certHashes.length === 0) {
+    const error = new Error('No certificate hashes to anchor');
+    error.transient = false;
+    throw error;
+  }
+  const leaves = certHashes.map(certHash => toBytes32(certHash, 'certHash'));
+
+  const { contract, wallet, provider, network, chainId, feeOverrides } = await connectAnchorStore(options);
+
+  const method = leaves.length === 1 ? 'anchor' : 'anchorBatch';
+  const args = leaves.length === 1 ? [leaves[0]] : [leaves];
+  const request = await prepareAnchorRequest(
+    contract, method, args, { wallet, provider, chainId, feeOverrides }, { certHashes: leaves.length });
+
+  return { wallet, provider, network, chainId, method, anchor: { method, certHashes: leaves }, request };
+}
+
+/**
+ * Dry-run an anchoring call and build its unsigned transaction request
+ *
+ * @param {object} contract - Contract connected to the worker wallet
+ * @param {string} method - Contract function
+ * @param {Array} args - Call arguments
+ * @param {object} connection - { wallet, provider, chainId, feeOverrides }
+ * @param {object} context - Log fields for a reverted dry run
+ * @returns {Promise<object>} - { to, data, gasLimit, chainId, type, maxFeePerGas, maxPriorityFeePerGas | gasPrice }
+ */
+async function prepareAnchorRequest(contract, method, args, connection, context) {
+  // Dry run first so a revert (unregistered issuer, stale nonce, ...) surfaces with its reason
+  try {
+    await contract.callStatic[method](...args, connection.feeOverrides);
+  } catch (error) {
+    error.transient = false;
+    logger.error(`${method} dry run reverted`, { error: error.message, ...context });
+    throw error;
+  }
+
+  const populated = await contract.populateTransaction[method](...args);
+  const estimatedGas = await connection.wallet.estimateGas(populated);
+  const fees = await getTransactionFees(connection.provider, connection.chainId);
+
+  return {
+    to: populated.to,
+    data: populated.data,
+    gasLimit: estimatedGas.mul(120).div(100), // headroom: the nonce / state may move before it is mined
+    chainId: connection.chainId,
+    ...fees,
+  };
+}
+
+/**
+ * AnchorStore contract connected to the worker wallet
+ *
+ * @param {object} options - { network, rpc, privateKey } (default network: ANCHOR_NETWORK)
+ * @returns {Promise<object>} - { contract, wallet, provider, chainId, network, feeOverrides }
+ * @throws {Error} - code 'UNKNOWN_NETWORK', 'NETWORK_NOT_CONFIGURED' or 'CHAIN_MISMATCH'
+ */
+async function connectAnchorStore(options = {}) {
+  const network = networks.requireNetwork(options.network);
+  const PRIVATE_KEY = options.privateKey || process.env.PRIVATE_KEY;
+
+  if (!PRIVATE_KEY) {
+    const error = new Error("PRIVATE_KEY missing in .env or options. Please set PRIVATE_KEY environment variable.");
+    error.transient = false;
+    throw error;
+  }
+
+  const contractAddress = contractAddressOf(network, 'anchorStore');
+  const provider = getProvider(network, options);
+  await checkChainId(provider, network);
+  const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+  const feeOverrides = await getFeeOverrides(provider, network.chainId);
+
+  return {
+    contract: new ethers.Contract(contractAddress, ABI_ANCHORSTORE, wallet),
+    wallet,
+    provider,
+    chainId: network.chainId,
+    network: network.name,
+    feeOverrides,
+  };
+}
+
+/**
+ * Send a contract transaction with a nonce from the local nonce manager
+ *
+ * The signer lock is held until the node accepted the transaction.
+ *
+ * @param {object} wallet - Worker wallet
+ * @param {object} contract - Contract connected to the wallet
+ * @param {string} method - Contract function
+ * @param {Array} args - Call arguments
+ * @param {object} overrides - Fee overrides
+ * @param {number} chainId - Chain the transaction is sent to (nonces are per chain)
+ * @returns {Promise<object>} - ethers TransactionResponse
+ */
+async function sendWithManagedNonce(wallet, contract, method, args, overrides = {}, chainId = null) {
+  const address = await wallet.getAddress();
+  return withReservedNonce(wallet, chainId, async (nonce) => {
+    try {
+      return await contract[method](...args, { ...overrides, nonce });
+    } catch (error) {
+      if (/nonce (too low|has already been used)|already known|replacement (transaction )?underpriced/i.test(error.message || '')) {
+        resetNonce(address, chainId);
+      } else {
+        releaseNonce(address, nonce, chainId);
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Revoke certificates or a root on AnchorStore
+ *
+ * - revoke(certHash, reason):          one certificate leaf (L)
+ * - revokeBatch(certHashes, reasons):  several certificate leaves in one transaction
+ * - revokeRoot(root, reason):          an anchored MRU and everything under it
+ *
+ * @param {string} method - 'revoke' | 'revokeBatch' | 'revokeRoot'
+ * @param {Array<string>} certHashes - bytes32 values (leaves, or [MRU] for revokeRoot)
+ * @param {Array<string>} reasons - Reason per value
+ * @param {object} options - { network, rpc, privateKey } (network the certificates were anchored on)
+ * @returns {Promise<object>} - { txHash, network, blockNumber, revoked: [{ hash, reason, blockNumber }] }
+ */
+async function revokeOnChain(method, certHashes, reasons, options = {}) {
+  const hashes = certHashes.map(hash => toBytes32(hash, 'certHash'));
+  if (hashes.length === 0 || hashes.length !== reasons.length) {
+    const error = new Error(`${method} needs one reason per hash (${hashes.length} hashes, ${reasons.length} reasons)`);
+    error.transient = false;
+    throw error;
+  }
+
+  let args;
+  if (method === 'revokeBatch') {
+    args = [hashes, reasons];
+  } else if (method === 'revoke' || method === 'revokeRoot') {
+    if (hashes.length !== 1) {
+      const error = new Error(`${method} takes exactly one hash, got ${hashes.length}`);
+      error.transient = false;
+      throw error;
+    }
+    args = [hashes[0], reasons[0]];
+  } else {
+    const error = new Error(`Unknown revocation method: ${method}`);
+    error.transient = false;
+    throw error;
+  }
+
+  const { contract, wallet, network, chainId, feeOverrides } = await connectAnchorStore(options);
+
+  logger.info(`Calling ${method}`, { count: hashes.length, network });
+
+  // A revert (not the issuer of the root, already revoked, ...) will not go away on retry
+  try {
+    await contract.callStatic[method](...args, feeOverrides);
+  } catch (error) {
+    error.transient = false;
+    logger.error(`${method} dry run reverted`, { error: error.message });
+    throw error;
+  }
+
+  const tx = await sendWithManagedNonce(wallet, contract, method, args, feeOverrides, chainId);
+  logger.info('Revocation transaction submitted', { txHash: tx.hash, method });
+
+  const receipt = await tx.wait(1);
+
+  const revoked = [];
+  for (const log of receipt.logs) {
+    let parsed = null;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch (parseError) {
+      continue;
+    }
+    if (parsed && (parsed.name === 'Revoked' || parsed.name === 'RootRevoked')) {
+      revoked.push({
+        hash: parsed.name === 'Revoked' ? parsed.args.certHash : parsed.args.root,
+        reason: parsed.args.reason,
+        blockNumber: parsed.args.blockNumber ? parsed.args.blockNumber.toString() : String(receipt.blockNumber),
+      });
+    }
+  }
+
+  logger.info('Revocation transaction mined', {
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    events: revoked.length,
+  });
+
+  return {
+    txHash: receipt.transactionHash,
+    network,
+    blockNumber: receipt.blockNumber,
+    revoked,
+  };
+}
+
+/**
+ * Invalidate everything an issuer anchored in a time window (compromised key)
+ *
+ * @param {string} issuerId - Issuer identifier (hashed like putRoot's issuerId)
+ * @param {number} start - First invalidated timeWindow (unix seconds)
+ * @param {number} end - Last invalidated timeWindow (unix seconds)
+ * @param {object} options - { network, rpc, privateKey } (network the roots were anchored on)
+ * @returns {Promise<object>} - { txHash, network, blockNumber, issuerId }
+ */
+async function invalidateTimeWindowOnChain(issuerId, start, end, options = {}) {
+  const issuerBytes32 = issuerIdToBytes32(issuerId);
+  const { contract, wallet, network, chainId, feeOverrides } = await connectAnchorStore(options);
+
+  logger.info('Calling invalidateTimeWindow', { issuerId: issuerBytes32, start, end, network });
+
+  try {
+    await contract.callStatic.invalidateTimeWindow(issuerBytes32, start, end, feeOverrides);
+  } catch (error) {
+    error.transient = false;
+    logger.error('invalidateTimeWindow dry run reverted', { error: error.message });
+    throw error;
+  }
+
+  const tx = await sendWithManagedNonce(wallet, contract, 'invalidateTimeWindow', [issuerBytes32, start, end], feeOverrides, chainId);
+  logger.info('Time window invalidation submitted', { txHash: tx.hash });
+
+  const receipt = await tx.wait(1);
+  logger.info('Time window invalidation mined', { txHash: receipt.transactionHash, blockNumber: receipt.blockNumber });
+
+  return {
+    txHash: receipt.transactionHash,
+    network,
+    blockNumber: receipt.blockNumber,
+    issuerId: issuerBytes32,
+  };
+}
+
+/**
+ * Address of the worker wallet (default owner of issuers it registers)
+ *
+ * @param {object} options - { privateKey }
+ * @returns {string} - Checksummed address
+ */
+function workerAddress(options = {}) {
+  const PRIVATE_KEY = options.privateKey || process.env.PRIVATE_KEY;
+  if (!PRIVATE_KEY) {
+    const error = new Error("PRIVATE_KEY missing in .env or options. Please set PRIVATE_KEY environment variable.");
+    error.transient = false;
+    throw error;
+  }
+  return new ethers.Wallet(PRIVATE_KEY).address;
+}
+
+/**
+ * Send an AnchorStore issuer registry transaction
+ *
+ * @param {string} method - registerIssuer | rollKey | recoverIssuerKey | setIssuerMetadataURI | vouch
+ * @param {Array} args - Contract call arguments
+ * @param {object} options - { network, rpc, privateKey } (privateKey: sender, default PRIVATE_KEY)
+ * @returns {Promise<object>} - { txHash, network, blockNumber, events: [{ name, args }] }
+ */
+async function sendIssuerTransaction(method, args, options = {}) {
+  const { contract, wallet, network, chainId, feeOverrides } = await connectAnchorStore(options);
+
+  logger.info(`Calling ${method}`, { issuerId: args[0], network });
+
+  // IssuerAlreadyRegistered, UnauthorizedIssuerOperation, ... will not go away on retry
+  try {
+    await contract.callStatic[method](...args, feeOverrides);
+  } catch (error) {
+    error.transient = false;
+    logger.error(`${method} dry run reverted`, { error: error.message });
+    throw error;
+  }
+
+  const tx = await sendWithManagedNonce(wallet, contract, method, args, feeOverrides, chainId);
+  logger.info('Issuer registry transaction submitted', { txHash: tx.hash, method });
+
+  const receipt = await tx.wait(1);
+
+  const events = [];
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed) {
+        events.push({ name: parsed.name, args: parsed.args });
+      }
+    } catch (parseError) {
+      continue;
+    }
+  }
+
+  logger.info('Issuer registry transaction mined', { txHash: receipt.transactionHash, blockNumber: receipt.blockNumber });
+
+  return {
+    txHash: receipt.transactionHash,
+    network,
+    blockNumber: receipt.blockNumber,
+    events,
+  };
+}
+
+/**
+ * Register an issuer on AnchorStore
+ *
+ * @param {string} issuerId - Issuer identifier (hashed like putRoot's issuerId)
+ * @param {string} owner - Address allowed to roll the issuer key
+ * @param {string} publicKey - Issuer public key (committed to with publicKeyToBytes32)
+ * @param {object} options - { network, rpc, privateKey }
+ * @returns {Promise<object>} - { txHash, network, blockNumber, issuerId, publicKey }
+ */
+async function registerIssuerOnChain(issuerId, owner, publicKey, options = {}) {
+  const issuerBytes32 = issuerIdToBytes32(issuerId);
+  const keyBytes32 = publicKeyToBytes32(publicKey);
+  if (!ethers.utils.isAddress(owner)) {
+    const error = new Error(`Invalid issuer owner address: ${owner}`);
+    error.transient = false;
+    throw error;
+  }
+
+  const result = await sendIssuerTransaction('registerIssuer', [issuerBytes32, owner, keyBytes32], options);
+  return { ...result, issuerId: issuerBytes32, publicKey: keyBytes32 };
+}
+
+/**
+ * Message the issuer owner signs to authorize rollKey
+ *
+ * keccak256(issuerId, newPublicKey) wrapped as an Ethereum signed message, so the
+ * owner can produce the signature with any wallet (personal_sign).
+ *
+ * @param {string} issuerId - bytes32 issuerId
+ * @param {string} newPublicKey - bytes32 key commitment
+ * @returns {object} - { message (bytes to sign), messageHash (digest passed to rollKey) }
+ */
+function rollKeyMessage(issuerId, newPublicKey) {
+  const message = ethers.utils.arrayify(
+    ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [issuerId, newPublicKey])
+  );
+  return { message, messageHash: ethers.utils.hashMessage(message) };
+}
+
+/**
+ * Roll the issuer key (planned rotation, authorized by the issuer owner)
+ *
+ * The owner signature is taken from options.signature when the owner key is held
+ * elsewhere, otherwise it is produced with options.ownerPrivateKey (default: the
+ * worker key, which owns issuers registered without an explicit owner).
+ *
+ * @param {string} issuerId - Issuer identifier
+ * @param {string} newPublicKey - New issuer public key
+ * @param {object} options - { network, rpc, privateKey, ownerPrivateKey, signature }
+ * @returns {Promise<object>} - { txHash, network, blockNumber, issuerId, publicKey }
+ */
+async function rollKeyOnChain(issuerId, newPublicKey, options = {}) {
+  const issuerBytes32 = issuerIdToBytes32(issuerId);
+  const keyBytes32 = publicKeyToBytes32(newPublicKey);
+  const { message, messageHash } = rollKeyMessage(issuerBytes32, keyBytes32);
+
+  let signature = options.signature;
+  if (!signature) {
+    const ownerKey = options.ownerPrivateKey || options.privateKey || process.env.PRIVATE_KEY;
+    if (!ownerKey) {
+      const error = new Error('rollKey needs the owner signature or the owner private key');
+      error.transient = false;
+      throw error;
+    }
+    signature = await new ethers.Wallet(ownerKey).signMessage(message);
+  }
+
+  const result = await sendIssuerTransaction('rollKey', [issuerBytes32, keyBytes32, signature, messageHash], options);
+  return { ...result, issuerId: issuerBytes32, publicKey: keyBytes32 };
+}
+
+/**
+ * Replace a lost or compromised issuer key (admin recovery, no owner signature)
+ *
+ * @param {string} issuerId - Issuer identifier
+ * @param {string} newPublicKey - New issuer public key
+ * @param {object} options - { network, rpc, privateKey }
+ * @returns {Promise<object>} - { txHash, network, blockNumber, issuerId, publicKey }
+ */
+async function recoverIssuerKeyOnChain(issuerId, newPublicKey, options = {}) {
+  const issuerBytes32 = issuerIdToBytes32(issuerId);
+  const keyBytes32 = publicKeyToBytes32(newPublicKey);
+
+  const result = await sendIssuerTransaction('recoverIssuerKey', [issuerBytes32, keyBytes32], options);
+  return { ...result, issuerId: issuerBytes32, publicKey: keyBytes32 };
+}
+
+/**
+ * Point the issuer at its metadata document (name, domain, contact, ...)
+ *
+ * @param {string} issuerId - Issuer identifier
+ * @param {string} uri - Metadata URI
+ * @param {object} options - { network, rpc, privateKey }
+ * @returns {Promise<object>} - { txHash, network, blockNumber, issuerId }
+ */
+async function setIssuerMetadataURIOnChain(issuerId, uri, options = {}) {
+  const issuerBytes32 = issuerIdToBytes32(issuerId);
+
+  const result = await sendIssuerTransaction('setIssuerMetadataURI', [issuerBytes32, uri], options);
+  return { ...result, issuerId: issuerBytes32 };
+}
+
+/**
+ * Message a witness signs to vouch for an issuer
+ *
+ * keccak256(issuerId, chainId, AnchorStore address) wrapped as an Ethereum
+ * signed message; AnchorStore recovers the witness from the signature, and the
+ * chain and contract in the message keep a vouch from being replayed on
+ * another deployment.
+ *
+ * @param {string} issuerId - Issuer identifier (hashed like putRoot's issuerId)
+ * @param {object} options - { network, chainId } (default network when neither is given)
+ * @returns {object} - { issuerId (bytes32), network, chainId, anchorStore, message (bytes to sign), messageHash }
+ */
+function vouchMessage(issuerId, options = {}) {
+  const network = networks.resolveNetwork(options);
+  const issuerBytes32 = issuerIdToBytes32(issuerId);
+  const anchorStore = contractAddressOf(network, 'anchorStore');
+  const message = ethers.utils.arrayify(
+    ethers.utils.solidityKeccak256(['bytes32', 'uint256', 'address'], [issuerBytes32, network.chainId, anchorStore])
+  );
+  return {
+    issuerId: issuerBytes32,
+    network: network.name,
+    chainId: network.chainId,
+    anchorStore,
+    message,
+    messageHash: ethers.utils.hashMessage(message),
+  };
+}
+
+/**
+ * Submit a witness vouch for an issuer
+ *
+ * The sender needs no role: the witness is the signer of the vouchMessage. A
+ * witness whose key the worker holds sends its own vouch (options.privateKey);
+ * signatures of external witnesses are relayed with the worker key.
+ *
+ * @param {string} issuerId - Issuer identifier
+ * @param {string} signature - Witness signature of vouchMessage (65 bytes hex)
+ * @param {object} options - { network, rpc, privateKey }
+ * @returns {Promise<object>} - { txHash, network, blockNumber, events, issuerId, witness }
+ *   witness: address from the IssuerVouched event (null when the event is missing)
+ */
+async function vouchOnChain(issuerId, signature, options = {}) {
+  const issuerBytes32 = issuerIdToBytes32(issuerId);
+  if (!ethers.utils.isHexString(signature, 65)) {
+    const error = new Error('A vouch signature must be 65 bytes of hex');
+    error.transient = false;
+    throw error;
+  }
+
+  const result = await sendIssuerTransaction('vouch', [issuerBytes32, signature], options);
+  const vouched = result.events.find(event => event.name === 'IssuerVouched');
+  return { ...result, issuerId: issuerBytes32, witness: vouched ? vouched.args.witness : null };
+}
+
+/**
+ * Read an issuer and its public key history from AnchorStore
+ *
+ * History entries are key commitments with their validity interval
+ * [validFrom, validUntil) in unix seconds; validUntil is 0 for the current key.
+ *
+ * @param {string} issuerId - Issuer identifier
+ * @param {object} options - { network, chainId, rpc }
+ * @returns {Promise<object>} - { checked, registered, issuerId, owner, publicKey, registeredAt, active, metadataURI, history, error }
+ */
+async function getIssuerKeyHistory(issuerId, options = {}) {
+  try {
+    const { contract } = readAnchorStore(options);
+    const issuerBytes32 = issuerIdToBytes32(issuerId);
+
+    const issuer = await contract.getIssuer(issuerBytes32);
+    const registeredAt = Number(issuer.registeredAt.toString());
+    if (registeredAt === 0) {
+      return { checked: true, registered: false, issuerId: issuerBytes32, history: [] };
+    }
+
+    const [history, metadataURI] = await Promise.all([
+      contract.getPublicKeyHistory(issuerBytes32),
+      contract.issuerMetadataURI(issuerBytes32),
+    ]);
+
+    return {
+      checked: true,
+      registered: true,
+      issuerId: issuerBytes32,
+      owner: issuer.owner,
+      publicKey: issuer.publicKey.toLowerCase(),
+      registeredAt,
+      active: issuer.active,
+      metadataURI: metadataURI || null,
+      history: history.map(entry => ({
+        publicKey: entry.publicKey.toLowerCase(),
+        validFrom: Number(entry.validFrom.toString()),
+        validUntil: Number(entry.validUntil.toString()),
+      })),
+    };
+  } catch (error) {
+    logger.warn('Could not read issuer key history', { issuerId, error: error.message });
+    return { checked: false, registered: false, history: [], error: error.message };
+  }
+}
+
+/**
+ * Key history entry valid at a point in time
+ *
+ * @param {Array<object>} history - getIssuerKeyHistory().history
+ * @param {string|number} timestamp - Unix seconds (e.g. the putRoot timeWindow)
+ * @returns {object|null} - { publicKey, validFrom, validUntil } or null
+ */
+function findKeyValidAt(history, timestamp) {
+  const at = Number(timestamp);
+  return (history || []).find(entry =>
+    entry.validFrom <= at && (entry.validUntil === 0 || at < entry.validUntil)
+  ) || null;
+}
+
+/**
+ * Read the witness vouches of an issuer from AnchorStore
+ *
+ * @param {string} issuerId - Issuer identifier (or VD anchorIssuerId)
+ * @param {object} options - { network, chainId, rpc }
+ * @returns {Promise<object>} - { checked, issuerId, count, vouches: [{ witness, timestamp }], error }
+ */
+async function getIssuerVouches(issuerId, options = {}) {
+  try {
+    const { contract } = readAnchorStore(options);
+    const issuerBytes32 = issuerIdToBytes32(issuerId);
+
+    const vouches = await contract.getVouches(issuerBytes32);
+    return {
+      checked: true,
+      issuerId: issuerBytes32,
+      count: vouches.length,
+      vouches: vouches.map(entry => ({
+        witness: entry.witness,
+        timestamp: Number(entry.timestamp.toString()),
+      })),
+    };
+  } catch (error) {
+    logger.warn('Could not read issuer vouches', { issuerId, error: error.message });
+    return { checked: false, count: null, vouches: [], error: error.message };
+  }
+}
+
+/**
+ * Read whether the time window a root was anchored in has been invalidated
+ *
+ * @param {string} issuerId - Issuer identifier (VD anchorIssuerId)
+ * @param {string|number} timeWindow - putRoot timeWindow (VD timeWindow)
+ * @param {object} options - { network, chainId, rpc } (network of the anchor)
+ * @returns {Promise<object>} - { checked, invalidated, start, end, invalidatedAt, error }
+ */
+async function getTimeWindowStatus(issuerId, timeWindow, options = {}) {
+  try {
+    const { contract } = readAnchorStore(options);
+    const issuerBytes32 = issuerIdToBytes32(issuerId);
+    const timestamp = ethers.BigNumber.from(String(timeWindow));
+
+    const invalidated = await contract.isTimeWindowInvalidated(issuerBytes32, timestamp);
+    if (!invalidated) {
+      return { checked: true, invalidated: false };
+    }
+
+    // Report the window that covers the timestamp
+    const windows = await contract.getTimeWindowInvalidations(issuerBytes32);
+    const window = windows.find(w => timestamp.gte(w.start) && timestamp.lte(w.end));
+
+    return {
+      checked: true,
+      invalidated: true,
+      start: window ? Number(window.start.toString()) : null,
+      end: window ? Number(window.end.toString()) : null,
+      invalidatedAt: window ? Number(window.invalidatedAt.toString()) : null,
+    };
+  } catch (error) {
+    logger.warn('Could not read time window status', { issuerId, timeWindow, error: error.message });
+    return { checked: false, invalidated: false, error: error.message };
+  }
+}
+
+/**
+ * Read the on-chain revocation state of a certificate
+ *
+ * The certificate is revoked if its leaf was revoked (revoke / revokeBatch) or
+ * if the anchored root above it was revoked (revokeRoot). Reason and block
+ * number come from the Revoked / RootRevoked event.
+ *
+ * @param {string} certHash - Merkle leaf L
+ * @param {string} root - Anchored MRU (optional)
+ * @param {object} options - { network, chainId, rpc, fromBlock } (network of the anchor; fromBlock: anchoring block, bounds the log query)
+ * @returns {Promise<object>} - { checked, revoked, scope, reason, blockNumber, txHash, error }
+ */
+async function getRevocationStatus(certHash, root = null, options = {}) {
+  try {
+    const { contract } = readAnchorStore(options);
+
+    const leaf = toBytes32(certHash, 'certHash');
+    const mru = root ? toBytes32(root, 'root') : null;
+
+    const [leafRevoked, rootRevoked] = await Promise.all([
+      contract.isRevoked(leaf),
+      mru ? contract.revokedRoots(mru) : false,
+    ]);
+
+    if (!leafRevoked && !rootRevoked) {
+      return { checked: true, revoked: false };
+    }
+
+    const scope = leafRevoked ? 'certificate' : 'root';
+    const filter = leafRevoked ? contract.filters.Revoked(leaf) : contract.filters.RootRevoked(mru);
+    const events = await contract.queryFilter(filter, options.fromBlock || 0, 'latest');
+    const event = events[events.length - 1];
+
+    return {
+      checked: true,
+      revoked: true,
+      scope,
+      reason: event ? event.args.reason : null,
+      blockNumber: event ? Number((event.args.blockNumber || event.blockNumber).toString()) : null,
+      txHash: event ? event.transactionHash : null,
+    };
+  } catch (error) {
+    logger.warn('Could not read revocation status', { certHash, error: error.message });
+    return { checked: false, revoked: false, error: error.message };
+  }
+}
+
+/**
+ * Whether a certificate hash was anchored directly (AnchorStore.anchor / anchorBatch)
+ *
+ * @param {string} certHash - Merkle leaf L
+ * @param {object} options - { network, chainId, rpc } (network of the anchor)
+ * @returns {Promise<object>} - { checked, anchored, revoked, blockNumber, anchoredAt, error }
+ *   anchoredAt: AnchorStore.anchoredAt of the hash (unix seconds), null when not anchored
+ */
+async function getDirectAnchorStatus(certHash, options = {}) {
+  try {
+    const { contract } = readAnchorStore(options);
+    const leaf = toBytes32(certHash, 'certHash');
+
+    const [status, anchoredAt] = await Promise.all([contract.isAnchored(leaf), contract.anchoredAt(leaf)]);
+
+    return {
+      checked: true,
+      anchored: status.anchored,
+      revoked: status.revokedStatus,
+      blockNumber: status.anchored ? Number(status.blockNumber.toString()) : null,
+      anchoredAt: anchoredAt.isZero() ? null : Number(anchoredAt.toString()),
+    };
+  } catch (error) {
+    logger.warn('Could not read direct anchoring status', { certHash, error: error.message });
+    return { checked: false, anchored: false, error: error.message };
+  }
+}
+
+/**
+ * Run AnchorStore's own document verification on the values of a certificate
+ *
+ * verifyDocumentSimple checks the Merkle path leaf -> MRI -> MRU and that the
+ * MRU is anchored for the issuer in the time window; verifyDocument also checks
+ * the diHash binding, the issuer signature and the expiry dates. The full call
+ * is used when the VD has a diHash and a hex signature. Both are view functions,
+ * run as static calls: this is what a third party reading the contract sees.
+ *
+ * @param {object} proof - { leaf, mpiProof, mpuProof, mri, mru, timeWindow, issuerId,
+ *   diHash, signature, issuanceTimestamp, Ed, Ei } (hashes as hex, times in unix seconds)
+ * @param {object} options - { network, chainId, rpc, method } (method forces 'verifyDocument' or 'verifyDocumentSimple')
+ * @returns {Promise<object>} - { checked, method, valid, reason, error }
+ *   reason: revert reason when the contract rejected the values
+ */
+async function verifyDocumentOnChain(proof, options = {}) {
+  const signature = typeof proof.signature === 'string'
+    ? (proof.signature.startsWith('0x') ? proof.signature : '0x' + proof.signature)
+    : null;
+  const fullCall = Boolean(proof.diHash) && ethers.utils.isHexString(signature) && signature.length % 2 === 0;
+  const method = options.method || (fullCall ? 'verifyDocument' : 'verifyDocumentSimple');
+
+  try {
+    const { contract } = readAnchorStore(options);
+
+    const toProof = (list) => (list || [])
+      .map(item => (typeof item === 'string' ? item : item?.data))
+      .filter(Boolean)
+      .map(item => toBytes32(item, 'proof element'));
+    const args = [
+      toBytes32(proof.leaf, 'leaf'),
+      toProof(proof.mpiProof),
+      toProof(proof.mpuProof),
+      toBytes32(proof.mri, 'MRI'),
+      toBytes32(proof.mru, 'MRU'),
+      String(proof.timeWindow),
+      issuerIdToBytes32(proof.issuerId),
+    ];
+    if (method === 'verifyDocument') {
+      args.push(
+        toBytes32(proof.diHash, 'diHash'),
+        signature,
+        String(proof.issuanceTimestamp || 0),
+        String(proof.Ed || 0),
+        String(proof.Ei || 0)
+      );
+    }
+
+    try {
+      const valid = await contract.callStatic[method](...args);
+      return { checked: true, method, valid: Boolean(valid) };
+    } catch (error) {
+      // A revert with a reason is the contract rejecting the values; without one
+      // the deployment most likely has no such function
+      if (error.code === 'CALL_EXCEPTION' && error.reason) {
+        return { checked: true, method, valid: false, reason: error.reason };
+      }
+      throw error;
+    }
+  } catch (error) {
+    logger.warn('Could not run on-chain document verification', { method, error: error.message });
+    return { checked: false, method, valid: null, error: error.message };
+  }
+}
+
 /**
  * Extract network name from RPC URL
+ *
+ * Legacy guess kept for scripts that only have an RPC URL; anchoring and
+ * verification use the network registry (config/networks).
+ *
  * @param {string} rpcUrl - RPC URL
  * @returns {string} Network name
  */
@@ -266,105 +1357,174 @@ function extractNetworkName(rpcUrl) {
   return 'unknown';
 }
 
+/**
+ * Read an anchoring receipt, the MRU of its MerkleRootSubmitted event and the
+ * hashes of its Anchored events (direct anchoring)
+ *
+ * @param {object} provider - ethers provider
+ * @param {string} txHash - Transaction hash
+ * @param {string} contractAddress - AnchorStore address the events must come from
+ * @returns {Promise<object|null>} - { status, blockNumber, blockHash, from, to, confirmations, mruFromEvent, anchoredCertHashes },
+ *   null when the transaction is not found
+ */
+async function readAnchorReceipt(provider, txHash, contractAddress) {
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    return null;
+  }
+
+  // Parse MerkleRootSubmitted / Anchored events from logs
+  let mruFromEvent = null;
+  const anchoredCertHashes = [];
+
+  // Create contract interface to parse events using the full ABI
+  const contractInterface = new ethers.utils.Interface(ABI_ANCHORSTORE);
+
+  for (const log of receipt.logs) {
+    // Check if log is from our contract
+    // Note: In some testnet scenarios, address case might differ, so we normalize
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) {
+      continue;
+    }
+
+    try {
+      const parsedLog = contractInterface.parseLog(log);
+      if (parsedLog && parsedLog.name === 'MerkleRootSubmitted' && !mruFromEvent) {
+        // Extract root (MRU) from event
+        // Based on ABI: event MerkleRootSubmitted(uint256 indexed timeWindow, bytes32 indexed root, address indexed issuer, uint256 blockNumber)
+        // args[1] corresponds to 'root'
+        mruFromEvent = parsedLog.args.root;
+        logger.debug('Found MerkleRootSubmitted event', { 
+          root: mruFromEvent, 
+          timeWindow: parsedLog.args.timeWindow.toString() 
+        });
+      } else if (parsedLog && parsedLog.name === 'Anchored') {
+        // event Anchored(bytes32 indexed certHash, address indexed issuer, uint256 blockNumber)
+        anchoredCertHashes.push(parsedLog.args.certHash.toLowerCase());
+      }
+    } catch (parseError) {
+      // Not our event or different signature, continue
+      continue;
+    }
+  }
+
+  return {
+    status: receipt.status,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    from: receipt.from,
+    to: receipt.to,
+    confirmations: receipt.confirmations || 0,
+    mruFromEvent,
+    anchoredCertHashes,
+  };
+}
+
 /**
  * Verify blockchain transaction using RPC provider and optionally an explorer API (Etherscan V2)
  * 
  * This function verifies that:
  * 1. Transaction exists on the blockchain
  * 2. Transaction status is successful
- * 3. Transaction contains the expected MRU in the event logs
+ * 3. Transaction contains the expected MRU in the event logs, or for a directly
+ *    anchored certificate (options.certHash) an Anchored event of its leaf
+ *
+ * With a quorum above 1 (see verificationQuorum) the receipt and event are read
+ * from every RPC endpoint of the network, and mruMatches is only reported when
+ * at least that many endpoints returned the same data; otherwise the result is
+ * unverified with the disagreement in `quorum`.
  * 
  * @param {string} txHash - Transaction hash to verify
  * @param {string} expectedMRU - Expected Merkle Root Ultimate (optional, for validation)
  * @param {Object} options - Optional configuration
- * @param {string} options.rpc - RPC URL (default: from env AMOY_RPC_URL)
+ * @param {string} options.network - Network name recorded with the anchor (VD / QR `network`)
+ * @param {number} options.chainId - Chain ID recorded with the anchor (wins over the name)
+ * @param {string} options.rpc - RPC URL (default: the RPC list of the network in the registry)
+ * @param {number} options.quorum - RPC endpoints that must agree (default: verificationQuorum)
+ * @param {string} options.certHash - Leaf L of a directly anchored certificate (sets certHashAnchored)
  * @param {string} options.apiKey - Explorer API key (default: from env POLYGONSCAN_API_KEY)
- * @param {number} options.chainId - Chain ID (default: from env AMOY_CHAIN_ID)
- * @param {string} options.network - Network name (default: "polygon-amoy")
  * @returns {Promise<Object>} - Verification result with transaction details
  */
 async function verifyTransaction(txHash, expectedMRU = null, options = {}) {
-  const RPC =
-    options.rpc ||
-    process.env.AMOY_RPC_URL ||
-    process.env.POLYGON_AMOY_RPC_URL ||
-    DEFAULT_RPC_URL;
   const API_KEY =
     options.apiKey ||
     process.env.POLYGONSCAN_API_KEY ||
     process.env.ETHERSCAN_API_KEY;
-  const chainId = Number(
-    options.chainId ||
-      process.env.AMOY_CHAIN_ID ||
-      process.env.POLYGON_AMOY_CHAIN_ID ||
-      DEFAULT_CHAIN_ID
-  );
-  const network = options.network || (chainId === 80002 ? 'polygon-amoy' : extractNetworkName(RPC));
 
-  if (!RPC) {
+  let network;
+  try {
+    network = networks.resolveNetwork({ network: options.network, chainId: options.chainId });
+  } catch (error) {
     return {
       verified: false,
-      error: 'AMOY_RPC_URL not configured',
+      error: error.message,
       txHash,
     };
   }
+  const chainId = network.chainId;
 
   try {
-    // Use ethers provider to get transaction receipt (primary method)
-    const provider = new ethers.providers.JsonRpcProvider(RPC);
-    
-    const receipt = await provider.getTransactionReceipt(txHash);
-    
-    if (!receipt) {
+    const contractAddress = options.contractAddress || contractAddressOf(network, 'anchorStore');
+    const required = verificationQuorum(network, options);
+
+    let anchored;
+    let quorum = null;
+    if (required > 1) {
+      // Receipt and event data only count when enough RPC endpoints return the same
+      // (confirmations are left out: endpoints are rarely at the same head)
+      const reads = await rpcProvider.quorumRead(
+        network,
+        rpcUrlsOf(network, options),
+        provider => readAnchorReceipt(provider, txHash, contractAddress),
+        { required, key: value => value && { ...value, confirmations: undefined } }
+      );
+      quorum = {
+        required: reads.required,
+        endpoints: reads.endpoints,
+        responded: reads.responded,
+        agreeing: reads.agreeing,
+        disagreeing: reads.disagreeing,
+      };
+      if (!reads.agreed) {
+        logger.warn('Transaction verification quorum not reached', { txHash, network: network.name, ...quorum });
+        return {
+          verified: false,
+          error: reads.error,
+          txHash,
+          network: network.name,
+          chainId,
+          quorum,
+        };
+      }
+      anchored = reads.value;
+    } else {
+      // Use ethers provider to get transaction receipt (primary method)
+      const provider = getProvider(network, options);
+      await checkChainId(provider, network);
+      anchored = await readAnchorReceipt(provider, txHash, contractAddress);
+    }
+
+    if (!anchored) {
       return {
         verified: false,
         error: 'Transaction not found',
         txHash,
+        ...(quorum ? { quorum } : {}),
       };
     }
 
     // Check if transaction was successful
-    if (receipt.status !== 1) {
+    if (anchored.status !== 1) {
       return {
         verified: false,
         error: 'Transaction failed',
         txHash,
-        blockNumber: receipt.blockNumber,
+        blockNumber: anchored.blockNumber,
+        ...(quorum ? { quorum } : {}),
       };
     }
 
-    // Parse MerkleRootSubmitted event from logs
-    let mruFromEvent = null;
-    const contractAddress = options.contractAddress || ANCHORSTORE_ADDRESS;
-    
-    // Create contract interface to parse events using the full ABI
-    const contractInterface = new ethers.utils.Interface(ABI_ANCHORSTORE);
-    
-    for (const log of receipt.logs) {
-      // Check if log is from our contract
-      // Note: In some testnet scenarios, address case might differ, so we normalize
-      if (log.address.toLowerCase() !== contractAddress.toLowerCase()) {
-        continue;
-      }
-
-      try {
-        const parsedLog = contractInterface.parseLog(log);
-        if (parsedLog && parsedLog.name === 'MerkleRootSubmitted') {
-          // Extract root (MRU) from event
-          // Based on ABI: event MerkleRootSubmitted(uint256 indexed timeWindow, bytes32 indexed root, address indexed issuer, uint256 blockNumber)
-          // args[1] corresponds to 'root'
-          mruFromEvent = parsedLog.args.root;
-          logger.debug('Found MerkleRootSubmitted event', { 
-            root: mruFromEvent, 
-            timeWindow: parsedLog.args.timeWindow.toString() 
-          });
-          break;
-        }
-      } catch (parseError) {
-        // Not our event or different signature, continue
-        continue;
-      }
-    }
+    const mruFromEvent = anchored.mruFromEvent;
 
     // Verify MRU matches if expected MRU is provided
     let mruMatches = true;
@@ -377,18 +1537,28 @@ async function verifyTransaction(txHash, expectedMRU = null, options = {}) {
       mruMatches = expectedNormalized === eventNormalized;
     }
 
+    // Direct anchoring: the leaf must be among the Anchored events of the transaction
+    const certHash = options.certHash ? toBytes32(options.certHash, 'certHash') : null;
+    const certHashAnchored = certHash ? (anchored.anchoredCertHashes || []).includes(certHash) : null;
+
     const result = {
       verified: true,
       txHash,
-      blockNumber: receipt.blockNumber,
-      blockHash: receipt.blockHash,
-      from: receipt.from,
-      to: receipt.to,
+      network: network.name,
+      chainId,
+      blockNumber: anchored.blockNumber,
+      blockHash: anchored.blockHash,
+      from: anchored.from,
+      to: anchored.to,
       status: 'success',
       mruFromEvent: mruFromEvent || null,
       mruMatches: expectedMRU ? mruMatches : null,
-      confirmationCount: receipt.confirmations || 0,
+      certHashAnchored,
+      confirmationCount: anchored.confirmations || 0,
     };
+    if (quorum) {
+      result.quorum = quorum;
+    }
 
     if (expectedMRU && !mruMatches) {
       result.verified = false;
@@ -397,6 +1567,11 @@ async function verifyTransaction(txHash, expectedMRU = null, options = {}) {
       result.actualMRU = mruFromEvent;
     }
 
+    if (certHash && !certHashAnchored) {
+      result.verified = false;
+      result.error = 'Certificate hash is not anchored by this transaction';
+    }
+
     // Optionally use an explorer API for additional details if API key is available
     if (API_KEY) {
       try {
@@ -430,11 +1605,9 @@ async function verifyTransaction(txHash, expectedMRU = null, options = {}) {
         });
 
         if (txData.status === '1' && txData.result) {
-          // Prefer Polygon explorers where possible
-          if (chainId === 80002) {
-            result.explorerUrl = `https://amoy.polygonscan.com/tx/${txHash}`;
-          } else if (chainId === 137) {
-            result.explorerUrl = `https://polygonscan.com/tx/${txHash}`;
+          const explorerUrl = networks.explorerTxUrl(network, txHash);
+          if (explorerUrl) {
+            result.explorerUrl = explorerUrl;
           }
         }
       } catch (apiError) {
@@ -467,7 +1640,38 @@ async function verifyTransaction(txHash, expectedMRU = null, options = {}) {
 
 module.exports = {
   anchorMRUToBlockchain,
+  getProvider,
+  readAnchorStore,
+  contractAddressOf,
+  connectAnchorStore,
+  buildAnchorTransaction,
+  buildDirectAnchorTransaction,
+  computeDirectAnchorKey,
+  parseAnchorReceipt,
+  getTransactionFees,
+  toBytes32,
+  issuerIdToBytes32,
+  computeDiHash,
+  computeExpectedCanonicalHash,
+  buildPutRootArgs,
   extractNetworkName,
   verifyTransaction,
+  revokeOnChain,
+  getRevocationStatus,
+  getDirectAnchorStatus,
+  verifyDocumentOnChain,
+  invalidateTimeWindowOnChain,
+  getTimeWindowStatus,
+  publicKeyToBytes32,
+  workerAddress,
+  registerIssuerOnChain,
+  rollKeyOnChain,
+  recoverIssuerKeyOnChain,
+  setIssuerMetadataURIOnChain,
+  vouchMessage,
+  vouchOnChain,
+  getIssuerKeyHistory,
+  findKeyValidAt,
+  getIssuerVouches,
 };
 
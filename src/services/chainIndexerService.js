@@ -0,0 +1,434 @@
+const { Op } = require('sequelize');
+const { ethers } = require('ethers');
+const ChainEvent = require('../models/ChainEvent');
+const ChainCheckpoint = require('../models/ChainCheckpoint');
+const ChainDiscrepancy = require('../models/ChainDiscrepancy');
+const DocumentBatch = require('../models/DocumentBatch');
+const AnchorTransaction = require('../models/AnchorTransaction');
+const blockchainService = require('./blockchainService');
+const { confirmationDepth } = require('./anchorTransactionService');
+const networks = require('../config/networks');
+const logger = require('../utils/logger');
+
+/**
+ * Chain indexer: AnchorStore events in local tables
+ *
+ * Without it the worker only learns about the chain from the receipts of its
+ * own transactions. The indexer scans the AnchorStore logs of every indexed
+ * network from a stored checkpoint (chain_checkpoints), in ranges of
+ * CHAIN_INDEXER_BLOCK_RANGE blocks, and records the events lookups need into
+ * chain_events:
+ *   MerkleRootSubmitted, Revoked, RootRevoked, TimeWindowInvalidated, IssuerKeyRolled
+ *
+ * Only blocks at the network's confirmation depth are indexed, so recorded
+ * events are not undone by reorgs. While indexing, the events are reconciled
+ * with the local records and disagreements are flagged in chain_discrepancies
+ * (see the ChainDiscrepancy model):
+ *   - root_without_batch: a root submitted for one of our issuers (or by our
+ *     worker wallet) that no batch has as its MRU
+ *   - root_not_on_chain: a putRoot transaction recorded as confirmed, in an
+ *     indexed block, whose root has no MerkleRootSubmitted event
+ *
+ * The indexed events also answer root lookups locally (getIndexedRootStatus)
+ * without an RPC round trip.
+ *
+ * A network without `startBlock` in the registry (the AnchorStore deployment
+ * block) is indexed from the block the indexer first runs at.
+ */
+
+const INDEXED_EVENTS = ['MerkleRootSubmitted', 'Revoked', 'RootRevoked', 'TimeWindowInvalidated', 'IssuerKeyRolled'];
+
+const anchorStoreInterface = new ethers.utils.Interface(require('../abis/AnchorStore.json'));
+const INDEXED_TOPICS = INDEXED_EVENTS.map(name => anchorStoreInterface.getEventTopic(name));
+
+/**
+ * Read a positive integer setting
+ */
+function positiveEnv(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Indexer settings from the environment
+ *
+ * @returns {object} - { blockRange, maxBlocksPerRun, networks }
+ *   networks: CHAIN_INDEXER_NETWORKS (comma-separated), else every registry
+ *   network with an AnchorStore address and an RPC URL
+ */
+function getIndexerConfig() {
+  const listed = (process.env.CHAIN_INDEXER_NETWORKS || '').split(',').map(name => name.trim()).filter(Boolean);
+  return {
+    blockRange: positiveEnv('CHAIN_INDEXER_BLOCK_RANGE', 2000), // eth_getLogs range per request
+    maxBlocksPerRun: positiveEnv('CHAIN_INDEXER_MAX_BLOCKS', 50000),
+    networks: listed.length > 0
+      ? listed.map(name => networks.requireNetwork(name).name)
+      : networks.listNetworks()
+        .filter(network => network.contracts.anchorStore && network.rpcUrls.length > 0)
+        .map(network => network.name),
+  };
+}
+
+/**
+ * Both spellings of a root (MRUs are stored with or without 0x)
+ */
+function rootForms(root) {
+  const bare = root.toLowerCase().replace(/^0x/, '');
+  return [bare, `0x${bare}`];
+}
+
+/**
+ * Decoded event arguments as JSON (named arguments only, numbers as decimal strings)
+ */
+function serializeArgs(parsed) {
+  const args = {};
+  parsed.eventFragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Lookup columns of an AnchorStore event
+ *
+ * @param {object} parsed - ethers LogDescription
+ * @param {object} contract - Read-only AnchorStore (MerkleRootSubmitted does not carry the issuerId)
+ * @returns {Promise<object>}
+ */
+async function eventColumns(parsed, contract) {
+  const { args } = parsed;
+  switch (parsed.name) {
+    case 'MerkleRootSubmitted':
+      return {
+        root: args.root.toLowerCase(),
+        timeWindow: args.timeWindow.toString(),
+        actor: args.issuer,
+        issuerId: (await contract.rootIssuer(args.root)).toLowerCase(),
+      };
+    case 'Revoked':
+      return { certHash: args.certHash.toLowerCase(), actor: args.issuer, reason: args.reason };
+    case 'RootRevoked':
+      return { root: args.root.toLowerCase(), actor: args.issuer, reason: args.reason };
+    case 'TimeWindowInvalidated':
+      return {
+        issuerId: args.issuerId.toLowerCase(),
+        windowStart: args.start.toString(),
+        windowEnd: args.end.toString(),
+        actor: args.invalidatedBy,
+      };
+    case 'IssuerKeyRolled':
+      return { issuerId: args.issuerId.toLowerCase(), actor: args.rolledBy };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Record one log (once per chain, transaction and log index)
+ *
+ * @returns {Promise<object|null>} - The new ChainEvent, or null when it was recorded before
+ */
+async function recordLog(network, contract, log) {
+  const existing = await ChainEvent.findOne({
+    where: { chainId: network.chainId, txHash: log.transactionHash, logIndex: log.logIndex },
+  });
+  if (existing) {
+    return null;
+  }
+
+  const parsed = anchorStoreInterface.parseLog(log);
+  return ChainEvent.create({
+    network: network.name,
+    chainId: network.chainId,
+    contractAddress: log.address.toLowerCase(),
+    event: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    txHash: log.transactionHash,
+    logIndex: log.logIndex,
+    args: serializeArgs(parsed),
+    ...(await eventColumns(parsed, contract)),
+  });
+}
+
+/**
+ * Flag a discrepancy, unless the same one is already open
+ *
+ * @returns {Promise<boolean>} - Whether a new flag was raised
+ */
+async function flagDiscrepancy(values) {
+  const open = await ChainDiscrepancy.findOne({
+    where: { type: values.type, chainId: values.chainId, root: values.root, status: 'open' },
+  });
+  if (open) {
+    return false;
+  }
+
+  await ChainDiscrepancy.create({ ...values, status: 'open' });
+  logger.warn('Chain discrepancy flagged', {
+    type: values.type,
+    network: values.network,
+    root: values.root,
+    txHash: values.txHash,
+    batchIds: values.batchIds,
+  });
+  return true;
+}
+
+/**
+ * Whether a submitted root belongs to us: sent by the worker wallet, or bound
+ * to an issuerId one of our batches was anchored under
+ */
+async function isOurRoot(event, workerAddress) {
+  if (workerAddress && event.actor && event.actor.toLowerCase() === workerAddress) {
+    return true;
+  }
+  if (!event.issuerId || event.issuerId === ethers.constants.HashZero) {
+    return false;
+  }
+  return (await DocumentBatch.count({ where: { anchorIssuerId: [event.issuerId, event.issuerId.replace(/^0x/, '')] } })) > 0;
+}
+
+/**
+ * Reconcile a newly indexed MerkleRootSubmitted event with the local batches
+ *
+ * @returns {Promise<number>} - Discrepancies flagged (0 or 1)
+ */
+async function reconcileSubmittedRoot(network, event, workerAddress) {
+  // A root we had flagged as missing made it to the chain after all
+  const [resolved] = await ChainDiscrepancy.update(
+    { status: 'resolved', resolvedAt: new Date() },
+    { where: { type: 'root_not_on_chain', chainId: network.chainId, root: event.root, status: 'open' } }
+  );
+  if (resolved > 0) {
+    logger.info('Chain discrepancy resolved: root indexed', { network: network.name, root: event.root, txHash: event.txHash });
+  }
+
+  const batches = await DocumentBatch.count({ where: { merkleRootUltimate: rootForms(event.root) } });
+  if (batches > 0 || !(await isOurRoot(event, workerAddress))) {
+    return 0;
+  }
+
+  const flagged = await flagDiscrepancy({
+    type: 'root_without_batch',
+    network: network.name,
+    chainId: network.chainId,
+    root: event.root,
+    issuerId: event.issuerId,
+    txHash: event.txHash,
+    blockNumber: event.blockNumber,
+    details: { timeWindow: String(event.timeWindow), submitter: event.actor },
+  });
+  return flagged ? 1 : 0;
+}
+
+/**
+ * Check our confirmed putRoot transactions against the indexed events
+ *
+ * Transactions are taken in confirmedAt order from the checkpoint's
+ * reconciledAt; a transaction in a block the indexer has not reached yet stops
+ * the pass and is checked on a later run.
+ *
+ * @returns {Promise<number>} - Discrepancies flagged
+ */
+async function reconcileAnchorTransactions(network, checkpoint) {
+  const where = { chainId: network.chainId, method: 'putRoot', status: 'confirmed' };
+  if (checkpoint.reconciledAt) {
+    where.confirmedAt = { [Op.gt]: checkpoint.reconciledAt };
+  }
+  const transactions = await AnchorTransaction.findAll({ where, order: [['confirmedAt', 'ASC']] });
+
+  let flagged = 0;
+  let reconciledAt = checkpoint.reconciledAt;
+  for (const transaction of transactions) {
+    const blockNumber = Number(transaction.blockNumber);
+    if (blockNumber > Number(checkpoint.blockNumber)) {
+      break;
+    }
+    reconciledAt = transaction.confirmedAt;
+
+    // Anchored before the indexed range: nothing to compare with
+    if (blockNumber < Number(checkpoint.startBlock)) {
+      continue;
+    }
+
+    const root = rootForms(transaction.merkleRootUltimate)[1];
+    const indexed = await ChainEvent.count({
+      where: { chainId: network.chainId, event: 'MerkleRootSubmitted', root },
+    });
+    if (indexed === 0 && await flagDiscrepancy({
+      type: 'root_not_on_chain',
+      network: network.name,
+      chainId: network.chainId,
+      root,
+      issuerId: transaction.anchor?.issuerId || null,
+      txHash: transaction.txHash,
+      blockNumber,
+      batchIds: transaction.batchIds,
+      details: { anchorTransactionId: transaction.id, timeWindow: String(transaction.timeWindow) },
+    })) {
+      flagged++;
+    }
+  }
+
+  if (reconciledAt !== checkpoint.reconciledAt) {
+    await checkpoint.update({ reconciledAt });
+  }
+  return flagged;
+}
+
+/**
+ * Worker wallet address (lowercase), or null when no key is configured
+ */
+function ourWorkerAddress() {
+  try {
+    return blockchainService.workerAddress().toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Index the AnchorStore events of one network up to its confirmation depth
+ *
+ * At most CHAIN_INDEXER_MAX_BLOCKS blocks are indexed per call; the checkpoint
+ * is saved after every range, so an interrupted run resumes where it stopped.
+ *
+ * @param {string} networkName - Registry network name
+ * @returns {Promise<object>} - { network, fromBlock, toBlock, safeBlock, events, discrepancies, behind }
+ *   behind: blocks up to safeBlock are left for the next call
+ */
+async function indexNetwork(networkName) {
+  const config = getIndexerConfig();
+  const { contract, provider, network } = blockchainService.readAnchorStore({ network: networkName });
+  const contractAddress = contract.address.toLowerCase();
+
+  const safeBlock = await provider.getBlockNumber() - confirmationDepth(network.name) + 1;
+
+  let checkpoint = await ChainCheckpoint.findOne({ where: { chainId: network.chainId, contractAddress } });
+  if (!checkpoint) {
+    const startBlock = Number.isInteger(network.startBlock) ? network.startBlock : Math.max(safeBlock, 0);
+    checkpoint = await ChainCheckpoint.create({
+      network: network.name,
+      chainId: network.chainId,
+      contractAddress,
+      startBlock,
+      blockNumber: startBlock - 1,
+    });
+    logger.info('Chain indexer checkpoint created', { network: network.name, contractAddress, startBlock });
+  }
+
+  const fromBlock = Number(checkpoint.blockNumber) + 1;
+  const lastBlock = Math.min(safeBlock, fromBlock + config.maxBlocksPerRun - 1);
+  const workerAddress = ourWorkerAddress();
+  const summary = { network: network.name, fromBlock, toBlock: fromBlock - 1, safeBlock, events: 0, discrepancies: 0 };
+
+  for (let start = fromBlock; start <= lastBlock; start += config.blockRange) {
+    const end = Math.min(start + config.blockRange - 1, lastBlock);
+    const logs = await provider.getLogs({
+      address: contract.address,
+      topics: [INDEXED_TOPICS],
+      fromBlock: start,
+      toBlock: end,
+    });
+
+    for (const log of logs) {
+      const event = await recordLog(network, contract, log);
+      if (!event) continue;
+      summary.events++;
+      if (event.event === 'MerkleRootSubmitted') {
+        summary.discrepancies += await reconcileSubmittedRoot(network, event, workerAddress);
+      }
+    }
+
+    await checkpoint.update({ blockNumber: end });
+    summary.toBlock = end;
+  }
+
+  summary.discrepancies += await reconcileAnchorTransactions(network, checkpoint);
+  summary.behind = summary.toBlock < safeBlock;
+
+  if (summary.events > 0 || summary.discrepancies > 0) {
+    logger.info('Chain events indexed', summary);
+  }
+  return summary;
+}
+
+/**
+ * Index every indexed network (see getIndexerConfig)
+ *
+ * A network that fails (RPC down, no contract) is reported and does not stop the others.
+ *
+ * @returns {Promise<Array<object>>} - indexNetwork summaries, or { network, error }
+ */
+async function indexChains() {
+  const results = [];
+  for (const name of getIndexerConfig().networks) {
+    try {
+      results.push(await indexNetwork(name));
+    } catch (error) {
+      logger.error('Chain indexing failed', { network: name, error: error.message });
+      results.push({ network: name, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Root status from the indexed events (local cache of the AnchorStore root lookups)
+ *
+ * @param {string} root - MRU (hex, with or without 0x)
+ * @param {object} options - { network, chainId } (default network when neither is given)
+ * @returns {Promise<object>} - { indexed, indexedThrough, anchored, issuerId, timeWindow, blockNumber, txHash, revoked, revocationReason }
+ *   indexed: false when the network has no checkpoint yet (fall back to the chain)
+ */
+async function getIndexedRootStatus(root, options = {}) {
+  const network = networks.resolveNetwork(options);
+  const contractAddress = blockchainService.contractAddressOf(network, 'anchorStore').toLowerCase();
+  const checkpoint = await ChainCheckpoint.findOne({ where: { chainId: network.chainId, contractAddress } });
+  if (!checkpoint) {
+    return { indexed: false };
+  }
+
+  const events = await ChainEvent.findAll({
+    where: { chainId: network.chainId, contractAddress, root: rootForms(root)[1] },
+    order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']],
+  });
+  const submitted = events.find(event => event.event === 'MerkleRootSubmitted');
+  const revoked = events.find(event => event.event === 'RootRevoked');
+
+  return {
+    indexed: true,
+    indexedThrough: Number(checkpoint.blockNumber),
+    anchored: !!submitted,
+    issuerId: submitted ? submitted.issuerId : null,
+    timeWindow: submitted ? String(submitted.timeWindow) : null,
+    blockNumber: submitted ? Number(submitted.blockNumber) : null,
+    txHash: submitted ? submitted.txHash : null,
+    revoked: !!revoked,
+    revocationReason: revoked ? revoked.reason : null,
+  };
+}
+
+/**
+ * Discrepancies flagged by the indexer
+ *
+ * @param {object} filter - { status (default 'open'), network, type }
+ * @returns {Promise<Array<object>>} - ChainDiscrepancy rows, oldest first
+ */
+async function listDiscrepancies(filter = {}) {
+  const where = { status: filter.status || 'open' };
+  if (filter.network) where.network = networks.requireNetwork(filter.network).name;
+  if (filter.type) where.type = filter.type;
+  return ChainDiscrepancy.findAll({ where, order: [['createdAt', 'ASC']] });
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  getIndexerConfig,
+  indexNetwork,
+  indexChains,
+  getIndexedRootStatus,
+  listDiscrepancies,
+};
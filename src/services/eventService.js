@@ -0,0 +1,194 @@
+const DocumentJobEvent = require('../models/DocumentJobEvent');
+const DocumentBatchEvent = require('../models/DocumentBatchEvent');
+const logger = require('../utils/logger');
+
+/**
+ * Issuance audit trail (document_job_events / document_batch_events)
+ *
+ * Events are appended at every stage change so the history of a certificate
+ * (rendered, signed, finalized, anchored, embedded) survives columns being
+ * overwritten later. Writing an event never fails the stage: errors are logged.
+ */
+
+// Hash columns copied into events when present (Justifai notation in comments)
+const JOB_HASH_FIELDS = [
+  'documentHash',       // H(d)
+  'dataHash',           // data_hash
+  'fingerprintHash',    // H(DI)
+  'merkleLeaf',         // L
+];
+
+const BATCH_HASH_FIELDS = [
+  'merkleRoot',         // MRI
+  'merkleRootUltimate', // MRU
+  'txHash',
+];
+
+/**
+ * Pick the non-empty hash values from a row
+ *
+ * @param {object} values - Row values (plain object)
+ * @param {Array<string>} fields - Hash fields to copy
+ * @returns {object|null} - Hashes, or null if none are set
+ */
+function pickHashes(values, fields) {
+  const hashes = {};
+  for (const field of fields) {
+    if (values[field]) hashes[field] = values[field];
+  }
+  return Object.keys(hashes).length > 0 ? hashes : null;
+}
+
+/**
+ * Merge hashes read from the row with hashes passed explicitly
+ *
+ * @param {object|null} rowHashes - Hashes picked from the row
+ * @param {object} extraHashes - Explicit hashes (win over row values)
+ * @returns {object|null} - Merged hashes, or null if there are none
+ */
+function mergeHashes(rowHashes, extraHashes) {
+  const hashes = { ...rowHashes, ...extraHashes };
+  return Object.keys(hashes).length > 0 ? hashes : null;
+}
+
+/**
+ * Append an event to a job's history
+ *
+ * @param {object|string} job - DocumentJob instance (hashes and batchId are taken from it) or job ID
+ * @param {object} event - Event data
+ * @param {string} event.stage - Pipeline stage ('render', 'sign', 'qr', 'embed', 'lease', ...)
+ * @param {string} event.event - What happened ('transition', 'completed', 'failed', 'reset', ...)
+ * @param {string} event.fromStatus - Status before (optional)
+ * @param {string} event.toStatus - Status after (optional)
+ * @param {string} event.actor - Worker id, API client, signer, ...
+ * @param {object} event.hashes - Extra hash values (merged over the job's own)
+ * @param {object} event.details - Stage specific context
+ * @param {number} event.durationMs - How long the stage took
+ * @returns {Promise<object|null>} - Created event, or null if it could not be written
+ */
+async function recordJobEvent(job, event) {
+  const values = typeof job === 'string' ? { id: job } : (job.get ? job.get({ plain: true }) : job);
+
+  try {
+    return await DocumentJobEvent.create({
+      jobId: values.id,
+      batchId: event.batchId || values.batchId || null,
+      stage: event.stage,
+      event: event.event,
+      fromStatus: event.fromStatus || null,
+      toStatus: event.toStatus || null,
+      actor: event.actor || null,
+      hashes: mergeHashes(pickHashes(values, JOB_HASH_FIELDS), event.hashes),
+      details: event.details || null,
+      durationMs: event.durationMs ?? null,
+      occurredAt: event.occurredAt || new Date(),
+    });
+  } catch (error) {
+    logger.error('Failed to record job event', { jobId: values.id, stage: event.stage, event: event.event, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Append the same event to several jobs (set-based updates such as claims or lease reaping)
+ *
+ * @param {Array<object|string>} jobs - Jobs ({ id, batchId }) or job IDs
+ * @param {object} event - Event data (see recordJobEvent)
+ * @returns {Promise<number>} - Number of events written
+ */
+async function recordJobEvents(jobs, event) {
+  if (jobs.length === 0) return 0;
+
+  try {
+    const occurredAt = event.occurredAt || new Date();
+    const rows = await DocumentJobEvent.bulkCreate(jobs.map(job => ({
+      jobId: typeof job === 'string' ? job : job.id,
+      batchId: typeof job === 'string' ? null : (job.batchId || null),
+      stage: event.stage,
+      event: event.event,
+      fromStatus: event.fromStatus || null,
+      toStatus: event.toStatus || null,
+      actor: event.actor || null,
+      details: event.details || null,
+      occurredAt,
+    })));
+    return rows.length;
+  } catch (error) {
+    logger.error('Failed to record job events', { count: jobs.length, stage: event.stage, error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Append an event to a batch's history
+ *
+ * @param {object|string} batch - DocumentBatch instance (hashes are taken from it) or batch ID
+ * @param {object} event - Event data (see recordJobEvent)
+ * @returns {Promise<object|null>} - Created event, or null if it could not be written
+ */
+async function recordBatchEvent(batch, event) {
+  const values = typeof batch === 'string' ? { id: batch } : (batch.get ? batch.get({ plain: true }) : batch);
+
+  try {
+    return await DocumentBatchEvent.create({
+      batchId: values.id,
+      stage: event.stage,
+      event: event.event,
+      fromStatus: event.fromStatus || null,
+      toStatus: event.toStatus || null,
+      actor: event.actor || null,
+      hashes: mergeHashes(pickHashes(values, BATCH_HASH_FIELDS), event.hashes),
+      details: event.details || null,
+      durationMs: event.durationMs ?? null,
+      occurredAt: event.occurredAt || new Date(),
+    });
+  } catch (error) {
+    logger.error('Failed to record batch event', { batchId: values.id, stage: event.stage, event: event.event, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Get the full history of a job, oldest first
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array>} - Job events
+ */
+async function getJobHistory(jobId) {
+  return DocumentJobEvent.findAll({
+    where: { jobId },
+    order: [['occurredAt', 'ASC'], ['createdAt', 'ASC']],
+  });
+}
+
+/**
+ * Get the full history of a batch, oldest first
+ *
+ * @param {string} batchId - Batch ID
+ * @param {object} options - Options
+ * @param {boolean} options.includeJobs - Also return the events of the batch's jobs
+ * @returns {Promise<object>} - { batchEvents, jobEvents }
+ */
+async function getBatchHistory(batchId, options = {}) {
+  const batchEvents = await DocumentBatchEvent.findAll({
+    where: { batchId },
+    order: [['occurredAt', 'ASC'], ['createdAt', 'ASC']],
+  });
+
+  const jobEvents = options.includeJobs
+    ? await DocumentJobEvent.findAll({
+      where: { batchId },
+      order: [['occurredAt', 'ASC'], ['createdAt', 'ASC']],
+    })
+    : [];
+
+  return { batchEvents, jobEvents };
+}
+
+module.exports = {
+  recordJobEvent,
+  recordJobEvents,
+  recordBatchEvent,
+  getJobHistory,
+  getBatchHistory,
+};
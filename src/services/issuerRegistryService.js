@@ -0,0 +1,493 @@
+const Tenant = require('../models/Tenant');
+const blockchainService = require('./blockchainService');
+const witnessService = require('./witnessService');
+const networks = require('../config/networks');
+const logger = require('../utils/logger');
+
+/**
+ * On-chain issuer identity (AnchorStore issuer registry)
+ *
+ * A tenant is registered as an AnchorStore issuer with a commitment to its
+ * signing public key (blockchainService.publicKeyToBytes32). Keys are replaced
+ * with rollKey (planned rotation, signed by the issuer owner) or
+ * recoverIssuerKey (lost / compromised key, admin only); AnchorStore keeps the
+ * history with the interval each key was valid in.
+ *
+ * The registry state is mirrored into the tenant record:
+ *   - tenants.public_key: current signing key (full hex)
+ *   - tenants.metadata.issuer: { issuerId, anchorIssuerId, network, owner, metadataURI,
+ *     registeredAt, active, keys: [{ publicKey, commitment, validFrom,
+ *     validUntil, txHash, operation }], vouches: { count, witnesses: [{ witness,
+ *     timestamp }] }, syncedAt }
+ *
+ * The chain only knows key commitments, so the mirror is what maps them back
+ * to full keys for verification bundles.
+ *
+ * Witnesses vouch for a registered issuer (AnchorStore.vouch) as independent
+ * attestation that it is legitimate; the signatures come from witnessService.
+ *
+ * An issuer is registered on the network its tenant anchors on
+ * (tenants.metadata.blockchain.network); later key changes go to the network
+ * recorded in the mirror.
+ */
+
+/**
+ * Build an issuer registry error
+ *
+ * @param {string} message - Error message
+ * @param {string} code - 'NOT_FOUND' | 'INVALID_ISSUER' | 'ISSUER_NOT_REGISTERED' | 'ISSUER_ALREADY_REGISTERED'
+ *   | 'INVALID_PUBLIC_KEY' | 'INVALID_METADATA_URI'
+ * @returns {Error}
+ */
+function issuerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.transient = false;
+  return error;
+}
+
+/**
+ * Load a tenant
+ *
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<object>} - Tenant
+ * @throws {Error} - code 'NOT_FOUND'
+ */
+async function loadTenant(tenantId) {
+  const tenant = await Tenant.findByPk(tenantId);
+  if (!tenant) {
+    throw issuerError(`Tenant not found: ${tenantId}`, 'NOT_FOUND');
+  }
+  return tenant;
+}
+
+/**
+ * Registry mirror of a tenant, throwing when the tenant is not registered
+ *
+ * @param {object} tenant - Tenant
+ * @returns {object} - tenants.metadata.issuer
+ */
+function registeredIssuer(tenant) {
+  const issuer = tenant.metadata?.issuer;
+  if (!issuer?.anchorIssuerId) {
+    throw issuerError(`Tenant ${tenant.id} is not registered as an issuer`, 'ISSUER_NOT_REGISTERED');
+  }
+  return issuer;
+}
+
+/**
+ * Network the issuer registry of a tenant lives on
+ *
+ * @param {object} tenant - Tenant
+ * @returns {string} - Network name
+ */
+function issuerNetwork(tenant) {
+  return tenant.metadata?.issuer?.network || networks.tenantNetworkName(tenant);
+}
+
+/**
+ * Validate a public key and return its on-chain commitment
+ *
+ * @param {string} publicKey - Public key hex
+ * @returns {object} - { publicKey (normalized hex), commitment }
+ * @throws {Error} - code 'INVALID_PUBLIC_KEY'
+ */
+function normalizePublicKey(publicKey) {
+  const hex = typeof publicKey === 'string' ? publicKey.trim().replace(/^0x/i, '').toLowerCase() : '';
+  // A bare bytes32 commitment cannot be mapped back to a key for verification bundles
+  if (!/^(02|03)[0-9a-f]{64}$|^04[0-9a-f]{128}$/.test(hex)) {
+    throw issuerError('publicKey must be a secp256k1 public key in hex (compressed or uncompressed)', 'INVALID_PUBLIC_KEY');
+  }
+  try {
+    return { publicKey: hex, commitment: blockchainService.publicKeyToBytes32(hex) };
+  } catch (error) {
+    throw issuerError(error.message, 'INVALID_PUBLIC_KEY');
+  }
+}
+
+/**
+ * Store the registry mirror on the tenant
+ *
+ * @param {object} tenant - Tenant
+ * @param {object} issuer - New tenants.metadata.issuer
+ * @param {string} currentKey - Current signing key (tenants.public_key)
+ */
+async function saveMirror(tenant, issuer, currentKey) {
+  // Reassign metadata so Sequelize sees the JSONB change
+  await tenant.update({
+    metadata: { ...(tenant.metadata || {}), issuer: { ...issuer, syncedAt: new Date().toISOString() } },
+    publicKey: currentKey,
+  });
+}
+
+/**
+ * Replace the current key in the mirror: close the open entry, append the new one
+ *
+ * The validity bounds use the local clock until the next syncIssuerKeys copies
+ * the on-chain values from getPublicKeyHistory.
+ */
+function appendKey(issuer, key, result, operation) {
+  const now = Math.floor(Date.now() / 1000);
+  const keys = (issuer.keys || []).map(entry =>
+    entry.validUntil === 0 ? { ...entry, validUntil: now } : entry
+  );
+  keys.push({
+    publicKey: key.publicKey,
+    commitment: key.commitment,
+    validFrom: now,
+    validUntil: 0,
+    txHash: result.txHash,
+    operation,
+  });
+  return keys;
+}
+
+/**
+ * Register a tenant as an AnchorStore issuer
+ *
+ * @param {string} tenantId - Tenant ID
+ * @param {object} params - { issuerId, publicKey, owner }
+ *   issuerId: registry identifier (same value as DocumentBatch.issuerId, hashed like putRoot)
+ *   publicKey: signing key (default: tenants.public_key)
+ *   owner: address allowed to roll the key (default: the worker wallet)
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - { tenantId, issuerId, anchorIssuerId, network, owner, commitment, txHash, blockNumber }
+ */
+async function registerIssuer(tenantId, params = {}, options = {}) {
+  const tenant = await loadTenant(tenantId);
+  if (tenant.metadata?.issuer?.anchorIssuerId) {
+    throw issuerError(`Tenant ${tenantId} is already registered as issuer ${tenant.metadata.issuer.issuerId}`, 'ISSUER_ALREADY_REGISTERED');
+  }
+  if (!params.issuerId) {
+    throw issuerError('issuerId is required', 'INVALID_ISSUER');
+  }
+
+  const key = normalizePublicKey(params.publicKey || tenant.publicKey);
+  const owner = params.owner || blockchainService.workerAddress();
+  const network = issuerNetwork(tenant);
+
+  const result = await blockchainService.registerIssuerOnChain(params.issuerId, owner, key.publicKey, { network });
+
+  const issuer = {
+    issuerId: params.issuerId,
+    anchorIssuerId: result.issuerId,
+    network,
+    owner,
+    metadataURI: null,
+    registeredAt: Math.floor(Date.now() / 1000),
+    active: true,
+    keys: appendKey({}, key, result, 'registerIssuer'),
+  };
+  await saveMirror(tenant, issuer, key.publicKey);
+
+  logger.info('Issuer registered', {
+    tenantId,
+    issuerId: result.issuerId,
+    network,
+    owner,
+    publicKey: key.commitment,
+    txHash: result.txHash,
+    actor: options.actor,
+  });
+
+  return {
+    tenantId,
+    issuerId: params.issuerId,
+    anchorIssuerId: result.issuerId,
+    network,
+    owner,
+    commitment: key.commitment,
+    txHash: result.txHash,
+    blockNumber: result.blockNumber,
+  };
+}
+
+/**
+ * Replace the issuer key on-chain and in the mirror
+ *
+ * @param {string} operation - 'rollKey' | 'recoverIssuerKey'
+ * @param {string} tenantId - Tenant ID
+ * @param {string} newPublicKey - New signing key
+ * @param {object} options - { actor, signature, ownerPrivateKey }
+ * @returns {Promise<object>}
+ */
+async function replaceKey(operation, tenantId, newPublicKey, options) {
+  const tenant = await loadTenant(tenantId);
+  const issuer = registeredIssuer(tenant);
+  const key = normalizePublicKey(newPublicKey);
+  const network = issuerNetwork(tenant);
+
+  const result = operation === 'rollKey'
+    ? await blockchainService.rollKeyOnChain(issuer.issuerId, key.publicKey, {
+      signature: options.signature,
+      ownerPrivateKey: options.ownerPrivateKey,
+      network,
+    })
+    : await blockchainService.recoverIssuerKeyOnChain(issuer.issuerId, key.publicKey, { network });
+
+  await saveMirror(tenant, { ...issuer, keys: appendKey(issuer, key, result, operation) }, key.publicKey);
+
+  logger.info(operation === 'rollKey' ? 'Issuer key rolled' : 'Issuer key recovered', {
+    tenantId,
+    issuerId: issuer.anchorIssuerId,
+    publicKey: key.commitment,
+    txHash: result.txHash,
+    actor: options.actor,
+  });
+
+  return {
+    tenantId,
+    issuerId: issuer.issuerId,
+    anchorIssuerId: issuer.anchorIssuerId,
+    commitment: key.commitment,
+    txHash: result.txHash,
+    blockNumber: result.blockNumber,
+  };
+}
+
+/**
+ * Roll the issuer key (planned rotation)
+ *
+ * rollKey must be authorized by the issuer owner: pass options.signature when the
+ * owner key is held elsewhere, otherwise it is signed with options.ownerPrivateKey
+ * or the worker key.
+ *
+ * @param {string} tenantId - Tenant ID
+ * @param {string} newPublicKey - New signing key
+ * @param {object} options - { actor, signature, ownerPrivateKey }
+ * @returns {Promise<object>} - { tenantId, issuerId, anchorIssuerId, commitment, txHash, blockNumber }
+ */
+async function rollIssuerKey(tenantId, newPublicKey, options = {}) {
+  return replaceKey('rollKey', tenantId, newPublicKey, options);
+}
+
+/**
+ * Replace a lost or compromised issuer key (admin recovery)
+ *
+ * Certificates signed with the old key stay valid for the interval it was
+ * registered in; combine with a time-window invalidation when the key leaked.
+ *
+ * @param {string} tenantId - Tenant ID
+ * @param {string} newPublicKey - New signing key
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - { tenantId, issuerId, anchorIssuerId, commitment, txHash, blockNumber }
+ */
+async function recoverIssuerKey(tenantId, newPublicKey, options = {}) {
+  return replaceKey('recoverIssuerKey', tenantId, newPublicKey, options);
+}
+
+/**
+ * Set the issuer metadata URI
+ *
+ * @param {string} tenantId - Tenant ID
+ * @param {string} uri - Metadata URI
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - { tenantId, anchorIssuerId, metadataURI, txHash, blockNumber }
+ */
+async function setIssuerMetadataURI(tenantId, uri, options = {}) {
+  const tenant = await loadTenant(tenantId);
+  const issuer = registeredIssuer(tenant);
+  const metadataURI = typeof uri === 'string' ? uri.trim() : '';
+  if (!metadataURI) {
+    throw issuerError('A metadata URI is required', 'INVALID_METADATA_URI');
+  }
+
+  const result = await blockchainService.setIssuerMetadataURIOnChain(issuer.issuerId, metadataURI, {
+    network: issuerNetwork(tenant),
+  });
+
+  await saveMirror(tenant, { ...issuer, metadataURI }, tenant.publicKey);
+
+  logger.info('Issuer metadata URI updated', {
+    tenantId,
+    issuerId: issuer.anchorIssuerId,
+    metadataURI,
+    txHash: result.txHash,
+    actor: options.actor,
+  });
+
+  return {
+    tenantId,
+    anchorIssuerId: issuer.anchorIssuerId,
+    metadataURI,
+    txHash: result.txHash,
+    blockNumber: result.blockNumber,
+  };
+}
+
+/**
+ * Collect witness vouches for the tenant's issuer and submit them
+ *
+ * Witnesses that already vouched are skipped; a witness that fails (revert,
+ * bad signature, webhook down) is reported and does not stop the others.
+ * The vouches on-chain afterwards are mirrored into tenants.metadata.issuer.vouches.
+ *
+ * @param {string} tenantId - Tenant ID
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - { tenantId, anchorIssuerId, network, vouchCount,
+ *   results: [{ witness, source, status: 'vouched' | 'already_vouched' | 'failed', txHash, error }] }
+ */
+async function vouchForIssuer(tenantId, options = {}) {
+  const tenant = await loadTenant(tenantId);
+  const issuer = registeredIssuer(tenant);
+  const network = issuerNetwork(tenant);
+
+  const before = await blockchainService.getIssuerVouches(issuer.issuerId, { network });
+  if (!before.checked) {
+    const error = new Error(`Could not read the vouches of issuer ${issuer.anchorIssuerId}: ${before.error}`);
+    error.transient = true;
+    throw error;
+  }
+  const vouched = new Set(before.vouches.map(entry => entry.witness.toLowerCase()));
+
+  const request = { ...blockchainService.vouchMessage(issuer.issuerId, { network }), tenantId, issuerName: issuer.issuerId };
+  const { signatures, rejected } = await witnessService.collectWitnessSignatures(request, vouched);
+
+  const results = rejected.map(entry => ({ ...entry, status: 'failed' }));
+  for (const { witness, signature, source, privateKey } of signatures) {
+    if (vouched.has(witness.toLowerCase())) {
+      results.push({ witness, source, status: 'already_vouched' });
+      continue;
+    }
+
+    try {
+      // Key witnesses send their own vouch; webhook signatures are relayed by the worker
+      const result = await blockchainService.vouchOnChain(issuer.issuerId, signature, { network, privateKey });
+      if (!result.witness || result.witness.toLowerCase() !== witness.toLowerCase()) {
+        results.push({ witness, source, status: 'failed', txHash: result.txHash, error: 'AnchorStore did not record the vouch for this witness' });
+        continue;
+      }
+      vouched.add(witness.toLowerCase());
+      results.push({ witness, source, status: 'vouched', txHash: result.txHash });
+    } catch (error) {
+      logger.warn('Witness vouch failed', { tenantId, issuerId: issuer.anchorIssuerId, witness, error: error.message });
+      results.push({ witness, source, status: 'failed', error: error.reason || error.message });
+    }
+  }
+
+  const after = await blockchainService.getIssuerVouches(issuer.issuerId, { network });
+  const vouches = after.checked
+    ? { count: after.count, witnesses: after.vouches }
+    : { count: vouched.size, witnesses: before.vouches };
+  await saveMirror(tenant, { ...issuer, vouches }, tenant.publicKey);
+
+  logger.info('Issuer vouches collected', {
+    tenantId,
+    issuerId: issuer.anchorIssuerId,
+    network,
+    vouchCount: vouches.count,
+    vouched: results.filter(entry => entry.status === 'vouched').length,
+    failed: results.filter(entry => entry.status === 'failed').length,
+    actor: options.actor,
+  });
+
+  return {
+    tenantId,
+    anchorIssuerId: issuer.anchorIssuerId,
+    network,
+    vouchCount: vouches.count,
+    results,
+  };
+}
+
+/**
+ * Copy the on-chain issuer state, key history and vouches into the tenant mirror
+ *
+ * Validity bounds come from getPublicKeyHistory; full keys are matched to
+ * their commitments from the mirror. Commitments the mirror has no key for
+ * (key changed outside this service) are kept with publicKey null.
+ *
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<object>} - tenants.metadata.issuer after the sync
+ */
+async function syncIssuerKeys(tenantId) {
+  const tenant = await loadTenant(tenantId);
+  const issuer = registeredIssuer(tenant);
+
+  const onChain = await blockchainService.getIssuerKeyHistory(issuer.issuerId, { network: issuerNetwork(tenant) });
+  if (!onChain.checked) {
+    const error = new Error(`Could not read issuer ${issuer.anchorIssuerId} from AnchorStore: ${onChain.error}`);
+    error.transient = true;
+    throw error;
+  }
+  if (!onChain.registered) {
+    throw issuerError(`Issuer ${issuer.anchorIssuerId} is not registered on AnchorStore`, 'ISSUER_NOT_REGISTERED');
+  }
+
+  const known = new Map((issuer.keys || []).map(entry => [entry.commitment, entry]));
+  const keys = onChain.history.map(entry => {
+    const mirrored = known.get(entry.publicKey);
+    return {
+      publicKey: mirrored?.publicKey || null,
+      commitment: entry.publicKey,
+      validFrom: entry.validFrom,
+      validUntil: entry.validUntil,
+      txHash: mirrored?.txHash || null,
+      operation: mirrored?.operation || null,
+    };
+  });
+
+  const synced = {
+    ...issuer,
+    owner: onChain.owner,
+    metadataURI: onChain.metadataURI,
+    registeredAt: onChain.registeredAt,
+    active: onChain.active,
+    keys,
+  };
+
+  const vouches = await blockchainService.getIssuerVouches(issuer.issuerId, { network: issuerNetwork(tenant) });
+  if (vouches.checked) {
+    synced.vouches = { count: vouches.count, witnesses: vouches.vouches };
+  }
+
+  const current = keys.find(entry => entry.commitment === onChain.publicKey);
+  if (!current?.publicKey) {
+    logger.warn('Current issuer key is not in the tenant mirror', { tenantId, commitment: onChain.publicKey });
+  }
+
+  await saveMirror(tenant, synced, current?.publicKey || tenant.publicKey);
+  return { ...synced };
+}
+
+/**
+ * Mirrored key the tenant had registered at a point in time
+ *
+ * @param {object} tenant - Tenant (with metadata)
+ * @param {number} timestamp - Unix seconds
+ * @returns {string|null} - Full public key hex, or null when unknown
+ */
+function registeredKeyAt(tenant, timestamp) {
+  const keys = tenant?.metadata?.issuer?.keys;
+  if (!keys || !keys.length) {
+    return null;
+  }
+  const entry = blockchainService.findKeyValidAt(keys, timestamp);
+  return entry?.publicKey || null;
+}
+
+/**
+ * Witness vouch count mirrored for an issuer (VD witnessVouches)
+ *
+ * @param {object} tenant - Tenant (with metadata)
+ * @param {string} anchorIssuerId - bytes32 issuerId the batch was anchored under
+ * @returns {number|null} - null when the tenant's issuer is another one or vouches were never read
+ */
+function recordedVouchCount(tenant, anchorIssuerId) {
+  const issuer = tenant?.metadata?.issuer;
+  if (!anchorIssuerId || !issuer?.vouches || issuer.anchorIssuerId !== anchorIssuerId) {
+    return null;
+  }
+  return issuer.vouches.count;
+}
+
+module.exports = {
+  registerIssuer,
+  rollIssuerKey,
+  recoverIssuerKey,
+  setIssuerMetadataURI,
+  syncIssuerKeys,
+  vouchForIssuer,
+  registeredKeyAt,
+  recordedVouchCount,
+};
@@ -1,21 +1,87 @@
 const DocumentJob = require('../models/DocumentJob');
 const DocumentBatch = require('../models/DocumentBatch');
 const DocumentTemplate = require('../models/DocumentTemplate');
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { planRetry, getRetryConfig } = require('../utils/retryPolicy');
+const { transition } = require('./stateMachine');
+const { recordJobEvents } = require('./eventService');
+const { HALTED_BATCH_STATUSES } = require('./batchControlService');
+const { getSchedulingConfig } = require('../config/worker');
 const logger = require('../utils/logger');
 
+// lastTransition record for set-based status updates (see stateMachine.transition)
+const transitionSql = (from, to, actor, reason) =>
+  `jsonb_build_object('field', 'status', 'from', ${from}, 'to', ${to}, 'actor', ${actor}, 'reason', '${reason}', 'at', NOW())`;
+
 /**
  * Fetch pending jobs from the database
+ * Jobs waiting out a retry backoff (nextAttemptAt in the future) and jobs of
+ * paused or cancelled batches are skipped.
+ *
+ * Jobs are ordered by priority (the higher of job and batch priority), then
+ * fairly across tenants: each tenant's jobs are numbered oldest first and the
+ * number is divided by the tenant's weight (tenants.metadata.scheduling.weight),
+ * so tenants take turns instead of the oldest upload running to completion.
  * @param {number} limit - Maximum number of jobs to fetch
- * @returns {Promise<Array>} - Array of pending jobs
+ * @returns {Promise<Array>} - Array of pending jobs (batch included), in scheduling order
  */
 async function fetchPendingJobs(limit = 5) {
   try {
+    const { defaultTenantWeight } = getSchedulingConfig();
+
+    const rows = await sequelize.query(
+      `WITH eligible AS (
+         SELECT j.id,
+                b."tenantId" AS tenant_id,
+                GREATEST(j.priority, b.priority) AS effective_priority,
+                j."createdAt" AS created_at,
+                ROW_NUMBER() OVER (
+                  PARTITION BY b."tenantId", GREATEST(j.priority, b.priority)
+                  ORDER BY j."createdAt" ASC
+                ) AS tenant_position
+           FROM document_jobs j
+           JOIN document_batches b ON b.id = j."batchId"
+          WHERE j.status = 'Pending'
+            AND (j.next_attempt_at IS NULL OR j.next_attempt_at <= NOW())
+            AND b.status NOT IN (:haltedStatuses)
+       )
+       SELECT e.id
+         FROM eligible e
+         LEFT JOIN tenants t ON t.id = e.tenant_id
+        WHERE e.tenant_position <= :limit
+        ORDER BY e.effective_priority DESC,
+                 e.tenant_position / COALESCE(NULLIF(CASE
+                   WHEN t.metadata #>> '{scheduling,weight}' ~ '^[0-9]*\\.?[0-9]+$'
+                   THEN (t.metadata #>> '{scheduling,weight}')::numeric
+                 END, 0), CAST(:defaultWeight AS numeric)) ASC,
+                 e.created_at ASC
+        LIMIT :limit`,
+      {
+        replacements: { limit, haltedStatuses: HALTED_BATCH_STATUSES, defaultWeight: defaultTenantWeight },
+        type: QueryTypes.SELECT,
+      }
+    );
+
+    if (rows.length === 0) {
+      logger.debug('Fetched 0 pending jobs');
+      return [];
+    }
+
+    const ids = rows.map(row => row.id);
     const jobs = await DocumentJob.findAll({
-      where: { status: 'Pending' },
-      limit,
-      order: [['createdAt', 'ASC']], // Process oldest first
+      where: { id: { [Op.in]: ids } },
+      include: [{
+        model: DocumentBatch,
+        as: 'batch',
+        attributes: ['id', 'status', 'tenantId', 'priority'],
+      }],
     });
 
+    // findAll does not keep the scheduling order
+    const position = new Map(ids.map((id, index) => [id, index]));
+    jobs.sort((a, b) => position.get(a.id) - position.get(b.id));
+
     logger.debug(`Fetched ${jobs.length} pending jobs`);
     return jobs;
   } catch (error) {
@@ -24,6 +90,64 @@ async function fetchPendingJobs(limit = 5) {
   }
 }
 
+/**
+ * Claim pending jobs for this worker under a processing lease
+ *
+ * Candidates come from fetchPendingJobs(); each one is then claimed atomically
+ * with FOR UPDATE SKIP LOCKED so concurrent replicas never claim the same job.
+ *
+ * @param {number} limit - Maximum number of jobs to claim
+ * @param {string} workerId - Lease owner
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<Array>} - Claimed jobs (in fetch order)
+ */
+async function claimPendingJobs(limit, workerId, leaseMs) {
+  try {
+    const candidates = await fetchPendingJobs(limit);
+    if (candidates.length === 0) return [];
+
+    const [rows] = await sequelize.query(
+      `UPDATE document_jobs
+         SET status = 'Processing',
+             locked_by = :workerId,
+             lease_expires_at = NOW() + (:leaseMs * INTERVAL '1 millisecond'),
+             last_transition = ${transitionSql("'Pending'", "'Processing'", ':workerId', 'claim')},
+             "updatedAt" = NOW()
+       WHERE id IN (
+         SELECT id FROM document_jobs
+          WHERE id IN (:ids) AND status = 'Pending'
+            AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+            AND NOT EXISTS (
+              SELECT 1 FROM document_batches b
+               WHERE b.id = document_jobs."batchId" AND b.status IN ('Paused', 'Cancelled'))
+          FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id`,
+      {
+        replacements: { workerId, leaseMs, ids: candidates.map(job => job.id) },
+      }
+    );
+
+    const claimedIds = new Set(rows.map(row => row.id));
+    const claimed = candidates.filter(job => claimedIds.has(job.id));
+
+    await recordJobEvents(claimed, {
+      stage: 'lease',
+      event: 'claimed',
+      fromStatus: 'Pending',
+      toStatus: 'Processing',
+      actor: workerId,
+      details: { leaseMs },
+    });
+
+    logger.debug(`Claimed ${claimed.length}/${candidates.length} pending jobs`, { workerId });
+    return claimed;
+  } catch (error) {
+    logger.error('Error claiming pending jobs:', error);
+    throw error;
+  }
+}
+
 /**
  * Get job with associated template and batch information
  * @param {string} jobId - Job ID
@@ -64,19 +188,64 @@ async function getJobWithTemplate(jobId) {
 
 /**
  * Update job status and related fields
+ *
+ * Goes through the state machine (stateMachine.transition), so illegal moves
+ * and states missing their required fields are rejected. Leaving 'Processing'
+ * releases the processing lease. When `options.workerId` is given, the update
+ * only applies while that worker still holds the lease, so a worker whose
+ * lease was reaped cannot overwrite the new owner's result.
+ *
  * @param {string} jobId - Job ID
  * @param {string} status - New status
  * @param {object} updates - Additional fields to update
- * @returns {Promise<void>}
+ * @param {object} options - Optional settings
+ * @param {string} options.workerId - Require the lease to be held by this worker
+ * @param {string} options.actor - Who triggered the change (default: workerId or 'system')
+ * @param {string} options.reason - What triggered the change
+ * @param {string} options.stage - Pipeline stage recorded in the job's event history
+ * @param {object} options.details - Extra context recorded in the event history
+ * @param {number} options.durationMs - Stage duration recorded in the event history
+ * @returns {Promise<boolean>} - False if the lease was lost (or the job changed concurrently) and nothing was written
  */
-async function updateJobStatus(jobId, status, updates = {}) {
+async function updateJobStatus(jobId, status, updates = {}, options = {}) {
   try {
-    await DocumentJob.update(
-      { status, ...updates },
-      { where: { id: jobId } }
-    );
+    const job = await DocumentJob.findByPk(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    const values = { ...updates };
+    if (status !== 'Processing') {
+      values.lockedBy = null;
+      values.leaseExpiresAt = null;
+    }
+
+    const where = {};
+    if (options.workerId) {
+      if (job.status !== 'Processing' || job.lockedBy !== options.workerId) {
+        logger.warn('Processing lease lost, job status not updated', { jobId, status, workerId: options.workerId });
+        return false;
+      }
+      where.lockedBy = options.workerId;
+    }
+
+    const applied = await transition(job, status, {
+      updates: values,
+      actor: options.actor || options.workerId || 'system',
+      reason: options.reason || null,
+      stage: options.stage,
+      details: options.details,
+      durationMs: options.durationMs,
+      where,
+    });
+
+    if (!applied) {
+      logger.warn('Job changed concurrently, status not updated', { jobId, status, workerId: options.workerId });
+      return false;
+    }
 
     logger.info('Job status updated', { jobId, status, updates });
+    return true;
   } catch (error) {
     logger.error('Error updating job status:', error);
     throw error;
@@ -85,31 +254,288 @@ async function updateJobStatus(jobId, status, updates = {}) {
 
 /**
  * Mark job as processing to prevent duplicate processing
+ *
+ * Claims the job under a processing lease. Succeeds if the job is Pending, or if
+ * this worker already holds its lease (the lease is then extended), and its
+ * batch is not paused or cancelled.
+ *
  * @param {string} jobId - Job ID
+ * @param {string} workerId - Lease owner
+ * @param {number} leaseMs - Lease duration in milliseconds
  * @returns {Promise<boolean>} - True if successfully marked as processing
  */
-async function markJobAsProcessing(jobId) {
+async function markJobAsProcessing(jobId, workerId, leaseMs) {
   try {
-    const [affectedRows] = await DocumentJob.update(
-      { status: 'Processing' },
-      {
-        where: {
-          id: jobId,
-          status: 'Pending' // Only update if still pending
-        }
-      }
+    const [rows] = await sequelize.query(
+      `WITH prev AS (
+         SELECT id, status FROM document_jobs WHERE id = :jobId FOR UPDATE
+       )
+       UPDATE document_jobs j
+         SET last_transition = CASE WHEN prev.status = 'Pending'
+                                    THEN ${transitionSql("'Pending'", "'Processing'", ':workerId', 'claim')}
+                                    ELSE j.last_transition END,
+             status = 'Processing',
+             locked_by = :workerId,
+             lease_expires_at = NOW() + (:leaseMs * INTERVAL '1 millisecond'),
+             "updatedAt" = NOW()
+        FROM prev
+       WHERE j.id = prev.id
+         AND ((prev.status = 'Pending' AND (j.next_attempt_at IS NULL OR j.next_attempt_at <= NOW()))
+           OR (prev.status = 'Processing' AND j.locked_by = :workerId))
+         AND NOT EXISTS (
+           SELECT 1 FROM document_batches b
+            WHERE b.id = j."batchId" AND b.status IN ('Paused', 'Cancelled'))
+       RETURNING j.id, j."batchId", prev.status AS "previousStatus"`,
+      { replacements: { jobId, workerId, leaseMs } }
     );
 
-    return affectedRows > 0;
+    if (rows.length > 0 && rows[0].previousStatus === 'Pending') {
+      await recordJobEvents(rows, {
+        stage: 'lease',
+        event: 'claimed',
+        fromStatus: 'Pending',
+        toStatus: 'Processing',
+        actor: workerId,
+        details: { leaseMs },
+      });
+    }
+
+    return rows.length > 0;
   } catch (error) {
     logger.error('Error marking job as processing:', error);
     return false;
   }
 }
 
+/**
+ * Extend the leases this worker holds (heartbeat)
+ *
+ * @param {Array<string>} jobIds - Jobs currently being processed by this worker
+ * @param {string} workerId - Lease owner
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<number>} - Number of leases renewed
+ */
+async function renewJobLeases(jobIds, workerId, leaseMs) {
+  if (jobIds.length === 0) return 0;
+
+  const [rows] = await sequelize.query(
+    `UPDATE document_jobs
+       SET lease_expires_at = NOW() + (:leaseMs * INTERVAL '1 millisecond')
+     WHERE id IN (:jobIds) AND status = 'Processing' AND locked_by = :workerId
+     RETURNING id`,
+    { replacements: { jobIds, workerId, leaseMs } }
+  );
+
+  return rows.length;
+}
+
+/**
+ * Return jobs held by this worker to Pending without counting an attempt
+ * (used on graceful shutdown for jobs that did not finish in time)
+ *
+ * @param {Array<string>} jobIds - Job IDs
+ * @param {string} workerId - Lease owner
+ * @returns {Promise<number>} - Number of jobs released
+ */
+async function releaseJobLeases(jobIds, workerId) {
+  if (jobIds.length === 0) return 0;
+
+  const [rows] = await sequelize.query(
+    `UPDATE document_jobs
+       SET status = 'Pending',
+           locked_by = NULL,
+           lease_expires_at = NULL,
+           last_transition = ${transitionSql("'Processing'", "'Pending'", ':workerId', 'shutdown')},
+           "updatedAt" = NOW()
+     WHERE id IN (:jobIds) AND status = 'Processing' AND locked_by = :workerId
+     RETURNING id, "batchId"`,
+    { replacements: { jobIds, workerId } }
+  );
+
+  await recordJobEvents(rows, {
+    stage: 'lease',
+    event: 'released',
+    fromStatus: 'Processing',
+    toStatus: 'Pending',
+    actor: workerId,
+    details: { reason: 'shutdown' },
+  });
+
+  return rows.length;
+}
+
+/**
+ * Return jobs with expired processing leases to Pending (stale-job reaper)
+ *
+ * Also picks up legacy 'Processing' rows without a lease once they have not
+ * been touched for a full lease period. Each reaped job counts one attempt;
+ * a job that keeps losing its worker (e.g. it crashes the browser every time)
+ * is dead-lettered once it reaches JOB_MAX_ATTEMPTS.
+ *
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<Array>} - Reaped jobs ({ id, previousOwner, attempts })
+ */
+async function reapExpiredLeases(leaseMs) {
+  try {
+    const [rows] = await sequelize.query(
+      `WITH expired AS (
+         SELECT id, locked_by FROM document_jobs
+          WHERE status = 'Processing'
+            AND (lease_expires_at < NOW()
+              OR (lease_expires_at IS NULL AND "updatedAt" < NOW() - (:leaseMs * INTERVAL '1 millisecond')))
+          FOR UPDATE SKIP LOCKED
+       )
+       UPDATE document_jobs j
+          SET status = CASE WHEN j.attempts + 1 >= :maxAttempts
+                            THEN 'DeadLettered'::"enum_document_jobs_status"
+                            ELSE 'Pending'::"enum_document_jobs_status" END,
+              locked_by = NULL,
+              lease_expires_at = NULL,
+              attempts = j.attempts + 1,
+              error_type = 'transient',
+              "errorMessage" = CASE WHEN j.attempts + 1 >= :maxAttempts
+                                    THEN 'Processing lease expired too many times'
+                                    ELSE j."errorMessage" END,
+              last_transition = ${transitionSql(
+                "'Processing'",
+                `CASE WHEN j.attempts + 1 >= :maxAttempts THEN 'DeadLettered' ELSE 'Pending' END`,
+                "'lease-reaper'",
+                'lease expired'
+              )},
+              "updatedAt" = NOW()
+         FROM expired
+        WHERE j.id = expired.id
+       RETURNING j.id, j."batchId", expired.locked_by AS "previousOwner", j.attempts, j.status`,
+      { replacements: { leaseMs, maxAttempts: getRetryConfig().maxAttempts } }
+    );
+
+    if (rows.length > 0) {
+      logger.warn('Returned jobs with expired leases to Pending', { count: rows.length, jobs: rows });
+    }
+
+    for (const status of ['Pending', 'DeadLettered']) {
+      const reaped = rows.filter(row => row.status === status);
+      await recordJobEvents(reaped, {
+        stage: 'lease',
+        event: 'lease_expired',
+        fromStatus: 'Processing',
+        toStatus: status,
+        actor: 'lease-reaper',
+        details: { previousOwners: [...new Set(reaped.map(row => row.previousOwner))] },
+      });
+    }
+
+    const deadLettered = rows.filter(row => row.status === 'DeadLettered');
+    if (deadLettered.length > 0) {
+      logger.error('Dead-lettered jobs after repeated lease expiry', { jobIds: deadLettered.map(row => row.id) });
+    }
+
+    return rows;
+  } catch (error) {
+    logger.error('Error reaping expired job leases:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a failed stage attempt and apply the retry policy
+ *
+ * Transient failures are rescheduled into `retryStatus` with an exponential
+ * backoff (`nextAttemptAt`) until JOB_MAX_ATTEMPTS is reached, after which the
+ * job is moved to 'DeadLettered'. Permanent failures go straight to 'Failed'.
+ *
+ * @param {string} jobId - Job ID
+ * @param {Error} error - Error thrown by the stage
+ * @param {object} options - Stage settings
+ * @param {string} options.stage - Stage name for logging ('render' | 'qr' | 'embed')
+ * @param {string} options.retryStatus - Status that puts the job back in the stage queue
+ * @param {string} options.workerId - Require the processing lease (render stage only)
+ * @returns {Promise<object>} - Retry plan plus the status written (null if the lease was lost)
+ */
+async function recordJobFailure(jobId, error, options = {}) {
+  const { stage = 'render', retryStatus = 'Pending', workerId } = options;
+
+  // Read the attempt count fresh; callers often hold an instance loaded before the stage ran
+  const job = await DocumentJob.findByPk(jobId, { attributes: ['id', 'attempts'] });
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+
+  const plan = planRetry(error, job.attempts || 0);
+
+  let status = 'Failed';
+  if (plan.retry) status = retryStatus;
+  else if (plan.deadLettered) status = 'DeadLettered';
+
+  const updates = {
+    errorMessage: error.message,
+    errorType: plan.errorType,
+    attempts: plan.attempts,
+    nextAttemptAt: plan.nextAttemptAt,
+  };
+
+  const written = await updateJobStatus(jobId, status, updates, {
+    workerId,
+    stage,
+    reason: `${stage} failed`,
+    details: {
+      error: error.message,
+      errorType: plan.errorType,
+      attempts: plan.attempts,
+      nextAttemptAt: plan.nextAttemptAt,
+    },
+  });
+
+  const context = {
+    jobId,
+    stage,
+    status,
+    errorType: plan.errorType,
+    attempts: plan.attempts,
+    nextAttemptAt: plan.nextAttemptAt,
+    error: error.message,
+  };
+  // A lost lease means the reaper already rescheduled the job; nothing to log here
+  if (!written) {
+    return { ...plan, status: null };
+  }
+
+  if (plan.retry) {
+    logger.warn('Job stage failed, retry scheduled', context);
+  } else if (plan.deadLettered) {
+    logger.error('Job dead-lettered after exhausting retries', context);
+  } else {
+    logger.error('Job failed permanently', context);
+  }
+
+  return { ...plan, status };
+}
+
+/**
+ * Clear retry bookkeeping after a stage succeeds, so the next stage starts
+ * with a fresh attempt budget
+ *
+ * @param {object} job - DocumentJob instance
+ * @returns {Promise<void>}
+ */
+async function resetJobRetryState(job) {
+  if (!job.attempts && !job.nextAttemptAt && !job.errorType) return;
+
+  await DocumentJob.update(
+    { attempts: 0, nextAttemptAt: null, errorType: null, errorMessage: null },
+    { where: { id: job.id } }
+  );
+}
+
 module.exports = {
   fetchPendingJobs,
+  claimPendingJobs,
   getJobWithTemplate,
   updateJobStatus,
   markJobAsProcessing,
+  renewJobLeases,
+  releaseJobLeases,
+  reapExpiredLeases,
+  recordJobFailure,
+  resetJobRetryState,
 };
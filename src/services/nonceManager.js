@@ -0,0 +1,140 @@
+const logger = require('../utils/logger');
+
+/**
+ * Local nonce manager for the worker wallet
+ *
+ * Anchoring, revocation, issuer registry and vouch transactions are all sent
+ * from the same key, concurrently and from more than one node (the mru role and
+ * /admin). Letting ethers read the pending transaction count for each of them
+ * hands out the same nonce twice, and a transaction the node dropped leaves a
+ * gap nobody fills. Nonces are handed out here instead, one at a time per
+ * address and chain, starting from the larger of the node's pending count and
+ * the highest nonce we know is still in flight.
+ *
+ * withReservedNonce() is what the senders use: it holds the cluster-wide signer
+ * lock (see stageLock) from the reservation until the transaction is broadcast
+ * or persisted, so another node never signs with the same nonce.
+ */
+
+// chainId:address (lowercase) -> { next, queue }
+const accounts = new Map();
+
+function accountKey(address, chainId) {
+  return `${chainId || ''}:${address.toLowerCase()}`;
+}
+
+function accountState(address, chainId) {
+  const key = accountKey(address, chainId);
+  if (!accounts.has(key)) {
+    accounts.set(key, { next: null, queue: Promise.resolve() });
+  }
+  return accounts.get(key);
+}
+
+/**
+ * Reserve the next nonce for a signer
+ *
+ * @param {object} signer - ethers Wallet connected to a provider
+ * @param {number} floor - Lowest acceptable nonce (e.g. highest persisted in-flight nonce + 1)
+ * @param {number} chainId - Chain the transaction is for (nonces are counted per chain)
+ * @returns {Promise<number>} - Nonce to sign the transaction with
+ */
+async function reserveNonce(signer, floor = 0, chainId = null) {
+  const address = await signer.getAddress();
+  const state = accountState(address, chainId);
+
+  // Serialize reservations per address
+  const reservation = state.queue.then(async () => {
+    if (state.next === null) {
+      state.next = await signer.getTransactionCount('pending');
+      logger.debug('Nonce manager synced', { address, chainId, next: state.next });
+    }
+    const nonce = Math.max(state.next, floor);
+    state.next = nonce + 1;
+    return nonce;
+  });
+  state.queue = reservation.catch(() => {});
+
+  return reservation;
+}
+
+/**
+ * Reserve the next nonce for a signer under its cluster-wide lock and use it
+ *
+ * The local count is resynced with the node's pending count under the lock,
+ * since other nodes may have sent from the key since. Reservations of this
+ * process queue here rather than on the lock, so each waits without holding a
+ * pooled connection.
+ *
+ * @param {object} signer - ethers Wallet connected to a provider
+ * @param {number} chainId - Chain the transaction is for (nonces are counted per chain)
+ * @param {function} use - async (nonce) => result; signs and broadcasts or persists the transaction
+ * @param {function} floor - async () => lowest acceptable nonce, read under the lock
+ * @returns {Promise<*>} - Result of use
+ */
+async function withReservedNonce(signer, chainId, use, floor = async () => 0) {
+  const { withSignerLock } = require('./stageLock');
+  const address = await signer.getAddress();
+  const state = accountState(address, chainId);
+
+  const run = state.queue.then(() => withSignerLock(address, chainId, async () => {
+    const pending = await signer.getTransactionCount('pending');
+    const nonce = Math.max(pending, state.next ?? 0, await floor());
+    if (state.next !== null && nonce !== state.next) {
+      logger.debug('Nonce manager resynced', { address, chainId, next: nonce });
+    }
+    state.next = nonce + 1;
+    return use(nonce);
+  }));
+  state.queue = run.catch(() => {});
+
+  return run;
+}
+
+/**
+ * Give back a nonce whose transaction was never broadcast
+ *
+ * Only the most recent reservation can be handed out again; for an older one the
+ * next reservation resyncs with the node instead of leaving a gap.
+ *
+ * @param {string} address - Signer address
+ * @param {number} nonce - Reserved nonce
+ * @param {number} chainId - Chain the nonce was reserved on
+ */
+function releaseNonce(address, nonce, chainId = null) {
+  const state = accountState(address, chainId);
+  if (state.next === nonce + 1) {
+    state.next = nonce;
+  } else {
+    state.next = null;
+  }
+}
+
+/**
+ * Forget the local nonce so the next reservation resyncs with the node
+ * (e.g. after "nonce too low")
+ *
+ * @param {string} address - Signer address (all addresses when omitted)
+ * @param {number} chainId - Chain to resync (every chain of the address when omitted)
+ */
+function resetNonce(address, chainId) {
+  if (!address) {
+    accounts.clear();
+  } else if (chainId !== undefined && chainId !== null) {
+    accountState(address, chainId).next = null;
+  } else {
+    const suffix = `:${address.toLowerCase()}`;
+    for (const [key, state] of accounts) {
+      if (key.endsWith(suffix)) {
+        state.next = null;
+      }
+    }
+  }
+}
+
+module.exports = {
+  reserveNonce,
+  withReservedNonce,
+  releaseNonce,
+  resetNonce,
+};
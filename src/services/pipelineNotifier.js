@@ -0,0 +1,317 @@
+const { Client } = require('pg');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Pipeline wakeups over Postgres LISTEN/NOTIFY
+ *
+ * Each pipeline stage has its own channel. Notifications are sent by database
+ * triggers (installPipelineTriggers) when rows written by the platform backend
+ * change state, and by the worker itself after each stage transition
+ * (notifyStage). Stage loops wait on waitForWork(), which returns as soon as a
+ * notification arrives or the safety-net poll interval elapses.
+ */
+
+// Channel per pipeline stage (see WORKER_ROLES)
+const PIPELINE_CHANNELS = {
+  render: 'pipeline_render',
+  mri: 'pipeline_mri',
+  mru: 'pipeline_mru',
+  qr: 'pipeline_qr',
+  embed: 'pipeline_embed',
+};
+
+const RECONNECT_DELAY_MS = 5000;
+
+let client = null;
+let listening = false;
+let stopped = false;
+let reconnectTimer = null;
+const waiters = new Map(); // role -> Set of resolve callbacks
+const pendingWakeups = new Set(); // roles notified while no loop was waiting
+
+/**
+ * Whether LISTEN/NOTIFY wakeups are enabled (PIPELINE_NOTIFY, default true)
+ *
+ * @returns {boolean}
+ */
+function isNotifyEnabled() {
+  return String(process.env.PIPELINE_NOTIFY || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Whether the listener connection is currently up
+ *
+ * @returns {boolean}
+ */
+function isListening() {
+  return listening;
+}
+
+/**
+ * Wake the loops waiting on a stage (or remember the wakeup for the next wait)
+ *
+ * @param {string} role - Pipeline stage
+ */
+function wake(role) {
+  const roleWaiters = waiters.get(role);
+  if (!roleWaiters || roleWaiters.size === 0) {
+    pendingWakeups.add(role);
+    return;
+  }
+
+  waiters.delete(role);
+  roleWaiters.forEach(resolve => resolve(true));
+}
+
+/**
+ * Open a dedicated connection and LISTEN on the channels of the given stages
+ *
+ * The connection is re-established automatically if it drops. While it is
+ * down, waitForWork() simply falls back to its timeout.
+ *
+ * @param {Array<string>} roles - Stages to listen for
+ * @returns {Promise<boolean>} - True if the listener is connected
+ */
+async function startListening(roles) {
+  stopped = false;
+  const channels = roles.map(role => PIPELINE_CHANNELS[role]).filter(Boolean);
+  if (channels.length === 0) return false;
+
+  const { host, port, username, password, database, dialectOptions } = sequelize.config;
+  const pgClient = new Client({
+    host,
+    port,
+    user: username,
+    password,
+    database,
+    ssl: dialectOptions?.ssl || false,
+  });
+
+  const scheduleReconnect = () => {
+    if (client === pgClient) {
+      client = null;
+      listening = false;
+      pgClient.end().catch(() => {});
+    }
+    if (stopped || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      startListening(roles).catch(() => {});
+    }, RECONNECT_DELAY_MS);
+    reconnectTimer.unref();
+  };
+
+  pgClient.on('notification', (msg) => {
+    const role = Object.keys(PIPELINE_CHANNELS).find(key => PIPELINE_CHANNELS[key] === msg.channel);
+    if (role) {
+      logger.debug('Pipeline wakeup received', { channel: msg.channel, payload: msg.payload });
+      wake(role);
+    }
+  });
+
+  pgClient.on('error', (error) => {
+    logger.warn('Pipeline listener connection error, reconnecting', { error: error.message });
+    scheduleReconnect();
+  });
+
+  pgClient.on('end', () => {
+    if (!stopped) scheduleReconnect();
+  });
+
+  try {
+    await pgClient.connect();
+    for (const channel of channels) {
+      await pgClient.query(`LISTEN ${channel}`);
+    }
+  } catch (error) {
+    logger.warn('Failed to start pipeline listener, relying on polling', { error: error.message });
+    pgClient.removeAllListeners('end');
+    pgClient.end().catch(() => {});
+    scheduleReconnect();
+    return false;
+  }
+
+  client = pgClient;
+  listening = true;
+
+  // Anything may have changed while we were disconnected
+  roles.forEach(wake);
+
+  logger.info('Listening for pipeline wakeups', { channels });
+  return true;
+}
+
+/**
+ * Close the listener connection and release all waiting loops
+ */
+async function stopListening() {
+  stopped = true;
+  listening = false;
+
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+
+  for (const role of [...waiters.keys()]) {
+    wake(role);
+  }
+
+  if (client) {
+    const pgClient = client;
+    client = null;
+    await pgClient.end().catch(() => {});
+  }
+}
+
+/**
+ * Wait until a stage is notified or the timeout elapses
+ *
+ * A notification that arrived while the stage was busy is not lost: the next
+ * call returns immediately.
+ *
+ * @param {string} role - Pipeline stage
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} - True if woken by a notification, false on timeout
+ */
+function waitForWork(role, timeoutMs) {
+  if (pendingWakeups.delete(role)) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    let timer = null;
+    const done = (notified) => {
+      clearTimeout(timer);
+      waiters.get(role)?.delete(done);
+      resolve(notified);
+    };
+
+    timer = setTimeout(() => done(false), timeoutMs);
+    if (!waiters.has(role)) waiters.set(role, new Set());
+    waiters.get(role).add(done);
+  });
+}
+
+/**
+ * Notify a stage that it has work (from this or any other worker process)
+ *
+ * Failures are logged and ignored: the safety-net poll picks the work up anyway.
+ *
+ * @param {string} role - Pipeline stage to wake
+ * @param {object} payload - Optional context (e.g. { jobId } or { batchId })
+ */
+async function notifyStage(role, payload = {}) {
+  const channel = PIPELINE_CHANNELS[role];
+  if (!channel || !isNotifyEnabled()) return;
+
+  try {
+    await sequelize.query('SELECT pg_notify(:channel, :payload)', {
+      replacements: { channel, payload: JSON.stringify(payload) },
+    });
+  } catch (error) {
+    logger.debug('Failed to send pipeline wakeup', { channel, error: error.message });
+  }
+}
+
+/**
+ * Which of the given columns a table has
+ *
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Column names
+ * @returns {Promise<Array<string>>} - The columns that exist
+ */
+async function existingColumns(table, columns) {
+  const [rows] = await sequelize.query(
+    'SELECT column_name FROM information_schema.columns ' +
+    'WHERE table_schema = current_schema() AND table_name = :table AND column_name IN (:columns)',
+    { replacements: { table, columns } }
+  );
+  return rows.map(row => row.column_name);
+}
+
+/**
+ * Install triggers that notify pipeline stages when jobs or batches change
+ * state outside the worker (e.g. jobs inserted or signed by the platform backend)
+ *
+ * The wakeup for batches timestamped by a TSA or calendars is only installed
+ * where document_batches has anchor_status and anchor_proof: a trigger reading
+ * a missing column fails every UPDATE of the table.
+ *
+ * Idempotent; run from the development schema fix or
+ * `node src/scripts/install-pipeline-triggers.js`.
+ */
+async function installPipelineTriggers() {
+  await sequelize.query(`
+    CREATE OR REPLACE FUNCTION notify_document_job_pipeline() RETURNS trigger AS $$
+    BEGIN
+      IF NEW.status = 'Pending' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM NEW.status) THEN
+        PERFORM pg_notify('${PIPELINE_CHANNELS.render}', json_build_object('jobId', NEW.id)::text);
+      END IF;
+      IF NEW.status = 'Generated' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM NEW.status) THEN
+        PERFORM pg_notify('${PIPELINE_CHANNELS.mri}', json_build_object('batchId', NEW."batchId")::text);
+      END IF;
+      IF NEW.qr_code_path IS NOT NULL AND (TG_OP = 'INSERT' OR OLD.qr_code_path IS NULL) THEN
+        PERFORM pg_notify('${PIPELINE_CHANNELS.embed}', json_build_object('jobId', NEW.id)::text);
+      END IF;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await sequelize.query('DROP TRIGGER IF EXISTS document_jobs_pipeline_notify ON "document_jobs"');
+  await sequelize.query(`
+    CREATE TRIGGER document_jobs_pipeline_notify
+      AFTER INSERT OR UPDATE ON "document_jobs"
+      FOR EACH ROW EXECUTE FUNCTION notify_document_job_pipeline()
+  `);
+
+  const anchorColumns = await existingColumns('document_batches', ['anchor_status', 'anchor_proof']);
+  const proofWakeup = anchorColumns.length === 2 ? `
+      IF NEW.anchor_status = 'Confirmed' AND NEW.anchor_proof IS NOT NULL
+         AND (TG_OP = 'INSERT' OR OLD.anchor_status IS DISTINCT FROM 'Confirmed') THEN
+        PERFORM pg_notify('${PIPELINE_CHANNELS.qr}', json_build_object('batchId', NEW.id)::text);
+      END IF;` : '';
+  if (!proofWakeup) {
+    logger.warn('Batches timestamped by a TSA or calendars wake the qr stage on its poll interval only', {
+      reason: 'document_batches has no anchor_status / anchor_proof',
+      existing: anchorColumns,
+    });
+  }
+
+  await sequelize.query(`
+    CREATE OR REPLACE FUNCTION notify_document_batch_pipeline() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'UPDATE' AND OLD."signingStatus" IS DISTINCT FROM NEW."signingStatus" THEN
+        PERFORM pg_notify('${PIPELINE_CHANNELS.mri}', json_build_object('batchId', NEW.id)::text);
+      END IF;
+      IF NEW."merkleRoot" IS NOT NULL AND (TG_OP = 'INSERT' OR OLD."merkleRoot" IS NULL) THEN
+        PERFORM pg_notify('${PIPELINE_CHANNELS.mru}', json_build_object('batchId', NEW.id)::text);
+      END IF;
+      IF NEW."txHash" IS NOT NULL AND (TG_OP = 'INSERT' OR OLD."txHash" IS NULL) THEN
+        PERFORM pg_notify('${PIPELINE_CHANNELS.qr}', json_build_object('batchId', NEW.id)::text);
+      END IF;${proofWakeup}
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await sequelize.query('DROP TRIGGER IF EXISTS document_batches_pipeline_notify ON "document_batches"');
+  await sequelize.query(`
+    CREATE TRIGGER document_batches_pipeline_notify
+      AFTER INSERT OR UPDATE ON "document_batches"
+      FOR EACH ROW EXECUTE FUNCTION notify_document_batch_pipeline()
+  `);
+
+  logger.info('Pipeline notification triggers installed');
+}
+
+module.exports = {
+  PIPELINE_CHANNELS,
+  isNotifyEnabled,
+  isListening,
+  startListening,
+  stopListening,
+  waitForWork,
+  notifyStage,
+  installPipelineTriggers,
+};
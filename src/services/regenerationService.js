@@ -0,0 +1,361 @@
+const path = require('path');
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+const StorageFactory = require('../storage/StorageFactory');
+const { transition } = require('./stateMachine');
+const logger = require('../utils/logger');
+
+/**
+ * Regenerate artifacts of individual jobs or whole batches
+ *
+ * Scopes:
+ *   render - re-render the PDF. H(d), DI and the issuer signature change, so the
+ *            job goes back to Pending and has to be signed again. Only legal
+ *            while the batch has no MRI yet.
+ *   qr     - re-issue the QR code (and the QR-embedded PDF) from the anchored
+ *            proofs. The job stays Generated.
+ *   vd     - re-embed the QR code and verification bundle (VD) into the PDF
+ *            using the existing QR code.
+ *
+ * The fields being cleared are recorded in the job's event history before they
+ * are overwritten by the stage that regenerates them. The stages store the new
+ * artifacts under the same keys, so the files being replaced are copied to
+ * versioned keys under regenerated/ first and both paths are recorded.
+ */
+
+const REGENERATE_SCOPES = ['render', 'qr', 'vd'];
+
+// Pipeline stage that picks the job up again after regeneration
+const SCOPE_STAGES = {
+  render: 'render',
+  qr: 'qr',
+  vd: 'embed',
+};
+
+// Job statuses a PDF can be re-rendered from (Processing is in flight, Cancelled is final)
+const RENDERABLE_STATUSES = ['PendingSigning', 'Generated', 'Failed', 'DeadLettered'];
+
+// Fields cleared per scope; everything derived from the regenerated artifact
+const CLEARED_FIELDS = {
+  render: [
+    'documentHash',
+    'dataHash',
+    'documentFingerprint',
+    'fingerprintHash',
+    'issuerSignature',
+    'merkleLeaf',
+    'merkleProofIntermediate',
+    'merkleProofUltimate',
+    'verificationBundle',
+    'qrCodePath',
+    'qrPayloadFragment',
+    'certificateWithQRPath',
+  ],
+  qr: ['qrCodePath', 'qrPayloadFragment', 'certificateWithQRPath'],
+  vd: ['certificateWithQRPath'],
+};
+
+// Job fields holding stored files
+const ARTIFACT_FIELDS = ['certificatePath', 'qrCodePath', 'certificateWithQRPath'];
+
+/**
+ * Build a regeneration error
+ *
+ * @param {string} message - Error message
+ * @param {string} code - 'REGENERATE_NOT_ALLOWED' | 'NOT_FOUND' | 'INVALID_SCOPE'
+ * @returns {Error}
+ */
+function regenerateError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.transient = false;
+  return error;
+}
+
+/**
+ * Check whether a batch allows a regeneration scope at all
+ *
+ * @param {object} batch - DocumentBatch instance
+ * @param {string} scope - Regeneration scope
+ * @returns {string|null} - Why the scope is not allowed, or null if it is
+ */
+function checkBatchScope(batch, scope) {
+  if (batch.status === 'Cancelled') {
+    return 'batch is cancelled';
+  }
+
+  if (scope === 'render') {
+    if (batch.merkleRoot || batch.signingStatus === 'Finalized') {
+      return 'batch MRI is already calculated; a re-rendered PDF would no longer match the batch root ' +
+        '(revoke and reissue the certificate in a new batch instead)';
+    }
+    return null;
+  }
+
+  if ((!batch.txHash && !batch.anchorProof) || (!batch.merkleRootUltimate && batch.proofType !== 'direct')) {
+    return 'batch is not anchored yet; the QR code and VD are generated after anchoring';
+  }
+  return null;
+}
+
+/**
+ * Check whether a job allows a regeneration scope given its crypto state
+ *
+ * @param {object} job - DocumentJob instance
+ * @param {string} scope - Regeneration scope
+ * @returns {string|null} - Why the scope is not allowed, or null if it is
+ */
+function checkJobScope(job, scope) {
+  if (scope === 'render') {
+    if (!RENDERABLE_STATUSES.includes(job.status)) {
+      return `job is ${job.status}`;
+    }
+    return null;
+  }
+
+  if (job.status !== 'Generated') {
+    return `job is ${job.status}; only signed (Generated) jobs have a QR code`;
+  }
+  if (!job.issuerSignature || !job.merkleLeaf || !job.merkleProofIntermediate) {
+    return 'job has no signature or Merkle proof yet';
+  }
+  if (scope === 'vd' && !job.qrCodePath) {
+    return 'job has no QR code yet (use scope "qr")';
+  }
+  return null;
+}
+
+/**
+ * Check a scope name
+ *
+ * @param {string} scope - Regeneration scope
+ * @throws {Error} - code 'INVALID_SCOPE'
+ */
+function assertScope(scope) {
+  if (!REGENERATE_SCOPES.includes(scope)) {
+    throw regenerateError(`Unknown regeneration scope '${scope}' (expected ${REGENERATE_SCOPES.join(', ')})`, 'INVALID_SCOPE');
+  }
+}
+
+/**
+ * Copy the files a scope is about to overwrite to versioned keys
+ *
+ * An uploaded PDF is hashed again as it is, never overwritten.
+ *
+ * @param {object} job - DocumentJob instance
+ * @param {object} batch - DocumentBatch instance
+ * @param {string} scope - Regeneration scope
+ * @returns {Promise<object>} - Path of each copy by field
+ */
+async function archiveArtifacts(job, batch, scope) {
+  const storage = StorageFactory.getStorage();
+  const version = `v${Date.now()}`;
+  const archived = {};
+
+  for (const field of ARTIFACT_FIELDS) {
+    const overwritten = field === 'certificatePath'
+      ? scope === 'render' && job?.data?.source !== 'pdf_upload'
+      : CLEARED_FIELDS[scope].includes(field);
+    if (!overwritten || !job[field]) {
+      continue;
+    }
+
+    const extension = path.extname(job[field]) || '.pdf';
+    archived[field] = await storage.store(await storage.retrieve(job[field]), batch.tenantId, batch.id, `${job.id}-${field}-${version}${extension}`, {
+      __folder: 'regenerated',
+      __contentType: extension === '.png' ? 'image/png' : 'application/pdf',
+    });
+  }
+  return archived;
+}
+
+/**
+ * Clear a job's artifacts for a scope and hand it back to the pipeline
+ *
+ * @param {object} job - DocumentJob instance (already checked)
+ * @param {object} batch - DocumentBatch instance of the job
+ * @param {string} scope - Regeneration scope
+ * @param {object} context - { actor, reason }
+ * @returns {Promise<object|null>} - { previous, archived } (previous artifact values and the
+ *   paths their files were copied to), or null if the job changed concurrently
+ */
+async function resetJob(job, batch, scope, context) {
+  const fields = CLEARED_FIELDS[scope];
+  const previous = { certificatePath: job.certificatePath };
+  for (const field of fields) {
+    previous[field] = job[field] ?? null;
+  }
+  const archived = await archiveArtifacts(job, batch, scope);
+
+  const updates = {
+    errorMessage: null,
+    errorType: null,
+    attempts: 0,
+    nextAttemptAt: null,
+    lockedBy: null,
+    leaseExpiresAt: null,
+  };
+  for (const field of fields) {
+    updates[field] = null;
+  }
+
+  const applied = await transition(job, scope === 'render' ? 'Pending' : 'Generated', {
+    updates,
+    actor: context.actor,
+    reason: context.reason,
+    stage: 'regenerate',
+    details: { scope, previous, archived },
+  });
+
+  return applied ? { previous, archived } : null;
+}
+
+/**
+ * Put the batch back into the state that lets the regenerated jobs flow through
+ *
+ * Re-rendered jobs must be signed again before the MRI is calculated; a
+ * Completed batch goes back to Processing until every PDF is embedded again.
+ *
+ * @param {object} batch - DocumentBatch instance
+ * @param {string} scope - Regeneration scope
+ * @param {object} context - { actor, reason }
+ */
+async function reopenBatch(batch, scope, context) {
+  if (scope === 'render' && batch.signingStatus === 'Signed') {
+    await transition(batch, 'PendingSigning', {
+      field: 'signingStatus',
+      actor: context.actor,
+      reason: context.reason,
+      stage: 'regenerate',
+      details: { scope },
+    });
+  }
+
+  if (batch.status === 'Completed') {
+    await transition(batch, 'Processing', {
+      actor: context.actor,
+      reason: context.reason,
+      stage: 'regenerate',
+      details: { scope },
+    });
+  }
+}
+
+/**
+ * Wake the stage that regenerates the artifacts
+ *
+ * @param {string} scope - Regeneration scope
+ * @param {object} payload - Notification payload
+ */
+async function notifyScopeStage(scope, payload) {
+  const { notifyStage } = require('./pipelineNotifier');
+  await notifyStage(SCOPE_STAGES[scope], payload);
+}
+
+/**
+ * Regenerate one job
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} scope - 'render' | 'qr' | 'vd'
+ * @param {object} options - Options
+ * @param {string} options.actor - Operator / API client
+ * @param {string} options.reason - Why the job is regenerated
+ * @returns {Promise<object>} - { jobId, batchId, scope, status, previous, archived }
+ * @throws {Error} - code 'INVALID_SCOPE', 'NOT_FOUND' or 'REGENERATE_NOT_ALLOWED'
+ */
+async function regenerateJob(jobId, scope, options = {}) {
+  assertScope(scope);
+  const context = { actor: options.actor || 'operator', reason: options.reason || `regenerate ${scope}` };
+
+  const job = await DocumentJob.findByPk(jobId);
+  if (!job) {
+    throw regenerateError(`Job not found: ${jobId}`, 'NOT_FOUND');
+  }
+  const batch = await DocumentBatch.findByPk(job.batchId);
+  if (!batch) {
+    throw regenerateError(`Batch not found for job: ${jobId}`, 'NOT_FOUND');
+  }
+
+  const notAllowed = checkBatchScope(batch, scope) || checkJobScope(job, scope);
+  if (notAllowed) {
+    throw regenerateError(`Cannot regenerate ${scope} for job ${jobId}: ${notAllowed}`, 'REGENERATE_NOT_ALLOWED');
+  }
+
+  const reset = await resetJob(job, batch, scope, context);
+  if (!reset) {
+    throw regenerateError(`Job ${jobId} changed while being regenerated, try again`, 'REGENERATE_NOT_ALLOWED');
+  }
+
+  await reopenBatch(batch, scope, context);
+  await notifyScopeStage(scope, { jobId, batchId: batch.id });
+
+  logger.info('Job queued for regeneration', { jobId, batchId: batch.id, scope, actor: context.actor });
+  return { jobId, batchId: batch.id, scope, status: job.status, ...reset };
+}
+
+/**
+ * Regenerate every eligible job of a batch
+ *
+ * Jobs whose state does not allow the scope (e.g. not signed yet for 'qr') are
+ * skipped and reported.
+ *
+ * @param {string} batchId - Batch ID
+ * @param {string} scope - 'render' | 'qr' | 'vd'
+ * @param {object} options - Options (see regenerateJob)
+ * @returns {Promise<object>} - { batchId, scope, regenerated: [jobId], skipped: [{ jobId, reason }] }
+ * @throws {Error} - code 'INVALID_SCOPE', 'NOT_FOUND' or 'REGENERATE_NOT_ALLOWED'
+ */
+async function regenerateBatch(batchId, scope, options = {}) {
+  assertScope(scope);
+  const context = { actor: options.actor || 'operator', reason: options.reason || `regenerate ${scope}` };
+
+  const batch = await DocumentBatch.findByPk(batchId);
+  if (!batch) {
+    throw regenerateError(`Batch not found: ${batchId}`, 'NOT_FOUND');
+  }
+
+  const notAllowed = checkBatchScope(batch, scope);
+  if (notAllowed) {
+    throw regenerateError(`Cannot regenerate ${scope} for batch ${batchId}: ${notAllowed}`, 'REGENERATE_NOT_ALLOWED');
+  }
+
+  const jobs = await DocumentJob.findAll({ where: { batchId }, order: [['createdAt', 'ASC']] });
+  const regenerated = [];
+  const skipped = [];
+
+  for (const job of jobs) {
+    const reason = checkJobScope(job, scope);
+    if (reason) {
+      skipped.push({ jobId: job.id, reason });
+      continue;
+    }
+
+    if (await resetJob(job, batch, scope, context)) {
+      regenerated.push(job.id);
+    } else {
+      skipped.push({ jobId: job.id, reason: 'job changed concurrently' });
+    }
+  }
+
+  if (regenerated.length > 0) {
+    await reopenBatch(batch, scope, context);
+    await notifyScopeStage(scope, { batchId });
+  }
+
+  logger.info('Batch queued for regeneration', {
+    batchId,
+    scope,
+    regenerated: regenerated.length,
+    skipped: skipped.length,
+    actor: context.actor,
+  });
+  return { batchId, scope, regenerated, skipped };
+}
+
+module.exports = {
+  REGENERATE_SCOPES,
+  checkBatchScope,
+  checkJobScope,
+  regenerateJob,
+  regenerateBatch,
+};
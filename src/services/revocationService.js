@@ -0,0 +1,769 @@
+const { Op } = require('sequelize');
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+const RevocationRequest = require('../models/RevocationRequest');
+const eventService = require('./eventService');
+const networks = require('../config/networks');
+const { planRetry } = require('../utils/retryPolicy');
+const logger = require('../utils/logger');
+
+/**
+ * On-chain revocation of certificates and batches
+ *
+ * A revocation is requested per job or per batch and stored as a
+ * RevocationRequest. The revocation stage (mru role, it shares the anchoring
+ * key) submits pending requests to AnchorStore:
+ *   - job requests are collected into one revokeBatch(leaves, reasons)
+ *     transaction (revoke(leaf, reason) for a single one)
+ *   - a batch that is the only batch under its MRU is revoked with
+ *     revokeRoot(MRU); otherwise every certificate leaf of the batch is revoked
+ *     with revokeBatch, so sibling batches anchored under the same MRU stay valid
+ *   - a time-window request (compromised issuer key) calls
+ *     invalidateTimeWindow(issuerId, start, end); every batch the issuer anchored
+ *     with a timeWindow in [start, end] is marked revoked
+ *
+ * Revocations are sent to the network the certificates were anchored on (the
+ * request's network); a time window is invalidated on every network the issuer
+ * anchored in it, with one request per network.
+ *
+ * revocationStatus on DocumentJob / DocumentBatch: Pending -> Revoked | Failed
+ */
+
+const MAX_LEAVES_PER_TX = parseInt(process.env.REVOCATION_MAX_LEAVES_PER_TX) || 200;
+
+/**
+ * Build a revocation error
+ *
+ * @param {string} message - Error message
+ * @param {string} code - 'REVOKE_NOT_ALLOWED' | 'NOT_FOUND' | 'INVALID_REASON' | 'INVALID_WINDOW'
+ * @returns {Error}
+ */
+function revocationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.transient = false;
+  return error;
+}
+
+/**
+ * Normalize a revocation reason (stored on-chain in the Revoked event)
+ *
+ * @param {string} reason - Reason given by the operator
+ * @returns {string}
+ * @throws {Error} - code 'INVALID_REASON'
+ */
+function normalizeReason(reason) {
+  const value = typeof reason === 'string' ? reason.trim() : '';
+  if (!value) {
+    throw revocationError('A revocation reason is required (it is published on-chain)', 'INVALID_REASON');
+  }
+  return value;
+}
+
+/**
+ * Compare two hex values regardless of 0x prefix and case
+ */
+function sameHash(a, b) {
+  if (!a || !b) return false;
+  const normalize = (value) => value.toLowerCase().replace(/^0x/, '');
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Registry network a batch was anchored on
+ *
+ * @param {object} batch - DocumentBatch instance
+ * @returns {string} - Network name
+ * @throws {Error} - code 'UNKNOWN_NETWORK'
+ */
+function batchNetworkName(batch) {
+  return networks.resolveNetwork({ network: batch.network, chainId: batch.chainId }).name;
+}
+
+/**
+ * Check that a batch is anchored on AnchorStore, where revocations are recorded
+ *
+ * @param {object} batch - DocumentBatch instance
+ * @returns {string|null} - Why the batch cannot be revoked on-chain, or null
+ */
+function checkAnchoredOnChain(batch) {
+  if (!batch.txHash && batch.anchorProof) {
+    return `batch is timestamped by the ${batch.anchorBackend} backend, not on AnchorStore; ` +
+      'revocations are only recorded on AnchorStore';
+  }
+  if (!batch.txHash || (!batch.merkleRootUltimate && batch.proofType !== 'direct')) {
+    return 'batch is not anchored yet; cancel the batch or regenerate the certificate instead';
+  }
+  return null;
+}
+
+/**
+ * Check whether a batch can be revoked on-chain
+ *
+ * @param {object} batch - DocumentBatch instance
+ * @returns {string|null} - Why revocation is not possible, or null if it is
+ */
+function checkBatchRevocable(batch) {
+  const notOnChain = checkAnchoredOnChain(batch);
+  if (notOnChain) {
+    return notOnChain;
+  }
+  if (batch.revocationStatus === 'Pending' || batch.revocationStatus === 'Revoked') {
+    return `batch revocation is already ${batch.revocationStatus.toLowerCase()}`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a job (certificate) can be revoked on-chain
+ *
+ * @param {object} job - DocumentJob instance
+ * @param {object} batch - The job's DocumentBatch
+ * @returns {string|null} - Why revocation is not possible, or null if it is
+ */
+function checkJobRevocable(job, batch) {
+  if (!job.merkleLeaf) {
+    return 'certificate has no Merkle leaf (it was never signed)';
+  }
+  const notOnChain = checkAnchoredOnChain(batch);
+  if (notOnChain) {
+    return notOnChain;
+  }
+  if (batch.revocationStatus === 'Pending' || batch.revocationStatus === 'Revoked') {
+    return `the whole batch revocation is already ${batch.revocationStatus.toLowerCase()}`;
+  }
+  if (job.revocationStatus === 'Pending' || job.revocationStatus === 'Revoked') {
+    return `certificate revocation is already ${job.revocationStatus.toLowerCase()}`;
+  }
+  return null;
+}
+
+/**
+ * Request the on-chain revocation of one certificate
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} reason - Why the certificate is revoked (published on-chain)
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - { requestId, jobId, batchId, method }
+ * @throws {Error} - code 'INVALID_REASON', 'NOT_FOUND' or 'REVOKE_NOT_ALLOWED'
+ */
+async function requestJobRevocation(jobId, reason, options = {}) {
+  const revocationReason = normalizeReason(reason);
+  const actor = options.actor || 'operator';
+
+  const job = await DocumentJob.findByPk(jobId);
+  if (!job) {
+    throw revocationError(`Job not found: ${jobId}`, 'NOT_FOUND');
+  }
+  const batch = await DocumentBatch.findByPk(job.batchId);
+  if (!batch) {
+    throw revocationError(`Batch not found for job: ${jobId}`, 'NOT_FOUND');
+  }
+
+  const notAllowed = checkJobRevocable(job, batch);
+  if (notAllowed) {
+    throw revocationError(`Cannot revoke job ${jobId}: ${notAllowed}`, 'REVOKE_NOT_ALLOWED');
+  }
+
+  const request = await RevocationRequest.create({
+    scope: 'job',
+    jobId: job.id,
+    batchId: batch.id,
+    method: 'revoke',
+    certHashes: [job.merkleLeaf],
+    reason: revocationReason,
+    requestedBy: actor,
+    network: batchNetworkName(batch),
+  });
+
+  await DocumentJob.update(
+    { revocationStatus: 'Pending', revocationReason },
+    { where: { id: job.id } }
+  );
+
+  await eventService.recordJobEvent(job, {
+    stage: 'revoke',
+    event: 'requested',
+    actor,
+    details: { requestId: request.id, reason: revocationReason },
+  });
+
+  await notifyRevocationStage({ revocationRequestId: request.id });
+
+  logger.info('Certificate revocation requested', { jobId, batchId: batch.id, requestId: request.id, actor });
+  return { requestId: request.id, jobId: job.id, batchId: batch.id, method: request.method };
+}
+
+/**
+ * Request the on-chain revocation of every certificate in a batch
+ *
+ * @param {string} batchId - Batch ID
+ * @param {string} reason - Why the batch is revoked (published on-chain)
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - { requestId, batchId, method, certificates }
+ * @throws {Error} - code 'INVALID_REASON', 'NOT_FOUND' or 'REVOKE_NOT_ALLOWED'
+ */
+async function requestBatchRevocation(batchId, reason, options = {}) {
+  const revocationReason = normalizeReason(reason);
+  const actor = options.actor || 'operator';
+
+  const batch = await DocumentBatch.findByPk(batchId);
+  if (!batch) {
+    throw revocationError(`Batch not found: ${batchId}`, 'NOT_FOUND');
+  }
+
+  const notAllowed = checkBatchRevocable(batch);
+  if (notAllowed) {
+    throw revocationError(`Cannot revoke batch ${batchId}: ${notAllowed}`, 'REVOKE_NOT_ALLOWED');
+  }
+
+  const jobs = await DocumentJob.findAll({
+    where: { batchId, merkleLeaf: { [Op.ne]: null } },
+    attributes: ['id', 'merkleLeaf', 'revocationStatus'],
+    order: [['createdAt', 'ASC']],
+  });
+
+  if (jobs.some(job => job.revocationStatus === 'Pending')) {
+    throw revocationError(`Cannot revoke batch ${batchId}: certificate revocations of this batch are still pending`, 'REVOKE_NOT_ALLOWED');
+  }
+
+  // The MRU can only be revoked as a whole when no other batch was anchored under it
+  const ownsRoot = sameHash(batch.merkleRoot, batch.merkleRootUltimate);
+  let method;
+  let certHashes;
+  if (ownsRoot) {
+    method = 'revokeRoot';
+    certHashes = [batch.merkleRootUltimate];
+  } else {
+    const leaves = jobs.filter(job => job.revocationStatus !== 'Revoked').map(job => job.merkleLeaf);
+    if (leaves.length === 0) {
+      throw revocationError(`Cannot revoke batch ${batchId}: every certificate is already revoked`, 'REVOKE_NOT_ALLOWED');
+    }
+    method = leaves.length === 1 ? 'revoke' : 'revokeBatch';
+    certHashes = leaves;
+  }
+
+  const request = await RevocationRequest.create({
+    scope: 'batch',
+    batchId: batch.id,
+    method,
+    certHashes,
+    reason: revocationReason,
+    requestedBy: actor,
+    network: batchNetworkName(batch),
+  });
+
+  await DocumentBatch.update(
+    { revocationStatus: 'Pending', revocationReason },
+    { where: { id: batch.id } }
+  );
+
+  await eventService.recordBatchEvent(batch, {
+    stage: 'revoke',
+    event: 'requested',
+    actor,
+    details: { requestId: request.id, reason: revocationReason, method, certificates: jobs.length },
+  });
+
+  await notifyRevocationStage({ revocationRequestId: request.id });
+
+  logger.info('Batch revocation requested', { batchId, requestId: request.id, method, actor });
+  return { requestId: request.id, batchId: batch.id, method, certificates: jobs.length };
+}
+
+/**
+ * Parse a time-window bound: unix seconds or an ISO date
+ *
+ * @param {string|number|Date} value - Bound given by the operator
+ * @param {string} name - 'start' | 'end'
+ * @returns {number} - Unix seconds
+ * @throws {Error} - code 'INVALID_WINDOW'
+ */
+function toUnixSeconds(value, name) {
+  if (value instanceof Date) {
+    return Math.floor(value.getTime() / 1000);
+  }
+  if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+    return Number(value);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw revocationError(`Invalid window ${name}: ${value} (expected unix seconds or an ISO date)`, 'INVALID_WINDOW');
+  }
+  return Math.floor(time / 1000);
+}
+
+/**
+ * Batches an issuer anchored inside an invalidated time window
+ *
+ * @param {string} issuerId - bytes32 AnchorStore issuerId
+ * @param {number} start - Window start (unix seconds, inclusive)
+ * @param {number} end - Window end (unix seconds, inclusive)
+ * @returns {object} - Sequelize where clause for DocumentBatch
+ */
+function timeWindowBatchWhere(issuerId, start, end) {
+  return {
+    anchorIssuerId: issuerId,
+    timeWindow: { [Op.between]: [start, end] },
+  };
+}
+
+/**
+ * Request the invalidation of everything an issuer anchored in a time window
+ *
+ * Used when an issuer key leaked: AnchorStore.invalidateTimeWindow makes every
+ * root the issuer anchored with a timeWindow in [start, end] invalid, and the
+ * matching batches are marked revoked once the transaction is mined. One
+ * request is made per network the issuer anchored batches of the window on
+ * (the default network when there are none yet), unless options.network names one.
+ *
+ * @param {string} issuerId - Issuer identifier (DocumentBatch.issuerId or bytes32 issuerId)
+ * @param {string|number|Date} start - Window start (unix seconds or ISO date, inclusive)
+ * @param {string|number|Date} end - Window end (unix seconds or ISO date, inclusive)
+ * @param {string} reason - Why the window is invalidated (kept off-chain; the contract takes no reason)
+ * @param {object} options - { actor, network }
+ * @returns {Promise<object>} - { requestId, requestIds, networks, issuerId, start, end, batches }
+ * @throws {Error} - code 'INVALID_REASON', 'INVALID_WINDOW', 'UNKNOWN_NETWORK' or 'REVOKE_NOT_ALLOWED'
+ */
+async function requestTimeWindowInvalidation(issuerId, start, end, reason, options = {}) {
+  const { issuerIdToBytes32 } = require('./blockchainService');
+  const revocationReason = normalizeReason(reason);
+  const actor = options.actor || 'operator';
+
+  if (!issuerId) {
+    throw revocationError('An issuer id is required', 'INVALID_WINDOW');
+  }
+  const windowStart = toUnixSeconds(start, 'start');
+  const windowEnd = toUnixSeconds(end, 'end');
+  if (windowStart > windowEnd) {
+    throw revocationError(`Invalid window: start ${windowStart} is after end ${windowEnd}`, 'INVALID_WINDOW');
+  }
+
+  const anchorIssuerId = issuerIdToBytes32(issuerId);
+  const batches = await DocumentBatch.findAll({
+    where: timeWindowBatchWhere(anchorIssuerId, windowStart, windowEnd),
+    attributes: ['id', 'revocationStatus', 'network', 'chainId'],
+  });
+
+  let windowNetworks;
+  if (options.network) {
+    windowNetworks = [networks.requireNetwork(options.network).name];
+  } else {
+    windowNetworks = [...new Set(batches.map(batchNetworkName))];
+    if (windowNetworks.length === 0) {
+      windowNetworks = [networks.getDefaultNetworkName()];
+    }
+  }
+
+  const requests = [];
+  for (const network of windowNetworks) {
+    requests.push(await RevocationRequest.create({
+      scope: 'window',
+      issuerId: anchorIssuerId,
+      windowStart,
+      windowEnd,
+      method: 'invalidateTimeWindow',
+      certHashes: [],
+      reason: revocationReason,
+      requestedBy: actor,
+      network,
+    }));
+  }
+
+  const affected = batches.filter(batch =>
+    batch.revocationStatus !== 'Revoked' && windowNetworks.includes(batchNetworkName(batch)));
+  if (affected.length > 0) {
+    await DocumentBatch.update(
+      { revocationStatus: 'Pending', revocationReason },
+      { where: { id: affected.map(batch => batch.id) } }
+    );
+  }
+  for (const batch of affected) {
+    const request = requests[windowNetworks.indexOf(batchNetworkName(batch))];
+    await eventService.recordBatchEvent(batch, {
+      stage: 'revoke',
+      event: 'requested',
+      actor,
+      details: { requestId: request.id, reason: revocationReason, method: 'invalidateTimeWindow', windowStart, windowEnd, network: request.network },
+    });
+  }
+
+  for (const request of requests) {
+    await notifyRevocationStage({ revocationRequestId: request.id });
+  }
+
+  logger.info('Time window invalidation requested', {
+    issuerId: anchorIssuerId,
+    windowStart,
+    windowEnd,
+    requestIds: requests.map(request => request.id),
+    networks: windowNetworks,
+    batches: affected.length,
+    actor,
+  });
+  return {
+    requestId: requests[0].id,
+    requestIds: requests.map(request => request.id),
+    networks: windowNetworks,
+    issuerId: anchorIssuerId,
+    start: windowStart,
+    end: windowEnd,
+    batches: affected.length,
+  };
+}
+
+/**
+ * Wake the revocation stage
+ *
+ * @param {object} payload - Notification payload
+ */
+async function notifyRevocationStage(payload) {
+  const { notifyStage } = require('./pipelineNotifier');
+  await notifyStage('mru', payload);
+}
+
+/**
+ * Group pending requests into AnchorStore transactions
+ *
+ * Job requests of the same network are merged into revokeBatch transactions
+ * of at most REVOCATION_MAX_LEAVES_PER_TX leaves; batch and time-window
+ * requests keep their own method.
+ *
+ * @param {Array<object>} requests - Pending RevocationRequest instances
+ * @param {number} maxLeaves - Leaves per transaction
+ * @returns {Array<object>} - [{ method, network, certHashes, reasons, requests }]
+ *   network: null for requests made before revocations recorded it (default network)
+ */
+function planRevocationTransactions(requests, maxLeaves = MAX_LEAVES_PER_TX) {
+  const transactions = [];
+  const current = new Map(); // network -> open revokeBatch transaction
+
+  for (const request of requests) {
+    const network = request.network || null;
+
+    if (request.scope === 'window') {
+      transactions.push({ method: 'invalidateTimeWindow', network, certHashes: [], reasons: [], requests: [request] });
+      continue;
+    }
+
+    if (request.scope === 'batch') {
+      const hashes = request.certHashes;
+      for (let i = 0; i < hashes.length; i += maxLeaves) {
+        const chunk = hashes.slice(i, i + maxLeaves);
+        transactions.push({
+          method: request.method === 'revokeRoot' ? 'revokeRoot' : (chunk.length === 1 ? 'revoke' : 'revokeBatch'),
+          network,
+          certHashes: chunk,
+          reasons: chunk.map(() => request.reason),
+          requests: [request],
+        });
+      }
+      continue;
+    }
+
+    let transaction = current.get(network);
+    if (!transaction || transaction.certHashes.length >= maxLeaves) {
+      transaction = { method: 'revokeBatch', network, certHashes: [], reasons: [], requests: [] };
+      current.set(network, transaction);
+      transactions.push(transaction);
+    }
+    transaction.certHashes.push(...request.certHashes);
+    transaction.reasons.push(...request.certHashes.map(() => request.reason));
+    transaction.requests.push(request);
+  }
+
+  for (const transaction of transactions) {
+    if (transaction.method === 'revokeBatch' && transaction.certHashes.length === 1) {
+      transaction.method = 'revoke';
+    }
+  }
+
+  return transactions;
+}
+
+/**
+ * Persist a confirmed revocation on the request and the revoked job(s) / batch
+ *
+ * @param {object} request - RevocationRequest instance
+ * @param {object} result - revokeOnChain() result
+ * @param {string} actor - Worker id
+ */
+async function markRevoked(request, result, actor) {
+  const revokedAt = new Date();
+  const revocation = {
+    revocationStatus: 'Revoked',
+    revocationReason: request.reason,
+    revocationTxHash: result.txHash,
+    revocationBlockNumber: result.blockNumber,
+    revokedAt,
+  };
+  const details = {
+    requestId: request.id,
+    method: request.method,
+    reason: request.reason,
+    blockNumber: result.blockNumber,
+    network: result.network,
+  };
+
+  await request.update({
+    status: 'Confirmed',
+    txHash: result.txHash,
+    blockNumber: result.blockNumber,
+    confirmedAt: revokedAt,
+    errorMessage: null,
+    nextAttemptAt: null,
+  });
+
+  if (request.scope === 'job') {
+    await DocumentJob.update(revocation, { where: { id: request.jobId } });
+    await eventService.recordJobEvent({ id: request.jobId, batchId: request.batchId }, {
+      stage: 'revoke',
+      event: 'revoked',
+      actor,
+      hashes: { revocationTxHash: result.txHash },
+      details,
+    });
+    return;
+  }
+
+  if (request.scope === 'window') {
+    await markTimeWindowRevoked(request, revocation, details, actor);
+    return;
+  }
+
+  await DocumentBatch.update(revocation, { where: { id: request.batchId } });
+  // Certificates revoked individually before keep their own reason and transaction
+  const [revokedJobs] = await DocumentJob.update(revocation, {
+    where: {
+      batchId: request.batchId,
+      merkleLeaf: { [Op.ne]: null },
+      [Op.or]: [{ revocationStatus: null }, { revocationStatus: { [Op.ne]: 'Revoked' } }],
+    },
+  });
+  await eventService.recordBatchEvent({ id: request.batchId }, {
+    stage: 'revoke',
+    event: 'revoked',
+    actor,
+    hashes: { revocationTxHash: result.txHash },
+    details: { ...details, certificates: revokedJobs },
+  });
+}
+
+/**
+ * Batches covered by a time-window request: anchored by the issuer inside the
+ * window, on the request's network
+ *
+ * @param {object} request - RevocationRequest (scope window)
+ * @returns {Promise<Array<object>>} - DocumentBatch instances (id, revocationStatus)
+ */
+async function findTimeWindowBatches(request) {
+  const batches = await DocumentBatch.findAll({
+    where: timeWindowBatchWhere(request.issuerId, Number(request.windowStart), Number(request.windowEnd)),
+    attributes: ['id', 'revocationStatus', 'network', 'chainId'],
+  });
+  if (!request.network) {
+    return batches; // requested before revocations recorded the network
+  }
+  return batches.filter(batch => {
+    try {
+      return batchNetworkName(batch) === request.network;
+    } catch (error) {
+      return false; // anchored on a network that is no longer in the registry
+    }
+  });
+}
+
+/**
+ * Mark every batch (and its certificates) inside an invalidated time window as revoked
+ *
+ * Batches are matched again at confirmation time, so roots anchored in the
+ * window after the request was made are covered too.
+ *
+ * @param {object} request - Confirmed RevocationRequest (scope window)
+ * @param {object} revocation - Revocation fields to store
+ * @param {object} details - Event details
+ * @param {string} actor - Worker id
+ */
+async function markTimeWindowRevoked(request, revocation, details, actor) {
+  const windowStart = Number(request.windowStart);
+  const windowEnd = Number(request.windowEnd);
+  const batches = await findTimeWindowBatches(request);
+  const affected = batches.filter(batch => batch.revocationStatus !== 'Revoked');
+  if (affected.length === 0) return;
+
+  const batchIds = affected.map(batch => batch.id);
+  const windowRevocation = { ...revocation, revocationReason: `Issuer time window invalidated: ${request.reason}` };
+  await DocumentBatch.update(windowRevocation, { where: { id: batchIds } });
+  await DocumentJob.update(windowRevocation, {
+    where: {
+      batchId: batchIds,
+      merkleLeaf: { [Op.ne]: null },
+      [Op.or]: [{ revocationStatus: null }, { revocationStatus: { [Op.ne]: 'Revoked' } }],
+    },
+  });
+
+  for (const batch of affected) {
+    await eventService.recordBatchEvent(batch, {
+      stage: 'revoke',
+      event: 'revoked',
+      actor,
+      hashes: { revocationTxHash: revocation.revocationTxHash },
+      details: { ...details, windowStart, windowEnd },
+    });
+  }
+}
+
+/**
+ * Record a failed submission: retry later with backoff, or give up
+ *
+ * Leaves already revoked by an earlier transaction of the same request are
+ * dropped from it, so a retry does not revert on them.
+ *
+ * @param {object} request - RevocationRequest instance
+ * @param {Error} error - Submission error
+ * @param {Array<string>} submitted - certHashes revoked before the failure
+ * @param {string} actor - Worker id
+ * @returns {Promise<boolean>} - True if the request will be retried
+ */
+async function markSubmissionFailed(request, error, submitted, actor) {
+  const plan = planRetry(error, request.attempts);
+  const remaining = request.certHashes.filter(hash => !submitted.includes(hash));
+
+  await request.update({
+    status: plan.retry ? 'Pending' : 'Failed',
+    certHashes: remaining,
+    attempts: plan.attempts,
+    nextAttemptAt: plan.nextAttemptAt,
+    errorMessage: error.message,
+  });
+
+  const details = {
+    requestId: request.id,
+    error: error.message,
+    retry: plan.retry,
+    attempts: plan.attempts,
+    submitted: submitted.length,
+  };
+  if (request.scope === 'job') {
+    if (!plan.retry) {
+      await DocumentJob.update({ revocationStatus: 'Failed' }, { where: { id: request.jobId } });
+    }
+    await eventService.recordJobEvent({ id: request.jobId, batchId: request.batchId }, {
+      stage: 'revoke', event: 'failed', actor, details,
+    });
+  } else if (request.scope === 'window') {
+    if (!plan.retry) {
+      const pending = (await findTimeWindowBatches(request)).filter(batch => batch.revocationStatus === 'Pending');
+      if (pending.length > 0) {
+        await DocumentBatch.update({ revocationStatus: 'Failed' }, { where: { id: pending.map(batch => batch.id) } });
+      }
+    }
+    logger.warn('Time window invalidation failed', details);
+  } else {
+    if (!plan.retry) {
+      await DocumentBatch.update({ revocationStatus: 'Failed' }, { where: { id: request.batchId } });
+    }
+    await eventService.recordBatchEvent({ id: request.batchId }, {
+      stage: 'revoke', event: 'failed', actor, details,
+    });
+  }
+
+  return plan.retry;
+}
+
+/**
+ * Submit pending revocation requests to AnchorStore
+ *
+ * @param {number} limit - Maximum requests per run
+ * @param {object} options - { actor }
+ * @returns {Promise<object>} - { processed, confirmed, failed, retrying, transactions }
+ */
+async function processRevocationRequests(limit = 50, options = {}) {
+  const blockchainService = require('./blockchainService');
+  const actor = options.actor || 'revocation-worker';
+
+  const requests = await RevocationRequest.findAll({
+    where: {
+      status: 'Pending',
+      [Op.or]: [{ nextAttemptAt: null }, { nextAttemptAt: { [Op.lte]: new Date() } }],
+    },
+    order: [['createdAt', 'ASC']],
+    limit,
+  });
+
+  if (requests.length === 0) {
+    return { processed: 0, confirmed: 0, failed: 0, retrying: 0, transactions: 0 };
+  }
+
+  let confirmed = 0;
+  let failed = 0;
+  let retrying = 0;
+  const transactions = planRevocationTransactions(requests);
+
+  // A batch request split over several transactions is only confirmed once all of them are mined
+  const outcomes = new Map(requests.map(request => [request.id, { result: null, error: null, submitted: [] }]));
+  for (const transaction of transactions) {
+    const pendingRequests = transaction.requests.filter(request => !outcomes.get(request.id).error);
+    if (pendingRequests.length === 0) continue;
+
+    try {
+      const chainOptions = { network: transaction.network };
+      const result = transaction.method === 'invalidateTimeWindow'
+        ? await blockchainService.invalidateTimeWindowOnChain(
+          transaction.requests[0].issuerId,
+          Number(transaction.requests[0].windowStart),
+          Number(transaction.requests[0].windowEnd),
+          chainOptions
+        )
+        : await blockchainService.revokeOnChain(transaction.method, transaction.certHashes, transaction.reasons, chainOptions);
+      for (const request of pendingRequests) {
+        const outcome = outcomes.get(request.id);
+        outcome.result = result;
+        outcome.submitted.push(...transaction.certHashes);
+      }
+    } catch (error) {
+      logger.error('Revocation transaction failed', {
+        method: transaction.method,
+        network: transaction.network,
+        requestIds: pendingRequests.map(request => request.id),
+        error: error.message,
+      });
+      for (const request of pendingRequests) {
+        outcomes.get(request.id).error = error;
+      }
+    }
+  }
+
+  for (const request of requests) {
+    const outcome = outcomes.get(request.id);
+    if (outcome.error) {
+      if (await markSubmissionFailed(request, outcome.error, outcome.submitted, actor)) {
+        retrying++;
+      } else {
+        failed++;
+      }
+    } else if (outcome.result) {
+      await markRevoked(request, outcome.result, actor);
+      confirmed++;
+    }
+  }
+
+  logger.info('Revocation requests processed', {
+    processed: requests.length,
+    confirmed,
+    failed,
+    retrying,
+    transactions: transactions.length,
+  });
+  return { processed: requests.length, confirmed, failed, retrying, transactions: transactions.length };
+}
+
+module.exports = {
+  checkJobRevocable,
+  checkBatchRevocable,
+  requestJobRevocation,
+  requestBatchRevocation,
+  requestTimeWindowInvalidation,
+  planRevocationTransactions,
+  processRevocationRequests,
+};
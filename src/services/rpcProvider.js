@@ -0,0 +1,290 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+/**
+ * RPC endpoints of a network with failover and quorum reads
+ *
+ * A network in the registry lists several RPC URLs. Calls go to the first
+ * healthy endpoint; an endpoint that times out, returns an HTTP error or rate
+ * limits us is put on cooldown for RPC_COOLDOWN_MS and the call moves on to the
+ * next one, so the load rotates away from a failing RPC. Errors the node
+ * answered with (revert, nonce too low, ...) are returned as-is: another
+ * endpoint would answer the same.
+ *
+ * Every endpoint is checked against the registry chainId before its first use;
+ * an endpoint serving another chain is skipped for good (CHAIN_MISMATCH).
+ *
+ * Reads that decide whether a certificate is genuine can instead be asked of
+ * every endpoint (quorumRead): the answer only counts when enough endpoints
+ * return the same data, so a single lying or lagging RPC cannot fake it.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_COOLDOWN_MS = 30000;
+
+// url -> { provider, chainId (as served), failures, cooldownUntil }
+const endpoints = new Map();
+
+function positiveEnv(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Host of an RPC URL for logs (paths and query strings often carry API keys)
+ */
+function endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+function endpointState(url, chainId) {
+  if (!endpoints.has(url)) {
+    endpoints.set(url, {
+      // One attempt per call: rotating is how we retry
+      provider: new ethers.providers.JsonRpcProvider({
+        url,
+        timeout: positiveEnv('RPC_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+        throttleLimit: 1,
+      }, chainId),
+      chainId: null,
+      failures: 0,
+      cooldownUntil: 0,
+    });
+  }
+  return endpoints.get(url);
+}
+
+/**
+ * Whether an error is the endpoint's fault (another endpoint may succeed)
+ *
+ * ethers wraps JSON-RPC error responses as SERVER_ERROR with the node's error
+ * in error.error; those are only the endpoint's fault when it is rate limiting
+ * or lagging behind. Transport errors (timeouts, HTTP status, bad JSON) always are.
+ *
+ * @param {Error} error - Error from a JSON-RPC call
+ * @returns {boolean}
+ */
+function isEndpointError(error) {
+  if (error.code === 'CHAIN_MISMATCH') {
+    return true;
+  }
+  const rpcError = error.error;
+  if (rpcError && typeof rpcError.code === 'number') {
+    return rpcError.code === -32005 || rpcError.code === 429 ||
+      /rate limit|too many requests|header not found/i.test(rpcError.message || '');
+  }
+  return !error.code || ['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR'].includes(error.code);
+}
+
+/**
+ * Check that an endpoint serves the chain of the network (once per endpoint)
+ *
+ * @throws {Error} - code 'CHAIN_MISMATCH'
+ */
+async function ensureChain(url, network) {
+  const state = endpointState(url, network.chainId);
+  if (state.chainId === null) {
+    state.chainId = Number(await state.provider.send('eth_chainId', []));
+  }
+  if (state.chainId !== network.chainId) {
+    const error = new Error(
+      `RPC ${endpointLabel(url)} for network ${network.name} serves chainId ${state.chainId}, expected ${network.chainId}`
+    );
+    error.code = 'CHAIN_MISMATCH';
+    error.transient = false;
+    throw error;
+  }
+  return state;
+}
+
+function markFailed(url, network, method, error) {
+  const state = endpoints.get(url);
+  if (state && error.code !== 'CHAIN_MISMATCH') {
+    state.failures += 1;
+    state.cooldownUntil = Date.now() + positiveEnv('RPC_COOLDOWN_MS', DEFAULT_COOLDOWN_MS);
+  }
+  logger.warn('RPC endpoint failed', {
+    network: network.name,
+    endpoint: endpointLabel(url),
+    method,
+    failures: state ? state.failures : null,
+    error: error.message,
+  });
+}
+
+function markHealthy(url) {
+  const state = endpoints.get(url);
+  state.failures = 0;
+  state.cooldownUntil = 0;
+}
+
+/**
+ * Endpoints in the order to try them: registry order, those on cooldown last
+ */
+function endpointOrder(urls) {
+  const now = Date.now();
+  const coolingDown = url => (endpoints.get(url)?.cooldownUntil || 0) > now;
+  return [...urls.filter(url => !coolingDown(url)), ...urls.filter(coolingDown)];
+}
+
+/**
+ * Send a JSON-RPC request, failing over to the next endpoint on endpoint errors
+ *
+ * @param {object} network - Network registry entry
+ * @param {Array<string>} urls - RPC URLs of the network
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @returns {Promise<any>} - JSON-RPC result
+ * @throws {Error} - The node's error, or the last endpoint error (transient unless every endpoint is on another chain)
+ */
+async function sendWithFailover(network, urls, method, params) {
+  let lastError = null;
+  for (const url of endpointOrder(urls)) {
+    try {
+      const state = await ensureChain(url, network);
+      if (method === 'eth_chainId') {
+        return ethers.utils.hexValue(state.chainId);
+      }
+      const result = await state.provider.send(method, params);
+      markHealthy(url);
+      return result;
+    } catch (error) {
+      if (!isEndpointError(error)) {
+        throw error;
+      }
+      markFailed(url, network, method, error);
+      lastError = error;
+    }
+  }
+  if (urls.length > 1) {
+    lastError.message = `All ${urls.length} RPC endpoints of network ${network.name} failed, last: ${lastError.message}`;
+  }
+  lastError.transient = lastError.code !== 'CHAIN_MISMATCH';
+  throw lastError;
+}
+
+/**
+ * ethers provider over the RPC endpoints of a network
+ *
+ * Usable wherever a JsonRpcProvider is (wallets, contracts); every request
+ * goes through sendWithFailover.
+ */
+class FailoverProvider extends ethers.providers.JsonRpcProvider {
+  /**
+   * @param {object} network - Network registry entry
+   * @param {Array<string>} urls - RPC URLs, in order of preference
+   */
+  constructor(network, urls) {
+    super(urls[0], network.chainId);
+    this.registryNetwork = network;
+    this.rpcUrls = urls;
+  }
+
+  send(method, params) {
+    return sendWithFailover(this.registryNetwork, this.rpcUrls, method, params);
+  }
+
+  // Surface CHAIN_MISMATCH instead of ethers' "could not detect network"
+  async detectNetwork() {
+    const chainId = Number(await this.send('eth_chainId', []));
+    return { name: this.registryNetwork.name, chainId };
+  }
+}
+
+/**
+ * Run a read on every endpoint and keep the answer enough of them agree on
+ *
+ * Answers are compared as JSON (after options.key). Endpoints that fail do
+ * not count as agreeing; answers that differ from the agreed one are logged.
+ *
+ * @param {object} network - Network registry entry
+ * @param {Array<string>} urls - RPC URLs of the network
+ * @param {Function} read - async (provider) => JSON-serializable value
+ * @param {object} options - { required, key }
+ *   required: number of endpoints that must return the same answer
+ *   key: value => the part of the value that must agree (default: all of it)
+ * @returns {Promise<object>} - { agreed, value, required, endpoints, responded, agreeing, disagreeing, error }
+ */
+async function quorumRead(network, urls, read, options = {}) {
+  const required = options.required || 1;
+  const key = options.key || (value => value);
+  const summary = { required, endpoints: urls.length, responded: 0, agreeing: 0, disagreeing: 0 };
+
+  if (urls.length < required) {
+    return {
+      ...summary,
+      agreed: false,
+      value: null,
+      error: `A quorum of ${required} needs at least ${required} RPC endpoints; network ${network.name} has ${urls.length}`,
+    };
+  }
+
+  const answers = await Promise.all(urls.map(async (url) => {
+    try {
+      const state = await ensureChain(url, network);
+      const value = await read(state.provider);
+      markHealthy(url);
+      return { url, value, key: JSON.stringify(key(value)) ?? 'null' };
+    } catch (error) {
+      if (isEndpointError(error)) {
+        markFailed(url, network, 'quorumRead', error);
+      } else {
+        logger.warn('RPC endpoint read failed', { network: network.name, endpoint: endpointLabel(url), error: error.message });
+      }
+      return { url, error };
+    }
+  }));
+
+  const groups = new Map();
+  for (const answer of answers.filter(answer => !answer.error)) {
+    if (!groups.has(answer.key)) {
+      groups.set(answer.key, []);
+    }
+    groups.get(answer.key).push(answer);
+  }
+  const best = [...groups.values()].sort((a, b) => b.length - a.length)[0] || [];
+
+  summary.responded = answers.filter(answer => !answer.error).length;
+  summary.agreeing = best.length;
+  summary.disagreeing = summary.responded - best.length;
+
+  if (summary.disagreeing > 0) {
+    logger.warn('RPC endpoints returned different data', {
+      network: network.name,
+      agreeing: best.map(answer => endpointLabel(answer.url)),
+      disagreeing: answers.filter(answer => !answer.error && !best.includes(answer)).map(answer => endpointLabel(answer.url)),
+    });
+  }
+
+  if (best.length < required) {
+    return {
+      ...summary,
+      agreed: false,
+      value: null,
+      error: summary.disagreeing > 0
+        ? `RPC endpoints of network ${network.name} disagree: at most ${best.length} of ${summary.responded} returned the same data, ${required} required`
+        : `Only ${summary.responded} of ${urls.length} RPC endpoints of network ${network.name} answered, ${required} required`,
+    };
+  }
+
+  return { ...summary, agreed: true, value: best[0].value };
+}
+
+/**
+ * Forget endpoint health and chain checks (tests, or after a config change)
+ */
+function resetEndpoints() {
+  endpoints.clear();
+}
+
+module.exports = {
+  FailoverProvider,
+  sendWithFailover,
+  quorumRead,
+  isEndpointError,
+  resetEndpoints,
+};
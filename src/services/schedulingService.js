@@ -0,0 +1,122 @@
+const Tenant = require('../models/Tenant');
+const DocumentJob = require('../models/DocumentJob');
+const DocumentBatch = require('../models/DocumentBatch');
+const { getSchedulingConfig } = require('../config/worker');
+const logger = require('../utils/logger');
+
+/**
+ * Per-tenant scheduling options for the render stage
+ *
+ * fetchPendingJobs interleaves tenants by weight (a tenant with weight 2 gets
+ * two jobs for every job of a tenant with weight 1) so one large upload cannot
+ * starve everybody else. The PDF limiter additionally caps how many PDFs of a
+ * single tenant render at once in this process.
+ *
+ * Both are configured per tenant in `tenants.metadata.scheduling`:
+ *   { "weight": 2, "maxConcurrentPdf": 1 }
+ */
+
+const tenantCache = new Map(); // tenantId -> { options, expiresAt }
+
+/**
+ * Parse a positive number, falling back to a default
+ *
+ * @param {*} value - Raw value from tenant metadata
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Get the scheduling options of a tenant (cached for TENANT_SCHEDULING_CACHE_MS)
+ *
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<object>} - { weight, maxConcurrentPdf } (maxConcurrentPdf 0 = no tenant cap)
+ */
+async function getTenantSchedulingOptions(tenantId) {
+  const config = getSchedulingConfig();
+  const defaults = { weight: config.defaultTenantWeight, maxConcurrentPdf: config.tenantPdfConcurrency };
+  if (!tenantId) return defaults;
+
+  const cached = tenantCache.get(tenantId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.options;
+  }
+
+  let options = defaults;
+  try {
+    const tenant = await Tenant.findByPk(tenantId, { attributes: ['id', 'metadata'] });
+    const scheduling = tenant?.metadata?.scheduling || {};
+    options = {
+      weight: positiveNumber(scheduling.weight, defaults.weight),
+      maxConcurrentPdf: Math.floor(positiveNumber(scheduling.maxConcurrentPdf, defaults.maxConcurrentPdf)),
+    };
+  } catch (error) {
+    // Scheduling must never block rendering: fall back to the defaults
+    logger.warn('Failed to load tenant scheduling options, using defaults', { tenantId, error: error.message });
+  }
+
+  tenantCache.set(tenantId, { options, expiresAt: Date.now() + config.tenantCacheMs });
+  return options;
+}
+
+/**
+ * Create a PDF limiter that applies a per-tenant cap in front of the global cap
+ *
+ * The tenant slot is taken first so a tenant at its cap waits without holding
+ * one of the global PDF_CONCURRENCY slots other tenants could use.
+ *
+ * @param {Function} pLimit - p-limit factory
+ * @param {Function} globalLimit - Global limiter (pLimit(PDF_CONCURRENCY))
+ * @returns {Function} - (tenantId, fn) => Promise
+ */
+function createTenantLimiter(pLimit, globalLimit) {
+  const limiters = new Map(); // tenantId -> { cap, limit }
+
+  return async function limitForTenant(tenantId, fn) {
+    const { maxConcurrentPdf } = await getTenantSchedulingOptions(tenantId);
+    if (!tenantId || !maxConcurrentPdf) {
+      return globalLimit(fn);
+    }
+
+    let limiter = limiters.get(tenantId);
+    if (!limiter || limiter.cap !== maxConcurrentPdf) {
+      // A changed cap applies to new work; queued work drains through the old limiter
+      limiter = { cap: maxConcurrentPdf, limit: pLimit(maxConcurrentPdf) };
+      limiters.set(tenantId, limiter);
+    }
+
+    return limiter.limit(() => globalLimit(fn));
+  };
+}
+
+/**
+ * Resolve the tenant of a job (SQS / Lambda messages only carry the job id)
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<string|null>} - Tenant ID, or null if the job is unknown
+ */
+async function getJobTenantId(jobId) {
+  const job = await DocumentJob.findByPk(jobId, {
+    attributes: ['id', 'batchId'],
+    include: [{ model: DocumentBatch, as: 'batch', attributes: ['id', 'tenantId'] }],
+  });
+  return job?.batch?.tenantId || null;
+}
+
+/**
+ * Forget cached tenant options (tests, or after editing tenant metadata)
+ */
+function clearTenantCache() {
+  tenantCache.clear();
+}
+
+module.exports = {
+  getTenantSchedulingOptions,
+  createTenantLimiter,
+  getJobTenantId,
+  clearTenantCache,
+};
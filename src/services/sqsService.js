@@ -8,8 +8,22 @@ const sqs = new AWS.SQS({
   region: process.env.AWS_REGION,
 });
 
+// Supported message actions and the identifier each one requires
+const MESSAGE_ACTIONS = {
+  generate_certificate: 'jobId',
+  finalize_batch: 'batchId',
+  anchor: null,
+  revoke: null,
+  embed_qr: 'jobId',
+};
+
 /**
  * Poll SQS queue for messages
+ *
+ * A message whose handler throws stays on the queue. If the error carries a
+ * `visibilityTimeout` (seconds) the message becomes visible again after that
+ * time instead of SQS_VISIBILITY_TIMEOUT (0 = hand it back right away).
+ *
  * @param {string} queueUrl - SQS queue URL
  * @param {function} handler - Message handler function
  * @returns {Promise<void>}
@@ -36,6 +50,15 @@ async function pollSQS(queueUrl, handler) {
           // Delete message after successful processing
           await deleteMessage(queueUrl, message.ReceiptHandle);
         } catch (error) {
+          if (Number.isInteger(error.visibilityTimeout)) {
+            logger.info('Returning SQS message to the queue', {
+              messageId: message.MessageId,
+              visibilityTimeout: error.visibilityTimeout,
+              reason: error.message,
+            });
+            await changeMessageVisibility(queueUrl, message.ReceiptHandle, error.visibilityTimeout).catch(() => {});
+            continue;
+          }
           logger.error('Error processing SQS message:', {
             messageId: message.MessageId,
             error: error.message,
@@ -71,10 +94,36 @@ async function deleteMessage(queueUrl, receiptHandle) {
   }
 }
 
+/**
+ * Change when a received message becomes visible again
+ * @param {string} queueUrl - SQS queue URL
+ * @param {string} receiptHandle - Message receipt handle
+ * @param {number} visibilityTimeout - Seconds from now (0-43200)
+ * @returns {Promise<void>}
+ */
+async function changeMessageVisibility(queueUrl, receiptHandle, visibilityTimeout) {
+  const params = {
+    QueueUrl: queueUrl,
+    ReceiptHandle: receiptHandle,
+    VisibilityTimeout: Math.min(Math.max(visibilityTimeout, 0), 43200),
+  };
+
+  try {
+    await sqs.changeMessageVisibility(params).promise();
+  } catch (error) {
+    logger.error('Error changing SQS message visibility:', error);
+    throw error;
+  }
+}
+
 /**
  * Parse SQS message and extract job information
+ *
+ * Messages without an `action` are treated as `generate_certificate` for
+ * backward compatibility with producers that only send `{ jobId }`.
+ *
  * @param {object} message - SQS message
- * @returns {object} - Parsed message data
+ * @returns {object} - Parsed message data ({ action, jobId?, batchId? })
  */
 function parseMessage(message) {
   try {
@@ -90,12 +139,18 @@ function parseMessage(message) {
       jobData = body;
     }
 
-    if (!jobData.jobId) {
-      throw new Error('Missing jobId in message');
+    const action = jobData.action || 'generate_certificate';
+    if (!Object.prototype.hasOwnProperty.call(MESSAGE_ACTIONS, action)) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+
+    const requiredField = MESSAGE_ACTIONS[action];
+    if (requiredField && !jobData[requiredField]) {
+      throw new Error(`Missing ${requiredField} in ${action} message`);
     }
 
-    logger.debug('Parsed SQS message', { jobId: jobData.jobId });
-    return jobData;
+    logger.debug('Parsed SQS message', { action, jobId: jobData.jobId, batchId: jobData.batchId });
+    return { ...jobData, action };
   } catch (error) {
     logger.error('Error parsing SQS message:', error);
     throw new Error(`Invalid message format: ${error.message}`);
@@ -103,7 +158,9 @@ function parseMessage(message) {
 }
 
 module.exports = {
+  MESSAGE_ACTIONS,
   pollSQS,
   deleteMessage,
+  changeMessageVisibility,
   parseMessage,
 };
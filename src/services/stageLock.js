@@ -0,0 +1,90 @@
+const logger = require('../utils/logger');
+
+/**
+ * Cluster-wide locks for stages that must run on one node at a time, and for
+ * the signing keys that send transactions from any node
+ *
+ * Two mru nodes would anchor (or revoke) the same batches twice, so each of
+ * those passes runs on one node at a time. Nonces are a separate matter: the
+ * worker key also sends issuer registry and vouch transactions from /admin on
+ * any node, so every transaction of a key takes the signer lock of that key and
+ * chain while it reserves its nonce. The locks are Postgres transaction-level
+ * advisory locks: they are released when the run ends, and by Postgres itself
+ * if the node dies mid-run.
+ */
+
+const STAGE_LOCKS = {
+  anchor: 'justifai:mru:anchor',
+  revoke: 'justifai:mru:revoke',
+};
+
+/**
+ * Run a stage pass unless another node is running it
+ *
+ * Holds one pooled connection (idle in transaction) for the duration of the pass.
+ *
+ * @param {string} stage - Key of STAGE_LOCKS
+ * @param {function} fn - Pass to run while holding the lock
+ * @returns {Promise<object>} - { acquired, result } (result: null when not acquired)
+ */
+async function withStageLock(stage, fn) {
+  const { sequelize } = require('../config/database');
+  const name = STAGE_LOCKS[stage];
+  if (!name) {
+    throw new Error(`Unknown stage lock: ${stage}`);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const [rows] = await sequelize.query('SELECT pg_try_advisory_xact_lock(hashtext(:name)) AS acquired', {
+      replacements: { name },
+      transaction,
+    });
+    if (!rows[0]?.acquired) {
+      logger.info('Stage is running on another node, skipping this pass', { stage });
+      return { acquired: false, result: null };
+    }
+    return { acquired: true, result: await fn() };
+  });
+}
+
+/**
+ * Lock name of a signing key on a chain
+ *
+ * @param {string} address - Signer address
+ * @param {number} chainId - Chain the transactions are for
+ * @returns {string}
+ */
+function signerLockName(address, chainId) {
+  return `justifai:signer:${chainId || ''}:${address.toLowerCase()}`;
+}
+
+/**
+ * Run fn while holding the lock of a signing key on a chain, waiting for it
+ *
+ * Holds one pooled connection (idle in transaction) until fn settles, so fn
+ * should only reserve a nonce and broadcast or persist the transaction.
+ *
+ * @param {string} address - Signer address
+ * @param {number} chainId - Chain the transaction is for
+ * @param {function} fn - Work to run while holding the lock
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withSignerLock(address, chainId, fn) {
+  const { sequelize } = require('../config/database');
+  const name = signerLockName(address, chainId);
+
+  return sequelize.transaction(async (transaction) => {
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:name))', {
+      replacements: { name },
+      transaction,
+    });
+    return fn();
+  });
+}
+
+module.exports = {
+  STAGE_LOCKS,
+  withStageLock,
+  signerLockName,
+  withSignerLock,
+};
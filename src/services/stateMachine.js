@@ -0,0 +1,222 @@
+const logger = require('../utils/logger');
+
+/**
+ * Status state machine for DocumentJob and DocumentBatch
+ *
+ * Every status change goes through transition(), which checks the move against
+ * the model's transition table, runs the guards of the target state on the
+ * resulting row, writes the change conditionally on the current state (so a
+ * concurrent writer cannot be silently overwritten) and records who triggered
+ * it in `lastTransition`.
+ *
+ * Set-based lease updates in jobService (claim, release, reap) are written in
+ * SQL for atomicity; they only perform Pending <-> Processing and
+ * Processing -> DeadLettered moves listed below and record lastTransition too.
+ */
+
+const has = field => row => row[field] !== null && row[field] !== undefined && row[field] !== '';
+
+// Directly anchored batches (proofType 'direct') have no MRI / MRU
+const hasRoot = field => row => row.proofType === 'direct' || has(field)(row);
+
+// AnchorStore batches carry the transaction, TSA / calendar batches (anchorBackend) the proof
+const hasAnchor = row => (!row.anchorBackend || row.anchorBackend === 'polygon' ? has('txHash')(row) : has('anchorProof')(row));
+
+const MACHINES = {
+  DocumentJob: {
+    status: {
+      transitions: {
+        Pending: ['Processing', 'Failed', 'Cancelled'],
+        Processing: ['Pending', 'PendingSigning', 'Generated', 'Failed', 'DeadLettered', 'Cancelled'],
+        PendingSigning: ['Pending', 'Generated', 'Failed', 'Cancelled'], // -> Pending: re-render (regenerationService)
+        Generated: ['Pending', 'Failed', 'DeadLettered', 'Cancelled'],
+        Failed: ['Pending', 'Cancelled'],
+        DeadLettered: ['Pending', 'Cancelled'],
+        Cancelled: [],
+      },
+      guards: {
+        PendingSigning: {
+          certificatePath: has('certificatePath'),
+          fingerprintHash: has('fingerprintHash'),
+        },
+        Generated: {
+          certificatePath: has('certificatePath'),
+          fingerprintHash: has('fingerprintHash'),
+          issuerSignature: has('issuerSignature'),
+          merkleLeaf: has('merkleLeaf'),
+        },
+        Failed: { errorMessage: has('errorMessage') },
+        DeadLettered: { errorMessage: has('errorMessage') },
+      },
+    },
+  },
+  DocumentBatch: {
+    status: {
+      transitions: {
+        Pending: ['Processing', 'Completed', 'Failed', 'Paused', 'Cancelled'],
+        Processing: ['Completed', 'Failed', 'Paused', 'Cancelled'],
+        Completed: ['Processing'], // re-anchoring invalidates the QR-embedded PDFs
+        Failed: ['Pending', 'Processing', 'Paused', 'Cancelled'],
+        Paused: ['Pending', 'Processing', 'Failed', 'Cancelled'], // resume to the status it was paused in
+        Cancelled: [],
+      },
+      guards: {
+        Completed: { anchor: hasAnchor, merkleRootUltimate: hasRoot('merkleRootUltimate') },
+      },
+    },
+    signingStatus: {
+      transitions: {
+        null: ['PendingSigning', 'Signed', 'Finalized'],
+        PendingSigning: ['Signed', 'Finalized'],
+        Signed: ['PendingSigning', 'Finalized'], // a job was re-rendered before the MRI was calculated
+        Finalized: [],
+      },
+      guards: {
+        Finalized: { merkleRoot: hasRoot('merkleRoot'), finalizedAt: has('finalizedAt') },
+      },
+    },
+  },
+};
+
+/**
+ * Get the state machine for a model field
+ *
+ * @param {string} modelName - 'DocumentJob' | 'DocumentBatch'
+ * @param {string} field - Status field (default 'status')
+ * @returns {object} - { transitions, guards }
+ */
+function getMachine(modelName, field = 'status') {
+  const machine = MACHINES[modelName]?.[field];
+  if (!machine) {
+    throw new Error(`No state machine defined for ${modelName}.${field}`);
+  }
+  return machine;
+}
+
+/**
+ * Whether `from -> to` is listed in the transition table
+ * (staying in the same state is always allowed, e.g. a QR retry keeps 'Generated')
+ *
+ * @param {string} modelName - Model name
+ * @param {string|null} from - Current state
+ * @param {string} to - Target state
+ * @param {string} field - Status field (default 'status')
+ * @returns {boolean}
+ */
+function canTransition(modelName, from, to, field = 'status') {
+  if (from === to) return true;
+  const allowed = getMachine(modelName, field).transitions[String(from)] || [];
+  return allowed.includes(to);
+}
+
+/**
+ * Validate a transition and the target state's guards without writing anything
+ *
+ * @param {string} modelName - Model name
+ * @param {object} row - Resulting row values (current values merged with updates)
+ * @param {string|null} from - Current state
+ * @param {string} to - Target state
+ * @param {string} field - Status field (default 'status')
+ * @throws {Error} - code 'INVALID_TRANSITION' or 'TRANSITION_GUARD_FAILED'
+ */
+function assertTransition(modelName, row, from, to, field = 'status') {
+  if (!canTransition(modelName, from, to, field)) {
+    const error = new Error(`Illegal ${modelName}.${field} transition: ${from} -> ${to}`);
+    error.code = 'INVALID_TRANSITION';
+    error.transient = false;
+    throw error;
+  }
+
+  const guards = getMachine(modelName, field).guards[to] || {};
+  const missing = Object.keys(guards).filter(name => !guards[name](row));
+  if (missing.length > 0) {
+    const error = new Error(`Cannot move ${modelName} ${row.id} to ${field}=${to}: missing ${missing.join(', ')}`);
+    error.code = 'TRANSITION_GUARD_FAILED';
+    error.transient = false;
+    throw error;
+  }
+}
+
+/**
+ * Move an entity to a new state
+ *
+ * The write is conditional on the entity still being in the state it was
+ * loaded with (plus `context.where`), so it returns false instead of
+ * clobbering a concurrent change.
+ *
+ * @param {object} entity - DocumentJob or DocumentBatch instance
+ * @param {string} to - Target state
+ * @param {object} context - Transition context
+ * @param {string} context.field - Status field (default 'status')
+ * @param {object} context.updates - Other fields written together with the state
+ * @param {string} context.actor - Who triggered it (worker id, 'signer', 'api', ...)
+ * @param {string} context.reason - What triggered it (short description)
+ * @param {string} context.stage - Pipeline stage recorded in the event history (default: field name)
+ * @param {object} context.details - Extra context recorded in the event history
+ * @param {number} context.durationMs - Stage duration recorded in the event history
+ * @param {object} context.where - Extra conditions for the write (e.g. lease owner)
+ * @returns {Promise<boolean>} - False if the entity changed concurrently and nothing was written
+ */
+async function transition(entity, to, context = {}) {
+  const Model = entity.constructor;
+  const modelName = Model.name;
+  const { field = 'status', updates = {}, actor = 'system', reason = null, where = {}, stage = null } = context;
+  const from = entity.get(field) ?? null;
+
+  const row = { ...entity.get({ plain: true }), ...updates, [field]: to };
+  assertTransition(modelName, row, from, to, field);
+
+  const lastTransition = {
+    field,
+    from,
+    to,
+    actor,
+    reason,
+    at: new Date().toISOString(),
+  };
+
+  const values = { ...updates, [field]: to, lastTransition };
+  const [affectedRows] = await Model.update(values, {
+    where: { id: entity.id, [field]: from, ...where },
+  });
+
+  if (affectedRows === 0) {
+    logger.warn('State transition skipped, entity changed concurrently', {
+      model: modelName,
+      id: entity.id,
+      field,
+      from,
+      to,
+    });
+    return false;
+  }
+
+  entity.set(values, { raw: true });
+  logger.debug('State transition', { model: modelName, id: entity.id, ...lastTransition });
+
+  // Append to the issuance audit trail
+  const eventService = require('./eventService');
+  const event = {
+    stage: stage || field,
+    event: 'transition',
+    fromStatus: from,
+    toStatus: to,
+    actor,
+    details: { field, reason, ...context.details },
+    durationMs: context.durationMs,
+  };
+  if (modelName === 'DocumentJob') {
+    await eventService.recordJobEvent(entity, event);
+  } else {
+    await eventService.recordBatchEvent(entity, event);
+  }
+
+  return true;
+}
+
+module.exports = {
+  MACHINES,
+  canTransition,
+  assertTransition,
+  transition,
+};
@@ -353,6 +353,7 @@ async function extractQRCodeFromPDF(pdfBuffer) {
       const qrPayload = {
         txHash: vd.txHash,
         network: vd.network,
+        chainId: vd.chainId || null,
         MPU: vd.merkleProofUltimate || [],
         MPI: vd.merkleProofIntermediate || [],
         issuerId: vd.issuerId,
@@ -382,6 +383,74 @@ async function extractQRCodeFromPDF(pdfBuffer) {
   }
 }
 
+/**
+ * Local result of the checks AnchorStore.verifyDocument(Simple) covers
+ *
+ * Both calls cover the Merkle path and the anchored MRU; verifyDocument also
+ * covers the issuer signature. The result is null when one of those could not
+ * be checked locally (RPC down, no issuer public key), so no agreement is claimed.
+ *
+ * @param {object} steps - verifyCertificate result.steps
+ * @param {string} method - 'verifyDocument' | 'verifyDocumentSimple'
+ * @returns {object} - { valid, checks: { merkleProofs, anchored, signature } }
+ */
+function localOnChainEquivalent(steps, method) {
+  const blockchainInfo = steps.blockchainInfo;
+  const checks = {
+    merkleProofs: steps.intermediateProofValid === true && steps.ultimateProofValid === true,
+    anchored: blockchainInfo && blockchainInfo.verified !== false ? blockchainInfo.mruMatches !== false : null,
+  };
+  if (method === 'verifyDocument') {
+    checks.signature = steps.signatureVerified ?? null;
+  }
+  const values = Object.values(checks);
+  const valid = values.includes(false) ? false : (values.includes(null) ? null : true);
+  return { valid, checks };
+}
+
+/**
+ * Validity state of Ed / Ei at the verification time
+ *
+ * Ed and Ei are Unix seconds (null or 0 = no limit). At or after Ed the
+ * certificate is expired; at or after Ei (and before Ed) it is still valid, but
+ * the issuer can no longer revoke it.
+ *
+ * @param {number|null} Ed - Expiry date
+ * @param {number|null} Ei - Invalidation expiry
+ * @param {Object} options - { asOf, now } as for verifyCertificate
+ * @returns {Object} - { status, asOf, historical, expiryDate, invalidationExpiry, error }
+ *   status: 'valid' | 'expired' | 'invalidation_window_closed' | null (asOf is not a date)
+ */
+function checkValidityPeriod(Ed, Ei, options = {}) {
+  const historical = options.asOf != null;
+  const asOf = historical ? new Date(options.asOf) : (options.now || new Date());
+  const toIso = (seconds) => (Number(seconds) ? new Date(Number(seconds) * 1000).toISOString() : null);
+  const period = {
+    status: null,
+    asOf: null,
+    historical,
+    expiryDate: toIso(Ed),
+    invalidationExpiry: toIso(Ei),
+    error: null,
+  };
+
+  if (isNaN(asOf.getTime())) {
+    period.error = `Invalid asOf date: ${options.asOf}`;
+    return period;
+  }
+  period.asOf = asOf.toISOString();
+
+  const seconds = Math.floor(asOf.getTime() / 1000);
+  if (Number(Ed) && seconds >= Number(Ed)) {
+    period.status = 'expired';
+  } else if (Number(Ei) && seconds >= Number(Ei)) {
+    period.status = 'invalidation_window_closed';
+  } else {
+    period.status = 'valid';
+  }
+  return period;
+}
+
 /**
  * Verify a certificate using Justifai algorithm
  * 
@@ -395,16 +464,33 @@ async function extractQRCodeFromPDF(pdfBuffer) {
  * 7. Calculate L = H(SI)
  * 8. Verify MPI: L → MRI using Merkle proof
  * 9. Verify MPU: MRI → MRU using Merkle proof
- * 10. Verify blockchain transaction (optional)
+ *    (8-9 are skipped for proofType 'direct': L itself was anchored with anchor / anchorBatch)
+ * 10. Verify blockchain transaction (optional); for a direct proof, the Anchored
+ *     event of L and AnchorStore.isAnchored(L)
+ *     For a VD anchored by a TSA or calendars (anchorBackend 'rfc3161' /
+ *     'opentimestamps') the anchorProof is checked against MRU instead, and the
+ *     on-chain steps 10-14 do not apply (no txHash)
+ * 11. Check on-chain revocation
+ * 12. Check issuer time-window invalidation
+ * 13. Run AnchorStore.verifyDocument on the same values and compare (optional, Merkle proofs only)
+ * 14. Read the witness vouches for the issuer (informational)
+ * 15. Compare Ed and Ei with the verification time: past Ed the certificate
+ *     is expired (invalid), past Ei it stays valid but can no longer be revoked
  * 
  * @param {Buffer} qrPdfBuffer - QR-embedded PDF buffer
  * @param {Object} qrPayload - QR code payload data (optional if VD is available)
  * @param {Object} verificationBundle - Verification bundle (VD) (optional, will be extracted if not provided)
- * @returns {Promise<Object>} - Verification result
+ * @param {Object} options - Optional overrides
+ * @param {boolean} options.onChain - Run step 13 (default: VERIFY_ON_CHAIN=true)
+ * @param {Date|string} options.asOf - Check Ed / Ei as of this date instead of now (historical check)
+ * @param {Date} options.now - Current time (injectable for tests)
+ * @returns {Promise<Object>} - Verification result; validity: 'valid' | 'expired' |
+ *   'invalidation_window_closed' | 'invalid' (any other error)
  */
-async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBundle = null) {
+async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBundle = null, options = {}) {
   const result = {
     valid: false,
+    validity: 'invalid',
     errors: [],
     warnings: [],
     steps: {},
@@ -603,6 +689,7 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
           qrPayload = {
             txHash: verificationBundle.txHash,
             network: verificationBundle.network,
+            chainId: verificationBundle.chainId || null,
             MPU: verificationBundle.merkleProofUltimate || [],
             MPI: verificationBundle.merkleProofIntermediate || [],
             issuerId: verificationBundle.issuerId,
@@ -637,7 +724,7 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
     }
 
     // If we have VD, use it; otherwise use QR payload
-    let Ed, Ei, SI, MPI, MPU, MRI, MRU, txHash, network, issuerId;
+    let Ed, Ei, SI, MPI, MPU, MRI, MRU, txHash, network, chainId, issuerId, proofType, anchorBackend, anchorProof;
     
     if (verificationBundle) {
       // Use verification bundle (VD) - preferred method
@@ -650,7 +737,11 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
       MRU = verificationBundle.merkleRootUltimate;
       txHash = verificationBundle.txHash;
       network = verificationBundle.network;
+      chainId = verificationBundle.chainId || null;
       issuerId = verificationBundle.issuerId;
+      proofType = verificationBundle.proofType || 'merkle';
+      anchorBackend = verificationBundle.anchorBackend || 'polygon';
+      anchorProof = verificationBundle.anchorProof || null;
       
       // Verify that calculated hash matches VD's documentHash
       if (verificationBundle.documentHash && calculatedHash !== verificationBundle.documentHash) {
@@ -672,7 +763,11 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
       MRU = qrPayload.MRU;
       txHash = qrPayload.txHash;
       network = qrPayload.network;
+      chainId = qrPayload.chainId || null;
       issuerId = qrPayload.issuerId;
+      proofType = qrPayload.proofType || 'merkle';
+      anchorBackend = qrPayload.anchorBackend || 'polygon'; // the QR code carries no proof
+      anchorProof = null;
       
       result.steps.qrPayloadUsed = true;
       logger.info('Using QR code payload for verification');
@@ -680,6 +775,8 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
       result.errors.push('Neither verification bundle (VD) nor QR code payload is available');
       return result;
     }
+    result.steps.proofType = proofType;
+    result.steps.anchorBackend = anchorBackend;
 
     // Step 4 & 5: Calculate DI and H(DI)
     logger.info('Step 4-5: Calculating document fingerprint DI and H(DI)...');
@@ -698,9 +795,57 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
       logger.info('Step 6: Verifying issuer signature SI...');
       result.steps.issuerSignature = SI;
       
-      // Try to get public key from payload or ENV
-      const issuerPublicKey = qrPayload?.issuerPublicKey || verificationBundle?.issuerPublicKey || process.env.ISSUER_PUBLIC_KEY;
-      
+      // Keys embedded in the certificate, or the global one
+      const embeddedKeys = [qrPayload?.issuerPublicKey, verificationBundle?.issuerPublicKey, process.env.ISSUER_PUBLIC_KEY]
+        .filter(Boolean);
+      let issuerPublicKey = embeddedKeys[0];
+
+      // Registered issuers: only accept the key that was registered on AnchorStore
+      // when the root was anchored, whatever key the PDF carries
+      const keyIssuerId = verificationBundle?.anchorIssuerId;
+      const keyTimeWindow = verificationBundle?.timeWindow;
+      if (keyIssuerId && keyTimeWindow) {
+        const blockchainService = require('./blockchainService');
+        const registry = await blockchainService.getIssuerKeyHistory(keyIssuerId, { network, chainId });
+        const validKey = registry.registered ? blockchainService.findKeyValidAt(registry.history, keyTimeWindow) : null;
+
+        result.steps.issuerKey = {
+          checked: registry.checked,
+          registered: registry.registered,
+          issuerId: keyIssuerId,
+          timeWindow: String(keyTimeWindow),
+          publicKey: validKey ? validKey.publicKey : null,
+          validFrom: validKey ? validKey.validFrom : null,
+          validUntil: validKey ? validKey.validUntil : null,
+          matched: false,
+        };
+
+        if (!registry.checked) {
+          result.warnings.push(`Issuer key registry could not be checked: ${registry.error}`);
+        } else if (registry.registered && !validKey) {
+          result.errors.push('The issuer had no registered public key when this certificate was anchored');
+          issuerPublicKey = null;
+        } else if (validKey) {
+          issuerPublicKey = embeddedKeys.find(key => {
+            try {
+              return blockchainService.publicKeyToBytes32(key) === validKey.publicKey;
+            } catch (error) {
+              return false;
+            }
+          }) || null;
+
+          if (issuerPublicKey) {
+            result.steps.issuerKey.matched = true;
+            logger.info('✅ Issuer key matches the key registered at anchoring time');
+          } else {
+            result.errors.push(
+              'The issuer public key in this certificate is not the key the issuer had registered ' +
+              `when it was anchored (registered key ${validKey.publicKey})`
+            );
+          }
+        }
+      }
+
       if (issuerPublicKey) {
           const fingerprintHash = result.steps.fingerprintHash;
           const isValidSig = crypto.verifySignature(fingerprintHash, SI, issuerPublicKey);
@@ -709,10 +854,11 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
               result.steps.signatureVerified = true;
               logger.info('✅ Issuer signature (SI) verified successfully');
           } else {
+              result.steps.signatureVerified = false;
               logger.error('Issuer signature verification failed', { fingerprintHash, SI, issuerPublicKey });
               result.errors.push('Issuer signature (SI) verification failed: The document fingerprint does not match the signature.');
           }
-      } else {
+      } else if (!result.steps.issuerKey?.registered) {
           result.warnings.push('Signature verification skipped (requires issuer public key)');
       }
     } else {
@@ -727,7 +873,9 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
     logger.info(`✅ Calculated L: ${calculatedLeaf}`);
 
     // Step 8: Verify MPI: L → MRI
-    if (MPI && MRI) {
+    if (proofType === 'direct') {
+      logger.info('Steps 8-9: Skipped, L is anchored directly (no Merkle proofs)');
+    } else if (MPI && MRI) {
       logger.info('Step 8: Verifying intermediate Merkle proof (MPI)...');
       try {
         const mpiValid = merkle.verifyMerkleProof(calculatedLeaf, MPI, MRI);
@@ -751,7 +899,7 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
     }
 
     // Step 9: Verify MPU: MRI → MRU (if available)
-    if (MRU && MRI) {
+    if (proofType !== 'direct' && MRU && MRI) {
       logger.info('Step 9: Verifying ultimate Merkle proof (MPU)...');
       
       if (MRI === MRU) {
@@ -779,17 +927,47 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
         // return result;
         result.warnings.push('MPU is empty but MRI does not match MRU');
       }
-    } else {
+    } else if (proofType !== 'direct') {
       result.warnings.push('Ultimate Merkle proof (MPU) verification skipped (Missing MRI or MRU)');
     }
 
+    // Step 10 (TSA / calendar anchoring): the proof in the VD must commit to MRU
+    if (anchorBackend !== 'polygon') {
+      logger.info(`Step 10: Verifying the ${anchorBackend} anchoring proof...`);
+      let proofCheck;
+      try {
+        if (!anchorProof || !MRU) {
+          throw new Error(`the VD declares the ${anchorBackend} backend but carries no proof or MRU`);
+        }
+        const AnchoringFactory = require('../anchoring/AnchoringFactory');
+        proofCheck = await AnchoringFactory.getBackend(anchorBackend).verify(anchorProof, MRU);
+      } catch (error) {
+        proofCheck = { checked: true, verified: false, pending: false, timestamp: null, error: error.message };
+      }
+      result.steps.timestampProof = { backend: anchorBackend, ...proofCheck };
+
+      if (proofCheck.verified) {
+        logger.info(`✅ MRU timestamped at ${proofCheck.timestamp}`);
+        if (proofCheck.trusted === false) {
+          result.warnings.push('TSA certificate is not pinned (TSA_CERT); the token was checked with the certificate it embeds');
+        }
+      } else if (proofCheck.pending) {
+        result.warnings.push(`Anchoring proof is not final yet: ${proofCheck.error}`);
+      } else if (!proofCheck.checked) {
+        result.warnings.push(`Anchoring proof could not be checked: ${proofCheck.error}`);
+      } else {
+        result.errors.push(`Anchoring proof is invalid: ${proofCheck.error}`);
+        result.valid = false;
+      }
+    }
+
     // Step 10: Blockchain verification (optional)
-    if (txHash && network) {
+    if (txHash && (network || chainId)) {
       logger.info('Step 10: Verifying blockchain transaction...');
       
       try {
-        const blockchainService = require('./blockchainService');
-        
+        const AnchoringFactory = require('../anchoring/AnchoringFactory');
+
         // Get expected MRU from MPU if available (calculate from MPU + MRI)
         let expectedMRU = MRU || null;
         if (!expectedMRU && MPU && MPU.length > 0 && MRI) {
@@ -798,21 +976,25 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
           // Full MRU verification would require building the tree from all MRIs
         }
         
-        const verificationResult = await blockchainService.verifyTransaction(
-          txHash,
-          expectedMRU,
-          { network }
+        // A direct proof has no MRU: the transaction must have anchored L itself
+        const verificationResult = await AnchoringFactory.getBackend('polygon').verify(
+          { txHash, network, chainId },
+          proofType === 'direct' ? null : expectedMRU,
+          proofType === 'direct' ? { certHash: calculatedLeaf } : {}
         );
         
         if (verificationResult.verified) {
           result.steps.blockchainInfo = {
             txHash,
-            network,
+            network: verificationResult.network || network,
+            chainId: verificationResult.chainId || chainId,
             blockNumber: verificationResult.blockNumber,
             status: verificationResult.status,
             mruFromEvent: verificationResult.mruFromEvent,
             mruMatches: verificationResult.mruMatches,
+            certHashAnchored: verificationResult.certHashAnchored ?? null,
             explorerUrl: verificationResult.explorerUrl,
+            quorum: verificationResult.quorum || null,
           };
           
           if (verificationResult.mruMatches === false) {
@@ -827,8 +1009,15 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
             network,
             verified: false,
             error: verificationResult.error,
+            certHashAnchored: verificationResult.certHashAnchored ?? null,
+            quorum: verificationResult.quorum || null,
           };
-          result.warnings.push(`Blockchain verification failed: ${verificationResult.error}`);
+          if (verificationResult.certHashAnchored === false) {
+            result.errors.push('This certificate is not anchored by the blockchain transaction');
+            result.valid = false;
+          } else {
+            result.warnings.push(`Blockchain verification failed: ${verificationResult.error}`);
+          }
         }
       } catch (error) {
         logger.warn('Blockchain verification error', { error: error.message });
@@ -842,11 +1031,194 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
       }
     }
 
+    // Step 10 (direct proof): the contract's own record of the leaf
+    if (txHash && proofType === 'direct') {
+      logger.info('Step 10: Checking AnchorStore.isAnchored for L...');
+      const blockchainService = require('./blockchainService');
+      const directAnchor = await blockchainService.getDirectAnchorStatus(calculatedLeaf, { network, chainId });
+
+      result.steps.directAnchor = {
+        checked: directAnchor.checked,
+        anchored: directAnchor.anchored,
+        blockNumber: directAnchor.blockNumber ?? null,
+        anchoredAt: directAnchor.anchoredAt ?? null,
+      };
+
+      if (!directAnchor.checked) {
+        result.warnings.push(`Direct anchoring could not be checked: ${directAnchor.error}`);
+      } else if (!directAnchor.anchored) {
+        result.errors.push('This certificate is not anchored on AnchorStore');
+        result.valid = false;
+      } else {
+        logger.info(`✅ L is anchored on AnchorStore at block ${directAnchor.blockNumber}`);
+      }
+    }
+
+    // Step 11: Revocation check (the leaf, or the anchored root above it)
+    if (txHash) {
+      logger.info('Step 11: Checking on-chain revocation...');
+      const blockchainService = require('./blockchainService');
+      const revocation = await blockchainService.getRevocationStatus(calculatedLeaf, MRU, {
+        network,
+        chainId,
+        fromBlock: result.steps.blockchainInfo?.blockNumber,
+      });
+
+      result.steps.revocation = {
+        checked: revocation.checked,
+        revoked: revocation.revoked,
+        scope: revocation.scope || null,
+        reason: revocation.reason || null,
+        blockNumber: revocation.blockNumber || null,
+        txHash: revocation.txHash || null,
+      };
+
+      if (revocation.revoked) {
+        const subject = revocation.scope === 'root' ? 'The batch of this certificate' : 'This certificate';
+        result.errors.push(
+          `${subject} was revoked by the issuer at block ${revocation.blockNumber ?? 'unknown'}` +
+          (revocation.reason ? `: ${revocation.reason}` : '')
+        );
+        result.valid = false;
+      } else if (!revocation.checked) {
+        result.warnings.push(`Revocation status could not be checked: ${revocation.error}`);
+      } else {
+        logger.info('✅ Certificate is not revoked');
+      }
+    }
+
+    // Step 12: Time-window invalidation (issuer key compromised while the root was anchored)
+    const anchorIssuerId = verificationBundle?.anchorIssuerId;
+    const timeWindow = verificationBundle?.timeWindow;
+    if (txHash && anchorIssuerId && timeWindow) {
+      logger.info('Step 12: Checking issuer time-window invalidation...');
+      const blockchainService = require('./blockchainService');
+      const windowStatus = await blockchainService.getTimeWindowStatus(anchorIssuerId, timeWindow, { network, chainId });
+
+      result.steps.timeWindow = {
+        checked: windowStatus.checked,
+        invalidated: windowStatus.invalidated,
+        issuerId: anchorIssuerId,
+        timeWindow: String(timeWindow),
+        start: windowStatus.start ?? null,
+        end: windowStatus.end ?? null,
+        invalidatedAt: windowStatus.invalidatedAt ?? null,
+      };
+
+      if (windowStatus.invalidated) {
+        const toIso = (seconds) => (seconds != null ? new Date(seconds * 1000).toISOString() : 'unknown');
+        result.errors.push(
+          'The issuer invalidated every certificate it anchored between ' +
+          `${toIso(windowStatus.start)} and ${toIso(windowStatus.end)} (issuer key compromised); ` +
+          `this certificate was anchored at ${toIso(Number(timeWindow))}`
+        );
+        result.valid = false;
+      } else if (!windowStatus.checked) {
+        result.warnings.push(`Time-window invalidation could not be checked: ${windowStatus.error}`);
+      } else {
+        logger.info('✅ Anchoring time window is not invalidated');
+      }
+    }
+
+    // Step 13: AnchorStore's own verification, as independent evidence of the local result
+    // (a direct proof was already checked against the contract in step 10)
+    const onChain = options.onChain ?? process.env.VERIFY_ON_CHAIN === 'true';
+    if (onChain && txHash && proofType !== 'direct') {
+      logger.info('Step 13: Running AnchorStore.verifyDocument...');
+      if (!anchorIssuerId || !timeWindow || !MRI || !MRU) {
+        result.steps.onChainVerification = {
+          checked: false,
+          error: 'The certificate has no putRoot binding (anchorIssuerId, timeWindow, MRI, MRU) to verify against',
+        };
+        result.warnings.push('On-chain document verification skipped: the certificate predates putRoot anchoring');
+      } else {
+        const blockchainService = require('./blockchainService');
+        const onChainResult = await blockchainService.verifyDocumentOnChain({
+          leaf: calculatedLeaf,
+          mpiProof: MPI,
+          mpuProof: MRI === MRU ? [] : MPU,
+          mri: MRI,
+          mru: MRU,
+          timeWindow,
+          issuerId: anchorIssuerId,
+          diHash: verificationBundle?.diHash,
+          signature: SI,
+          // The VD has no separate issuance time; the root was anchored at timeWindow
+          issuanceTimestamp: timeWindow,
+          Ed,
+          Ei,
+        }, { network, chainId });
+
+        const local = localOnChainEquivalent(result.steps, onChainResult.method);
+        const agrees = onChainResult.checked && local.valid !== null ? onChainResult.valid === local.valid : null;
+        result.steps.onChainVerification = {
+          checked: onChainResult.checked,
+          method: onChainResult.method,
+          valid: onChainResult.valid,
+          reason: onChainResult.reason || null,
+          localValid: local.valid,
+          localChecks: local.checks,
+          agrees,
+          error: onChainResult.error || null,
+        };
+
+        if (!onChainResult.checked) {
+          result.warnings.push(`On-chain document verification could not be run: ${onChainResult.error}`);
+        } else if (agrees === false && !onChainResult.valid) {
+          result.warnings.push(
+            `AnchorStore.${onChainResult.method} rejects this certificate although the local checks pass` +
+            (onChainResult.reason ? ` (${onChainResult.reason})` : '') +
+            '; verifiers reading the contract will report it invalid'
+          );
+        } else if (agrees === false) {
+          result.warnings.push(`AnchorStore.${onChainResult.method} accepts this certificate although the local checks fail`);
+        } else if (agrees) {
+          logger.info(`✅ AnchorStore.${onChainResult.method} agrees with the local verification`);
+        }
+      }
+    }
+
+    // Step 14: Witness vouches (independent attestation of the issuer; does not change validity)
+    if (txHash && anchorIssuerId) {
+      logger.info('Step 14: Reading witness vouches for the issuer...');
+      const blockchainService = require('./blockchainService');
+      const vouches = await blockchainService.getIssuerVouches(anchorIssuerId, { network, chainId });
+
+      result.steps.witnesses = {
+        checked: vouches.checked,
+        issuerId: anchorIssuerId,
+        count: vouches.count,
+        witnesses: vouches.vouches.map(entry => entry.witness),
+        recordedCount: verificationBundle?.witnessVouches ?? null, // count in the VD at issuance
+      };
+
+      if (!vouches.checked) {
+        result.warnings.push(`Witness vouches could not be read: ${vouches.error}`);
+      } else {
+        logger.info(`✅ Issuer has ${vouches.count} witness vouch(es)`);
+      }
+    }
+
+    // Step 15: Validity period (Ed, Ei) at the verification time
+    logger.info('Step 15: Checking expiry (Ed) and invalidation expiry (Ei)...');
+    const period = checkValidityPeriod(Ed, Ei, options);
+    result.steps.validityPeriod = period;
+    if (period.error) {
+      result.errors.push(period.error);
+    } else if (period.status === 'expired') {
+      result.errors.push(`This certificate expired on ${period.expiryDate}` + (period.historical ? ` (checked as of ${period.asOf})` : ''));
+    } else if (period.status === 'invalidation_window_closed') {
+      logger.info(`✅ Invalidation window closed on ${period.invalidationExpiry}; the certificate can no longer be revoked`);
+    }
+
     // If we got here without errors, certificate is valid
     if (result.errors.length === 0) {
       result.valid = true;
       logger.info('✅ Certificate verification successful!');
     }
+    // Expiry alone still reports 'expired'; any other error makes the certificate 'invalid'
+    const otherErrors = result.errors.length - (period.status === 'expired' ? 1 : 0);
+    result.validity = otherErrors === 0 ? period.status : 'invalid';
 
     return result;
 
@@ -861,9 +1233,10 @@ async function verifyCertificate(qrPdfBuffer, qrPayload = null, verificationBund
  * Verify multiple certificates from a ZIP file
  * 
  * @param {Array<{filename: string, buffer: Buffer}>} pdfFiles - Array of PDF files
+ * @param {Object} options - verifyCertificate options (onChain, asOf)
  * @returns {Promise<Array<Object>>} - Array of verification results
  */
-async function verifyCertificates(pdfFiles) {
+async function verifyCertificates(pdfFiles, options = {}) {
   const results = [];
   
   for (const file of pdfFiles) {
@@ -883,7 +1256,7 @@ async function verifyCertificates(pdfFiles) {
       }
 
       // Verify certificate
-      const verificationResult = await verifyCertificate(file.buffer, qrPayload);
+      const verificationResult = await verifyCertificate(file.buffer, qrPayload, null, options);
       results.push({
         filename: file.filename,
         ...verificationResult,
@@ -0,0 +1,161 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+/**
+ * Witness signatures for issuer vouches
+ *
+ * AnchorStore witnesses (WITNESS_ROLE) attest that an issuer is legitimate by
+ * vouching for it: they sign blockchainService.vouchMessage, and vouch() records
+ * the signer. Signatures come from:
+ *   - WITNESS_PRIVATE_KEYS: witness keys held by the worker (comma-separated).
+ *     Each witness sends its own vouch transaction, so its account needs gas.
+ *   - WITNESS_WEBHOOK_URL: an external witness service. It is POSTed the vouch
+ *     request and answers with the signatures of its witnesses, which the
+ *     worker relays with its own key.
+ *
+ * Webhook request:  { tenantId, issuerId, anchorIssuerId, network, chainId, anchorStore,
+ *                     message (hex to sign as an Ethereum signed message), messageHash, vouched: [address] }
+ * Webhook response: { signatures: [{ witness, signature }] }
+ *
+ * issuerRegistryService.vouchForIssuer submits the signatures and mirrors the
+ * vouches into the tenant.
+ */
+
+/**
+ * Build a witness error
+ *
+ * @param {string} message - Error message
+ * @param {string} code - 'WITNESSES_NOT_CONFIGURED' | 'INVALID_WITNESS_KEY'
+ * @returns {Error}
+ */
+function witnessError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.transient = false;
+  return error;
+}
+
+/**
+ * Witness settings from the environment
+ *
+ * @returns {object} - { privateKeys, webhookUrl, webhookToken, webhookTimeoutMs }
+ */
+function getWitnessConfig() {
+  return {
+    privateKeys: (process.env.WITNESS_PRIVATE_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+    webhookUrl: (process.env.WITNESS_WEBHOOK_URL || '').trim() || null,
+    webhookToken: process.env.WITNESS_WEBHOOK_TOKEN || null,
+    webhookTimeoutMs: parseInt(process.env.WITNESS_WEBHOOK_TIMEOUT_MS) || 30000,
+  };
+}
+
+/**
+ * Sign the vouch message with every configured witness key that has not vouched yet
+ *
+ * @returns {Promise<Array<object>>} - [{ witness, signature, source: 'key', privateKey }]
+ */
+async function signWithWitnessKeys(privateKeys, request, vouched) {
+  const signatures = [];
+  for (const privateKey of privateKeys) {
+    let wallet;
+    try {
+      wallet = new ethers.Wallet(privateKey);
+    } catch (error) {
+      throw witnessError('WITNESS_PRIVATE_KEYS contains an invalid private key', 'INVALID_WITNESS_KEY');
+    }
+    if (vouched.has(wallet.address.toLowerCase())) {
+      signatures.push({ witness: wallet.address, signature: null, source: 'key', privateKey });
+      continue;
+    }
+    signatures.push({
+      witness: wallet.address,
+      signature: await wallet.signMessage(request.message),
+      source: 'key',
+      privateKey,
+    });
+  }
+  return signatures;
+}
+
+/**
+ * Ask the witness webhook for signatures
+ *
+ * Signatures that do not recover to the witness they are given for are rejected.
+ *
+ * @returns {Promise<object>} - { signatures: [{ witness, signature, source: 'webhook' }], rejected: [{ witness, source, error }] }
+ */
+async function requestWebhookSignatures(config, request, vouched) {
+  const headers = config.webhookToken ? { Authorization: `Bearer ${config.webhookToken}` } : {};
+  const body = {
+    tenantId: request.tenantId,
+    issuerId: request.issuerName,
+    anchorIssuerId: request.issuerId,
+    network: request.network,
+    chainId: request.chainId,
+    anchorStore: request.anchorStore,
+    message: ethers.utils.hexlify(request.message),
+    messageHash: request.messageHash,
+    vouched: [...vouched],
+  };
+
+  const response = await axios.post(config.webhookUrl, body, { headers, timeout: config.webhookTimeoutMs });
+  const entries = Array.isArray(response.data?.signatures) ? response.data.signatures : [];
+
+  const signatures = [];
+  const rejected = [];
+  for (const entry of entries) {
+    const witness = entry?.witness;
+    let signer = null;
+    try {
+      signer = ethers.utils.verifyMessage(request.message, entry.signature);
+    } catch (error) {
+      signer = null;
+    }
+    if (!ethers.utils.isAddress(witness || '') || !signer || signer.toLowerCase() !== witness.toLowerCase()) {
+      rejected.push({ witness: witness || null, source: 'webhook', error: 'Signature does not recover to the witness' });
+      continue;
+    }
+    signatures.push({ witness: ethers.utils.getAddress(witness), signature: entry.signature, source: 'webhook' });
+  }
+  return { signatures, rejected };
+}
+
+/**
+ * Collect witness signatures for a vouch request
+ *
+ * A configured witness that already vouched comes back with signature null. A
+ * failing webhook is reported in `rejected` and does not stop the key witnesses.
+ *
+ * @param {object} request - blockchainService.vouchMessage() plus { tenantId, issuerName }
+ * @param {Set<string>} vouched - Lowercase addresses that already vouched for the issuer
+ * @returns {Promise<object>} - { signatures: [{ witness, signature, source, privateKey }], rejected: [{ witness, source, error }] }
+ * @throws {Error} - code 'WITNESSES_NOT_CONFIGURED' | 'INVALID_WITNESS_KEY'
+ */
+async function collectWitnessSignatures(request, vouched = new Set()) {
+  const config = getWitnessConfig();
+  if (config.privateKeys.length === 0 && !config.webhookUrl) {
+    throw witnessError('No witnesses configured (WITNESS_PRIVATE_KEYS or WITNESS_WEBHOOK_URL)', 'WITNESSES_NOT_CONFIGURED');
+  }
+
+  const signatures = await signWithWitnessKeys(config.privateKeys, request, vouched);
+  const rejected = [];
+
+  if (config.webhookUrl) {
+    try {
+      const fromWebhook = await requestWebhookSignatures(config, request, vouched);
+      signatures.push(...fromWebhook.signatures);
+      rejected.push(...fromWebhook.rejected);
+    } catch (error) {
+      logger.warn('Witness webhook failed', { url: config.webhookUrl, issuerId: request.issuerId, error: error.message });
+      rejected.push({ witness: null, source: 'webhook', error: `Witness webhook failed: ${error.message}` });
+    }
+  }
+
+  return { signatures, rejected };
+}
+
+module.exports = {
+  getWitnessConfig,
+  collectWitnessSignatures,
+};
@@ -124,6 +124,27 @@ class LocalStorage extends StorageInterface {
     }
   }
 
+  /**
+   * Delete a file from local storage
+   * @param {string} filePath - Relative file path
+   * @returns {Promise<boolean>} - True if a file was deleted, false if it did not exist
+   */
+  async delete(filePath) {
+    try {
+      const fullPath = path.join(this.basePath, filePath);
+      if (!fs.existsSync(fullPath)) {
+        return false;
+      }
+
+      fs.unlinkSync(fullPath);
+      logger.info('File deleted locally', { path: filePath });
+      return true;
+    } catch (error) {
+      logger.error('Error deleting file from local storage', { filePath, error: error.message });
+      throw new Error(`Local storage delete failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get driver name
    * @returns {string}
@@ -160,6 +160,26 @@ class S3Storage extends StorageInterface {
     }
   }
 
+  /**
+   * Delete a file from S3
+   * @param {string} key - S3 key
+   * @returns {Promise<boolean>} - True once the object is gone (S3 does not report missing keys)
+   */
+  async delete(key) {
+    if (!this.s3 || !this.bucketName) {
+      throw new Error('S3 not configured. Please install aws-sdk or use local storage.');
+    }
+
+    try {
+      await this.s3.deleteObject({ Bucket: this.bucketName, Key: key }).promise();
+      logger.info('File deleted from S3', { key });
+      return true;
+    } catch (error) {
+      logger.error('Error deleting file from S3:', error);
+      throw new Error(`S3 delete failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get driver name
    * @returns {string}
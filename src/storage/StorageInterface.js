@@ -34,6 +34,15 @@ class StorageInterface {
     throw new Error('retrieve() must be implemented by storage driver');
   }
 
+  /**
+   * Delete a file from storage (missing files are not an error)
+   * @param {string} path - File path returned from store()
+   * @returns {Promise<boolean>} - True if a file was deleted
+   */
+  async delete(path) {
+    throw new Error('delete() must be implemented by storage driver');
+  }
+
   /**
    * Get driver name
    * @returns {string} - Name of the storage driver
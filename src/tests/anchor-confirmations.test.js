@@ -0,0 +1,258 @@
+/**
+ * Test confirmation depth and reorg handling of anchoring transactions:
+ * per-network depth, PendingConfirmation batches, QR gating and the reorg watcher
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/pdf-qr-annotator', () => ({ addQRAnnotationToPDF: jest.fn() }));
+jest.mock('../services/eventService', () => ({ recordJobEvent: jest.fn(), recordBatchEvent: jest.fn() }));
+jest.mock('../models/AnchorTransaction', () => ({
+  create: jest.fn(),
+  findAll: jest.fn(),
+  count: jest.fn(),
+  max: jest.fn(),
+}));
+jest.mock('../models/DocumentBatch', () => ({ findAll: jest.fn(), findByPk: jest.fn() }));
+jest.mock('../models/DocumentJob', () => ({ findAll: jest.fn(), update: jest.fn() }));
+jest.mock('../models/DocumentTemplate', () => ({ findByPk: jest.fn() }));
+jest.mock('../services/blockchainService', () => ({
+  ...jest.requireActual('../services/blockchainService'),
+  connectAnchorStore: jest.fn(),
+}));
+
+const AnchorTransaction = require('../models/AnchorTransaction');
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+const eventService = require('../services/eventService');
+const blockchainService = require('../services/blockchainService');
+const anchorTransactionService = require('../services/anchorTransactionService');
+const batchService = require('../services/batchService');
+const qrCodeGenerator = require('../utils/qr-code-generator');
+const { isAnchorConfirmed } = require('../services/batchControlService');
+const { defineModel } = require('./harness/memoryModels');
+
+const MRU = '0x' + 'cc'.repeat(32);
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const BLOCK_A = '0x' + 'a1'.repeat(32);
+const BLOCK_B = '0x' + 'b2'.repeat(32);
+const ENV_KEYS = ['ANCHOR_CONFIRMATIONS', 'ANCHOR_CONFIRMATIONS_POLYGON_AMOY'];
+
+function row(values) {
+  const transaction = {
+    id: 'tx-1',
+    merkleRootUltimate: MRU,
+    batchIds: ['batch-1'],
+    timeWindow: '1700000000',
+    network: 'polygon-amoy',
+    fromAddress: '0x' + '11'.repeat(20),
+    nonce: 4,
+    txHash: TX_HASH,
+    reorgs: 0,
+    createdAt: new Date(),
+    ...values,
+  };
+  transaction.update = jest.fn(async (changes) => Object.assign(transaction, changes));
+  return transaction;
+}
+
+function batch(values) {
+  const b = { id: 'batch-1', merkleRootUltimate: MRU, txHash: TX_HASH, anchorStatus: 'PendingConfirmation', ...values };
+  b.update = jest.fn(async (changes) => Object.assign(b, changes));
+  return b;
+}
+
+function mockProvider() {
+  return {
+    sendTransaction: jest.fn().mockResolvedValue({}),
+    getTransactionReceipt: jest.fn().mockResolvedValue(null),
+    getTransactionCount: jest.fn().mockResolvedValue(4),
+    getTransaction: jest.fn().mockResolvedValue({}),
+  };
+}
+
+const saved = {};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  AnchorTransaction.count.mockResolvedValue(0);
+  DocumentBatch.findAll.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+});
+
+describe('confirmationDepth', () => {
+  test('uses the network default, ANCHOR_CONFIRMATIONS, then the per-network override', () => {
+    expect(anchorTransactionService.confirmationDepth('polygon')).toBe(64);
+    expect(anchorTransactionService.confirmationDepth('polygon-amoy')).toBe(16);
+    expect(anchorTransactionService.confirmationDepth('unknown')).toBe(1);
+
+    process.env.ANCHOR_CONFIRMATIONS = '5';
+    expect(anchorTransactionService.confirmationDepth('polygon-amoy')).toBe(5);
+
+    process.env.ANCHOR_CONFIRMATIONS_POLYGON_AMOY = '30';
+    expect(anchorTransactionService.confirmationDepth('polygon-amoy')).toBe(30);
+    expect(anchorTransactionService.confirmationDepth('polygon')).toBe(5);
+  });
+});
+
+describe('resumeAnchorTransactions', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = mockProvider();
+    blockchainService.connectAnchorStore.mockResolvedValue({ wallet: { address: '0x' + '11'.repeat(20) }, provider });
+  });
+
+  // Recently confirmed transactions, open transactions, then their nonce groups
+  function mockRows(recent, open, attempts = open) {
+    AnchorTransaction.count.mockResolvedValueOnce(recent.length + open.length);
+    AnchorTransaction.findAll
+      .mockResolvedValueOnce(recent)
+      .mockResolvedValueOnce(open)
+      .mockResolvedValueOnce(attempts);
+  }
+
+  test('keeps a mined transaction pending until the confirmation depth is reached', async () => {
+    const mined = row({ status: 'mined', blockNumber: 100, blockHash: BLOCK_A });
+    mockRows([], [mined]);
+    provider.getTransactionReceipt.mockResolvedValue({ blockNumber: 100, blockHash: BLOCK_A, confirmations: 10, status: 1, logs: [] });
+
+    let summary = await anchorTransactionService.resumeAnchorTransactions();
+    expect(mined.status).toBe('mined');
+    expect(summary.mined).toHaveLength(1);
+    expect(summary.confirmed).toHaveLength(0);
+
+    mockRows([], [mined]);
+    provider.getTransactionReceipt.mockResolvedValue({ blockNumber: 100, blockHash: BLOCK_A, confirmations: 16, status: 1, logs: [] });
+
+    summary = await anchorTransactionService.resumeAnchorTransactions();
+    expect(mined.status).toBe('confirmed');
+    expect(summary.confirmed[0].result).toMatchObject({ txHash: TX_HASH, blockNumber: 100 });
+  });
+
+  test('puts a mined transaction whose block was dropped back in flight', async () => {
+    const mined = row({ status: 'mined', blockNumber: 100, blockHash: BLOCK_A, submittedAt: new Date() });
+    mockRows([], [mined]);
+    provider.getTransaction.mockResolvedValue(null); // the node lost it with the block
+
+    const summary = await anchorTransactionService.resumeAnchorTransactions();
+
+    expect(mined).toMatchObject({ status: 'submitted', blockNumber: null, blockHash: null, reorgs: 1 });
+    expect(provider.sendTransaction).toHaveBeenCalledWith(mined.rawTransaction);
+    expect(summary.reorged).toEqual([mined]);
+    expect(summary.pending).toBe(1);
+  });
+
+  test('watches confirmed transactions for reorgs', async () => {
+    const dropped = row({ id: 'tx-1', status: 'confirmed', blockNumber: 100, blockHash: BLOCK_A, confirmedAt: new Date() });
+    const moved = row({
+      id: 'tx-2',
+      nonce: 5,
+      txHash: '0x' + 'cd'.repeat(32),
+      status: 'confirmed',
+      blockNumber: 101,
+      blockHash: BLOCK_A,
+      confirmedAt: new Date(),
+    });
+    mockRows([dropped, moved], [dropped, moved]);
+    provider.getTransactionReceipt.mockImplementation(async (hash) => (
+      hash === moved.txHash ? { blockNumber: 103, blockHash: BLOCK_B, confirmations: 2, status: 1, logs: [] } : null
+    ));
+
+    const summary = await anchorTransactionService.resumeAnchorTransactions();
+
+    expect(dropped).toMatchObject({ status: 'submitted', blockHash: null, confirmedAt: null, reorgs: 1 });
+    expect(moved).toMatchObject({ status: 'mined', blockNumber: 103, blockHash: BLOCK_B, reorgs: 1 });
+    expect(summary.reorged).toEqual([dropped, moved]);
+  });
+});
+
+describe('resumeAnchoring', () => {
+  function mockResumed(summary) {
+    jest.spyOn(anchorTransactionService, 'resumeAnchorTransactions').mockResolvedValue({
+      confirmed: [], mined: [], failed: [], reorged: [], pending: 0, ...summary,
+    });
+  }
+
+  test('confirms PendingConfirmation batches once their transaction is deep enough', async () => {
+    const transaction = row({ status: 'confirmed', blockNumber: 100 });
+    const pending = batch();
+    mockResumed({ confirmed: [{ transaction, result: anchorTransactionService.toAnchorResult(transaction) }] });
+    DocumentBatch.findAll.mockResolvedValueOnce([pending]);
+
+    const { confirmedBatchIds } = await batchService.resumeAnchoring();
+
+    expect(pending.update).toHaveBeenCalledWith({ anchorStatus: 'Confirmed' });
+    expect(confirmedBatchIds).toEqual(['batch-1']);
+    expect(eventService.recordBatchEvent).toHaveBeenCalledWith(pending, expect.objectContaining({ stage: 'anchor', event: 'confirmed' }));
+  });
+
+  test('holds QR generation again when the anchoring block is reorged out', async () => {
+    const transaction = row({ status: 'submitted', reorgs: 1 });
+    const anchored = batch({ anchorStatus: 'Confirmed' });
+    mockResumed({ reorged: [transaction], pending: 1 });
+    DocumentBatch.findAll.mockResolvedValueOnce([anchored]);
+
+    const result = await batchService.resumeAnchoring();
+
+    expect(DocumentBatch.findAll.mock.calls[0][0]).toEqual({ where: { txHash: TX_HASH } });
+    expect(anchored.anchorStatus).toBe('PendingConfirmation');
+    expect(eventService.recordBatchEvent).toHaveBeenCalledWith(anchored, expect.objectContaining({ event: 'reorged' }));
+    expect(result).toEqual({ confirmedBatchIds: [], pending: 1 });
+  });
+
+  test('clears the anchoring of batches whose reorged transaction failed', async () => {
+    const transaction = row({ status: 'failed', errorMessage: 'Nonce 4 was used by another transaction' });
+    const anchored = batch();
+    mockResumed({ failed: [transaction] });
+    DocumentBatch.findAll.mockResolvedValueOnce([anchored]);
+
+    await batchService.resumeAnchoring();
+
+    expect(anchored).toMatchObject({ txHash: null, anchorStatus: null, anchorIssuerId: null, timeWindow: null });
+    expect(eventService.recordBatchEvent).toHaveBeenCalledWith(anchored, expect.objectContaining({
+      event: 'reset',
+      details: expect.objectContaining({ previousTxHash: TX_HASH }),
+    }));
+  });
+});
+
+describe('QR generation', () => {
+  test('only picks up batches whose anchoring is Confirmed, or anchored before anchorStatus existed', async () => {
+    DocumentJob.findAll.mockResolvedValue([]);
+
+    await qrCodeGenerator.batchGenerateQRCodes(10);
+
+    // Run the batch condition against an in-memory table
+    const [{ include }] = DocumentJob.findAll.mock.calls[0];
+    const Batches = defineModel('QrBatch');
+    const anchored = { merkleRootUltimate: MRU, txHash: TX_HASH, status: 'Processing' };
+    await Batches.create({ ...anchored, id: 'confirmed', anchorStatus: 'Confirmed' });
+    await Batches.create({ ...anchored, id: 'legacy', anchorStatus: null });
+    await Batches.create({ ...anchored, id: 'pending', anchorStatus: 'PendingConfirmation' });
+    await Batches.create({ ...anchored, id: 'paused', anchorStatus: null, status: 'Paused' });
+    await Batches.create({ ...anchored, id: 'unanchored', anchorStatus: null, txHash: null });
+    await Batches.create({ ...anchored, id: 'direct', anchorStatus: 'Confirmed', merkleRootUltimate: null, proofType: 'direct' });
+    await Batches.create({ ...anchored, id: 'no-mru', anchorStatus: 'Confirmed', merkleRootUltimate: null });
+
+    const found = await Batches.findAll({ where: include[0].where });
+
+    expect(found.map(b => b.id).sort()).toEqual(['confirmed', 'direct', 'legacy']);
+  });
+
+  test('embedding treats batches anchored before anchorStatus existed as Confirmed', () => {
+    expect(isAnchorConfirmed({ anchorStatus: 'Confirmed', txHash: TX_HASH })).toBe(true);
+    expect(isAnchorConfirmed({ anchorStatus: null, txHash: TX_HASH })).toBe(true);
+    expect(isAnchorConfirmed({ anchorStatus: 'PendingConfirmation', txHash: TX_HASH })).toBe(false);
+    expect(isAnchorConfirmed({ anchorStatus: null, txHash: null })).toBe(false);
+  });
+});
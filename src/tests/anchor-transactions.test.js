@@ -0,0 +1,395 @@
+/**
+ * Test the anchoring transaction manager: nonce reservation, persistence
+ * before broadcast, fee-bump replacement, resumption and release of
+ * unanchored MRUs
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/stageLock', () => require('./harness/memoryLocks'));
+jest.mock('../utils/pdf-qr-annotator', () => ({ addQRAnnotationToPDF: jest.fn() }));
+jest.mock('../services/eventService', () => ({ recordJobEvent: jest.fn(), recordBatchEvent: jest.fn() }));
+jest.mock('../models/AnchorTransaction', () => ({
+  create: jest.fn(),
+  findAll: jest.fn(),
+  count: jest.fn(),
+  max: jest.fn(),
+}));
+jest.mock('../models/DocumentBatch', () => ({ findAll: jest.fn(), findByPk: jest.fn() }));
+jest.mock('../models/DocumentJob', () => ({ findAll: jest.fn(), update: jest.fn() }));
+jest.mock('../services/blockchainService', () => ({
+  ...jest.requireActual('../services/blockchainService'),
+  buildAnchorTransaction: jest.fn(),
+  getTransactionFees: jest.fn(),
+  connectAnchorStore: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const AnchorTransaction = require('../models/AnchorTransaction');
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+const eventService = require('../services/eventService');
+const blockchainService = require('../services/blockchainService');
+const nonceManager = require('../services/nonceManager');
+const anchorTransactionService = require('../services/anchorTransactionService');
+const { signerLockName } = require('../services/stageLock');
+const { heldLocks } = require('./harness/memoryLocks');
+const batchService = require('../services/batchService');
+
+const PRIVATE_KEY = '0x' + '01'.repeat(32);
+const MRU = '0x' + 'cc'.repeat(32);
+const gwei = (value) => ethers.utils.parseUnits(String(value), 'gwei');
+
+function row(values) {
+  const transaction = { id: values.id || `tx-${Math.random()}`, createdAt: new Date(), ...values };
+  transaction.update = jest.fn(async (changes) => Object.assign(transaction, changes));
+  return transaction;
+}
+
+function mockWallet(pendingCount = 5) {
+  const wallet = new ethers.Wallet(PRIVATE_KEY);
+  wallet.getTransactionCount = jest.fn().mockResolvedValue(pendingCount);
+  return wallet;
+}
+
+function mockProvider() {
+  return {
+    sendTransaction: jest.fn().mockResolvedValue({}),
+    waitForTransaction: jest.fn(),
+    getTransactionReceipt: jest.fn().mockResolvedValue(null),
+    getTransactionCount: jest.fn().mockResolvedValue(0),
+    getTransaction: jest.fn().mockResolvedValue({}),
+  };
+}
+
+async function signedRow(wallet, values) {
+  const request = {
+    to: '0x' + '22'.repeat(20),
+    data: '0x1234',
+    gasLimit: 100000,
+    chainId: 80002,
+    type: 2,
+    nonce: values.nonce,
+    maxFeePerGas: gwei(values.maxFeeGwei || 50),
+    maxPriorityFeePerGas: gwei(values.priorityGwei || 30),
+  };
+  const rawTransaction = await wallet.signTransaction(request);
+  return row({
+    merkleRootUltimate: MRU,
+    batchIds: ['batch-1'],
+    timeWindow: '1700000000',
+    method: 'putRoot',
+    anchor: { method: 'putRoot', nonce: '7' },
+    network: 'polygon-amoy',
+    chainId: 80002,
+    fromAddress: wallet.address,
+    txHash: ethers.utils.keccak256(rawTransaction),
+    rawTransaction,
+    maxFeePerGas: request.maxFeePerGas.toString(),
+    maxPriorityFeePerGas: request.maxPriorityFeePerGas.toString(),
+    ...values,
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  nonceManager.resetNonce();
+  AnchorTransaction.create.mockImplementation(async (values) => row(values));
+  AnchorTransaction.count.mockResolvedValue(0);
+  AnchorTransaction.max.mockResolvedValue(null);
+});
+
+describe('nonce manager', () => {
+  test('hands out consecutive nonces from the pending count, even concurrently', async () => {
+    const wallet = mockWallet(5);
+
+    const nonces = await Promise.all([
+      nonceManager.reserveNonce(wallet),
+      nonceManager.reserveNonce(wallet),
+      nonceManager.reserveNonce(wallet),
+    ]);
+
+    expect(nonces).toEqual([5, 6, 7]);
+    expect(wallet.getTransactionCount).toHaveBeenCalledTimes(1);
+  });
+
+  test('respects the floor and reuses a released last nonce', async () => {
+    const wallet = mockWallet(5);
+
+    expect(await nonceManager.reserveNonce(wallet, 9)).toBe(9);
+    nonceManager.releaseNonce(wallet.address, 9);
+    expect(await nonceManager.reserveNonce(wallet)).toBe(9);
+
+    // Releasing an older nonce resyncs with the node instead of leaving a gap
+    await nonceManager.reserveNonce(wallet);
+    nonceManager.releaseNonce(wallet.address, 9);
+    expect(await nonceManager.reserveNonce(wallet)).toBe(5);
+    expect(wallet.getTransactionCount).toHaveBeenCalledTimes(2);
+  });
+
+  test('withReservedNonce uses each nonce under the signer lock, one at a time', async () => {
+    const wallet = mockWallet(5);
+    const lock = signerLockName(wallet.address, 80002);
+    const used = [];
+
+    await Promise.all([1, 2, 3].map(() => nonceManager.withReservedNonce(wallet, 80002, async (nonce) => {
+      expect(heldLocks()).toEqual([lock]);
+      used.push(nonce);
+      await new Promise(resolve => setImmediate(resolve));
+    })));
+
+    expect(used).toEqual([5, 6, 7]);
+    expect(heldLocks()).toEqual([]);
+  });
+
+  test('withReservedNonce resyncs with the pending count when another node sent from the key', async () => {
+    const wallet = mockWallet(5);
+    const use = jest.fn(async nonce => nonce);
+
+    await expect(nonceManager.withReservedNonce(wallet, 80002, use)).resolves.toBe(5);
+    wallet.getTransactionCount.mockResolvedValue(8);
+    await expect(nonceManager.withReservedNonce(wallet, 80002, use)).resolves.toBe(8);
+    await expect(nonceManager.withReservedNonce(wallet, 80002, use, async () => 12)).resolves.toBe(12);
+  });
+});
+
+describe('bumpFees', () => {
+  const config = { feeBumpPercent: 20, maxFeePerGas: null };
+
+  test('raises EIP-1559 fees by the bump percentage or to the current fees', () => {
+    const transaction = { maxFeePerGas: gwei(50).toString(), maxPriorityFeePerGas: gwei(30).toString() };
+
+    const bumped = anchorTransactionService.bumpFees(transaction, { maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(45) }, config);
+
+    expect(bumped.type).toBe(2);
+    expect(bumped.maxFeePerGas.toString()).toBe(gwei(60).add(1).toString());
+    expect(bumped.maxPriorityFeePerGas.toString()).toBe(gwei(45).toString());
+  });
+
+  test('bumps legacy gas prices and stops at ANCHOR_MAX_FEE_GWEI', () => {
+    const transaction = { gasPrice: gwei(100).toString() };
+
+    expect(anchorTransactionService.bumpFees(transaction, {}, config).gasPrice.toString())
+      .toBe(gwei(120).add(1).toString());
+    expect(anchorTransactionService.bumpFees(transaction, {}, { ...config, maxFeePerGas: gwei(110) })).toBeNull();
+  });
+});
+
+describe('submitAnchorTransaction', () => {
+  const params = {
+    merkleRootUltimate: MRU,
+    timeWindow: 1700000000,
+    issuerId: 'issuer-1',
+    merkleRoots: ['aa'.repeat(32)],
+    batchIds: ['batch-1'],
+  };
+
+  function mockBuild(wallet, provider) {
+    blockchainService.buildAnchorTransaction.mockResolvedValue({
+      wallet,
+      provider,
+      network: 'polygon-amoy',
+      chainId: 80002,
+      method: 'putRoot',
+      anchor: { method: 'putRoot', issuerId: ethers.utils.id('issuer-1'), nonce: '7' },
+      request: {
+        to: '0x' + '22'.repeat(20),
+        data: '0x1234',
+        gasLimit: ethers.BigNumber.from(120000),
+        chainId: 80002,
+        type: 2,
+        maxFeePerGas: gwei(50),
+        maxPriorityFeePerGas: gwei(30),
+      },
+    });
+  }
+
+  test('persists the signed transaction before broadcasting it', async () => {
+    const wallet = mockWallet(3);
+    const provider = mockProvider();
+    mockBuild(wallet, provider);
+    provider.sendTransaction.mockImplementation(async () => {
+      expect(AnchorTransaction.create).toHaveBeenCalled();
+      return {};
+    });
+    provider.waitForTransaction.mockResolvedValue({ blockNumber: 42, confirmations: 1, status: 1, logs: [] });
+
+    const outcome = await anchorTransactionService.submitAnchorTransaction(params);
+
+    const stored = AnchorTransaction.create.mock.calls[0][0];
+    expect(stored).toMatchObject({ status: 'built', nonce: 3, fromAddress: wallet.address, batchIds: ['batch-1'] });
+    expect(ethers.utils.parseTransaction(stored.rawTransaction).nonce).toBe(3);
+    expect(provider.sendTransaction).toHaveBeenCalledWith(stored.rawTransaction);
+    expect(provider.waitForTransaction).toHaveBeenCalledWith(stored.txHash, 1, expect.any(Number));
+    // Mined, but below the Amoy confirmation depth
+    expect(outcome.status).toBe('mined');
+    expect(outcome.transaction.status).toBe('mined');
+    expect(outcome.result).toMatchObject({ txHash: stored.txHash, network: 'polygon-amoy', blockNumber: 42 });
+  });
+
+  test('leaves a transaction that is not mined in time for the resume pass', async () => {
+    const provider = mockProvider();
+    mockBuild(mockWallet(3), provider);
+    provider.waitForTransaction.mockRejectedValue(Object.assign(new Error('timeout exceeded'), { code: 'TIMEOUT' }));
+
+    const outcome = await anchorTransactionService.submitAnchorTransaction(params);
+
+    expect(outcome).toMatchObject({ status: 'pending', result: null });
+    expect(outcome.transaction.status).toBe('submitted');
+  });
+
+  test('keeps the transaction built when the broadcast fails', async () => {
+    const provider = mockProvider();
+    mockBuild(mockWallet(3), provider);
+    provider.sendTransaction.mockRejectedValue(new Error('socket hang up'));
+
+    const outcome = await anchorTransactionService.submitAnchorTransaction(params);
+
+    expect(outcome.status).toBe('pending');
+    expect(outcome.transaction).toMatchObject({ status: 'built', errorMessage: 'socket hang up' });
+    expect(provider.waitForTransaction).not.toHaveBeenCalled();
+  });
+
+  test('records a failed attempt with its retry time when the transaction cannot be built', async () => {
+    const revert = Object.assign(new Error('execution reverted: IssuerNotRegistered()'), { transient: false });
+    blockchainService.buildAnchorTransaction.mockRejectedValue(revert);
+    AnchorTransaction.count.mockResolvedValue(0);
+
+    await expect(anchorTransactionService.submitAnchorTransaction(params)).rejects.toBe(revert);
+
+    expect(AnchorTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+      merkleRootUltimate: MRU,
+      status: 'failed',
+      attempts: 1,
+      nextAttemptAt: null, // permanent: left for an operator
+      errorMessage: revert.message,
+    }));
+  });
+});
+
+describe('resumeAnchorTransactions', () => {
+  const originalTimeout = process.env.ANCHOR_TX_TIMEOUT_MS;
+
+  afterAll(() => {
+    process.env.ANCHOR_TX_TIMEOUT_MS = originalTimeout;
+  });
+
+  // Open transactions (first findAll: recently confirmed ones, none here), then their nonce groups
+  function mockOpen(open, attempts) {
+    AnchorTransaction.count.mockResolvedValueOnce(open.length);
+    AnchorTransaction.findAll
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce(open)
+      .mockResolvedValueOnce(attempts);
+  }
+
+  test('settles the nonce group on whichever transaction was mined', async () => {
+    const wallet = mockWallet();
+    const provider = mockProvider();
+    blockchainService.connectAnchorStore.mockResolvedValue({ wallet, provider });
+
+    const original = await signedRow(wallet, { id: 'a', nonce: 4, status: 'replaced' });
+    const replacement = await signedRow(wallet, { id: 'b', nonce: 4, maxFeeGwei: 61, status: 'submitted', replacesId: 'a' });
+    mockOpen([replacement], [original, replacement]);
+    provider.getTransactionReceipt.mockImplementation(async (hash) => (
+      hash === original.txHash ? { blockNumber: 50, blockHash: '0x' + '50'.repeat(32), confirmations: 20, status: 1, logs: [] } : null
+    ));
+
+    const summary = await anchorTransactionService.resumeAnchorTransactions();
+
+    expect(original.status).toBe('confirmed');
+    expect(replacement.status).toBe('replaced');
+    expect(summary.confirmed).toHaveLength(1);
+    expect(summary.confirmed[0].result).toMatchObject({ txHash: original.txHash, blockNumber: 50 });
+  });
+
+  test('replaces a stuck transaction with the same nonce and higher fees', async () => {
+    process.env.ANCHOR_TX_TIMEOUT_MS = '1000';
+    const wallet = mockWallet();
+    const provider = mockProvider();
+    blockchainService.connectAnchorStore.mockResolvedValue({ wallet, provider });
+    blockchainService.getTransactionFees.mockResolvedValue({ type: 2, maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(30) });
+
+    const stuck = await signedRow(wallet, { id: 'a', nonce: 4, status: 'submitted', submittedAt: new Date(Date.now() - 5000) });
+    mockOpen([stuck], [stuck]);
+    provider.getTransactionCount.mockResolvedValue(4); // nonce 4 not mined yet
+
+    const summary = await anchorTransactionService.resumeAnchorTransactions();
+
+    const replacement = AnchorTransaction.create.mock.calls[0][0];
+    const decoded = ethers.utils.parseTransaction(replacement.rawTransaction);
+    expect(decoded.nonce).toBe(4);
+    expect(decoded.maxFeePerGas.toString()).toBe(gwei(60).add(1).toString());
+    expect(replacement).toMatchObject({ replacesId: 'a', merkleRootUltimate: MRU, batchIds: ['batch-1'] });
+    expect(provider.sendTransaction).toHaveBeenCalledWith(replacement.rawTransaction);
+    expect(stuck.status).toBe('replaced');
+    expect(summary.pending).toBe(1);
+  });
+
+  test('fails the group when its nonce was used by another transaction', async () => {
+    const wallet = mockWallet();
+    const provider = mockProvider();
+    blockchainService.connectAnchorStore.mockResolvedValue({ wallet, provider });
+
+    const lost = await signedRow(wallet, { id: 'a', nonce: 4, status: 'submitted', submittedAt: new Date() });
+    mockOpen([lost], [lost]);
+    provider.getTransactionCount.mockResolvedValue(5);
+
+    const summary = await anchorTransactionService.resumeAnchorTransactions();
+
+    expect(summary.failed).toEqual([lost]);
+    expect(lost).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(lost.nextAttemptAt).toBeInstanceOf(Date);
+  });
+
+  test('rebroadcasts a built transaction the node never accepted', async () => {
+    const wallet = mockWallet();
+    const provider = mockProvider();
+    blockchainService.connectAnchorStore.mockResolvedValue({ wallet, provider });
+
+    const built = await signedRow(wallet, { id: 'a', nonce: 4, status: 'built' });
+    mockOpen([built], [built]);
+    provider.getTransactionCount.mockResolvedValue(4);
+
+    await anchorTransactionService.resumeAnchorTransactions();
+
+    expect(provider.sendTransaction).toHaveBeenCalledWith(built.rawTransaction);
+    expect(built.status).toBe('submitted');
+  });
+});
+
+describe('resumeAnchoring', () => {
+  function batch(values) {
+    const b = { id: 'batch-1', merkleRootUltimate: MRU, merkleRoot: 'aa'.repeat(32), txHash: null, ...values };
+    b.update = jest.fn(async (changes) => Object.assign(b, changes));
+    return b;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(anchorTransactionService, 'resumeAnchorTransactions')
+      .mockResolvedValue({ confirmed: [], mined: [], failed: [], reorged: [], pending: 0 });
+  });
+
+  test('releases an MRU that was never anchored so it is calculated again', async () => {
+    const orphan = batch();
+    DocumentBatch.findAll.mockResolvedValueOnce([orphan]);
+    jest.spyOn(anchorTransactionService, 'getAnchorState').mockResolvedValue({ state: 'none', transaction: null });
+
+    await batchService.resumeAnchoring();
+
+    expect(orphan.update).toHaveBeenCalledWith({ merkleRootUltimate: null, merkleProofUltimate: null });
+    expect(DocumentJob.update).toHaveBeenCalledWith({ merkleProofUltimate: null }, { where: { batchId: 'batch-1' } });
+    expect(eventService.recordBatchEvent).toHaveBeenCalledWith(orphan, expect.objectContaining({ stage: 'mru', event: 'reset' }));
+  });
+
+  test('keeps the MRU while its transaction is open or its retry is not due', async () => {
+    for (const state of ['open', 'waiting', 'dead']) {
+      const waiting = batch();
+      DocumentBatch.findAll.mockResolvedValueOnce([waiting]);
+      jest.spyOn(anchorTransactionService, 'getAnchorState').mockResolvedValue({ state, transaction: row({}) });
+
+      await batchService.resumeAnchoring();
+
+      expect(waiting.update).not.toHaveBeenCalled();
+    }
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Anchor MRUs with the non-chain backends: an RFC 3161 time-stamp authority
+ * and OpenTimestamps-style calendars (harness/timestampServers.js), from the
+ * MRU run to the proof in the VD and verifyCertificate
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/eventService', () => ({ recordJobEvent: jest.fn(), recordBatchEvent: jest.fn() }));
+jest.mock('../models/DocumentJob', () => require('./harness/memoryModels').defineModel('DocumentJob', { status: 'Pending' }));
+jest.mock('../models/DocumentBatch', () => require('./harness/memoryModels').defineModel('DocumentBatch', { status: 'Pending', metadata: {} }));
+jest.mock('../models/Tenant', () => require('./harness/memoryModels').defineModel('Tenant', { metadata: {} }));
+jest.mock('../models/AnchorTransaction', () => require('./harness/memoryModels')
+  .defineModel('AnchorTransaction', { status: 'built', reorgs: 0, attempts: 0 }));
+
+const crypto = require('crypto');
+const { clearModels } = require('./harness/memoryModels');
+const { startTimestampAuthority, startCalendar } = require('./harness/timestampServers');
+const { signingKey, finalizedBatch, issuedPdf } = require('./harness/certificates');
+const DocumentJob = require('../models/DocumentJob');
+const DocumentBatch = require('../models/DocumentBatch');
+const Tenant = require('../models/Tenant');
+const eventService = require('../services/eventService');
+const { processMRUCalculation } = require('../services/batchService');
+const { transition } = require('../services/stateMachine');
+const { verifyCertificate } = require('../services/verificationService');
+const AnchoringFactory = require('../anchoring/AnchoringFactory');
+const ots = require('../anchoring/ots');
+
+const ENV_KEYS = [
+  'ANCHOR_BACKEND', 'TSA_URL', 'TSA_CERT', 'OTS_CALENDAR_URLS', 'OTS_EXPLORER_URL',
+  'ISSUER_PUBLIC_KEY', 'VERIFY_ON_CHAIN', 'QR_PDF_PNG_WIDTH',
+];
+const saved = {};
+let tsa;
+let calendar;
+
+beforeAll(async () => {
+  tsa = await startTimestampAuthority();
+  calendar = await startCalendar();
+});
+
+afterAll(async () => {
+  if (tsa) await tsa.stop();
+  if (calendar) await calendar.stop();
+});
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  clearModels();
+  tsa.status = 0;
+  process.env.QR_PDF_PNG_WIDTH = '256';
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+});
+
+describe('RFC 3161 time-stamp authority', () => {
+  test('timestamps the MRU, stores the token in the VD and verifies it against the pinned TSA certificate', async () => {
+    process.env.TSA_URL = tsa.url;
+    process.env.TSA_CERT = tsa.certPath;
+    const tenant = await Tenant.create({ metadata: { anchoring: { backend: 'rfc3161' } } });
+    const { batchId, certificates } = await finalizedBatch(signingKey(), ['ada', 'grace'], { tenantId: tenant.id });
+
+    const run = await processMRUCalculation();
+
+    expect(run).toMatchObject({ processed: 1, anchorBackend: 'rfc3161', anchorStatus: 'Confirmed', blockchainResult: null });
+    const batch = await DocumentBatch.findByPk(batchId);
+    const imprint = crypto.createHash('sha256').update(Buffer.from(batch.merkleRootUltimate, 'hex')).digest('hex');
+    expect(tsa.requests.at(-1)).toEqual({ imprint, contentType: 'application/timestamp-query' });
+    expect(batch.txHash).toBeFalsy();
+    expect(batch).toMatchObject({
+      anchorBackend: 'rfc3161',
+      anchorStatus: 'Confirmed',
+      anchorProof: { token: expect.any(String), hashAlgorithm: 'sha256', messageImprint: imprint, tsaUrl: tsa.url },
+    });
+    const job = await DocumentJob.findByPk(certificates[0].jobId);
+    expect(job.verificationBundle).toMatchObject({ anchorBackend: 'rfc3161', anchorProof: batch.anchorProof, txHash: null });
+
+    const result = await verifyCertificate(await issuedPdf(certificates[0]));
+
+    expect(result.errors).toEqual([]);
+    // pdf-parse rejects some pdf-lib documents, which only costs a content-integrity warning
+    expect(result.warnings.filter(warning => !warning.startsWith('Could not verify content integrity'))).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.steps).toMatchObject({
+      anchorBackend: 'rfc3161',
+      signatureVerified: true,
+      intermediateProofValid: true,
+      ultimateProofValid: true,
+      timestampProof: {
+        backend: 'rfc3161',
+        checked: true,
+        verified: true,
+        timestamp: batch.anchorProof.genTime,
+        tsa: 'CN=Local Test TSA',
+        trusted: true,
+      },
+    });
+    expect(result.steps.blockchainInfo).toBeUndefined();
+    expect(result.steps.revocation).toBeUndefined();
+
+    // Once every PDF is embedded the worker completes the batch on its proof (there is no txHash)
+    for (const { jobId } of certificates) {
+      await (await DocumentJob.findByPk(jobId)).update({ certificateWithQRPath: `qr-embedded-certificates/${jobId}-with-qr.pdf` });
+    }
+    await expect(transition(batch, 'Completed', { actor: 'worker-1', reason: 'all PDFs embedded', stage: 'embed' })).resolves.toBe(true);
+    expect((await DocumentBatch.findByPk(batchId)).status).toBe('Completed');
+  }, 60000);
+
+  test('rejects a token from another TSA or over another MRU, and flags an unpinned certificate', async () => {
+    process.env.TSA_URL = tsa.url;
+    process.env.ANCHOR_BACKEND = 'rfc3161';
+    const tenant = await Tenant.create();
+    const { batchId, certificates } = await finalizedBatch(signingKey(), ['ada'], { tenantId: tenant.id });
+    await processMRUCalculation();
+    const pdf = await issuedPdf(certificates[0]);
+    const { anchorProof, merkleRootUltimate } = await DocumentBatch.findByPk(batchId);
+
+    // Without TSA_CERT the embedded certificate is used, and said so
+    const unpinned = await verifyCertificate(pdf);
+    expect(unpinned.valid).toBe(true);
+    expect(unpinned.steps.timestampProof).toMatchObject({ verified: true, trusted: false });
+    expect(unpinned.warnings).toContain('TSA certificate is not pinned (TSA_CERT); the token was checked with the certificate it embeds');
+
+    const otherTsa = await startTimestampAuthority({ commonName: 'Other TSA' });
+    try {
+      process.env.TSA_CERT = otherTsa.certPath;
+      const wrongTsa = await verifyCertificate(pdf);
+      expect(wrongTsa.valid).toBe(false);
+      expect(wrongTsa.errors).toEqual(['Anchoring proof is invalid: TimeStampToken signature is invalid']);
+    } finally {
+      await otherTsa.stop();
+    }
+
+    process.env.TSA_CERT = tsa.certPath;
+    const { verificationBundle } = await DocumentJob.findByPk(certificates[0].jobId);
+    const unknown = await verifyCertificate(pdf, null, { ...verificationBundle, anchorBackend: 'carrier-pigeon' });
+    expect(unknown.valid).toBe(false);
+    expect(unknown.errors).toEqual(["Anchoring proof is invalid: Unknown anchoring backend: 'carrier-pigeon'"]);
+
+    const backend = AnchoringFactory.getBackend('rfc3161');
+    expect(await backend.verify(anchorProof, merkleRootUltimate)).toMatchObject({ verified: true });
+    expect(await backend.verify(anchorProof, 'ab'.repeat(32)))
+      .toMatchObject({ checked: true, verified: false, error: 'TimeStampToken does not cover this MRU' });
+  }, 60000);
+
+  test('a rejected request leaves the MRU unanchored, and the next run anchors it again', async () => {
+    process.env.TSA_URL = tsa.url;
+    process.env.ANCHOR_BACKEND = 'rfc3161';
+    const tenant = await Tenant.create();
+    const { batchId } = await finalizedBatch(signingKey(), ['ada'], { tenantId: tenant.id });
+    tsa.status = 2;
+
+    const rejected = await processMRUCalculation();
+
+    expect(rejected).toMatchObject({ processed: 1, anchorStatus: null });
+    const unanchored = await DocumentBatch.findByPk(batchId);
+    expect(unanchored.merkleRootUltimate).toEqual(expect.any(String));
+    expect(unanchored.anchorProof).toBeFalsy();
+    expect(unanchored.anchorStatus).toBeFalsy();
+    expect(eventService.recordBatchEvent).toHaveBeenCalledWith(expect.objectContaining({ id: batchId }), expect.objectContaining({
+      stage: 'anchor',
+      event: 'failed',
+      details: { error: 'TSA rejected the request (PKIStatus 2)', anchorBackend: 'rfc3161' },
+    }));
+
+    tsa.status = 0;
+    const retried = await processMRUCalculation();
+
+    expect(retried).toMatchObject({ processed: 1, batchIds: [batchId], anchorStatus: 'Confirmed' });
+    expect(await DocumentBatch.findByPk(batchId)).toMatchObject({ anchorBackend: 'rfc3161', anchorStatus: 'Confirmed' });
+  }, 60000);
+});
+
+describe('OpenTimestamps calendars', () => {
+  test('submits the MRU, stays pending until Bitcoin confirms it, then verifies the upgraded .ots proof', async () => {
+    process.env.ANCHOR_BACKEND = 'opentimestamps';
+    // The second calendar is down: one accepting calendar is enough
+    process.env.OTS_CALENDAR_URLS = `${calendar.url},http://127.0.0.1:1`;
+    process.env.OTS_EXPLORER_URL = calendar.explorerUrl;
+    const tenant = await Tenant.create();
+    const { batchId, certificates } = await finalizedBatch(signingKey(), ['ada', 'grace'], { tenantId: tenant.id });
+
+    const submitted = await processMRUCalculation();
+
+    expect(submitted).toMatchObject({ anchorBackend: 'opentimestamps', anchorStatus: 'PendingConfirmation', pendingAnchors: 1 });
+    let batch = await DocumentBatch.findByPk(batchId);
+    expect(batch).toMatchObject({
+      anchorBackend: 'opentimestamps',
+      anchorStatus: 'PendingConfirmation',
+      anchorProof: { ots: expect.any(String), calendars: [calendar.url], bitcoin: null },
+    });
+    const { digest } = ots.parseFile(Buffer.from(batch.anchorProof.ots, 'base64'));
+    expect(digest.toString('hex')).toBe(crypto.createHash('sha256').update(Buffer.from(batch.merkleRootUltimate, 'hex')).digest('hex'));
+
+    // QR codes wait for Confirmed; a VD of the pending proof only gets a warning
+    const early = await verifyCertificate(await issuedPdf(certificates[0]));
+    expect(early.steps.timestampProof).toMatchObject({ checked: true, verified: false, pending: true });
+    expect(early.warnings).toContain('Anchoring proof is not final yet: Timestamp is not in a Bitcoin block yet');
+
+    // Still pending at the calendar: nothing changes
+    const waiting = await processMRUCalculation();
+    expect(waiting).toMatchObject({ processed: 0, resumedBatchIds: [], pendingAnchors: 1 });
+
+    calendar.confirm(840000);
+    const upgraded = await processMRUCalculation();
+
+    expect(upgraded).toMatchObject({ resumedBatchIds: [batchId], pendingAnchors: 0 });
+    batch = await DocumentBatch.findByPk(batchId);
+    expect(batch).toMatchObject({
+      anchorStatus: 'Confirmed',
+      anchorProof: { bitcoin: { height: 840000, time: 1767225600 + 840000 * 600 } },
+    });
+    const job = await DocumentJob.findByPk(certificates[1].jobId);
+    expect(job.verificationBundle.anchorProof).toEqual(batch.anchorProof);
+
+    const result = await verifyCertificate(await issuedPdf(certificates[1]));
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.steps.timestampProof).toMatchObject({
+      backend: 'opentimestamps',
+      checked: true,
+      verified: true,
+      pending: false,
+      timestamp: new Date((1767225600 + 840000 * 600) * 1000).toISOString(),
+      bitcoin: { height: 840000 },
+    });
+  }, 60000);
+
+  test('reports a proof that is not in a block yet, an unreachable explorer and a wrong block', async () => {
+    process.env.OTS_CALENDAR_URLS = calendar.url;
+    process.env.OTS_EXPLORER_URL = calendar.explorerUrl;
+    const backend = AnchoringFactory.getBackend('opentimestamps');
+    const merkleRootUltimate = crypto.randomBytes(32).toString('hex');
+
+    const { status, proof } = await backend.anchor({ merkleRootUltimate });
+
+    expect(status).toBe('pending');
+    expect(await backend.verify(proof, merkleRootUltimate))
+      .toMatchObject({ checked: true, verified: false, pending: true, error: 'Timestamp is not in a Bitcoin block yet' });
+    expect(await backend.upgrade(proof)).toMatchObject({ status: 'pending' });
+
+    calendar.confirm(900000);
+    const upgrade = await backend.upgrade(proof);
+    expect(upgrade).toMatchObject({ status: 'confirmed', proof: { bitcoin: { height: 900000 } } });
+    expect(await backend.verify(upgrade.proof, crypto.randomBytes(32).toString('hex')))
+      .toMatchObject({ verified: false, error: 'The .ots proof does not cover this MRU' });
+
+    process.env.OTS_EXPLORER_URL = 'http://127.0.0.1:1';
+    expect(await backend.verify(upgrade.proof, merkleRootUltimate)).toMatchObject({ checked: false, verified: false });
+
+    process.env.OTS_EXPLORER_URL = calendar.explorerUrl;
+    calendar.setMerkleRoot(900000, 'cd'.repeat(32));
+    expect(await backend.verify(upgrade.proof, merkleRootUltimate)).toMatchObject({
+      checked: true,
+      verified: false,
+      error: 'Merkle root of Bitcoin block 900000 does not match the proof',
+    });
+  }, 60000);
+
+  test('the .ots file round-trips through the OpenTimestamps serialization', () => {
+    const digest = crypto.randomBytes(32);
+    const timestamp = ots.createTimestamp(digest);
+    const commitment = ots.addOp(ots.addOp(timestamp, { name: 'append', arg: Buffer.from('nonce') }), { name: 'sha256' });
+    commitment.attestations.push(ots.pendingAttestation('https://calendar.example'));
+    ots.addOp(ots.addOp(commitment, { name: 'prepend', arg: Buffer.from('aa', 'hex') }), { name: 'sha256' })
+      .attestations.push(ots.bitcoinAttestation(123456));
+
+    const file = ots.serializeFile(digest, timestamp);
+    const parsed = ots.parseFile(file);
+
+    expect(file.subarray(0, 31).toString('latin1')).toContain('OpenTimestamps');
+    expect(parsed.digest).toEqual(digest);
+    expect(ots.serializeFile(parsed.digest, parsed.timestamp)).toEqual(file);
+    expect(ots.listAttestations(parsed.timestamp).map(({ attestation }) => attestation.type)).toEqual(['pending', 'bitcoin']);
+  });
+});
+
+describe('backend selection', () => {
+  test('leaves batches of a tenant with an unknown backend out', async () => {
+    const tenant = await Tenant.create({ metadata: { anchoring: { backend: 'carrier-pigeon' } } });
+    const { batchId } = await finalizedBatch(signingKey(), ['ada'], { tenantId: tenant.id });
+
+    const run = await processMRUCalculation();
+
+    expect(run).toMatchObject({ processed: 0 });
+    expect((await DocumentBatch.findByPk(batchId)).merkleRootUltimate).toBeFalsy();
+    expect(() => AnchoringFactory.getBackend('carrier-pigeon')).toThrow(expect.objectContaining({ code: 'UNKNOWN_ANCHOR_BACKEND' }));
+    expect(AnchoringFactory.backendName(null)).toBe('polygon');
+  }, 60000);
+});
@@ -0,0 +1,141 @@
+/**
+ * Test AnchorStore.putRoot argument building and issuer grouping
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/stageLock', () => require('./harness/memoryLocks'));
+jest.mock('../utils/pdf-qr-annotator', () => ({ addQRAnnotationToPDF: jest.fn() }));
+
+const mockContract = {
+  canonicalizationVersion: jest.fn(),
+  issuerRootNonce: jest.fn(),
+  putRoot: jest.fn(),
+  putRootLegacy: jest.fn(),
+  callStatic: { putRoot: jest.fn() },
+  interface: { parseLog: () => null },
+};
+
+jest.mock('ethers', () => {
+  const { ethers } = jest.requireActual('ethers');
+  return {
+    ethers: {
+      ...ethers,
+      providers: {
+        JsonRpcProvider: class {
+          getNetwork() { return Promise.resolve({ chainId: 80002 }); }
+        },
+      },
+      Wallet: class {
+        getAddress() { return Promise.resolve('0x' + '11'.repeat(20)); }
+        getTransactionCount() { return Promise.resolve(4); }
+      },
+      Contract: class {
+        constructor() { return mockContract; }
+      },
+    },
+  };
+});
+
+const { ethers } = require('ethers');
+const {
+  anchorMRUToBlockchain,
+  issuerIdToBytes32,
+  computeDiHash,
+  computeExpectedCanonicalHash,
+} = require('../services/blockchainService');
+const { selectIssuerGroup } = require('../services/batchService');
+
+const MRI_A = 'aa'.repeat(32);
+const MRI_B = 'bb'.repeat(32);
+const MRU = '0x' + 'cc'.repeat(32);
+
+describe('putRoot encoding', () => {
+  test('issuerId is hashed unless it already is bytes32', () => {
+    const bytes32 = '0x' + '12'.repeat(32);
+    expect(issuerIdToBytes32(bytes32)).toBe(bytes32);
+    expect(issuerIdToBytes32('issuer-1')).toBe(ethers.utils.id('issuer-1'));
+  });
+
+  test('diHash covers the MRIs in tree order', () => {
+    const diHash = computeDiHash([MRI_A, MRI_B]);
+    expect(diHash).toBe(ethers.utils.keccak256('0x' + MRI_A + MRI_B));
+    expect(computeDiHash([MRI_B, MRI_A])).not.toBe(diHash);
+  });
+
+  test('expectedCanonicalHash binds the root to the canonicalization version', () => {
+    expect(computeExpectedCanonicalHash(MRU, 2)).toBe(ethers.utils.solidityKeccak256(['bytes32', 'uint256'], [MRU, 2]));
+    expect(computeExpectedCanonicalHash(MRU, 1)).not.toBe(computeExpectedCanonicalHash(MRU, 2));
+  });
+});
+
+describe('anchorMRUToBlockchain', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv, PRIVATE_KEY: '0x' + '01'.repeat(32), AMOY_RPC_URL: 'http://localhost:8545', CONTRACT_TYPE: '' };
+    mockContract.canonicalizationVersion.mockResolvedValue(ethers.BigNumber.from(3));
+    mockContract.issuerRootNonce.mockResolvedValue(ethers.BigNumber.from(7));
+    mockContract.callStatic.putRoot.mockResolvedValue(undefined);
+    mockContract.putRoot.mockResolvedValue({
+      hash: '0xtx',
+      wait: () => Promise.resolve({ transactionHash: '0xtx', blockNumber: 10, logs: [] }),
+    });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('calls the seven-argument putRoot with the issuer nonce and canonicalization version', async () => {
+    const result = await anchorMRUToBlockchain(MRU, 1700000000, { issuerId: 'issuer-1', merkleRoots: [MRI_A, MRI_B] });
+
+    const issuerId = ethers.utils.id('issuer-1');
+    expect(mockContract.issuerRootNonce).toHaveBeenCalledWith(issuerId);
+    expect(mockContract.putRootLegacy).not.toHaveBeenCalled();
+
+    const args = mockContract.putRoot.mock.calls[0];
+    expect(args.slice(0, 4)).toEqual([1700000000, MRU, issuerId, computeDiHash([MRI_A, MRI_B])]);
+    expect(args[5]).toBe(computeExpectedCanonicalHash(MRU, 3));
+    expect(args[6].toString()).toBe('7');
+    expect(args[7]).toEqual(expect.objectContaining({ nonce: 4 }));
+
+    expect(result.anchor).toEqual({
+      method: 'putRoot',
+      issuerId,
+      timeWindow: '1700000000',
+      nonce: '7',
+      canonicalizationVersion: '3',
+      diHash: computeDiHash([MRI_A, MRI_B]),
+    });
+  });
+
+  test('refuses to anchor without an issuer', async () => {
+    await expect(anchorMRUToBlockchain(MRU, 1700000000)).rejects.toThrow(/issuerId is required/);
+    expect(mockContract.putRoot).not.toHaveBeenCalled();
+  });
+
+  test('does not send the transaction when the dry run reverts', async () => {
+    mockContract.callStatic.putRoot.mockRejectedValue(new Error('execution reverted: invalid nonce'));
+    await expect(anchorMRUToBlockchain(MRU, 1700000000, { issuerId: 'issuer-1' })).rejects.toThrow(/invalid nonce/);
+    expect(mockContract.putRoot).not.toHaveBeenCalled();
+  });
+});
+
+describe('selectIssuerGroup', () => {
+  test('anchors the oldest issuer first and leaves batches without issuer out', () => {
+    const batches = [
+      { id: 'b1', issuerId: null },
+      { id: 'b2', issuerId: 'issuer-1' },
+      { id: 'b3', issuerId: 'issuer-2' },
+      { id: 'b4', issuerId: 'issuer-1' },
+    ];
+
+    const group = selectIssuerGroup(batches);
+
+    expect(group.issuerId).toBe('issuer-1');
+    expect(group.batches.map(b => b.id)).toEqual(['b2', 'b4']);
+    expect(group.hasMore).toBe(true);
+    expect(group.missingIssuer.map(b => b.id)).toEqual(['b1']);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Test batch pause / resume / cancel
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/eventService', () => ({ recordJobEvent: jest.fn(), recordBatchEvent: jest.fn() }));
+jest.mock('../services/pipelineNotifier', () => ({ PIPELINE_CHANNELS: { render: 'pipeline_render' }, notifyStage: jest.fn() }));
+jest.mock('../models/DocumentBatch', () => ({ findByPk: jest.fn() }));
+jest.mock('../models/DocumentJob', () => ({ findAll: jest.fn() }));
+jest.mock('../storage/StorageFactory', () => ({ getStorage: jest.fn() }));
+
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+const StorageFactory = require('../storage/StorageFactory');
+const { pauseBatch, resumeBatch, cancelBatch, isBatchHalted } = require('../services/batchControlService');
+const { fakeEntity } = require('./harness/memoryModels');
+
+describe('batch control', () => {
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = { delete: jest.fn().mockResolvedValue(true), getName: () => 'local' };
+    StorageFactory.getStorage.mockReturnValue(storage);
+  });
+
+  test('pause remembers the status and resume returns to it', async () => {
+    const batch = fakeEntity('DocumentBatch', { id: 'batch-1', status: 'Processing' });
+    DocumentBatch.findByPk.mockResolvedValue(batch);
+
+    await pauseBatch('batch-1', { actor: 'ops' });
+    expect(batch.status).toBe('Paused');
+    expect(batch.resumeStatus).toBe('Processing');
+    expect(isBatchHalted(batch)).toBe(true);
+
+    await resumeBatch('batch-1', { actor: 'ops' });
+    expect(batch.status).toBe('Processing');
+    expect(batch.resumeStatus).toBeNull();
+  });
+
+  test('resume rejects a batch that is not paused', async () => {
+    DocumentBatch.findByPk.mockResolvedValue(fakeEntity('DocumentBatch', { id: 'batch-1', status: 'Pending' }));
+    await expect(resumeBatch('batch-1')).rejects.toThrow(/not paused/);
+  });
+
+  test('cancel cancels unfinished jobs and deletes worker artifacts only', async () => {
+    const batch = fakeEntity('DocumentBatch', { id: 'batch-1', status: 'Pending' });
+    const rendered = fakeEntity('DocumentJob', {
+      id: 'job-1',
+      status: 'Generated',
+      data: {},
+      certificatePath: 'certificates/t/batch-1/job-1.pdf',
+      qrCodePath: 'qr-codes/t/batch-1/job-1.png',
+      certificateWithQRPath: null,
+    });
+    const uploaded = fakeEntity('DocumentJob', {
+      id: 'job-2',
+      status: 'Pending',
+      data: { source: 'pdf_upload' },
+      certificatePath: 'uploads/job-2.pdf',
+    });
+    DocumentBatch.findByPk.mockResolvedValue(batch);
+    DocumentJob.findAll.mockResolvedValue([rendered, uploaded]);
+
+    const result = await cancelBatch('batch-1', { actor: 'ops', reason: 'wrong template' });
+
+    expect(batch.status).toBe('Cancelled');
+    expect(result.cancelledJobs).toBe(2);
+    expect(rendered.status).toBe('Cancelled');
+    expect(rendered.certificatePath).toBeNull();
+    expect(uploaded.certificatePath).toBe('uploads/job-2.pdf');
+    expect(storage.delete.mock.calls.map(call => call[0])).toEqual([
+      'certificates/t/batch-1/job-1.pdf',
+      'qr-codes/t/batch-1/job-1.png',
+    ]);
+    expect(result.deletedArtifacts).toBe(2);
+  });
+});
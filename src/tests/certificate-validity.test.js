@@ -0,0 +1,122 @@
+/**
+ * Test the expiry (Ed) and invalidation expiry (Ei) checks of verifyCertificate
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ethers } = require('ethers');
+const cryptoService = require('../services/cryptoService');
+const merkle = require('../services/merkleService');
+const { verifyCertificate } = require('../services/verificationService');
+const { certificatePdf } = require('./harness/certificates');
+
+const EI = new Date('2030-01-01T00:00:00.000Z');
+const ED = new Date('2031-01-01T00:00:00.000Z');
+let pdf;
+
+/**
+ * VD of a signed certificate in a two-leaf batch (no txHash: the chain steps do not apply)
+ */
+function bundle(Ed, Ei) {
+  const privateKey = ethers.utils.hexlify(ethers.utils.randomBytes(32)).slice(2);
+  const documentHash = cryptoService.calculateDocumentHash(pdf);
+  const fingerprintHash = cryptoService.hashFingerprint(cryptoService.calculateDocumentFingerprint(documentHash, Ed, Ei));
+  const issuerSignature = cryptoService.sign(fingerprintHash, privateKey);
+  const leaf = cryptoService.calculateMerkleLeaf(issuerSignature);
+  const tree = merkle.buildMerkleTree([leaf, 'ab'.repeat(32)]);
+  const root = merkle.getMerkleRoot(tree);
+
+  return {
+    documentHash,
+    issuerSignature,
+    issuerPublicKey: cryptoService.derivePublicKey(privateKey),
+    expiryDate: Ed ? Ed.toISOString() : null,
+    invalidationExpiry: Ei ? Ei.toISOString() : null,
+    merkleProofIntermediate: merkle.getMerkleProof(tree, leaf),
+    merkleRootIntermediate: root,
+    merkleRootUltimate: root,
+    merkleProofUltimate: [],
+  };
+}
+
+beforeAll(async () => {
+  pdf = await certificatePdf('Certificate of completion: ada');
+});
+
+describe('verifyCertificate validity period', () => {
+  test('is valid before Ei and reports the period it checked', async () => {
+    const result = await verifyCertificate(pdf, null, bundle(ED, EI), { now: new Date('2029-06-01T00:00:00Z') });
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.validity).toBe('valid');
+    expect(result.steps.validityPeriod).toEqual({
+      status: 'valid',
+      asOf: '2029-06-01T00:00:00.000Z',
+      historical: false,
+      expiryDate: ED.toISOString(),
+      invalidationExpiry: EI.toISOString(),
+      error: null,
+    });
+  });
+
+  test('stays valid once the invalidation window closed, until Ed', async () => {
+    const vd = bundle(ED, EI);
+
+    const closed = await verifyCertificate(pdf, null, vd, { now: EI });
+    expect(closed.valid).toBe(true);
+    expect(closed.validity).toBe('invalidation_window_closed');
+    expect(closed.errors).toEqual([]);
+
+    const expired = await verifyCertificate(pdf, null, vd, { now: ED });
+    expect(expired.valid).toBe(false);
+    expect(expired.validity).toBe('expired');
+    expect(expired.errors).toEqual([`This certificate expired on ${ED.toISOString()}`]);
+  });
+
+  test('expires without an invalidation expiry, and never expires without Ed', async () => {
+    const expired = await verifyCertificate(pdf, null, bundle(ED, null), { now: new Date('2040-01-01T00:00:00Z') });
+    expect(expired.validity).toBe('expired');
+    expect(expired.steps.validityPeriod.invalidationExpiry).toBeNull();
+
+    const lifetime = await verifyCertificate(pdf, null, bundle(null, null), { now: new Date('2100-01-01T00:00:00Z') });
+    expect(lifetime.valid).toBe(true);
+    expect(lifetime.validity).toBe('valid');
+    expect(lifetime.steps.validityPeriod).toMatchObject({ expiryDate: null, invalidationExpiry: null });
+  });
+
+  test('checks a past date with asOf instead of the clock', async () => {
+    const vd = bundle(ED, EI);
+    const now = new Date('2035-01-01T00:00:00Z');
+
+    expect((await verifyCertificate(pdf, null, vd, { now })).validity).toBe('expired');
+
+    const then = await verifyCertificate(pdf, null, vd, { now, asOf: '2029-12-31T23:59:59Z' });
+    expect(then.valid).toBe(true);
+    expect(then.validity).toBe('valid');
+    expect(then.steps.validityPeriod).toMatchObject({ historical: true, asOf: '2029-12-31T23:59:59.000Z' });
+
+    const later = await verifyCertificate(pdf, null, vd, { now, asOf: new Date('2031-06-01T00:00:00Z') });
+    expect(later.errors).toEqual([`This certificate expired on ${ED.toISOString()} (checked as of 2031-06-01T00:00:00.000Z)`]);
+
+    const invalid = await verifyCertificate(pdf, null, vd, { asOf: 'next tuesday' });
+    expect(invalid.valid).toBe(false);
+    expect(invalid.validity).toBe('invalid');
+    expect(invalid.errors).toEqual(['Invalid asOf date: next tuesday']);
+  });
+
+  test('reports an expired certificate that also fails another check as invalid', async () => {
+    const vd = bundle(ED, EI);
+    // Ed moved past the date the issuer signed: the fingerprint no longer matches SI
+    const tampered = { ...vd, expiryDate: new Date('2040-01-01T00:00:00Z').toISOString() };
+
+    const result = await verifyCertificate(pdf, null, tampered, { now: new Date('2041-01-01T00:00:00Z') });
+
+    expect(result.valid).toBe(false);
+    expect(result.validity).toBe('invalid');
+    expect(result.errors).toEqual([
+      expect.stringMatching(/Issuer signature \(SI\) verification failed/),
+      'This certificate expired on 2040-01-01T00:00:00.000Z',
+    ]);
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Index AnchorStore events from a local chain (harness/localChain.js) and
+ * reconcile them with the local batches and anchoring transactions
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../models/DocumentBatch', () => require('./harness/memoryModels').defineModel('DocumentBatch', { metadata: {} }));
+jest.mock('../models/AnchorTransaction', () => require('./harness/memoryModels')
+  .defineModel('AnchorTransaction', { status: 'built', reorgs: 0, attempts: 0 }));
+jest.mock('../models/ChainEvent', () => require('./harness/memoryModels').defineModel('ChainEvent'));
+jest.mock('../models/ChainCheckpoint', () => require('./harness/memoryModels').defineModel('ChainCheckpoint'));
+jest.mock('../models/ChainDiscrepancy', () => require('./harness/memoryModels').defineModel('ChainDiscrepancy', { status: 'open' }));
+
+const { ethers } = require('ethers');
+const { clearModels } = require('./harness/memoryModels');
+const { startLocalChain, CHAIN_ID } = require('./harness/localChain');
+const DocumentBatch = require('../models/DocumentBatch');
+const AnchorTransaction = require('../models/AnchorTransaction');
+const ChainEvent = require('../models/ChainEvent');
+const ChainCheckpoint = require('../models/ChainCheckpoint');
+const ChainDiscrepancy = require('../models/ChainDiscrepancy');
+const cryptoService = require('../services/cryptoService');
+const blockchainService = require('../services/blockchainService');
+const networks = require('../config/networks');
+const chainIndexer = require('../services/chainIndexerService');
+
+const ENV_KEYS = [
+  'ANCHOR_NETWORK', 'ANCHORSTORE_ADDRESS', 'RPC_URLS_POLYGON_AMOY', 'AMOY_RPC_URL', 'RPC_QUORUM', 'PRIVATE_KEY',
+  'ANCHOR_CONFIRMATIONS', 'CHAIN_INDEXER_BLOCK_RANGE', 'CHAIN_INDEXER_MAX_BLOCKS', 'CHAIN_INDEXER_NETWORKS',
+];
+const saved = {};
+let chain;
+let issuerCount = 0;
+
+const randomRoot = () => ethers.utils.hexlify(ethers.utils.randomBytes(32));
+
+async function mined(txPromise) {
+  return (await txPromise).wait();
+}
+
+async function registeredIssuer() {
+  const issuerId = `indexed-issuer-${++issuerCount}`;
+  const privateKey = ethers.utils.hexlify(ethers.utils.randomBytes(32)).slice(2);
+  await chain.registerIssuer(issuerId, cryptoService.derivePublicKey(privateKey));
+  return blockchainService.issuerIdToBytes32(issuerId);
+}
+
+/**
+ * Submit a root from the admin account (not the worker wallet)
+ */
+async function submitRoot(issuerBytes32, root, timeWindow) {
+  const nonce = await chain.anchorStore.issuerRootNonce(issuerBytes32);
+  const canonicalHash = ethers.utils.solidityKeccak256(['bytes32', 'uint256'], [root, 1]);
+  return mined(chain.anchorStore.putRoot(timeWindow, root, issuerBytes32, ethers.constants.HashZero, '0x', canonicalHash, nonce));
+}
+
+/**
+ * Start indexing at the current head (the registry has no startBlock for the stub)
+ */
+async function checkpointAtHead() {
+  await chain.provider.send('evm_mine', []); // the head block holds no events of earlier tests
+  const summary = await chainIndexer.indexNetwork(chain.network);
+  expect(summary.events).toBe(0);
+  return ChainCheckpoint.findOne({ where: { chainId: CHAIN_ID } });
+}
+
+beforeAll(async () => {
+  chain = await startLocalChain();
+}, 120000);
+
+afterAll(async () => {
+  if (chain) await chain.stop();
+});
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  clearModels();
+  chain.connectWorker();
+  process.env.ANCHOR_CONFIRMATIONS = '1';
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+  networks.resetNetworks();
+});
+
+describe('chain indexer against a local chain', () => {
+  test('defaults to every network with an AnchorStore and honours CHAIN_INDEXER_NETWORKS', () => {
+    expect(chainIndexer.getIndexerConfig()).toMatchObject({ blockRange: 2000, maxBlocksPerRun: 50000 });
+    expect(chainIndexer.getIndexerConfig().networks).toContain('polygon-amoy');
+
+    process.env.CHAIN_INDEXER_NETWORKS = 'polygon-amoy';
+    expect(chainIndexer.getIndexerConfig().networks).toEqual(['polygon-amoy']);
+
+    process.env.CHAIN_INDEXER_NETWORKS = 'no-such-network';
+    expect(() => chainIndexer.getIndexerConfig()).toThrow();
+  });
+
+  test('records the indexed events once and advances the checkpoint range by range', async () => {
+    process.env.CHAIN_INDEXER_BLOCK_RANGE = '2';
+    const checkpoint = await checkpointAtHead();
+    const issuer = await registeredIssuer();
+    const root = randomRoot();
+    const certHash = randomRoot();
+    const newKey = randomRoot();
+
+    await submitRoot(issuer, root, 1000);
+    await mined(chain.anchorStore.revoke(certHash, 'issued in error'));
+    await mined(chain.anchorStore.revokeRoot(root, 'key leaked'));
+    await mined(chain.anchorStore.invalidateTimeWindow(issuer, 900, 1100));
+    await mined(chain.anchorStore.rollKey(issuer, newKey, '0x', ethers.constants.HashZero));
+    const head = await chain.blockNumber();
+    chain.requests.length = 0;
+
+    const summary = await chainIndexer.indexNetwork(chain.network);
+
+    expect(summary).toMatchObject({ network: chain.network, toBlock: head, safeBlock: head, events: 5, behind: false });
+    // 6 blocks (issuer registration + 5 events) in ranges of 2
+    expect(chain.requests.filter(method => method === 'eth_getLogs')).toHaveLength(3);
+    expect((await ChainCheckpoint.findByPk(checkpoint.id)).blockNumber).toBe(head);
+
+    const events = ChainEvent.all();
+    expect(events.map(event => event.event)).toEqual(chainIndexer.INDEXED_EVENTS);
+    expect(events.find(event => event.event === 'MerkleRootSubmitted')).toMatchObject({
+      chainId: CHAIN_ID,
+      contractAddress: chain.anchorStore.address.toLowerCase(),
+      root,
+      issuerId: issuer,
+      timeWindow: '1000',
+      actor: await chain.anchorStore.signer.getAddress(),
+    });
+    expect(events.find(event => event.event === 'Revoked')).toMatchObject({ certHash, reason: 'issued in error' });
+    expect(events.find(event => event.event === 'RootRevoked')).toMatchObject({ root, reason: 'key leaked' });
+    expect(events.find(event => event.event === 'TimeWindowInvalidated')).toMatchObject({
+      issuerId: issuer, windowStart: '900', windowEnd: '1100',
+    });
+    expect(events.find(event => event.event === 'IssuerKeyRolled')).toMatchObject({
+      issuerId: issuer,
+      args: expect.objectContaining({ newPublicKey: newKey }),
+    });
+
+    // Scanning the same blocks again records nothing
+    await ChainCheckpoint.update({ blockNumber: checkpoint.blockNumber }, { where: { id: checkpoint.id } });
+    expect(await chainIndexer.indexNetwork(chain.network)).toMatchObject({ events: 0 });
+    expect(ChainEvent.all()).toHaveLength(5);
+
+    expect(await chainIndexer.getIndexedRootStatus(root)).toMatchObject({
+      indexed: true,
+      indexedThrough: head,
+      anchored: true,
+      issuerId: issuer,
+      timeWindow: '1000',
+      revoked: true,
+      revocationReason: 'key leaked',
+    });
+    expect(await chainIndexer.getIndexedRootStatus(randomRoot())).toMatchObject({ indexed: true, anchored: false });
+  }, 60000);
+
+  test('leaves blocks above the confirmation depth and past the per-run cap for later', async () => {
+    process.env.CHAIN_INDEXER_MAX_BLOCKS = '1';
+    const checkpoint = await checkpointAtHead();
+    const issuer = await registeredIssuer();
+    await submitRoot(issuer, randomRoot(), 1000);
+    await submitRoot(issuer, randomRoot(), 1001);
+    const head = await chain.blockNumber();
+
+    process.env.ANCHOR_CONFIRMATIONS = '2';
+    const capped = await chainIndexer.indexNetwork(chain.network);
+    expect(capped).toMatchObject({ fromBlock: Number(checkpoint.blockNumber) + 1, safeBlock: head - 1, behind: true });
+
+    process.env.CHAIN_INDEXER_MAX_BLOCKS = '100';
+    const caughtUp = await chainIndexer.indexNetwork(chain.network);
+    expect(caughtUp).toMatchObject({ toBlock: head - 1, events: 1, behind: false });
+    expect(ChainEvent.all().filter(event => event.event === 'MerkleRootSubmitted')).toHaveLength(1);
+  }, 60000);
+
+  test('starts at the registry startBlock when one is set', async () => {
+    const issuer = await registeredIssuer();
+    const root = randomRoot();
+    const receipt = await submitRoot(issuer, root, 1000);
+    jest.spyOn(networks, 'resolveNetwork').mockImplementation(options => ({
+      ...networks.requireNetwork(options.network || chain.network), startBlock: receipt.blockNumber,
+    }));
+
+    const summary = await chainIndexer.indexNetwork(chain.network);
+
+    expect(summary).toMatchObject({ fromBlock: receipt.blockNumber, events: 1 });
+    expect(ChainCheckpoint.all()[0]).toMatchObject({ startBlock: receipt.blockNumber });
+  }, 60000);
+
+  test('flags roots anchored for our issuers without a batch, and ignores other issuers', async () => {
+    await checkpointAtHead();
+    const ours = await registeredIssuer();
+    const foreign = await registeredIssuer();
+    const batchedRoot = randomRoot();
+    const strayRoot = randomRoot();
+
+    await DocumentBatch.create({ anchorIssuerId: ours, merkleRootUltimate: batchedRoot.slice(2) });
+    await submitRoot(ours, batchedRoot, 1000);
+    await submitRoot(ours, strayRoot, 1001);
+    await submitRoot(foreign, randomRoot(), 1000);
+
+    const summary = await chainIndexer.indexNetwork(chain.network);
+
+    expect(summary).toMatchObject({ events: 3, discrepancies: 1 });
+    const flagged = await chainIndexer.listDiscrepancies();
+    expect(flagged).toHaveLength(1);
+    expect(flagged[0]).toMatchObject({
+      type: 'root_without_batch',
+      status: 'open',
+      network: chain.network,
+      root: strayRoot,
+      issuerId: ours,
+      details: { timeWindow: '1001' },
+    });
+  }, 60000);
+
+  test('flags confirmed anchoring transactions whose root is not on chain until the root is indexed', async () => {
+    await checkpointAtHead();
+    const issuer = await registeredIssuer();
+    const lostRoot = randomRoot();
+    const confirmedBlock = await chain.blockNumber();
+    const lost = await AnchorTransaction.create({
+      merkleRootUltimate: lostRoot,
+      batchIds: ['batch-1', 'batch-2'],
+      timeWindow: 1000,
+      method: 'putRoot',
+      anchor: { method: 'putRoot', issuerId: issuer },
+      status: 'confirmed',
+      network: chain.network,
+      chainId: CHAIN_ID,
+      txHash: randomRoot(),
+      blockNumber: confirmedBlock,
+      confirmedAt: new Date(),
+    });
+    // Confirmed past the indexed blocks: checked on a later pass
+    await AnchorTransaction.create({
+      merkleRootUltimate: randomRoot(),
+      batchIds: ['batch-3'],
+      timeWindow: 1001,
+      method: 'putRoot',
+      status: 'confirmed',
+      network: chain.network,
+      chainId: CHAIN_ID,
+      txHash: randomRoot(),
+      blockNumber: confirmedBlock + 100,
+      confirmedAt: new Date(Date.now() + 1000),
+    });
+
+    const first = await chainIndexer.indexNetwork(chain.network);
+
+    expect(first.discrepancies).toBe(1);
+    expect(ChainDiscrepancy.all()).toEqual([expect.objectContaining({
+      type: 'root_not_on_chain',
+      status: 'open',
+      root: lostRoot,
+      txHash: lost.txHash,
+      blockNumber: confirmedBlock,
+      batchIds: ['batch-1', 'batch-2'],
+    })]);
+    expect(ChainCheckpoint.all()[0].reconciledAt).toEqual(lost.confirmedAt);
+
+    // Flagged once, however often the pass runs
+    await ChainCheckpoint.update({ reconciledAt: null }, { where: {} });
+    expect(await chainIndexer.indexNetwork(chain.network)).toMatchObject({ discrepancies: 0 });
+
+    await submitRoot(issuer, lostRoot, 1000);
+    await chainIndexer.indexNetwork(chain.network);
+
+    expect(ChainDiscrepancy.all()[0]).toMatchObject({ status: 'resolved', resolvedAt: expect.any(Date) });
+    expect(await chainIndexer.listDiscrepancies()).toEqual([]);
+  }, 60000);
+
+  test('reports a failing network and indexes the others', async () => {
+    process.env.CHAIN_INDEXER_NETWORKS = 'polygon-amoy,polygon';
+
+    const results = await chainIndexer.indexChains();
+
+    expect(results[0]).toMatchObject({ network: 'polygon-amoy', behind: false });
+    expect(results[1]).toMatchObject({ network: 'polygon', error: expect.any(String) });
+  }, 60000);
+
+  test('has no indexed status before the network has a checkpoint', async () => {
+    expect(await chainIndexer.getIndexedRootStatus(randomRoot())).toEqual({ indexed: false });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Test direct anchoring (AnchorStore.anchor / anchorBatch): the per-batch and
+ * per-tenant policy, anchoring the leaves of a batch, and verifying a leaf
+ * against the Anchored event and isAnchored
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/pdf-qr-annotator', () => ({ addQRAnnotationToPDF: jest.fn() }));
+jest.mock('../services/eventService', () => ({ recordJobEvent: jest.fn(), recordBatchEvent: jest.fn() }));
+jest.mock('../models/DocumentBatch', () => ({ findAll: jest.fn(), findByPk: jest.fn() }));
+jest.mock('../models/DocumentJob', () => ({ findAll: jest.fn(), update: jest.fn() }));
+jest.mock('../models/Tenant', () => ({ findAll: jest.fn(), findByPk: jest.fn() }));
+jest.mock('../services/anchorTransactionService', () => ({
+  getAnchorState: jest.fn(),
+  submitAnchorTransaction: jest.fn(),
+  toAnchorResult: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+const Tenant = require('../models/Tenant');
+const anchorTransactionService = require('../services/anchorTransactionService');
+const networks = require('../config/networks');
+const rpcProvider = require('../services/rpcProvider');
+const { assertTransition } = require('../services/stateMachine');
+const { resolveProofType, processDirectAnchoring } = require('../services/batchService');
+const { computeDirectAnchorKey, verifyTransaction, getDirectAnchorStatus } = require('../services/blockchainService');
+
+const LEAF_A = '0x' + 'a1'.repeat(32);
+const LEAF_B = '0x' + 'b2'.repeat(32);
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const RPC_URL = 'https://rpc.example/amoy';
+const ENV_KEYS = ['DIRECT_ANCHOR_MAX_LEAVES', 'RPC_URLS_POLYGON_AMOY', 'RPC_QUORUM', 'POLYGONSCAN_API_KEY', 'ETHERSCAN_API_KEY'];
+const saved = {};
+
+function batch(values) {
+  const b = { id: 'batch-1', tenantId: null, signingStatus: 'Finalized', proofType: 'direct', metadata: {}, ...values };
+  b.update = jest.fn(async (changes) => Object.assign(b, changes));
+  return b;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  networks.resetNetworks();
+  DocumentJob.findAll.mockResolvedValue([]);
+  DocumentJob.update.mockResolvedValue([0]);
+  Tenant.findAll.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+  networks.resetNetworks();
+});
+
+describe('resolveProofType', () => {
+  test('the batch policy wins over the tenant policy', () => {
+    const directTenant = { metadata: { blockchain: { anchoring: 'direct' } } };
+
+    expect(resolveProofType(batch({ metadata: {} }), directTenant, 1)).toBe('direct');
+    expect(resolveProofType(batch({ metadata: { anchoring: 'merkle' } }), directTenant, 1)).toBe('merkle');
+    expect(resolveProofType(batch({ metadata: { anchoring: 'Direct' } }), null, 1)).toBe('direct');
+    expect(resolveProofType(batch({ metadata: null }), null, 1)).toBe('merkle');
+  });
+
+  test('falls back to a Merkle root above DIRECT_ANCHOR_MAX_LEAVES', () => {
+    process.env.DIRECT_ANCHOR_MAX_LEAVES = '2';
+    const direct = batch({ metadata: { anchoring: 'direct' } });
+
+    expect(resolveProofType(direct, null, 2)).toBe('direct');
+    expect(resolveProofType(direct, null, 3)).toBe('merkle');
+  });
+});
+
+describe('batch state machine', () => {
+  test('direct batches are finalized and completed without MRI / MRU', () => {
+    const finalizedAt = new Date();
+    expect(() => assertTransition('DocumentBatch', { proofType: 'direct', finalizedAt }, 'Signed', 'Finalized', 'signingStatus'))
+      .not.toThrow();
+    expect(() => assertTransition('DocumentBatch', { proofType: 'direct', txHash: TX_HASH }, 'Processing', 'Completed'))
+      .not.toThrow();
+    expect(() => assertTransition('DocumentBatch', { proofType: 'merkle', finalizedAt }, 'Signed', 'Finalized', 'signingStatus'))
+      .toThrow(expect.objectContaining({ code: 'TRANSITION_GUARD_FAILED' }));
+  });
+});
+
+describe('processDirectAnchoring', () => {
+  test('anchors the leaves of a batch with anchorBatch and stores the result without a putRoot binding', async () => {
+    const direct = batch({ finalizedAt: new Date('2026-01-01T00:00:00Z') });
+    DocumentBatch.findAll.mockResolvedValue([direct]);
+    DocumentJob.findAll.mockResolvedValueOnce([{ id: 'job-1', merkleLeaf: LEAF_A }, { id: 'job-2', merkleLeaf: LEAF_B }]);
+    anchorTransactionService.getAnchorState.mockResolvedValue({ state: 'none', transaction: null });
+    anchorTransactionService.submitAnchorTransaction.mockResolvedValue({
+      status: 'confirmed',
+      transaction: { txHash: TX_HASH },
+      result: {
+        txHash: TX_HASH,
+        network: 'polygon-amoy',
+        chainId: 80002,
+        blockNumber: 100,
+        anchor: { method: 'anchorBatch', certHashes: [LEAF_A, LEAF_B] },
+      },
+    });
+
+    const summary = await processDirectAnchoring(10);
+
+    const key = computeDirectAnchorKey([LEAF_A, LEAF_B]);
+    expect(anchorTransactionService.getAnchorState).toHaveBeenCalledWith(key);
+    expect(anchorTransactionService.submitAnchorTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      merkleRootUltimate: key,
+      certHashes: [LEAF_A, LEAF_B],
+      network: 'polygon-amoy',
+      batchIds: ['batch-1'],
+    }));
+    expect(direct.update).toHaveBeenCalledWith(expect.objectContaining({
+      txHash: TX_HASH,
+      chainId: 80002,
+      anchorStatus: 'Confirmed',
+      anchorIssuerId: null,
+      timeWindow: null,
+    }));
+    expect(summary).toEqual({ batchIds: ['batch-1'], confirmedBatchIds: ['batch-1'], pending: 0 });
+  });
+
+  test('leaves a batch whose transaction is still open to resumeAnchoring', async () => {
+    DocumentBatch.findAll.mockResolvedValue([batch()]);
+    DocumentJob.findAll.mockResolvedValueOnce([{ id: 'job-1', merkleLeaf: LEAF_A }]);
+    anchorTransactionService.getAnchorState.mockResolvedValue({ state: 'open', transaction: { txHash: TX_HASH } });
+
+    const summary = await processDirectAnchoring(10);
+
+    expect(anchorTransactionService.submitAnchorTransaction).not.toHaveBeenCalled();
+    expect(summary).toEqual({ batchIds: [], confirmedBatchIds: [], pending: 0 });
+  });
+});
+
+describe('verifying a direct proof', () => {
+  const iface = new ethers.utils.Interface(require('../abis/AnchorStore.json'));
+  let handler;
+
+  function rawReceipt(certHashes) {
+    const contract = networks.requireNetwork('polygon-amoy').contracts.anchorStore;
+    return {
+      transactionHash: TX_HASH,
+      transactionIndex: '0x0',
+      blockHash: '0x' + 'b1'.repeat(32),
+      blockNumber: '0x64',
+      from: '0x' + '11'.repeat(20),
+      to: contract,
+      contractAddress: null,
+      cumulativeGasUsed: '0x5208',
+      gasUsed: '0x5208',
+      effectiveGasPrice: '0x1',
+      logsBloom: '0x' + '00'.repeat(256),
+      status: '0x1',
+      type: '0x2',
+      logs: certHashes.map((certHash, index) => ({
+        ...iface.encodeEventLog(iface.getEvent('Anchored'), [certHash, '0x' + '11'.repeat(20), 100]),
+        address: contract,
+        blockHash: '0x' + 'b1'.repeat(32),
+        blockNumber: '0x64',
+        transactionHash: TX_HASH,
+        transactionIndex: '0x0',
+        logIndex: ethers.utils.hexValue(index),
+        removed: false,
+      })),
+    };
+  }
+
+  beforeEach(() => {
+    process.env.RPC_URLS_POLYGON_AMOY = RPC_URL;
+    rpcProvider.resetEndpoints();
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'send').mockImplementation((method, params) => handler(method, params));
+  });
+
+  test('verifyTransaction reports whether the leaf has an Anchored event in the transaction', async () => {
+    handler = async (method) => ({
+      eth_chainId: '0x13882',
+      eth_getTransactionReceipt: rawReceipt([LEAF_A, LEAF_B]),
+      eth_blockNumber: '0x70',
+    })[method];
+
+    const anchored = await verifyTransaction(TX_HASH, null, { network: 'polygon-amoy', certHash: LEAF_B });
+    expect(anchored).toMatchObject({ verified: true, certHashAnchored: true, mruMatches: null, blockNumber: 100 });
+
+    const other = await verifyTransaction(TX_HASH, null, { network: 'polygon-amoy', certHash: '0x' + 'cc'.repeat(32) });
+    expect(other).toMatchObject({ verified: false, certHashAnchored: false, error: expect.stringMatching(/not anchored/) });
+  });
+
+  test('getDirectAnchorStatus reads isAnchored and anchoredAt', async () => {
+    handler = async (method, params) => {
+      if (method === 'eth_chainId') return '0x13882';
+      const call = iface.parseTransaction({ data: params[0].data });
+      if (call.name === 'isAnchored') return iface.encodeFunctionResult('isAnchored', [true, false, 100]);
+      return iface.encodeFunctionResult('anchoredAt', [1767225600]);
+    };
+
+    const status = await getDirectAnchorStatus(LEAF_A, { chainId: 80002 });
+
+    expect(status).toEqual({ checked: true, anchored: true, revoked: false, blockNumber: 100, anchoredAt: 1767225600 });
+  });
+});
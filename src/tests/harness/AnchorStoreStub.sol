@@ -0,0 +1,259 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.24;
+
+/**
+ * Stand-in for AnchorStore in the local-chain tests
+ *
+ * Implements the functions the worker calls, with the signatures, events and
+ * custom errors of src/abis/AnchorStore.json, so ethers encodes and decodes
+ * them exactly as against the deployed contract. Roles, guardians and
+ * verifyDocument are left out, and rollKey does not check the signature:
+ * anyone may call anything. The one role kept is WITNESS_ROLE: vouch recovers
+ * the witness from its signature over blockchainService.vouchMessage and
+ * requires the role, which addWitness grants to anyone.
+ */
+contract AnchorStoreStub {
+    struct Issuer {
+        address owner;
+        bytes32 publicKey;
+        uint256 registeredAt;
+        bool active;
+    }
+
+    struct KeyRecord {
+        bytes32 publicKey;
+        uint256 validFrom;
+        uint256 validUntil;
+    }
+
+    struct Vouch {
+        address witness;
+        bytes32 issuerId;
+        bytes signature;
+        uint256 timestamp;
+    }
+
+    struct TimeWindowInvalidation {
+        uint256 start;
+        uint256 end;
+        uint256 invalidatedAt;
+    }
+
+    uint256 public canonicalizationVersion = 1;
+    bytes32 public constant WITNESS_ROLE = keccak256("WITNESS_ROLE");
+
+    mapping(bytes32 => Issuer) public issuers;
+    mapping(bytes32 => KeyRecord[]) private keyHistory;
+    mapping(bytes32 => string) public issuerMetadataURI;
+    mapping(bytes32 => uint256) public issuerRootNonce;
+    mapping(bytes32 => mapping(uint256 => bytes32)) public merkleRoots;
+    mapping(bytes32 => bytes32) public rootIssuer;
+    mapping(bytes32 => TimeWindowInvalidation[]) private windowInvalidations;
+
+    mapping(bytes32 => uint256) private anchoredBlock;
+    mapping(bytes32 => uint256) public anchoredAt;
+    mapping(bytes32 => bool) public revoked;
+    mapping(bytes32 => bool) public revokedRoots;
+
+    mapping(address => bool) private witnesses;
+    mapping(bytes32 => Vouch[]) public vouches;
+    mapping(bytes32 => mapping(address => bool)) public hasVouched;
+
+    event IssuerRegistered(bytes32 indexed issuerId, address indexed owner, bytes32 indexed publicKey, uint256 blockNumber);
+    event MerkleRootSubmitted(uint256 indexed timeWindow, bytes32 indexed root, address indexed issuer, uint256 blockNumber);
+    event Anchored(bytes32 indexed certHash, address indexed issuer, uint256 blockNumber);
+    event Revoked(bytes32 indexed certHash, address indexed issuer, uint256 blockNumber, string reason);
+    event RootRevoked(bytes32 indexed root, address indexed issuer, uint256 blockNumber, string reason);
+    event TimeWindowInvalidated(bytes32 indexed issuerId, uint256 indexed start, uint256 indexed end, address invalidatedBy, uint256 blockNumber);
+    event IssuerKeyRolled(bytes32 indexed issuerId, bytes32 indexed oldPublicKey, bytes32 indexed newPublicKey, address rolledBy, uint256 blockNumber);
+    event WitnessAdded(address indexed witness);
+    event IssuerVouched(bytes32 indexed issuerId, address indexed witness, uint256 blockNumber);
+
+    error AlreadyVouched();
+    error ArraysLengthMismatch();
+    error EmptyArray();
+    error InvalidAddress();
+    error InvalidCanonicalForm();
+    error InvalidNonce();
+    error InvalidPublicKey();
+    error InvalidSignature();
+    error InvalidTimeWindow();
+    error IssuerAlreadyRegistered();
+    error IssuerNotActive();
+    error IssuerNotRegistered();
+    error NotWitness();
+    error RootAlreadyBound();
+    error RootAlreadyExists();
+
+    function registerIssuer(bytes32 issuerId, address owner, bytes32 publicKey) external {
+        if (owner == address(0)) revert InvalidAddress();
+        if (publicKey == bytes32(0)) revert InvalidPublicKey();
+        if (issuers[issuerId].registeredAt != 0) revert IssuerAlreadyRegistered();
+
+        issuers[issuerId] = Issuer(owner, publicKey, block.timestamp, true);
+        keyHistory[issuerId].push(KeyRecord(publicKey, block.timestamp, 0));
+        emit IssuerRegistered(issuerId, owner, publicKey, block.number);
+    }
+
+    function getIssuer(bytes32 issuerId)
+        external
+        view
+        returns (address owner, bytes32 publicKey, uint256 registeredAt, bool active)
+    {
+        Issuer storage issuer = issuers[issuerId];
+        return (issuer.owner, issuer.publicKey, issuer.registeredAt, issuer.active);
+    }
+
+    function getPublicKeyHistory(bytes32 issuerId) external view returns (KeyRecord[] memory history) {
+        return keyHistory[issuerId];
+    }
+
+    function rollKey(bytes32 issuerId, bytes32 newPublicKey, bytes calldata signature, bytes32 messageHash) external {
+        signature;
+        messageHash;
+        Issuer storage issuer = issuers[issuerId];
+        if (issuer.registeredAt == 0) revert IssuerNotRegistered();
+        if (newPublicKey == bytes32(0)) revert InvalidPublicKey();
+
+        bytes32 oldPublicKey = issuer.publicKey;
+        KeyRecord[] storage history = keyHistory[issuerId];
+        history[history.length - 1].validUntil = block.timestamp;
+        history.push(KeyRecord(newPublicKey, block.timestamp, 0));
+        issuer.publicKey = newPublicKey;
+        emit IssuerKeyRolled(issuerId, oldPublicKey, newPublicKey, msg.sender, block.number);
+    }
+
+    function putRoot(
+        uint256 timeWindow,
+        bytes32 merkleRoot,
+        bytes32 issuerId,
+        bytes32 diHash,
+        bytes calldata metadata,
+        bytes32 expectedCanonicalHash,
+        uint256 nonce
+    ) external {
+        diHash;
+        metadata;
+        Issuer storage issuer = issuers[issuerId];
+        if (issuer.registeredAt == 0) revert IssuerNotRegistered();
+        if (!issuer.active) revert IssuerNotActive();
+        if (timeWindow == 0) revert InvalidTimeWindow();
+        if (keccak256(abi.encodePacked(merkleRoot, canonicalizationVersion)) != expectedCanonicalHash) {
+            revert InvalidCanonicalForm();
+        }
+        if (nonce != issuerRootNonce[issuerId]) revert InvalidNonce();
+        if (merkleRoots[issuerId][timeWindow] != bytes32(0)) revert RootAlreadyExists();
+        if (rootIssuer[merkleRoot] != bytes32(0)) revert RootAlreadyBound();
+
+        merkleRoots[issuerId][timeWindow] = merkleRoot;
+        rootIssuer[merkleRoot] = issuerId;
+        issuerRootNonce[issuerId] = nonce + 1;
+        emit MerkleRootSubmitted(timeWindow, merkleRoot, msg.sender, block.number);
+    }
+
+    function anchor(bytes32 certHash) public {
+        if (anchoredBlock[certHash] != 0) revert RootAlreadyExists();
+        anchoredBlock[certHash] = block.number;
+        anchoredAt[certHash] = block.timestamp;
+        emit Anchored(certHash, msg.sender, block.number);
+    }
+
+    function anchorBatch(bytes32[] calldata certHashes) external {
+        if (certHashes.length == 0) revert EmptyArray();
+        for (uint256 i = 0; i < certHashes.length; i++) {
+            anchor(certHashes[i]);
+        }
+    }
+
+    function isAnchored(bytes32 certHash)
+        external
+        view
+        returns (bool anchored, bool revokedStatus, uint256 blockNumber)
+    {
+        return (anchoredBlock[certHash] != 0, revoked[certHash], anchoredBlock[certHash]);
+    }
+
+    function revoke(bytes32 certHash, string memory reason) public {
+        revoked[certHash] = true;
+        emit Revoked(certHash, msg.sender, block.number, reason);
+    }
+
+    function revokeBatch(bytes32[] calldata certHashes, string[] calldata reasons) external {
+        if (certHashes.length == 0) revert EmptyArray();
+        if (certHashes.length != reasons.length) revert ArraysLengthMismatch();
+        for (uint256 i = 0; i < certHashes.length; i++) {
+            revoke(certHashes[i], reasons[i]);
+        }
+    }
+
+    function revokeRoot(bytes32 root, string calldata reason) external {
+        revokedRoots[root] = true;
+        emit RootRevoked(root, msg.sender, block.number, reason);
+    }
+
+    function isRevoked(bytes32 certHash) external view returns (bool revokedStatus) {
+        return revoked[certHash];
+    }
+
+    function invalidateTimeWindow(bytes32 issuerId, uint256 start, uint256 end) external {
+        if (issuers[issuerId].registeredAt == 0) revert IssuerNotRegistered();
+        if (start > end) revert InvalidTimeWindow();
+        windowInvalidations[issuerId].push(TimeWindowInvalidation(start, end, block.timestamp));
+        emit TimeWindowInvalidated(issuerId, start, end, msg.sender, block.number);
+    }
+
+    function isTimeWindowInvalidated(bytes32 issuerId, uint256 timestamp) external view returns (bool isInvalidated) {
+        TimeWindowInvalidation[] storage windows = windowInvalidations[issuerId];
+        for (uint256 i = 0; i < windows.length; i++) {
+            if (timestamp >= windows[i].start && timestamp <= windows[i].end) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function getTimeWindowInvalidations(bytes32 issuerId)
+        external
+        view
+        returns (TimeWindowInvalidation[] memory invalidations)
+    {
+        return windowInvalidations[issuerId];
+    }
+
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return role == WITNESS_ROLE && witnesses[account];
+    }
+
+    function addWitness(address witness) external {
+        if (witness == address(0)) revert InvalidAddress();
+        witnesses[witness] = true;
+        emit WitnessAdded(witness);
+    }
+
+    function vouch(bytes32 issuerId, bytes calldata signature) external {
+        if (issuers[issuerId].registeredAt == 0) revert IssuerNotRegistered();
+        if (signature.length != 65) revert InvalidSignature();
+
+        bytes32 message = keccak256(abi.encodePacked(issuerId, block.chainid, address(this)));
+        bytes32 digest = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", message));
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        address witness = ecrecover(digest, v, r, s);
+        if (witness == address(0)) revert InvalidSignature();
+        if (!hasRole(WITNESS_ROLE, witness)) revert NotWitness();
+        if (hasVouched[issuerId][witness]) revert AlreadyVouched();
+
+        hasVouched[issuerId][witness] = true;
+        vouches[issuerId].push(Vouch(witness, issuerId, signature, block.timestamp));
+        emit IssuerVouched(issuerId, witness, block.number);
+    }
+
+    function getVouches(bytes32 issuerId) external view returns (Vouch[] memory issuerVouches) {
+        return vouches[issuerId];
+    }
+
+    function getVouchCount(bytes32 issuerId) external view returns (uint256 count) {
+        return vouches[issuerId].length;
+    }
+}
@@ -0,0 +1,109 @@
+const { ethers } = require('ethers');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const cryptoService = require('../../services/cryptoService');
+
+/**
+ * Signed certificates for the pipeline tests
+ *
+ * finalizedBatch() and issuedPdf() run the real batch and QR services, so the
+ * test must mock DocumentJob and DocumentBatch with memoryModels:
+ *
+ *   const { finalizedBatch, issuedPdf } = require('./harness/certificates');
+ */
+
+// Ed of every certificate (no Ei)
+const EXPIRY = new Date('2031-01-01T00:00:00Z');
+
+/**
+ * A fresh secp256k1 issuer key
+ *
+ * @returns {object} - { privateKey, publicKey }
+ */
+function signingKey() {
+  const privateKey = ethers.utils.hexlify(ethers.utils.randomBytes(32)).slice(2);
+  return { privateKey, publicKey: cryptoService.derivePublicKey(privateKey) };
+}
+
+/**
+ * A one-page certificate PDF with a line of text
+ *
+ * @param {string} text - Text on the page
+ * @returns {Promise<Buffer>}
+ */
+async function certificatePdf(text) {
+  const pdf = await PDFDocument.create();
+  const page = pdf.addPage([595, 842]);
+  page.drawText(text, { x: 72, y: 760, size: 18, font: await pdf.embedFont(StandardFonts.Helvetica) });
+  return Buffer.from(await pdf.save());
+}
+
+/**
+ * A finalized batch of signed certificates, as the worker and the signer leave it
+ *
+ * @param {object} issuer - { privateKey, publicKey, issuerId? }
+ * @param {Array<string>} names - One certificate per name
+ * @param {object} batchValues - Extra DocumentBatch fields (e.g. tenantId, metadata)
+ * @returns {Promise<object>} - { batchId, certificates: [{ jobId, pdf, signature }] }
+ */
+async function finalizedBatch(issuer, names, batchValues = {}) {
+  const DocumentJob = require('../../models/DocumentJob');
+  const DocumentBatch = require('../../models/DocumentBatch');
+  const { processSignatures, finalizeBatch } = require('../../services/batchService');
+
+  const batch = await DocumentBatch.create({
+    status: 'Processing',
+    signingStatus: 'Signed',
+    ...(issuer.issuerId ? { issuerId: issuer.issuerId } : {}),
+    issuerPublicKey: issuer.publicKey,
+    ...batchValues,
+  });
+
+  const certificates = [];
+  for (const name of names) {
+    const pdf = await certificatePdf(`Certificate of completion: ${name}`);
+    const documentHash = cryptoService.calculateDocumentHash(pdf);
+    const fingerprint = cryptoService.calculateDocumentFingerprint(documentHash, EXPIRY, null);
+    const job = await DocumentJob.create({
+      batchId: batch.id,
+      status: 'PendingSigning',
+      certificatePath: `certificates/${name}.pdf`,
+      data: { name },
+      documentHash,
+      documentFingerprint: cryptoService.encodeFingerprintToHex(fingerprint),
+      fingerprintHash: cryptoService.hashFingerprint(fingerprint),
+    });
+    certificates.push({ jobId: job.id, pdf, signature: cryptoService.sign(job.fingerprintHash, issuer.privateKey) });
+  }
+
+  const signed = await processSignatures(certificates.map(({ jobId, signature }) => ({ jobId, signature })));
+  expect(signed.failed).toEqual([]);
+  await finalizeBatch(batch.id);
+
+  return { batchId: batch.id, certificates };
+}
+
+/**
+ * The QR-annotated PDF the worker hands out once the batch is anchored
+ *
+ * @param {object} certificate - { jobId, pdf } from finalizedBatch()
+ * @returns {Promise<Buffer>}
+ */
+async function issuedPdf({ jobId, pdf }) {
+  const DocumentJob = require('../../models/DocumentJob');
+  const DocumentBatch = require('../../models/DocumentBatch');
+  const { generateQRCodePayload } = require('../../utils/qr-code-generator');
+  const { addQRAnnotationToPDF } = require('../../utils/pdf-qr-annotator');
+
+  const job = await DocumentJob.findByPk(jobId);
+  const batch = await DocumentBatch.findByPk(job.batchId);
+  const payload = generateQRCodePayload(job, batch, null);
+  return addQRAnnotationToPDF(pdf, payload, { originalPdfBuffer: pdf, verificationBundle: job.verificationBundle });
+}
+
+module.exports = {
+  EXPIRY,
+  signingKey,
+  certificatePdf,
+  finalizedBatch,
+  issuedPdf,
+};
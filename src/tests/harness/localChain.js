@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * In-process Ethereum node with a stand-in AnchorStore, for Jest
+ *
+ * Starts a ganache chain with the chainId of Polygon Amoy, deploys
+ * AnchorStoreStub.sol (compiled with solc on first use) and answers the
+ * worker's JSON-RPC requests, so anchoring and verification run against real
+ * transactions, receipts and events:
+ *
+ *   chain = await startLocalChain();
+ *   chain.connectWorker();   // registry + RPC spy, in beforeEach (restoreAllMocks removes the spy)
+ *   ...
+ *   await chain.stop();
+ *
+ * Failures of a real node are injected per JSON-RPC method with intercept():
+ * rejected transactions (underpriced, nonce too low), receipts that are not
+ * available yet, or anything run just before a request is answered.
+ */
+
+const CHAIN_ID = 80002;
+const NETWORK = 'polygon-amoy';
+const RPC_URL = 'http://local-chain.test/rpc';
+const STUB_SOURCE = path.join(__dirname, 'AnchorStoreStub.sol');
+const webLogger = new ethers.utils.Logger('web/5.8.0');
+
+// Keys funded at genesis: the worker anchors, the admin deploys and registers issuers
+const WORKER_PRIVATE_KEY = '0x' + '4c'.repeat(32);
+const ADMIN_PRIVATE_KEY = '0x' + '5d'.repeat(32);
+
+let compiled = null;
+
+/**
+ * Compile AnchorStoreStub.sol (once per test file)
+ *
+ * @returns {object} - { abi, bytecode }
+ */
+function compileAnchorStoreStub() {
+  if (!compiled) {
+    const solc = require('solc');
+    const input = {
+      language: 'Solidity',
+      sources: { 'AnchorStoreStub.sol': { content: fs.readFileSync(STUB_SOURCE, 'utf8') } },
+      settings: {
+        evmVersion: 'shanghai', // ganache 7 has no cancun opcodes
+        optimizer: { enabled: true, runs: 200 },
+        outputSelection: { '*': { AnchorStoreStub: ['abi', 'evm.bytecode.object'] } },
+      },
+    };
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(`AnchorStoreStub.sol does not compile: ${errors.map(error => error.formattedMessage).join('\n')}`);
+    }
+    const contract = output.contracts['AnchorStoreStub.sol'].AnchorStoreStub;
+    compiled = { abi: contract.abi, bytecode: '0x' + contract.evm.bytecode.object };
+  }
+  return compiled;
+}
+
+/**
+ * JSON-RPC error answered by a node, as ethers' JsonRpcProvider.send throws it
+ *
+ * Reverts carry geth's "execution reverted" message and the revert data, so
+ * ethers decodes the custom error of the contract as it does against Amoy.
+ *
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Node error message
+ * @param {string} data - Revert data (hex), if any
+ * @returns {Error}
+ */
+function nodeError(code, message, data) {
+  const rpcError = Object.assign(new Error(message), { code, data });
+  // Same message, code and params as ethers' fetchJson, so the node message shows up in error.message
+  return webLogger.makeError('processing response error', ethers.utils.Logger.errors.SERVER_ERROR, {
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code, message, data } }),
+    error: rpcError,
+    requestMethod: 'POST',
+    url: RPC_URL,
+  });
+}
+
+/**
+ * ganache error to the node error geth would have answered
+ */
+function toNodeError(error) {
+  const revertData = typeof error.data === 'string' ? error.data : error.data && error.data.result;
+  if (/revert/i.test(error.message) && ethers.utils.isHexString(revertData)) {
+    const reason = error.data && error.data.reason;
+    return nodeError(3, reason ? `execution reverted: ${reason}` : 'execution reverted', revertData);
+  }
+  return nodeError(typeof error.code === 'number' ? error.code : -32000, error.message);
+}
+
+/**
+ * Start a local chain and deploy AnchorStoreStub
+ *
+ * @param {object} options - { balanceEth } (balance of the worker and admin accounts, default 1000)
+ * @returns {Promise<object>} - Local chain (see the methods below)
+ */
+async function startLocalChain(options = {}) {
+  const ganache = require('ganache');
+  const { abi, bytecode } = compileAnchorStoreStub();
+
+  const worker = new ethers.Wallet(WORKER_PRIVATE_KEY);
+  const balance = ethers.utils.parseEther(String(options.balanceEth || 1000)).toHexString();
+  const node = ganache.provider({
+    chain: { chainId: CHAIN_ID },
+    wallet: {
+      accounts: [
+        { secretKey: WORKER_PRIVATE_KEY, balance },
+        { secretKey: ADMIN_PRIVATE_KEY, balance },
+      ],
+    },
+    logging: { quiet: true },
+  });
+
+  // Direct access for the test itself (deployment, issuer registration, assertions);
+  // Web3Provider has its own send, so the worker spy does not see these requests
+  const provider = new ethers.providers.Web3Provider(node, { name: NETWORK, chainId: CHAIN_ID });
+  const admin = new ethers.Wallet(ADMIN_PRIVATE_KEY, provider);
+  const anchorStore = await new ethers.ContractFactory(abi, bytecode, admin).deploy();
+  await anchorStore.deployed();
+
+  // method -> [{ handler, times }]
+  const interceptors = new Map();
+  const requests = [];
+
+  async function forward(method, params) {
+    try {
+      return await node.request({ method, params });
+    } catch (error) {
+      throw toNodeError(error);
+    }
+  }
+
+  const chain = {
+    chainId: CHAIN_ID,
+    network: NETWORK,
+    rpcUrl: RPC_URL,
+    privateKey: WORKER_PRIVATE_KEY,
+    address: worker.address,
+    abi,
+    anchorStore, // connected to the admin account
+    provider,
+    requests,
+
+    /**
+     * Answer a JSON-RPC request of the worker (interceptors first)
+     */
+    async send(method, params = []) {
+      requests.push(method);
+      const queue = interceptors.get(method) || [];
+      const next = queue[0];
+      if (next) {
+        next.times -= 1;
+        if (next.times <= 0) queue.shift();
+        return next.handler(params, () => forward(method, params));
+      }
+      return forward(method, params);
+    },
+
+    /**
+     * Answer the next `times` requests of a method with handler(params, forward)
+     *
+     * @returns {Function} - Removes the interceptor before its requests are used up
+     */
+    intercept(method, handler, times = 1) {
+      if (!interceptors.has(method)) interceptors.set(method, []);
+      const entry = { handler, times };
+      interceptors.get(method).push(entry);
+      return () => {
+        const queue = interceptors.get(method);
+        if (queue.includes(entry)) queue.splice(queue.indexOf(entry), 1);
+      };
+    },
+
+    /**
+     * Reject the next `times` requests of a method with a node error
+     */
+    rejectNext(method, message, times = 1, code = -32000) {
+      return chain.intercept(method, async () => { throw nodeError(code, message); }, times);
+    },
+
+    /**
+     * Answer null to the next `times` receipt requests (transaction not found yet);
+     * Infinity until the returned function is called
+     */
+    dropReceipts(times = 1) {
+      return chain.intercept('eth_getTransactionReceipt', async () => null, times);
+    },
+
+    /**
+     * Point the worker at the local chain: the polygon-amoy registry entry gets the
+     * stub address and the local RPC URL, and JsonRpcProvider requests are answered here
+     */
+    connectWorker() {
+      process.env.ANCHOR_NETWORK = NETWORK;
+      process.env.ANCHORSTORE_ADDRESS = anchorStore.address;
+      process.env.RPC_URLS_POLYGON_AMOY = RPC_URL;
+      process.env.PRIVATE_KEY = WORKER_PRIVATE_KEY;
+      require('../../config/networks').resetNetworks();
+      require('../../services/rpcProvider').resetEndpoints();
+      require('../../services/nonceManager').resetNonce();
+      interceptors.clear();
+      requests.length = 0;
+      jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'send')
+        .mockImplementation((method, params) => chain.send(method, params));
+    },
+
+    /**
+     * Register an issuer on the stub (owned by the worker wallet)
+     *
+     * @param {string} issuerId - Issuer identifier (hashed like putRoot does)
+     * @param {string} publicKey - Issuer public key hex
+     */
+    async registerIssuer(issuerId, publicKey) {
+      const blockchainService = require('../../services/blockchainService');
+      const tx = await anchorStore.registerIssuer(
+        blockchainService.issuerIdToBytes32(issuerId),
+        worker.address,
+        blockchainService.publicKeyToBytes32(publicKey)
+      );
+      return tx.wait();
+    },
+
+    async blockNumber() {
+      return provider.getBlockNumber();
+    },
+
+    async stop() {
+      await node.disconnect();
+    },
+  };
+
+  return chain;
+}
+
+module.exports = {
+  CHAIN_ID,
+  WORKER_PRIVATE_KEY,
+  compileAnchorStoreStub,
+  startLocalChain,
+  nodeError,
+};
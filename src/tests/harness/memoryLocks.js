@@ -0,0 +1,63 @@
+/**
+ * In-memory stand-in for the advisory locks of stageLock
+ *
+ * Same semantics as Postgres within one Jest process: withStageLock skips the
+ * pass while the stage is held, withSignerLock waits for the signer.
+ *
+ *   jest.mock('../services/stageLock', () => require('./harness/memoryLocks'));
+ */
+
+const { STAGE_LOCKS, signerLockName } = jest.requireActual('../../services/stageLock');
+
+// lock name -> promise settled when the holder releases it
+const held = new Map();
+
+async function withStageLock(stage, fn) {
+  const name = STAGE_LOCKS[stage];
+  if (!name) {
+    throw new Error(`Unknown stage lock: ${stage}`);
+  }
+  if (held.has(name)) {
+    return { acquired: false, result: null };
+  }
+
+  const run = fn();
+  held.set(name, run.catch(() => {}));
+  try {
+    return { acquired: true, result: await run };
+  } finally {
+    held.delete(name);
+  }
+}
+
+async function withSignerLock(address, chainId, fn) {
+  const name = signerLockName(address, chainId);
+  while (held.has(name)) {
+    await held.get(name);
+  }
+
+  const run = fn();
+  held.set(name, run.catch(() => {}));
+  try {
+    return await run;
+  } finally {
+    held.delete(name);
+  }
+}
+
+/**
+ * Names of the locks held right now
+ *
+ * @returns {Array<string>}
+ */
+function heldLocks() {
+  return [...held.keys()];
+}
+
+module.exports = {
+  STAGE_LOCKS,
+  signerLockName,
+  withStageLock,
+  withSignerLock,
+  heldLocks,
+};
@@ -0,0 +1,264 @@
+const { randomUUID } = require('crypto');
+const { Op } = require('sequelize');
+
+/**
+ * In-memory stand-ins for the Sequelize models
+ *
+ * Enough of the Model API for the pipeline services to run unchanged in Jest
+ * without Postgres: findAll / findOne / findByPk (where, order, limit,
+ * include), count, max, create and update, and instances with get / set /
+ * update. Where clauses support equality, arrays (IN), Op.or / Op.and and the
+ * comparison operators the services use.
+ *
+ *   jest.mock('../models/DocumentBatch', () => require('./harness/memoryModels').defineModel('DocumentBatch'));
+ *
+ * Rows live in one store shared by every model, so includes resolve across
+ * models; clearModels() empties it between tests.
+ */
+
+const models = new Map();
+
+// Associations the services include: model -> as -> { model, foreignKey }
+const ASSOCIATIONS = {
+  DocumentJob: { batch: { model: 'DocumentBatch', foreignKey: 'batchId' } },
+  DocumentBatch: { tenant: { model: 'Tenant', foreignKey: 'tenantId' } },
+};
+
+/**
+ * Deep copy of a row; unlike structuredClone, Dates stay instances of the
+ * test's own Date (Jest runs tests in their own realm)
+ */
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function isNil(value) {
+  return value === null || value === undefined;
+}
+
+function equals(actual, expected) {
+  if (isNil(expected)) return isNil(actual);
+  return comparable(actual) === comparable(expected);
+}
+
+/**
+ * Whether a column value satisfies a where condition
+ */
+function matchesCondition(actual, condition) {
+  if (Array.isArray(condition)) {
+    return condition.some(value => equals(actual, value));
+  }
+  if (!condition || typeof condition !== 'object' || condition instanceof Date) {
+    return equals(actual, condition);
+  }
+
+  return Object.getOwnPropertySymbols(condition).every((op) => {
+    const expected = condition[op];
+    switch (op) {
+      case Op.eq:
+      case Op.is:
+        return equals(actual, expected);
+      case Op.ne:
+      case Op.not:
+        return !equals(actual, expected);
+      case Op.in:
+        return expected.some(value => equals(actual, value));
+      case Op.notIn:
+        return !expected.some(value => equals(actual, value));
+      case Op.gt:
+        return !isNil(actual) && comparable(actual) > comparable(expected);
+      case Op.gte:
+        return !isNil(actual) && comparable(actual) >= comparable(expected);
+      case Op.lt:
+        return !isNil(actual) && comparable(actual) < comparable(expected);
+      case Op.lte:
+        return !isNil(actual) && comparable(actual) <= comparable(expected);
+      default:
+        throw new Error(`memoryModels: unsupported operator ${String(op)}`);
+    }
+  });
+}
+
+/**
+ * Whether a row satisfies a where clause
+ */
+function matches(row, where = {}) {
+  if (Object.getOwnPropertySymbols(where).some(op => ![Op.or, Op.and].includes(op))) {
+    throw new Error('memoryModels: only Op.or / Op.and are supported at the top of a where clause');
+  }
+  if (where[Op.or] && !where[Op.or].some(clause => matches(row, clause))) return false;
+  if (where[Op.and] && !where[Op.and].every(clause => matches(row, clause))) return false;
+  return Object.entries(where).every(([field, condition]) => matchesCondition(row[field], condition));
+}
+
+function sortRows(rows, order = []) {
+  return [...rows].sort((a, b) => {
+    for (const [field, direction = 'ASC'] of order) {
+      const x = comparable(a[field]);
+      const y = comparable(b[field]);
+      if (x === y) continue;
+      const sign = String(direction).toUpperCase() === 'DESC' ? -1 : 1;
+      if (isNil(x)) return sign;
+      if (isNil(y)) return -sign;
+      return x < y ? -sign : sign;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Define an in-memory model
+ *
+ * @param {string} name - Model name (what stateMachine and the events see as Model.name)
+ * @param {object} defaults - Column defaults applied by create()
+ * @returns {Function} - Model class
+ */
+function defineModel(name, defaults = {}) {
+  if (models.has(name)) {
+    return models.get(name);
+  }
+
+  const rows = new Map();
+
+  const Model = {
+    [name]: class {
+      constructor(values) {
+        Object.assign(this, values);
+      }
+
+      get(key) {
+        if (key && typeof key === 'object' && key.plain) {
+          return clone({ ...this });
+        }
+        return key === undefined ? { ...this } : this[key];
+      }
+
+      set(values) {
+        Object.assign(this, values);
+        return this;
+      }
+
+      async update(changes) {
+        const values = { ...changes, updatedAt: new Date() };
+        Object.assign(rows.get(this.id), clone(values));
+        return Object.assign(this, values);
+      }
+
+      toJSON() {
+        return { ...this };
+      }
+
+      static instance(row, include = []) {
+        const instance = new Model(clone(row));
+        for (const { as, include: nested } of include) {
+          const association = ASSOCIATIONS[name]?.[as];
+          if (!association) {
+            throw new Error(`memoryModels: ${name} has no association ${as}`);
+          }
+          const target = models.get(association.model);
+          const targetRow = target && target.rows.get(instance[association.foreignKey]);
+          instance[as] = targetRow ? target.instance(targetRow, nested) : null;
+        }
+        return instance;
+      }
+
+      static async findAll(options = {}) {
+        const found = sortRows([...rows.values()].filter(row => matches(row, options.where)), options.order);
+        const limited = options.limit ? found.slice(0, options.limit) : found;
+        return limited.map(row => Model.instance(row, options.include));
+      }
+
+      static async findOne(options = {}) {
+        return (await Model.findAll({ ...options, limit: 1 }))[0] || null;
+      }
+
+      static async findByPk(id, options = {}) {
+        const row = rows.get(id);
+        return row ? Model.instance(row, options.include) : null;
+      }
+
+      static async count(options = {}) {
+        return [...rows.values()].filter(row => matches(row, options.where)).length;
+      }
+
+      static async max(field, options = {}) {
+        const values = [...rows.values()]
+          .filter(row => matches(row, options.where) && !isNil(row[field]))
+          .map(row => Number(row[field]));
+        return values.length > 0 ? Math.max(...values) : null;
+      }
+
+      static async create(values) {
+        const now = new Date();
+        const row = clone({ ...defaults, id: randomUUID(), createdAt: now, updatedAt: now, ...values });
+        rows.set(row.id, row);
+        return Model.instance(row);
+      }
+
+      static async update(changes, options = {}) {
+        const matched = [...rows.values()].filter(row => matches(row, options.where));
+        for (const row of matched) {
+          Object.assign(row, clone({ ...changes, updatedAt: new Date() }));
+        }
+        return [matched.length];
+      }
+
+      /**
+       * Stored rows as plain objects (test assertions)
+       */
+      static all() {
+        return [...rows.values()].map(row => clone(row));
+      }
+    },
+  }[name];
+
+  Model.rows = rows;
+  models.set(name, Model);
+  return Model;
+}
+
+/**
+ * Standalone instance of a model the test mocks by hand (no store behind it)
+ *
+ * For services that only get / set fields and save through the static
+ * Model.update (a jest.fn resolving [1]) of stateMachine.transition.
+ *
+ * @param {string} modelName - Model name (Model.name)
+ * @param {object} values - Instance fields
+ * @returns {object} - Instance with get / set, constructor.update mocked
+ */
+function fakeEntity(modelName, values) {
+  const Model = { [modelName]: class {} }[modelName];
+  Model.update = jest.fn().mockResolvedValue([1]);
+
+  const entity = new Model();
+  Object.assign(entity, values);
+  entity.get = (key) => (typeof key === 'string' ? entity[key] : { ...entity });
+  entity.set = (updates) => Object.assign(entity, updates);
+  return entity;
+}
+
+/**
+ * Empty every model's store
+ */
+function clearModels() {
+  for (const Model of models.values()) {
+    Model.rows.clear();
+  }
+}
+
+module.exports = {
+  defineModel,
+  clearModels,
+  fakeEntity,
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const der = require('../../anchoring/der');
+const ots = require('../../anchoring/ots');
+
+/**
+ * Local stand-ins for the time sources of the non-chain anchoring backends
+ *
+ *   startTimestampAuthority(): an RFC 3161 TSA answering TimeStampReqs with
+ *     TimeStampTokens signed by its own self-signed P-256 certificate
+ *     (certPath: the PEM file to pin with TSA_CERT)
+ *   startCalendar(): an OpenTimestamps-style calendar that answers digests with
+ *     pending attestations and, once confirm() has been called, completes them
+ *     with Bitcoin attestations; it also serves the Esplora block API
+ *     (explorerUrl) those attestations are checked against
+ *
+ * Both listen on 127.0.0.1 on a free port; stop() closes them.
+ */
+
+const OIDS = {
+  sha256: '2.16.840.1.101.3.4.2.1',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  commonName: '2.5.4.3',
+  signedData: '1.2.840.113549.1.7.2',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  policy: '1.3.6.1.4.1.99999.1',
+};
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+async function listen(handler) {
+  const server = http.createServer((request, response) => {
+    handler(request, response).catch((error) => {
+      response.writeHead(500);
+      response.end(error.message);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const stop = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+  return { url, stop };
+}
+
+/**
+ * Self-signed P-256 certificate
+ *
+ * @returns {object} - { privateKey, certificate (DER), name (DER), serial }
+ */
+function selfSignedCertificate(commonName) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const serial = crypto.randomBytes(8);
+  const name = der.sequence(der.set(der.sequence(der.oid(OIDS.commonName), der.utf8String(commonName))));
+  const algorithm = der.sequence(der.oid(OIDS.ecdsaWithSha256));
+  const tbs = der.sequence(
+    der.contextual(0, der.integer(2)),
+    der.integer(serial),
+    algorithm,
+    name,
+    der.sequence(der.utcTime(new Date(Date.now() - 86400000)), der.utcTime(new Date(Date.now() + 365 * 86400000))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' })
+  );
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  const certificate = der.sequence(tbs, algorithm, der.encode(0x03, Buffer.concat([Buffer.from([0]), signature])));
+  return { privateKey, certificate, name, serial };
+}
+
+/**
+ * Start a TSA
+ *
+ * @returns {Promise<object>} - { url, certPath, requests, status, stop }
+ *   requests: decoded imprints received; set status to a PKIStatus above 1 to reject requests
+ */
+async function startTimestampAuthority({ commonName = 'Local Test TSA' } = {}) {
+  const { privateKey, certificate, name, serial } = selfSignedCertificate(commonName);
+  const certPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tsa-')), 'tsa.pem');
+  fs.writeFileSync(certPath, new crypto.X509Certificate(certificate).toString());
+  let serialNumber = 1;
+
+  const tsa = {
+    certPath,
+    requests: [],
+    status: 0,
+  };
+
+  const server = await listen(async (request, response) => {
+    const body = await readBody(request);
+    const fields = der.decode(body).children;
+    const messageImprint = fields[1];
+    const nonce = fields.slice(2).find(element => element.tag === der.TAGS.INTEGER);
+    tsa.requests.push({ imprint: messageImprint.children[1].content.toString('hex'), contentType: request.headers['content-type'] });
+
+    if (tsa.status > 1) {
+      response.writeHead(200, { 'Content-Type': 'application/timestamp-reply' });
+      response.end(der.sequence(der.sequence(der.integer(tsa.status))));
+      return;
+    }
+
+    const tstInfo = der.sequence(
+      der.integer(1),
+      der.oid(OIDS.policy),
+      messageImprint.raw,
+      der.integer(serialNumber++),
+      der.generalizedTime(new Date()),
+      ...(nonce ? [nonce.raw] : [])
+    );
+    const signedAttrs = [
+      der.sequence(der.oid(OIDS.contentType), der.set(der.oid(OIDS.tstInfo))),
+      der.sequence(der.oid(OIDS.messageDigest), der.set(der.octetString(crypto.createHash('sha256').update(tstInfo).digest()))),
+    ];
+    const signature = crypto.sign('sha256', der.set(...signedAttrs), privateKey);
+    const signerInfo = der.sequence(
+      der.integer(1),
+      der.sequence(name, der.integer(serial)),
+      der.sequence(der.oid(OIDS.sha256)),
+      der.contextual(0, ...signedAttrs),
+      der.sequence(der.oid(OIDS.ecdsaWithSha256)),
+      der.octetString(signature)
+    );
+    const signedData = der.sequence(
+      der.integer(3),
+      der.set(der.sequence(der.oid(OIDS.sha256))),
+      der.sequence(der.oid(OIDS.tstInfo), der.contextual(0, der.octetString(tstInfo))),
+      der.contextual(0, certificate),
+      der.set(signerInfo)
+    );
+    const token = der.sequence(der.oid(OIDS.signedData), der.contextual(0, signedData));
+
+    response.writeHead(200, { 'Content-Type': 'application/timestamp-reply' });
+    response.end(der.sequence(der.sequence(der.integer(tsa.status)), token));
+  });
+
+  return Object.assign(tsa, server);
+}
+
+/**
+ * Start a calendar with its block explorer
+ *
+ * @returns {Promise<object>} - { url, explorerUrl, digests, confirm, setMerkleRoot, stop }
+ *   confirm(height): puts every pending commitment into a block from that height on
+ *   setMerkleRoot(height, hex): overwrites the Merkle root the explorer reports
+ */
+async function startCalendar() {
+  const pending = new Map(); // commitment hex -> null, or the timestamp completing it
+  const blocks = new Map(); // height -> { id, height, merkle_root, timestamp }
+  const calendar = { digests: [] };
+
+  const server = await listen(async (request, response) => {
+    const url = new URL(request.url, 'http://calendar');
+
+    if (request.method === 'POST' && url.pathname === '/digest') {
+      const digest = await readBody(request);
+      calendar.digests.push(digest.toString('hex'));
+      const timestamp = ots.createTimestamp(digest);
+      const commitment = ots.addOp(ots.addOp(timestamp, { name: 'prepend', arg: crypto.randomBytes(8) }), { name: 'sha256' });
+      commitment.attestations.push(ots.pendingAttestation(calendar.url));
+      pending.set(commitment.msg.toString('hex'), null);
+      response.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      response.end(ots.serializeTimestamp(timestamp));
+      return;
+    }
+
+    const completed = /^\/timestamp\/([0-9a-f]+)$/.exec(url.pathname);
+    if (request.method === 'GET' && completed) {
+      const timestamp = pending.get(completed[1]);
+      if (!timestamp) {
+        response.writeHead(404);
+        response.end('Pending confirmation in Bitcoin blockchain');
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      response.end(ots.serializeTimestamp(timestamp));
+      return;
+    }
+
+    const byHeight = /^\/esplora\/block-height\/(\d+)$/.exec(url.pathname);
+    const byHash = /^\/esplora\/block\/([0-9a-f]+)$/.exec(url.pathname);
+    const block = byHeight ? blocks.get(Number(byHeight[1]))
+      : byHash ? [...blocks.values()].find(entry => entry.id === byHash[1]) : null;
+    if (!block) {
+      response.writeHead(404);
+      response.end('Block not found');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': byHeight ? 'text/plain' : 'application/json' });
+    response.end(byHeight ? block.id : JSON.stringify(block));
+  });
+
+  calendar.confirm = (height) => {
+    for (const [commitment, timestamp] of pending) {
+      if (timestamp) continue;
+      // commitment → sha256(sha256(commitment || sibling)) is the block's Merkle root
+      const completing = ots.createTimestamp(Buffer.from(commitment, 'hex'));
+      const root = ots.addOp(ots.addOp(ots.addOp(completing,
+        { name: 'append', arg: crypto.randomBytes(32) }), { name: 'sha256' }), { name: 'sha256' });
+      root.attestations.push(ots.bitcoinAttestation(height));
+      blocks.set(height, {
+        id: crypto.randomBytes(32).toString('hex'),
+        height,
+        merkle_root: Buffer.from(root.msg).reverse().toString('hex'),
+        timestamp: 1767225600 + height * 600,
+      });
+      pending.set(commitment, completing);
+      height++;
+    }
+  };
+  calendar.setMerkleRoot = (height, merkleRoot) => {
+    blocks.get(height).merkle_root = merkleRoot;
+  };
+
+  return Object.assign(calendar, server, { explorerUrl: `${server.url}/esplora` });
+}
+
+module.exports = {
+  startTimestampAuthority,
+  startCalendar,
+};
@@ -0,0 +1,295 @@
+/**
+ * Test the issuer registry: key commitments, key history reads, rollKey
+ * authorization and the tenant mirror
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/stageLock', () => require('./harness/memoryLocks'));
+jest.mock('../models/Tenant', () => ({ findByPk: jest.fn() }));
+
+const mockContract = {
+  getIssuer: jest.fn(),
+  getPublicKeyHistory: jest.fn(),
+  issuerMetadataURI: jest.fn(),
+  rollKey: jest.fn(),
+  recoverIssuerKey: jest.fn(),
+  registerIssuer: jest.fn(),
+  callStatic: {
+    rollKey: jest.fn(),
+    recoverIssuerKey: jest.fn(),
+    registerIssuer: jest.fn(),
+  },
+  interface: { parseLog: jest.fn(() => null) },
+};
+
+jest.mock('ethers', () => {
+  const { ethers } = jest.requireActual('ethers');
+  return {
+    ethers: {
+      ...ethers,
+      providers: { JsonRpcProvider: class {} },
+      // Signing only, the mocked contract does not need a provider
+      Wallet: class extends ethers.Wallet {
+        constructor(privateKey) { super(privateKey); }
+        getTransactionCount() { return Promise.resolve(0); }
+      },
+      Contract: class {
+        constructor() { return mockContract; }
+      },
+    },
+  };
+});
+
+const { ethers } = require('ethers');
+const { ec: EC } = require('elliptic');
+const Tenant = require('../models/Tenant');
+const blockchainService = require('../services/blockchainService');
+const issuerRegistryService = require('../services/issuerRegistryService');
+
+const ec = new EC('secp256k1');
+const OWNER_KEY = '0x' + '01'.repeat(32);
+const ISSUER = 'issuer-1';
+const ISSUER_BYTES32 = ethers.utils.id(ISSUER);
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+function newKeyPair() {
+  const key = ec.genKeyPair();
+  return { compressed: key.getPublic(true, 'hex'), uncompressed: key.getPublic(false, 'hex') };
+}
+
+function mockTransaction(blockNumber = 100) {
+  return jest.fn().mockResolvedValue({
+    hash: '0xtx',
+    wait: jest.fn().mockResolvedValue({ transactionHash: '0x' + 'ab'.repeat(32), blockNumber, logs: [] }),
+  });
+}
+
+function mockTenant(values) {
+  const tenant = { id: 'tenant-1', metadata: {}, publicKey: null, ...values };
+  tenant.update = jest.fn(async (changes) => Object.assign(tenant, changes));
+  return tenant;
+}
+
+describe('publicKeyToBytes32', () => {
+  test('commits to the same value for compressed and uncompressed keys', () => {
+    const key = newKeyPair();
+    const commitment = blockchainService.publicKeyToBytes32(key.compressed);
+
+    expect(commitment).toBe(ethers.utils.keccak256('0x' + key.uncompressed));
+    expect(blockchainService.publicKeyToBytes32('0x' + key.uncompressed)).toBe(commitment);
+  });
+
+  test('passes bytes32 commitments through and rejects non-keys', () => {
+    expect(blockchainService.publicKeyToBytes32('AB'.repeat(32))).toBe('0x' + 'ab'.repeat(32));
+    expect(() => blockchainService.publicKeyToBytes32('04abcd')).toThrow('Invalid public key');
+  });
+});
+
+describe('findKeyValidAt', () => {
+  const history = [
+    { publicKey: '0xold', validFrom: 1000, validUntil: 2000 },
+    { publicKey: '0xnew', validFrom: 2000, validUntil: 0 },
+  ];
+
+  test('picks the key whose [validFrom, validUntil) interval covers the timestamp', () => {
+    expect(blockchainService.findKeyValidAt(history, 999)).toBeNull();
+    expect(blockchainService.findKeyValidAt(history, 1000).publicKey).toBe('0xold');
+    expect(blockchainService.findKeyValidAt(history, '1999').publicKey).toBe('0xold');
+    expect(blockchainService.findKeyValidAt(history, 2000).publicKey).toBe('0xnew');
+    expect(blockchainService.findKeyValidAt(history, 9999999999).publicKey).toBe('0xnew');
+  });
+});
+
+describe('getIssuerKeyHistory', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('reports unregistered issuers', async () => {
+    mockContract.getIssuer.mockResolvedValue({
+      owner: ethers.constants.AddressZero, publicKey: ethers.constants.HashZero, registeredAt: bn(0), active: false,
+    });
+
+    const result = await blockchainService.getIssuerKeyHistory(ISSUER);
+
+    expect(result).toEqual({ checked: true, registered: false, issuerId: ISSUER_BYTES32, history: [] });
+    expect(mockContract.getPublicKeyHistory).not.toHaveBeenCalled();
+  });
+
+  test('returns the key history as unix seconds', async () => {
+    const current = '0x' + 'BB'.repeat(32);
+    mockContract.getIssuer.mockResolvedValue({ owner: '0xowner', publicKey: current, registeredAt: bn(1000), active: true });
+    mockContract.getPublicKeyHistory.mockResolvedValue([
+      { publicKey: '0x' + 'aa'.repeat(32), validFrom: bn(1000), validUntil: bn(2000) },
+      { publicKey: current, validFrom: bn(2000), validUntil: bn(0) },
+    ]);
+    mockContract.issuerMetadataURI.mockResolvedValue('');
+
+    const result = await blockchainService.getIssuerKeyHistory(ISSUER);
+
+    expect(mockContract.getIssuer).toHaveBeenCalledWith(ISSUER_BYTES32);
+    expect(result).toMatchObject({ checked: true, registered: true, publicKey: '0x' + 'bb'.repeat(32), metadataURI: null });
+    expect(result.history).toEqual([
+      { publicKey: '0x' + 'aa'.repeat(32), validFrom: 1000, validUntil: 2000 },
+      { publicKey: '0x' + 'bb'.repeat(32), validFrom: 2000, validUntil: 0 },
+    ]);
+  });
+
+  test('reports RPC failures as unchecked', async () => {
+    mockContract.getIssuer.mockRejectedValue(new Error('network down'));
+
+    const result = await blockchainService.getIssuerKeyHistory(ISSUER);
+
+    expect(result).toMatchObject({ checked: false, registered: false, error: 'network down' });
+  });
+});
+
+describe('rollKeyOnChain', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('signs keccak256(issuerId, newKey) with the owner key', async () => {
+    mockContract.rollKey = mockTransaction();
+    const key = newKeyPair();
+
+    const result = await blockchainService.rollKeyOnChain(ISSUER, key.compressed, { privateKey: OWNER_KEY });
+
+    const [issuerId, newKey, signature, messageHash] = mockContract.rollKey.mock.calls[0];
+    expect(issuerId).toBe(ISSUER_BYTES32);
+    expect(newKey).toBe(blockchainService.publicKeyToBytes32(key.compressed));
+    expect(ethers.utils.recoverAddress(messageHash, signature)).toBe(new ethers.Wallet(OWNER_KEY).address);
+    expect(messageHash).toBe(ethers.utils.hashMessage(ethers.utils.arrayify(
+      ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [issuerId, newKey])
+    )));
+    expect(result).toMatchObject({ issuerId: ISSUER_BYTES32, publicKey: newKey, blockNumber: 100 });
+  });
+
+  test('does not send when the dry run reverts', async () => {
+    mockContract.rollKey = mockTransaction();
+    mockContract.callStatic.rollKey.mockRejectedValueOnce(new Error('UnauthorizedIssuerOperation()'));
+
+    const error = await blockchainService
+      .rollKeyOnChain(ISSUER, newKeyPair().compressed, { privateKey: OWNER_KEY })
+      .catch(e => e);
+
+    expect(error.transient).toBe(false);
+    expect(mockContract.rollKey).not.toHaveBeenCalled();
+  });
+});
+
+describe('issuer registry service', () => {
+  const originalPrivateKey = process.env.PRIVATE_KEY;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.PRIVATE_KEY = OWNER_KEY;
+    mockContract.registerIssuer = mockTransaction(100);
+    mockContract.rollKey = mockTransaction(200);
+    mockContract.recoverIssuerKey = mockTransaction(300);
+  });
+
+  afterAll(() => {
+    process.env.PRIVATE_KEY = originalPrivateKey;
+  });
+
+  test('registers the tenant key with the worker wallet as owner and mirrors it', async () => {
+    const key = newKeyPair();
+    const tenant = mockTenant({ publicKey: key.compressed, metadata: { scheduling: { weight: 2 } } });
+    Tenant.findByPk.mockResolvedValue(tenant);
+
+    const result = await issuerRegistryService.registerIssuer('tenant-1', { issuerId: ISSUER });
+
+    const owner = new ethers.Wallet(OWNER_KEY).address;
+    expect(mockContract.registerIssuer).toHaveBeenCalledWith(
+      ISSUER_BYTES32, owner, blockchainService.publicKeyToBytes32(key.compressed), { nonce: expect.any(Number) }
+    );
+    expect(result).toMatchObject({ anchorIssuerId: ISSUER_BYTES32, owner });
+    expect(tenant.metadata.scheduling).toEqual({ weight: 2 });
+    expect(tenant.metadata.issuer).toMatchObject({ issuerId: ISSUER, anchorIssuerId: ISSUER_BYTES32, owner, active: true });
+    expect(tenant.metadata.issuer.keys).toEqual([
+      expect.objectContaining({ publicKey: key.compressed, validUntil: 0, operation: 'registerIssuer' }),
+    ]);
+  });
+
+  test('rejects registering twice and keys that cannot be mirrored', async () => {
+    Tenant.findByPk.mockResolvedValue(mockTenant({ metadata: { issuer: { issuerId: ISSUER, anchorIssuerId: ISSUER_BYTES32 } } }));
+    await expect(issuerRegistryService.registerIssuer('tenant-1', { issuerId: ISSUER }))
+      .rejects.toMatchObject({ code: 'ISSUER_ALREADY_REGISTERED' });
+
+    Tenant.findByPk.mockResolvedValue(mockTenant());
+    await expect(issuerRegistryService.registerIssuer('tenant-1', { issuerId: ISSUER, publicKey: 'ab'.repeat(32) }))
+      .rejects.toMatchObject({ code: 'INVALID_PUBLIC_KEY' });
+    expect(mockContract.registerIssuer).not.toHaveBeenCalled();
+  });
+
+  test('rolling the key closes the previous entry and updates tenants.public_key', async () => {
+    const oldKey = newKeyPair();
+    const newKey = newKeyPair();
+    const tenant = mockTenant({
+      publicKey: oldKey.compressed,
+      metadata: {
+        issuer: {
+          issuerId: ISSUER,
+          anchorIssuerId: ISSUER_BYTES32,
+          keys: [{ publicKey: oldKey.compressed, commitment: '0xold', validFrom: 1000, validUntil: 0 }],
+        },
+      },
+    });
+    Tenant.findByPk.mockResolvedValue(tenant);
+
+    await issuerRegistryService.rollIssuerKey('tenant-1', newKey.uncompressed);
+
+    expect(mockContract.rollKey).toHaveBeenCalled();
+    expect(tenant.publicKey).toBe(newKey.uncompressed);
+    const [previous, current] = tenant.metadata.issuer.keys;
+    expect(previous.validUntil).toBeGreaterThan(0);
+    expect(current).toMatchObject({ publicKey: newKey.uncompressed, validUntil: 0, operation: 'rollKey' });
+  });
+
+  test('refuses key operations for unregistered tenants', async () => {
+    Tenant.findByPk.mockResolvedValue(mockTenant());
+
+    await expect(issuerRegistryService.recoverIssuerKey('tenant-1', newKeyPair().compressed))
+      .rejects.toMatchObject({ code: 'ISSUER_NOT_REGISTERED' });
+    expect(mockContract.recoverIssuerKey).not.toHaveBeenCalled();
+  });
+
+  test('sync copies the on-chain validity intervals into the mirror', async () => {
+    const oldKey = newKeyPair();
+    const newKey = newKeyPair();
+    const oldCommitment = blockchainService.publicKeyToBytes32(oldKey.compressed);
+    const newCommitment = blockchainService.publicKeyToBytes32(newKey.compressed);
+    const tenant = mockTenant({
+      publicKey: oldKey.compressed,
+      metadata: {
+        issuer: {
+          issuerId: ISSUER,
+          anchorIssuerId: ISSUER_BYTES32,
+          keys: [
+            { publicKey: oldKey.compressed, commitment: oldCommitment, validFrom: 990, validUntil: 1990, txHash: '0x1' },
+            { publicKey: newKey.compressed, commitment: newCommitment, validFrom: 1990, validUntil: 0, txHash: '0x2' },
+          ],
+        },
+      },
+    });
+    Tenant.findByPk.mockResolvedValue(tenant);
+    mockContract.getIssuer.mockResolvedValue({ owner: '0xowner', publicKey: newCommitment, registeredAt: bn(1000), active: true });
+    mockContract.getPublicKeyHistory.mockResolvedValue([
+      { publicKey: oldCommitment, validFrom: bn(1000), validUntil: bn(2000) },
+      { publicKey: newCommitment, validFrom: bn(2000), validUntil: bn(0) },
+    ]);
+    mockContract.issuerMetadataURI.mockResolvedValue('https://issuer.example/meta.json');
+
+    const issuer = await issuerRegistryService.syncIssuerKeys('tenant-1');
+
+    expect(issuer.metadataURI).toBe('https://issuer.example/meta.json');
+    expect(issuer.keys.map(k => [k.publicKey, k.validFrom, k.validUntil])).toEqual([
+      [oldKey.compressed, 1000, 2000],
+      [newKey.compressed, 2000, 0],
+    ]);
+    expect(tenant.publicKey).toBe(newKey.compressed);
+
+    // Bundles for a batch anchored before the roll keep the old key
+    expect(issuerRegistryService.registeredKeyAt(tenant, 1500)).toBe(oldKey.compressed);
+    expect(issuerRegistryService.registeredKeyAt(tenant, 2500)).toBe(newKey.compressed);
+    expect(issuerRegistryService.registeredKeyAt({ metadata: {} }, 1500)).toBeNull();
+  });
+});
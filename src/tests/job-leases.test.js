@@ -0,0 +1,220 @@
+/**
+ * Test the processing leases of the render stage (claim, heartbeat, release, reaper)
+ *
+ * The lease statements run against a small in-memory document_jobs table that
+ * applies the same conditions as the SQL, with NOW() driven by the test.
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mockTable = { rows: new Map(), now: 0 };
+const mockSequelize = { query: jest.fn() };
+jest.mock('../config/database', () => ({ sequelize: mockSequelize }));
+jest.mock('../models/DocumentJob', () => ({ findAll: jest.fn(), findByPk: jest.fn() }));
+jest.mock('../models/DocumentBatch', () => ({}));
+jest.mock('../models/DocumentTemplate', () => ({}));
+jest.mock('../storage/StorageFactory', () => ({ getStorage: jest.fn() }));
+jest.mock('../services/eventService', () => ({ recordJobEvents: jest.fn() }));
+
+const { Op } = require('sequelize');
+const { claimPendingJobs, renewJobLeases, releaseJobLeases, reapExpiredLeases } = require('../services/jobService');
+const { getRetryConfig } = require('../utils/retryPolicy');
+const DocumentJob = require('../models/DocumentJob');
+const { recordJobEvents } = require('../services/eventService');
+
+const LEASE_MS = 1000;
+
+function held(job, workerId) {
+  return job.status === 'Processing' && job.lockedBy === workerId;
+}
+
+function returned(jobs, pick) {
+  return [jobs.map(pick)];
+}
+
+/**
+ * Answer the lease statements of jobService from mockTable
+ */
+function runStatement(sql, { replacements }) {
+  const jobs = [...mockTable.rows.values()];
+  const { now } = mockTable;
+
+  if (sql.includes('WITH eligible AS')) {
+    return jobs.filter(job => job.status === 'Pending').slice(0, replacements.limit).map(job => ({ id: job.id }));
+  }
+
+  if (sql.includes("SET status = 'Processing'")) {
+    const claimed = jobs.filter(job => replacements.ids.includes(job.id) && job.status === 'Pending');
+    for (const job of claimed) {
+      Object.assign(job, { status: 'Processing', lockedBy: replacements.workerId, leaseExpiresAt: now + replacements.leaseMs, updatedAt: now });
+    }
+    return returned(claimed, job => ({ id: job.id }));
+  }
+
+  if (sql.includes('SET lease_expires_at = NOW()')) {
+    const renewed = jobs.filter(job => replacements.jobIds.includes(job.id) && held(job, replacements.workerId));
+    for (const job of renewed) {
+      job.leaseExpiresAt = now + replacements.leaseMs;
+    }
+    return returned(renewed, job => ({ id: job.id }));
+  }
+
+  if (sql.includes("SET status = 'Pending'")) {
+    const released = jobs.filter(job => replacements.jobIds.includes(job.id) && held(job, replacements.workerId));
+    for (const job of released) {
+      Object.assign(job, { status: 'Pending', lockedBy: null, leaseExpiresAt: null, updatedAt: now });
+    }
+    return returned(released, job => ({ id: job.id, batchId: job.batchId }));
+  }
+
+  if (sql.includes('WITH expired AS')) {
+    const expired = jobs.filter(job => job.status === 'Processing' && (job.leaseExpiresAt === null
+      ? job.updatedAt < now - replacements.leaseMs
+      : job.leaseExpiresAt < now));
+    return returned(expired, (job) => {
+      const previousOwner = job.lockedBy;
+      job.attempts += 1;
+      Object.assign(job, {
+        status: job.attempts >= replacements.maxAttempts ? 'DeadLettered' : 'Pending',
+        lockedBy: null,
+        leaseExpiresAt: null,
+        errorType: 'transient',
+        updatedAt: now,
+      });
+      return { id: job.id, batchId: job.batchId, previousOwner, attempts: job.attempts, status: job.status };
+    });
+  }
+
+  throw new Error(`Unexpected statement: ${sql}`);
+}
+
+function addJob(id, values = {}) {
+  mockTable.rows.set(id, {
+    id,
+    batchId: 'batch-1',
+    status: 'Pending',
+    lockedBy: null,
+    leaseExpiresAt: null,
+    attempts: 0,
+    updatedAt: mockTable.now,
+    ...values,
+  });
+}
+
+function job(id) {
+  return mockTable.rows.get(id);
+}
+
+function advance(ms) {
+  mockTable.now += ms;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockTable.rows.clear();
+  mockTable.now = 0;
+  mockSequelize.query.mockImplementation(async (sql, options) => runStatement(sql, options));
+  DocumentJob.findAll.mockImplementation(async ({ where }) => where.id[Op.in].map(id => ({ id, batchId: job(id).batchId })));
+});
+
+describe('claimPendingJobs', () => {
+  test('claims pending jobs for one worker under a lease', async () => {
+    addJob('job-1');
+    addJob('job-2');
+
+    const claimed = await claimPendingJobs(5, 'worker-a', LEASE_MS);
+
+    expect(claimed.map(row => row.id)).toEqual(['job-1', 'job-2']);
+    expect(job('job-1')).toMatchObject({ status: 'Processing', lockedBy: 'worker-a', leaseExpiresAt: LEASE_MS });
+    expect(recordJobEvents).toHaveBeenCalledWith(claimed, expect.objectContaining({
+      event: 'claimed', toStatus: 'Processing', actor: 'worker-a',
+    }));
+
+    await expect(claimPendingJobs(5, 'worker-b', LEASE_MS)).resolves.toEqual([]);
+    expect(job('job-2').lockedBy).toBe('worker-a');
+  });
+
+  test('keeps only the candidates it won when another worker claimed some first', async () => {
+    addJob('job-1');
+    addJob('job-2');
+    mockSequelize.query.mockImplementationOnce(async (sql, options) => {
+      const candidates = runStatement(sql, options);
+      job('job-1').status = 'Processing';
+      job('job-1').lockedBy = 'worker-b';
+      return candidates;
+    });
+
+    const claimed = await claimPendingJobs(5, 'worker-a', LEASE_MS);
+
+    expect(claimed.map(row => row.id)).toEqual(['job-2']);
+    expect(job('job-1').lockedBy).toBe('worker-b');
+  });
+});
+
+describe('renewJobLeases and reapExpiredLeases', () => {
+  test('a renewed lease survives the reaper, an expired one is returned to Pending', async () => {
+    addJob('job-1');
+    addJob('job-2');
+    await claimPendingJobs(5, 'worker-a', LEASE_MS);
+
+    advance(800);
+    await expect(renewJobLeases(['job-1'], 'worker-a', LEASE_MS)).resolves.toBe(1);
+    await expect(renewJobLeases(['job-2'], 'worker-b', LEASE_MS)).resolves.toBe(0);
+
+    advance(400);
+    const reaped = await reapExpiredLeases(LEASE_MS);
+
+    expect(reaped).toEqual([{ id: 'job-2', batchId: 'batch-1', previousOwner: 'worker-a', attempts: 1, status: 'Pending' }]);
+    expect(job('job-1')).toMatchObject({ status: 'Processing', lockedBy: 'worker-a' });
+    expect(job('job-2')).toMatchObject({ status: 'Pending', lockedBy: null, leaseExpiresAt: null, attempts: 1 });
+    expect(recordJobEvents).toHaveBeenCalledWith(reaped, expect.objectContaining({
+      event: 'lease_expired', toStatus: 'Pending', details: { previousOwners: ['worker-a'] },
+    }));
+
+    await expect(claimPendingJobs(5, 'worker-b', LEASE_MS)).resolves.toEqual([expect.objectContaining({ id: 'job-2' })]);
+  });
+
+  test('reaps legacy Processing rows without a lease once they are a full lease period old', async () => {
+    addJob('job-1', { status: 'Processing' });
+
+    advance(LEASE_MS);
+    await expect(reapExpiredLeases(LEASE_MS)).resolves.toEqual([]);
+
+    advance(1);
+    await expect(reapExpiredLeases(LEASE_MS)).resolves.toEqual([expect.objectContaining({ id: 'job-1', previousOwner: null })]);
+  });
+
+  test('dead-letters a job whose lease expired on its last attempt', async () => {
+    const { maxAttempts } = getRetryConfig();
+    addJob('job-1', { attempts: maxAttempts - 1 });
+    await claimPendingJobs(5, 'worker-a', LEASE_MS);
+
+    advance(LEASE_MS + 1);
+    const reaped = await reapExpiredLeases(LEASE_MS);
+
+    expect(reaped).toEqual([expect.objectContaining({ id: 'job-1', status: 'DeadLettered', attempts: maxAttempts })]);
+    expect(recordJobEvents).toHaveBeenCalledWith(reaped, expect.objectContaining({ toStatus: 'DeadLettered' }));
+  });
+});
+
+describe('releaseJobLeases', () => {
+  test('does not release a lease held by another worker', async () => {
+    addJob('job-1');
+    await claimPendingJobs(5, 'worker-a', LEASE_MS);
+
+    await expect(releaseJobLeases(['job-1'], 'worker-b')).resolves.toBe(0);
+    expect(job('job-1')).toMatchObject({ status: 'Processing', lockedBy: 'worker-a' });
+
+    await expect(releaseJobLeases(['job-1'], 'worker-a')).resolves.toBe(1);
+    expect(job('job-1')).toMatchObject({ status: 'Pending', lockedBy: null, leaseExpiresAt: null, attempts: 0 });
+    expect(recordJobEvents).toHaveBeenLastCalledWith([{ id: 'job-1', batchId: 'batch-1' }], expect.objectContaining({
+      event: 'released', actor: 'worker-a',
+    }));
+  });
+
+  test('skips the query when nothing is held', async () => {
+    await expect(releaseJobLeases([], 'worker-a')).resolves.toBe(0);
+    await expect(renewJobLeases([], 'worker-a', LEASE_MS)).resolves.toBe(0);
+    expect(mockSequelize.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Run the anchoring pipeline against a local chain: signatures → MRI → MRU →
+ * putRoot (or anchorBatch) → QR code → verifyCertificate, with the worker's
+ * JSON-RPC requests answered by ganache and AnchorStoreStub.sol (see
+ * harness/localChain.js), and the node failures anchoring has to survive
+ * (reverts, rejected broadcasts, late receipts) injected per request
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/stageLock', () => require('./harness/memoryLocks'));
+jest.mock('../services/eventService', () => ({ recordJobEvent: jest.fn(), recordBatchEvent: jest.fn() }));
+jest.mock('../models/DocumentJob', () => require('./harness/memoryModels').defineModel('DocumentJob', { status: 'Pending' }));
+jest.mock('../models/DocumentBatch', () => require('./harness/memoryModels').defineModel('DocumentBatch', { status: 'Pending', metadata: {} }));
+jest.mock('../models/Tenant', () => require('./harness/memoryModels').defineModel('Tenant'));
+jest.mock('../models/AnchorTransaction', () => require('./harness/memoryModels')
+  .defineModel('AnchorTransaction', { status: 'built', reorgs: 0, attempts: 0 }));
+
+const { ethers } = require('ethers');
+const { clearModels } = require('./harness/memoryModels');
+const { startLocalChain, CHAIN_ID } = require('./harness/localChain');
+const { signingKey, finalizedBatch, issuedPdf } = require('./harness/certificates');
+const DocumentJob = require('../models/DocumentJob');
+const DocumentBatch = require('../models/DocumentBatch');
+const AnchorTransaction = require('../models/AnchorTransaction');
+const blockchainService = require('../services/blockchainService');
+const networks = require('../config/networks');
+const { processMRUCalculation } = require('../services/batchService');
+const { verifyCertificate } = require('../services/verificationService');
+
+const ENV_KEYS = [
+  'ANCHOR_NETWORK', 'ANCHORSTORE_ADDRESS', 'RPC_URLS_POLYGON_AMOY', 'AMOY_RPC_URL', 'RPC_QUORUM', 'PRIVATE_KEY',
+  'ANCHOR_CONFIRMATIONS', 'ANCHOR_TX_TIMEOUT_MS', 'ANCHOR_ISSUER_ID', 'CONTRACT_TYPE', 'ISSUER_PUBLIC_KEY',
+  'VERIFY_ON_CHAIN', 'POLYGONSCAN_API_KEY', 'ETHERSCAN_API_KEY', 'DIRECT_ANCHOR_MAX_LEAVES', 'QR_PDF_PNG_WIDTH',
+];
+const saved = {};
+let chain;
+let issuerCount = 0;
+
+const toBytes32 = value => (value.startsWith('0x') ? value : '0x' + value);
+
+function newIssuer() {
+  // (issuerId, timeWindow) is unique on the contract, which lives for the whole file
+  return { issuerId: `local-issuer-${++issuerCount}`, ...signingKey() };
+}
+
+async function registeredIssuer() {
+  const issuer = newIssuer();
+  await chain.registerIssuer(issuer.issuerId, issuer.publicKey);
+  return issuer;
+}
+
+async function mined(txPromise) {
+  return (await txPromise).wait();
+}
+
+beforeAll(async () => {
+  chain = await startLocalChain();
+}, 120000);
+
+afterAll(async () => {
+  if (chain) await chain.stop();
+});
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  clearModels();
+  chain.connectWorker();
+  process.env.ANCHOR_CONFIRMATIONS = '1';
+  process.env.QR_PDF_PNG_WIDTH = '256'; // verification reads the VD attachment, not the QR image
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+  networks.resetNetworks();
+});
+
+describe('AnchorStoreStub', () => {
+  test('has the signatures, events and errors of the AnchorStore ABI it stands in for', () => {
+    const anchorStore = new ethers.utils.Interface(require('../abis/AnchorStore.json'));
+    const stub = new ethers.utils.Interface(chain.abi);
+
+    for (const fragment of stub.fragments) {
+      const expected = anchorStore.fragments.find(other => other.type === fragment.type && other.format() === fragment.format());
+      expect(expected && expected.format('full')).toBe(fragment.format('full'));
+    }
+  });
+});
+
+describe('anchoring and verification on a local chain', () => {
+  test('anchors an MRU with putRoot and verifies the issued certificate against the chain', async () => {
+    const issuer = await registeredIssuer();
+    const { batchId, certificates } = await finalizedBatch(issuer, ['ada', 'grace']);
+
+    const run = await processMRUCalculation();
+
+    expect(run).toMatchObject({ processed: 1, batchIds: [batchId], anchorStatus: 'Confirmed' });
+    const batch = await DocumentBatch.findByPk(batchId);
+    expect(batch).toMatchObject({
+      txHash: run.blockchainResult.txHash,
+      chainId: CHAIN_ID,
+      anchorStatus: 'Confirmed',
+      anchorIssuerId: blockchainService.issuerIdToBytes32(issuer.issuerId),
+    });
+    expect(await chain.anchorStore.merkleRoots(blockchainService.issuerIdToBytes32(issuer.issuerId), batch.timeWindow))
+      .toBe(toBytes32(batch.merkleRootUltimate));
+    expect(AnchorTransaction.all()).toEqual([
+      expect.objectContaining({ method: 'putRoot', status: 'confirmed', txHash: run.blockchainResult.txHash }),
+    ]);
+
+    const result = await verifyCertificate(await issuedPdf(certificates[1]));
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.steps).toMatchObject({
+      signatureVerified: true,
+      intermediateProofValid: true,
+      ultimateProofValid: true,
+      issuerKey: { checked: true, registered: true, matched: true },
+      blockchainInfo: { txHash: batch.txHash, chainId: CHAIN_ID, mruMatches: true },
+      revocation: { checked: true, revoked: false },
+      timeWindow: { checked: true, invalidated: false },
+      witnesses: { checked: true, count: 0, witnesses: [], recordedCount: null },
+    });
+  }, 60000);
+
+  test('a certificate revoked, or anchored in an invalidated time window, no longer verifies', async () => {
+    const issuer = await registeredIssuer();
+    const { batchId, certificates } = await finalizedBatch(issuer, ['ada', 'grace']);
+    await processMRUCalculation();
+    const [revokedPdf, invalidatedPdf] = await Promise.all(certificates.map(issuedPdf));
+    const batch = await DocumentBatch.findByPk(batchId);
+    const leaf = (await DocumentJob.findByPk(certificates[0].jobId)).merkleLeaf;
+
+    await mined(chain.anchorStore.revoke(toBytes32(leaf), 'issued in error'));
+    const revoked = await verifyCertificate(revokedPdf);
+
+    expect(revoked.valid).toBe(false);
+    expect(revoked.steps.revocation).toMatchObject({ checked: true, revoked: true, reason: 'issued in error' });
+
+    const timeWindow = Number(batch.timeWindow);
+    await mined(chain.anchorStore.invalidateTimeWindow(
+      blockchainService.issuerIdToBytes32(issuer.issuerId), timeWindow - 60, timeWindow + 60
+    ));
+    const invalidated = await verifyCertificate(invalidatedPdf);
+
+    expect(invalidated.valid).toBe(false);
+    expect(invalidated.steps.revocation).toMatchObject({ checked: true, revoked: false });
+    expect(invalidated.steps.timeWindow).toMatchObject({ checked: true, invalidated: true });
+  }, 60000);
+
+  test('anchors a direct batch with anchorBatch and verifies the leaf with isAnchored', async () => {
+    const issuer = await registeredIssuer();
+    const { batchId, certificates } = await finalizedBatch(issuer, ['alan', 'barbara'], { metadata: { anchoring: 'direct' } });
+
+    const run = await processMRUCalculation();
+
+    expect(run.directBatchIds).toEqual([batchId]);
+    const leaf = (await DocumentJob.findByPk(certificates[0].jobId)).merkleLeaf;
+    const [anchored] = await chain.anchorStore.isAnchored(toBytes32(leaf));
+    expect(anchored).toBe(true);
+
+    const result = await verifyCertificate(await issuedPdf(certificates[0]));
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.steps).toMatchObject({
+      proofType: 'direct',
+      signatureVerified: true,
+      blockchainInfo: { certHashAnchored: true },
+      directAnchor: { checked: true, anchored: true },
+    });
+  }, 60000);
+});
+
+describe('failure injection', () => {
+  test('a dry run that reverts records a failed attempt without broadcasting', async () => {
+    const { batchId } = await finalizedBatch(newIssuer(), ['ada']); // never registered
+
+    const run = await processMRUCalculation();
+
+    expect(run).toMatchObject({ batchIds: [batchId], blockchainResult: null, anchorStatus: null });
+    expect(chain.requests).not.toContain('eth_sendRawTransaction');
+    expect(AnchorTransaction.all()).toEqual([
+      expect.objectContaining({ method: 'putRoot', status: 'failed', errorMessage: expect.stringMatching(/IssuerNotRegistered/) }),
+    ]);
+    expect((await DocumentBatch.findByPk(batchId)).txHash).toBeFalsy();
+  }, 60000);
+
+  test('a broadcast rejected as underpriced is rebroadcast and confirmed by later runs', async () => {
+    const issuer = await registeredIssuer();
+    const { batchId } = await finalizedBatch(issuer, ['ada']);
+    chain.rejectNext('eth_sendRawTransaction', 'transaction underpriced');
+
+    const first = await processMRUCalculation();
+
+    expect(first).toMatchObject({ blockchainResult: null, anchorStatus: null });
+    expect(AnchorTransaction.all()).toEqual([
+      expect.objectContaining({ status: 'built', errorMessage: expect.stringMatching(/transaction underpriced/) }),
+    ]);
+
+    const rebroadcast = await processMRUCalculation();
+    expect(rebroadcast.pendingAnchors).toBe(1);
+    expect(AnchorTransaction.all()).toEqual([expect.objectContaining({ status: 'submitted', errorMessage: null })]);
+
+    const settled = await processMRUCalculation();
+
+    expect(settled.resumedBatchIds).toEqual([batchId]);
+    const [transaction] = AnchorTransaction.all();
+    expect(transaction.status).toBe('confirmed');
+    expect(await DocumentBatch.findByPk(batchId)).toMatchObject({ txHash: transaction.txHash, anchorStatus: 'Confirmed' });
+  }, 60000);
+
+  test('a transaction whose receipt is not available in time is settled by the next run', async () => {
+    process.env.ANCHOR_TX_TIMEOUT_MS = '300';
+    const issuer = await registeredIssuer();
+    const { batchId } = await finalizedBatch(issuer, ['ada']);
+    const restoreReceipts = chain.dropReceipts(Infinity);
+
+    const first = await processMRUCalculation();
+
+    expect(first).toMatchObject({ blockchainResult: null, anchorStatus: null });
+    expect(AnchorTransaction.all()).toEqual([expect.objectContaining({ status: 'submitted' })]);
+
+    restoreReceipts();
+    const settled = await processMRUCalculation();
+
+    expect(settled.resumedBatchIds).toEqual([batchId]);
+    const [transaction] = AnchorTransaction.all();
+    expect(transaction.status).toBe('confirmed');
+    expect(await DocumentBatch.findByPk(batchId)).toMatchObject({ txHash: transaction.txHash, anchorStatus: 'Confirmed' });
+  }, 60000);
+
+  test('a transaction that reverts when mined is recorded as failed and retried after the backoff', async () => {
+    const issuer = await registeredIssuer();
+    const { batchId } = await finalizedBatch(issuer, ['ada']);
+    const issuerBytes32 = blockchainService.issuerIdToBytes32(issuer.issuerId);
+
+    // Another submitter takes the issuer's root nonce between the dry run and the broadcast
+    chain.intercept('eth_sendRawTransaction', async (params, forward) => {
+      const root = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      await mined(chain.anchorStore.putRoot(
+        1, root, issuerBytes32, ethers.constants.HashZero, '0x', ethers.utils.solidityKeccak256(['bytes32', 'uint256'], [root, 1]), 0
+      ));
+      return forward();
+    });
+
+    const run = await processMRUCalculation();
+
+    expect(run).toMatchObject({ blockchainResult: null, anchorStatus: null });
+    const [transaction] = AnchorTransaction.all();
+    expect(transaction).toMatchObject({ status: 'failed', errorMessage: expect.stringMatching(/reverted/) });
+    expect(transaction.nextAttemptAt).toBeInstanceOf(Date);
+    const receipt = await chain.provider.getTransactionReceipt(transaction.txHash);
+    expect(receipt.status).toBe(0);
+    expect((await DocumentBatch.findByPk(batchId)).txHash).toBeFalsy();
+  }, 60000);
+});
@@ -0,0 +1,197 @@
+/**
+ * Test the network registry: defaults, overrides, legacy resolution and the
+ * per-network anchoring, nonce and revocation paths built on it
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/pdf-qr-annotator', () => ({ addQRAnnotationToPDF: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const networks = require('../config/networks');
+const { verifyTransaction } = require('../services/blockchainService');
+const { selectIssuerGroup } = require('../services/batchService');
+const { planRevocationTransactions } = require('../services/revocationService');
+const { reserveNonce, resetNonce } = require('../services/nonceManager');
+
+const ENV_KEYS = [
+  'NETWORKS_CONFIG_PATH',
+  'ANCHOR_NETWORK',
+  'RPC_URLS_POLYGON',
+  'RPC_URLS_POLYGON_AMOY',
+  'AMOY_RPC_URL',
+  'POLYGON_AMOY_RPC_URL',
+  'MIN_PRIORITY_FEE_GWEI',
+  'AMOY_MIN_PRIORITY_FEE_GWEI',
+  'ANCHORSTORE_ADDRESS',
+  'EVENTS_ADDRESS',
+];
+const saved = {};
+let configDir;
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  networks.resetNetworks();
+});
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+  if (configDir) {
+    fs.rmSync(configDir, { recursive: true, force: true });
+    configDir = null;
+  }
+  networks.resetNetworks();
+});
+
+function writeConfig(config) {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'networks-'));
+  const file = path.join(configDir, 'networks.json');
+  fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  process.env.NETWORKS_CONFIG_PATH = file;
+}
+
+describe('network registry', () => {
+  test('ships Amoy as the default network with its contracts', () => {
+    const amoy = networks.requireNetwork();
+    expect(amoy).toMatchObject({ name: 'polygon-amoy', chainId: 80002, confirmations: 16 });
+    expect(amoy.contracts.anchorStore).toMatch(/^0x[0-9a-fA-F]{40}$/);
+    expect(networks.getNetwork(137).name).toBe('polygon');
+    expect(networks.getNetwork('137').name).toBe('polygon');
+    expect(networks.getNetwork('Polygon').chainId).toBe(137);
+    expect(networks.getNetwork('sepolia')).toBeNull();
+    expect(networks.explorerTxUrl(amoy, '0xabc')).toBe('https://amoy.polygonscan.com/tx/0xabc');
+  });
+
+  test('merges the config file over the built-in networks', () => {
+    writeConfig({
+      default: 'polygon',
+      networks: {
+        polygon: { contracts: { anchorStore: '0x' + '11'.repeat(20) }, confirmations: 128 },
+        sepolia: { chainId: 11155111, rpcUrls: ['https://sepolia.example'] },
+      },
+    });
+
+    expect(networks.getDefaultNetworkName()).toBe('polygon');
+    expect(networks.requireNetwork()).toMatchObject({
+      chainId: 137,
+      confirmations: 128,
+      rpcUrls: ['https://polygon-rpc.com/'],
+      contracts: { anchorStore: '0x' + '11'.repeat(20) },
+    });
+    expect(networks.getNetwork(11155111)).toMatchObject({ name: 'sepolia', contracts: {}, fees: {} });
+  });
+
+  test('the environment overrides RPC lists, fee floors and default contracts', () => {
+    process.env.RPC_URLS_POLYGON = 'https://a.example, https://b.example';
+    process.env.AMOY_RPC_URL = 'https://amoy.example';
+    process.env.MIN_PRIORITY_FEE_GWEI = '30';
+    process.env.AMOY_MIN_PRIORITY_FEE_GWEI = '40';
+    process.env.ANCHOR_NETWORK = 'polygon';
+    process.env.ANCHORSTORE_ADDRESS = '0x' + '22'.repeat(20);
+
+    expect(networks.getNetwork('polygon').rpcUrls).toEqual(['https://a.example', 'https://b.example']);
+    expect(networks.getNetwork('polygon').fees.minPriorityFeeGwei).toBe(30);
+    expect(networks.getNetwork('polygon').contracts.anchorStore).toBe('0x' + '22'.repeat(20));
+    expect(networks.getNetwork('polygon-amoy').rpcUrls).toEqual(['https://amoy.example']);
+    expect(networks.getNetwork('polygon-amoy').fees.minPriorityFeeGwei).toBe(40);
+    expect(networks.getNetwork('polygon-amoy').contracts.anchorStore).toBe(networks.BUILTIN_NETWORKS['polygon-amoy'].contracts.anchorStore);
+  });
+
+  test('rejects duplicate chainIds, an unknown default and an unreadable file', () => {
+    writeConfig({ networks: { amoy2: { chainId: 80002 } } });
+    expect(() => networks.requireNetwork()).toThrow(expect.objectContaining({ code: 'INVALID_NETWORK_CONFIG' }));
+
+    networks.resetNetworks();
+    writeConfig({ default: 'nowhere' });
+    expect(() => networks.requireNetwork()).toThrow(/nowhere/);
+
+    networks.resetNetworks();
+    writeConfig('{ not json');
+    expect(() => networks.getNetwork(1)).toThrow(expect.objectContaining({ code: 'INVALID_NETWORK_CONFIG' }));
+  });
+
+  test('resolves anchors by chainId first and legacy names to the default network', () => {
+    expect(networks.resolveNetwork({ network: 'polygon-amoy', chainId: 137 }).name).toBe('polygon');
+    expect(networks.resolveNetwork({ network: 'unknown' }).name).toBe('polygon-amoy');
+    expect(networks.resolveNetwork({}).name).toBe('polygon-amoy');
+    expect(() => networks.resolveNetwork({ chainId: 999 })).toThrow(expect.objectContaining({ code: 'UNKNOWN_NETWORK' }));
+    expect(() => networks.requireNetwork('sepolia')).toThrow(expect.objectContaining({ code: 'UNKNOWN_NETWORK' }));
+  });
+
+  test('tenants choose their network in metadata.blockchain.network', () => {
+    expect(networks.tenantNetworkName({ metadata: { blockchain: { network: 'Polygon' } } })).toBe('polygon');
+    expect(networks.tenantNetworkName({ metadata: {} })).toBe('polygon-amoy');
+    expect(networks.tenantNetworkName(null)).toBe('polygon-amoy');
+  });
+});
+
+describe('verifyTransaction', () => {
+  test('reports an anchor on a chain the registry does not know', async () => {
+    const result = await verifyTransaction('0xabc', null, { chainId: 999 });
+    expect(result).toEqual({ verified: false, error: expect.stringMatching(/Unknown chainId: 999/), txHash: '0xabc' });
+  });
+});
+
+describe('selectIssuerGroup', () => {
+  test('anchors one issuer on one network at a time', () => {
+    const batches = [
+      { id: 'b1', issuerId: 'issuer-1', tenantId: 't-amoy' },
+      { id: 'b2', issuerId: 'issuer-1', tenantId: 't-polygon' },
+      { id: 'b3', issuerId: 'issuer-1', tenantId: 't-amoy' },
+      { id: 'b4', issuerId: 'issuer-1', tenantId: 't-sepolia' },
+    ];
+    const networkOf = batch => ({ 't-amoy': 'polygon-amoy', 't-polygon': 'polygon', 't-sepolia': 'sepolia' })[batch.tenantId];
+
+    const group = selectIssuerGroup(batches, networkOf);
+
+    expect(group.network).toBe('polygon-amoy');
+    expect(group.batches.map(batch => batch.id)).toEqual(['b1', 'b3']);
+    expect(group.hasMore).toBe(true);
+    expect(group.unknownNetwork.map(batch => batch.id)).toEqual(['b4']);
+  });
+});
+
+describe('nonce manager', () => {
+  afterEach(() => resetNonce());
+
+  test('counts nonces per chain', async () => {
+    const signer = (count) => ({
+      getAddress: async () => '0x' + 'aa'.repeat(20),
+      getTransactionCount: jest.fn().mockResolvedValue(count),
+    });
+
+    expect(await reserveNonce(signer(5), 0, 80002)).toBe(5);
+    expect(await reserveNonce(signer(5), 0, 80002)).toBe(6);
+    expect(await reserveNonce(signer(2), 0, 137)).toBe(2);
+
+    resetNonce('0x' + 'aa'.repeat(20), 137);
+    expect(await reserveNonce(signer(9), 0, 137)).toBe(9);
+    expect(await reserveNonce(signer(0), 0, 80002)).toBe(7);
+  });
+});
+
+describe('planRevocationTransactions', () => {
+  test('only merges job revocations of the same network', () => {
+    const request = (id, network) => ({ id, scope: 'job', network, certHashes: [`0x${id}`], reason: 'r' });
+
+    const transactions = planRevocationTransactions([
+      request('1', 'polygon-amoy'),
+      request('2', 'polygon'),
+      request('3', 'polygon-amoy'),
+      request('4', null),
+    ]);
+
+    expect(transactions.map(tx => [tx.method, tx.network, tx.certHashes])).toEqual([
+      ['revokeBatch', 'polygon-amoy', ['0x1', '0x3']],
+      ['revoke', 'polygon', ['0x2']],
+      ['revoke', null, ['0x4']],
+    ]);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Test the LISTEN/NOTIFY pipeline wakeups and their fallback to the poll interval
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mockClients = [];
+const mockPg = { failingConnects: 0 };
+jest.mock('pg', () => {
+  const { EventEmitter } = require('events');
+  class Client extends EventEmitter {
+    constructor(config) {
+      super();
+      this.config = config;
+      this.connect = jest.fn(async () => {
+        if (mockPg.failingConnects > 0) {
+          mockPg.failingConnects -= 1;
+          throw new Error('connect ECONNREFUSED');
+        }
+      });
+      this.query = jest.fn(async () => ({}));
+      this.end = jest.fn(async () => {});
+      mockClients.push(this);
+    }
+  }
+  return { Client };
+});
+const mockSequelize = {
+  config: { host: 'db', port: 5432, username: 'worker', password: 'secret', database: 'justifai' },
+  query: jest.fn(),
+};
+jest.mock('../config/database', () => ({ sequelize: mockSequelize }));
+
+const POLL_INTERVAL_MS = 10000;
+let notifier;
+
+function lastClient() {
+  return mockClients[mockClients.length - 1];
+}
+
+function settled(promise) {
+  return Promise.race([promise, Promise.resolve('pending')]);
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.clearAllMocks();
+  mockClients.length = 0;
+  mockPg.failingConnects = 0;
+  // Listener state is module-level: start every test from a fresh module
+  jest.isolateModules(() => {
+    notifier = require('../services/pipelineNotifier');
+  });
+});
+
+afterEach(async () => {
+  await notifier.stopListening();
+  jest.useRealTimers();
+  delete process.env.PIPELINE_NOTIFY;
+});
+
+describe('startListening', () => {
+  test('listens on the channels of the enabled stages', async () => {
+    await expect(notifier.startListening(['render', 'mri', 'unknown'])).resolves.toBe(true);
+
+    const client = lastClient();
+    expect(client.config).toMatchObject({ host: 'db', port: 5432, user: 'worker', database: 'justifai', ssl: false });
+    expect(client.query.mock.calls).toEqual([['LISTEN pipeline_render'], ['LISTEN pipeline_mri']]);
+    expect(notifier.isListening()).toBe(true);
+  });
+
+  test('does not connect without a known stage', async () => {
+    await expect(notifier.startListening(['unknown'])).resolves.toBe(false);
+    expect(mockClients).toHaveLength(0);
+  });
+
+  test('wakes the stages once after connecting, since work may have arrived meanwhile', async () => {
+    await notifier.startListening(['render']);
+
+    await expect(notifier.waitForWork('render', POLL_INTERVAL_MS)).resolves.toBe(true);
+
+    const next = notifier.waitForWork('render', POLL_INTERVAL_MS);
+    await expect(settled(next)).resolves.toBe('pending');
+    jest.advanceTimersByTime(POLL_INTERVAL_MS);
+    await expect(next).resolves.toBe(false);
+  });
+});
+
+describe('waitForWork', () => {
+  test('returns as soon as a notification arrives on the stage channel', async () => {
+    await notifier.startListening(['mri', 'qr']);
+    await notifier.waitForWork('mri', POLL_INTERVAL_MS);
+    await notifier.waitForWork('qr', POLL_INTERVAL_MS);
+
+    const mri = notifier.waitForWork('mri', POLL_INTERVAL_MS);
+    const qr = notifier.waitForWork('qr', POLL_INTERVAL_MS);
+    lastClient().emit('notification', { channel: 'pipeline_mri', payload: '{"batchId":"batch-1"}' });
+
+    await expect(mri).resolves.toBe(true);
+    await expect(settled(qr)).resolves.toBe('pending');
+  });
+
+  test('falls back to the poll interval when no notification arrives', async () => {
+    const waiting = notifier.waitForWork('render', POLL_INTERVAL_MS);
+
+    jest.advanceTimersByTime(POLL_INTERVAL_MS - 1);
+    await expect(settled(waiting)).resolves.toBe('pending');
+
+    jest.advanceTimersByTime(1);
+    await expect(waiting).resolves.toBe(false);
+  });
+
+  test('falls back to the poll interval while the listener cannot connect, then reconnects', async () => {
+    mockPg.failingConnects = 1;
+
+    await expect(notifier.startListening(['render'])).resolves.toBe(false);
+    expect(notifier.isListening()).toBe(false);
+    expect(lastClient().end).toHaveBeenCalled();
+
+    const whileDown = notifier.waitForWork('render', 2000);
+    await jest.advanceTimersByTimeAsync(2000);
+    await expect(whileDown).resolves.toBe(false);
+
+    // Reconnected after RECONNECT_DELAY_MS (5s); the stage is woken to catch up
+    const reconnecting = notifier.waitForWork('render', POLL_INTERVAL_MS);
+    await jest.advanceTimersByTimeAsync(3000);
+    await expect(reconnecting).resolves.toBe(true);
+    expect(mockClients).toHaveLength(2);
+    expect(lastClient().query).toHaveBeenCalledWith('LISTEN pipeline_render');
+    expect(notifier.isListening()).toBe(true);
+  });
+
+  test('reconnects when the listener connection drops', async () => {
+    await notifier.startListening(['render']);
+    const dropped = lastClient();
+
+    dropped.emit('error', new Error('Connection terminated unexpectedly'));
+    expect(notifier.isListening()).toBe(false);
+    expect(dropped.end).toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(mockClients).toHaveLength(2);
+    expect(notifier.isListening()).toBe(true);
+  });
+
+  test('does not lose a wakeup that arrives while the stage is busy', async () => {
+    await notifier.startListening(['embed']);
+    await notifier.waitForWork('embed', POLL_INTERVAL_MS);
+
+    lastClient().emit('notification', { channel: 'pipeline_embed', payload: '{"jobId":"job-1"}' });
+
+    await expect(notifier.waitForWork('embed', POLL_INTERVAL_MS)).resolves.toBe(true);
+  });
+});
+
+describe('wakeups and stopListening', () => {
+  test('a notification releases every loop waiting on the stage', async () => {
+    await notifier.startListening(['render']);
+    await notifier.waitForWork('render', POLL_INTERVAL_MS);
+    const first = notifier.waitForWork('render', POLL_INTERVAL_MS);
+    const second = notifier.waitForWork('render', POLL_INTERVAL_MS);
+
+    lastClient().emit('notification', { channel: 'pipeline_render', payload: '{"jobId":"job-1"}' });
+
+    await expect(Promise.all([first, second])).resolves.toEqual([true, true]);
+  });
+
+  test('stopListening releases the waiting loops and closes the connection', async () => {
+    await notifier.startListening(['mru']);
+    await notifier.waitForWork('mru', POLL_INTERVAL_MS);
+    const waiting = notifier.waitForWork('mru', POLL_INTERVAL_MS);
+
+    await notifier.stopListening();
+
+    await expect(waiting).resolves.toBe(true);
+    expect(lastClient().end).toHaveBeenCalled();
+    expect(notifier.isListening()).toBe(false);
+  });
+});
+
+describe('notifyStage', () => {
+  test('sends pg_notify on the stage channel', async () => {
+    await notifier.notifyStage('mri', { batchId: 'batch-1' });
+
+    expect(mockSequelize.query).toHaveBeenCalledWith('SELECT pg_notify(:channel, :payload)', {
+      replacements: { channel: 'pipeline_mri', payload: '{"batchId":"batch-1"}' },
+    });
+  });
+
+  test('does nothing when PIPELINE_NOTIFY=false', async () => {
+    process.env.PIPELINE_NOTIFY = 'false';
+
+    await notifier.notifyStage('mri', { batchId: 'batch-1' });
+
+    expect(notifier.isNotifyEnabled()).toBe(false);
+    expect(mockSequelize.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('installPipelineTriggers', () => {
+  function answerColumns(columns) {
+    mockSequelize.query.mockImplementation(async (sql) => (
+      sql.includes('information_schema.columns') ? [columns.map(name => ({ column_name: name }))] : [[]]
+    ));
+  }
+
+  function batchFunction() {
+    return mockSequelize.query.mock.calls.map(([sql]) => sql).find(sql => sql.includes('notify_document_batch_pipeline() RETURNS'));
+  }
+
+  test('wakes the qr stage on a confirmed anchor proof when the batch table has the columns', async () => {
+    answerColumns(['anchor_status', 'anchor_proof']);
+
+    await notifier.installPipelineTriggers();
+
+    expect(mockSequelize.query).toHaveBeenCalledWith(expect.stringContaining('information_schema.columns'), {
+      replacements: { table: 'document_batches', columns: ['anchor_status', 'anchor_proof'] },
+    });
+    expect(batchFunction()).toContain("NEW.anchor_status = 'Confirmed' AND NEW.anchor_proof IS NOT NULL");
+    expect(batchFunction()).toContain('NEW."txHash" IS NOT NULL');
+  });
+
+  test('leaves the anchor proof wakeup out when the columns are missing, so updates keep working', async () => {
+    answerColumns(['anchor_status']);
+
+    await notifier.installPipelineTriggers();
+
+    expect(batchFunction()).not.toContain('anchor_proof');
+    expect(batchFunction()).not.toContain('anchor_status');
+    expect(batchFunction()).toContain('NEW."txHash" IS NOT NULL');
+    expect(mockSequelize.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TRIGGER document_batches_pipeline_notify'));
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Test job / batch regeneration scopes
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/eventService', () => ({ recordJobEvent: jest.fn(), recordBatchEvent: jest.fn() }));
+jest.mock('../services/pipelineNotifier', () => ({ notifyStage: jest.fn() }));
+jest.mock('../models/DocumentBatch', () => ({ findByPk: jest.fn() }));
+jest.mock('../models/DocumentJob', () => ({ findByPk: jest.fn(), findAll: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+const eventService = require('../services/eventService');
+const { notifyStage } = require('../services/pipelineNotifier');
+const { regenerateJob, regenerateBatch } = require('../services/regenerationService');
+const { fakeEntity } = require('./harness/memoryModels');
+const StorageFactory = require('../storage/StorageFactory');
+
+const signedJob = {
+  id: 'job-1',
+  batchId: 'batch-1',
+  status: 'Generated',
+  certificatePath: 'certificates/t/batch-1/job-1.pdf',
+  documentHash: '0xd',
+  fingerprintHash: '0xf',
+  issuerSignature: '0x5',
+  merkleLeaf: '0x1',
+  merkleProofIntermediate: ['0xa'],
+  qrCodePath: 'qr-codes/t/batch-1/job-1.png',
+  certificateWithQRPath: 'qr-embedded-certificates/t/batch-1/job-1.pdf',
+};
+
+const anchoredBatch = {
+  id: 'batch-1',
+  tenantId: 't',
+  status: 'Completed',
+  signingStatus: 'Finalized',
+  merkleRoot: '0xmri',
+  merkleRootUltimate: '0xmru',
+  txHash: '0xtx',
+};
+
+// The files the stages stored for signedJob
+const ISSUED = {
+  certificatePath: 'issued PDF',
+  qrCodePath: 'issued QR code',
+  certificateWithQRPath: 'issued PDF with QR code',
+};
+
+describe('regeneration', () => {
+  const originalStoragePath = process.env.STORAGE_PATH;
+  let storage;
+
+  beforeAll(() => {
+    process.env.STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'regeneration-'));
+    storage = StorageFactory.getStorage();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.STORAGE_PATH, { recursive: true, force: true });
+    process.env.STORAGE_PATH = originalStoragePath;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    for (const [field, content] of Object.entries(ISSUED)) {
+      const filePath = path.join(process.env.STORAGE_PATH, signedJob[field]);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    }
+  });
+
+  test('re-embeds the VD and reopens a completed batch', async () => {
+    const job = fakeEntity('DocumentJob', signedJob);
+    const batch = fakeEntity('DocumentBatch', anchoredBatch);
+    DocumentJob.findByPk.mockResolvedValue(job);
+    DocumentBatch.findByPk.mockResolvedValue(batch);
+
+    const result = await regenerateJob('job-1', 'vd', { actor: 'ops', reason: 'key change' });
+
+    expect(job.status).toBe('Generated');
+    expect(job.certificateWithQRPath).toBeNull();
+    expect(job.qrCodePath).toBe(signedJob.qrCodePath);
+    expect(result.previous.certificateWithQRPath).toBe(signedJob.certificateWithQRPath);
+    expect(batch.status).toBe('Processing');
+    expect(notifyStage).toHaveBeenCalledWith('embed', { jobId: 'job-1', batchId: 'batch-1' });
+    expect(eventService.recordJobEvent).toHaveBeenCalledWith(job, expect.objectContaining({
+      stage: 'regenerate',
+      details: expect.objectContaining({ scope: 'vd', previous: expect.any(Object) }),
+    }));
+  });
+
+  test('refuses to re-render a job once the batch MRI is calculated', async () => {
+    DocumentJob.findByPk.mockResolvedValue(fakeEntity('DocumentJob', signedJob));
+    DocumentBatch.findByPk.mockResolvedValue(fakeEntity('DocumentBatch', anchoredBatch));
+
+    await expect(regenerateJob('job-1', 'render')).rejects.toMatchObject({ code: 'REGENERATE_NOT_ALLOWED' });
+  });
+
+  test('re-render clears the signature and sends the job back to Pending', async () => {
+    const job = fakeEntity('DocumentJob', signedJob);
+    const batch = fakeEntity('DocumentBatch', { id: 'batch-1', tenantId: 't', status: 'Processing', signingStatus: 'Signed' });
+    DocumentJob.findByPk.mockResolvedValue(job);
+    DocumentBatch.findByPk.mockResolvedValue(batch);
+
+    const result = await regenerateJob('job-1', 'render');
+
+    expect(job.status).toBe('Pending');
+    expect(job.issuerSignature).toBeNull();
+    expect(job.merkleLeaf).toBeNull();
+    expect(job.certificatePath).toBe(signedJob.certificatePath);
+    expect(result.previous.issuerSignature).toBe('0x5');
+    expect(batch.signingStatus).toBe('PendingSigning');
+    expect(notifyStage).toHaveBeenCalledWith('render', expect.any(Object));
+  });
+
+  test('a re-render keeps the issued PDF and QR code readable under versioned keys', async () => {
+    const job = fakeEntity('DocumentJob', signedJob);
+    DocumentJob.findByPk.mockResolvedValue(job);
+    DocumentBatch.findByPk.mockResolvedValue(fakeEntity('DocumentBatch', {
+      id: 'batch-1', tenantId: 't', status: 'Processing', signingStatus: 'Signed',
+    }));
+
+    const result = await regenerateJob('job-1', 'render');
+    // The render stage stores the new PDF under the job's key again
+    await storage.store(Buffer.from('re-rendered PDF'), 't', 'batch-1', 'job-1');
+
+    expect(Object.keys(result.archived)).toEqual(Object.keys(ISSUED));
+    for (const [field, content] of Object.entries(ISSUED)) {
+      expect(path.basename(result.archived[field])).toMatch(new RegExp(`^job-1-${field}-v\\d+\\.(pdf|png)$`));
+      expect(path.dirname(result.archived[field])).toBe(path.join('regenerated', 't', 'batch-1'));
+      expect((await storage.retrieve(result.archived[field])).toString()).toBe(content);
+    }
+    expect((await storage.retrieve(signedJob.certificatePath)).toString()).toBe('re-rendered PDF');
+    expect(eventService.recordJobEvent).toHaveBeenCalledWith(job, expect.objectContaining({
+      details: expect.objectContaining({ previous: result.previous, archived: result.archived }),
+    }));
+  });
+
+  test('does not copy an uploaded PDF, which a re-render does not overwrite', async () => {
+    DocumentJob.findByPk.mockResolvedValue(fakeEntity('DocumentJob', { ...signedJob, data: { source: 'pdf_upload' } }));
+    DocumentBatch.findByPk.mockResolvedValue(fakeEntity('DocumentBatch', {
+      id: 'batch-1', tenantId: 't', status: 'Processing', signingStatus: 'Signed',
+    }));
+
+    const result = await regenerateJob('job-1', 'render');
+
+    expect(Object.keys(result.archived)).toEqual(['qrCodePath', 'certificateWithQRPath']);
+  });
+
+  test('batch QR regeneration skips jobs that are not signed yet', async () => {
+    const signed = fakeEntity('DocumentJob', signedJob);
+    const unsigned = fakeEntity('DocumentJob', { id: 'job-2', batchId: 'batch-1', status: 'PendingSigning' });
+    DocumentBatch.findByPk.mockResolvedValue(fakeEntity('DocumentBatch', anchoredBatch));
+    DocumentJob.findAll.mockResolvedValue([signed, unsigned]);
+
+    const result = await regenerateBatch('batch-1', 'qr');
+
+    expect(result.regenerated).toEqual(['job-1']);
+    expect(result.skipped).toEqual([{ jobId: 'job-2', reason: expect.stringMatching(/PendingSigning/) }]);
+    expect(signed.qrCodePath).toBeNull();
+    expect(signed.certificateWithQRPath).toBeNull();
+  });
+
+  test('rejects unknown scopes', async () => {
+    await expect(regenerateJob('job-1', 'everything')).rejects.toMatchObject({ code: 'INVALID_SCOPE' });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Test job retry policy (error classification and backoff)
+ */
+
+const { classifyError, computeBackoffMs, planRetry } = require('../utils/retryPolicy');
+
+const config = { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 5000 };
+const noJitter = () => 0.5;
+
+describe('classifyError', () => {
+  test('treats network, timeout and connection errors as transient', () => {
+    expect(classifyError(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }))).toBe('transient');
+    expect(classifyError(new Error('page.setContent: Timeout 30000ms exceeded'))).toBe('transient');
+    expect(classifyError(Object.assign(new Error('connect failed'), { name: 'SequelizeConnectionError' }))).toBe('transient');
+    expect(classifyError(Object.assign(new Error('Slow Down'), { statusCode: 503 }))).toBe('transient');
+  });
+
+  test('treats bad input and missing rows as permanent', () => {
+    expect(classifyError(new Error('Missing required parameters: name'))).toBe('permanent');
+    expect(classifyError(new Error('Job not found: abc'))).toBe('permanent');
+  });
+
+  test('honours explicit flags on the error', () => {
+    expect(classifyError(Object.assign(new Error('Job not found'), { transient: true }))).toBe('transient');
+    expect(classifyError(Object.assign(new Error('socket hang up'), { retryable: false }))).toBe('permanent');
+  });
+
+  test('defaults unknown errors to transient', () => {
+    expect(classifyError(new Error('something odd happened'))).toBe('transient');
+  });
+});
+
+describe('computeBackoffMs', () => {
+  test('doubles per attempt and caps at maxDelayMs', () => {
+    expect(computeBackoffMs(1, config, noJitter)).toBe(1000);
+    expect(computeBackoffMs(2, config, noJitter)).toBe(2000);
+    expect(computeBackoffMs(3, config, noJitter)).toBe(4000);
+    expect(computeBackoffMs(10, config, noJitter)).toBe(5000);
+  });
+
+  test('applies at most 20% jitter', () => {
+    expect(computeBackoffMs(1, config, () => 0)).toBe(800);
+    expect(computeBackoffMs(1, config, () => 0.999999)).toBe(1200);
+  });
+});
+
+describe('planRetry', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const transient = new Error('ETIMEDOUT');
+
+  test('schedules a retry for transient errors below the limit', () => {
+    const plan = planRetry(transient, 0, { config, now, random: noJitter });
+    expect(plan).toMatchObject({ errorType: 'transient', attempts: 1, retry: true, deadLettered: false });
+    expect(plan.nextAttemptAt.getTime()).toBe(now.getTime() + 1000);
+  });
+
+  test('dead-letters once the attempt limit is reached', () => {
+    const plan = planRetry(transient, 2, { config, now });
+    expect(plan).toMatchObject({ attempts: 3, retry: false, deadLettered: true, nextAttemptAt: null });
+  });
+
+  test('fails permanent errors without retrying', () => {
+    const plan = planRetry(new Error('Missing required parameters: name'), 0, { config, now });
+    expect(plan).toMatchObject({ errorType: 'permanent', retry: false, deadLettered: false });
+  });
+});
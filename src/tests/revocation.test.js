@@ -0,0 +1,313 @@
+/**
+ * Test revocation requests, time-window invalidation, transaction planning and
+ * the on-chain status reads
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/eventService', () => ({ recordJobEvent: jest.fn(), recordBatchEvent: jest.fn() }));
+jest.mock('../services/pipelineNotifier', () => ({ notifyStage: jest.fn() }));
+jest.mock('../models/DocumentBatch', () => ({ findByPk: jest.fn(), findAll: jest.fn(), update: jest.fn() }));
+jest.mock('../models/DocumentJob', () => ({ findByPk: jest.fn(), findAll: jest.fn(), update: jest.fn() }));
+jest.mock('../models/RevocationRequest', () => ({ create: jest.fn(), findAll: jest.fn() }));
+jest.mock('../services/blockchainService', () => ({
+  ...jest.requireActual('../services/blockchainService'),
+  revokeOnChain: jest.fn(),
+  invalidateTimeWindowOnChain: jest.fn(),
+}));
+
+const mockContract = {
+  isRevoked: jest.fn(),
+  revokedRoots: jest.fn(),
+  queryFilter: jest.fn(),
+  isTimeWindowInvalidated: jest.fn(),
+  getTimeWindowInvalidations: jest.fn(),
+  filters: {
+    Revoked: (certHash) => ({ event: 'Revoked', certHash }),
+    RootRevoked: (root) => ({ event: 'RootRevoked', root }),
+  },
+};
+
+jest.mock('ethers', () => {
+  const { ethers } = jest.requireActual('ethers');
+  return {
+    ethers: {
+      ...ethers,
+      providers: { JsonRpcProvider: class {} },
+      Contract: class {
+        constructor() { return mockContract; }
+      },
+    },
+  };
+});
+
+const { ethers } = require('ethers');
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+const RevocationRequest = require('../models/RevocationRequest');
+const blockchainService = require('../services/blockchainService');
+const { notifyStage } = require('../services/pipelineNotifier');
+const {
+  requestJobRevocation,
+  requestBatchRevocation,
+  requestTimeWindowInvalidation,
+  planRevocationTransactions,
+  processRevocationRequests,
+} = require('../services/revocationService');
+
+const LEAF_1 = '0x' + '11'.repeat(32);
+const LEAF_2 = '0x' + '22'.repeat(32);
+const LEAF_3 = '0x' + '33'.repeat(32);
+const MRI = 'aa'.repeat(32);
+const MRU = '0x' + 'cc'.repeat(32);
+
+const anchoredBatch = { id: 'batch-1', merkleRoot: MRI, merkleRootUltimate: MRU, txHash: '0xtx', revocationStatus: null };
+
+/**
+ * Stand-in for a RevocationRequest instance
+ */
+function fakeRequest(values) {
+  const request = { status: 'Pending', attempts: 0, ...values };
+  request.update = jest.fn(async (updates) => Object.assign(request, updates));
+  return request;
+}
+
+describe('revocation requests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RevocationRequest.create.mockImplementation(async (values) => ({ id: 'req-1', ...values }));
+  });
+
+  test('a certificate of an anchored batch is queued for revoke(leaf)', async () => {
+    DocumentJob.findByPk.mockResolvedValue({ id: 'job-1', batchId: 'batch-1', merkleLeaf: LEAF_1 });
+    DocumentBatch.findByPk.mockResolvedValue(anchoredBatch);
+
+    const result = await requestJobRevocation('job-1', ' wrong recipient ', { actor: 'ops' });
+
+    expect(result).toEqual({ requestId: 'req-1', jobId: 'job-1', batchId: 'batch-1', method: 'revoke' });
+    expect(RevocationRequest.create).toHaveBeenCalledWith(expect.objectContaining({
+      scope: 'job',
+      certHashes: [LEAF_1],
+      reason: 'wrong recipient',
+      requestedBy: 'ops',
+    }));
+    expect(DocumentJob.update).toHaveBeenCalledWith(
+      { revocationStatus: 'Pending', revocationReason: 'wrong recipient' },
+      { where: { id: 'job-1' } }
+    );
+    expect(notifyStage).toHaveBeenCalledWith('mru', { revocationRequestId: 'req-1' });
+  });
+
+  test('refuses certificates that are not anchored and requests without reason', async () => {
+    DocumentJob.findByPk.mockResolvedValue({ id: 'job-1', batchId: 'batch-1', merkleLeaf: LEAF_1 });
+    DocumentBatch.findByPk.mockResolvedValue({ id: 'batch-1', merkleRoot: MRI });
+
+    await expect(requestJobRevocation('job-1', 'typo')).rejects.toMatchObject({ code: 'REVOKE_NOT_ALLOWED' });
+    await expect(requestJobRevocation('job-1', '  ')).rejects.toMatchObject({ code: 'INVALID_REASON' });
+    expect(RevocationRequest.create).not.toHaveBeenCalled();
+  });
+
+  test('a batch owning its MRU is revoked with revokeRoot, otherwise leaf by leaf', async () => {
+    const jobs = [
+      { id: 'job-1', merkleLeaf: LEAF_1, revocationStatus: 'Revoked' },
+      { id: 'job-2', merkleLeaf: LEAF_2, revocationStatus: null },
+      { id: 'job-3', merkleLeaf: LEAF_3, revocationStatus: null },
+    ];
+    DocumentJob.findAll.mockResolvedValue(jobs);
+
+    DocumentBatch.findByPk.mockResolvedValue({ ...anchoredBatch, merkleRoot: MRU });
+    const rootResult = await requestBatchRevocation('batch-1', 'withdrawn');
+    expect(rootResult.method).toBe('revokeRoot');
+    expect(RevocationRequest.create).toHaveBeenLastCalledWith(expect.objectContaining({ certHashes: [MRU] }));
+
+    DocumentBatch.findByPk.mockResolvedValue(anchoredBatch);
+    const leafResult = await requestBatchRevocation('batch-1', 'withdrawn');
+    expect(leafResult.method).toBe('revokeBatch');
+    expect(RevocationRequest.create).toHaveBeenLastCalledWith(expect.objectContaining({ certHashes: [LEAF_2, LEAF_3] }));
+  });
+});
+
+describe('planRevocationTransactions', () => {
+  test('merges certificate requests and keeps batch requests apart', () => {
+    const requests = [
+      { id: 'r1', scope: 'job', method: 'revoke', certHashes: [LEAF_1], reason: 'a' },
+      { id: 'r2', scope: 'batch', method: 'revokeRoot', certHashes: [MRU], reason: 'b' },
+      { id: 'r3', scope: 'job', method: 'revoke', certHashes: [LEAF_2], reason: 'c' },
+      { id: 'r4', scope: 'job', method: 'revoke', certHashes: [LEAF_3], reason: 'd' },
+    ];
+
+    const transactions = planRevocationTransactions(requests, 2);
+
+    expect(transactions.map(tx => [tx.method, tx.certHashes, tx.reasons])).toEqual([
+      ['revokeBatch', [LEAF_1, LEAF_2], ['a', 'c']],
+      ['revokeRoot', [MRU], ['b']],
+      ['revoke', [LEAF_3], ['d']],
+    ]);
+    expect(transactions[0].requests.map(r => r.id)).toEqual(['r1', 'r3']);
+  });
+});
+
+describe('processRevocationRequests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DocumentJob.update.mockResolvedValue([2]);
+  });
+
+  test('stores the transaction and block number on the revoked batch and its certificates', async () => {
+    const request = fakeRequest({ id: 'req-1', scope: 'batch', batchId: 'batch-1', method: 'revokeBatch', certHashes: [LEAF_1, LEAF_2], reason: 'withdrawn' });
+    RevocationRequest.findAll.mockResolvedValue([request]);
+    blockchainService.revokeOnChain.mockResolvedValue({ txHash: '0xrev', blockNumber: 42, network: 'polygon-amoy', revoked: [] });
+
+    const result = await processRevocationRequests(10, { actor: 'worker-1' });
+
+    expect(result).toMatchObject({ processed: 1, confirmed: 1, failed: 0 });
+    expect(blockchainService.revokeOnChain).toHaveBeenCalledWith('revokeBatch', [LEAF_1, LEAF_2], ['withdrawn', 'withdrawn'], { network: null });
+    expect(request.status).toBe('Confirmed');
+    expect(request.blockNumber).toBe(42);
+    expect(DocumentBatch.update).toHaveBeenCalledWith(
+      expect.objectContaining({ revocationStatus: 'Revoked', revocationTxHash: '0xrev', revocationBlockNumber: 42 }),
+      { where: { id: 'batch-1' } }
+    );
+    expect(DocumentJob.update).toHaveBeenCalledWith(
+      expect.objectContaining({ revocationStatus: 'Revoked', revocationReason: 'withdrawn' }),
+      expect.objectContaining({ where: expect.objectContaining({ batchId: 'batch-1' }) })
+    );
+  });
+
+  test('a reverted transaction fails the request without retrying', async () => {
+    const request = fakeRequest({ id: 'req-1', scope: 'job', jobId: 'job-1', batchId: 'batch-1', method: 'revoke', certHashes: [LEAF_1], reason: 'typo' });
+    RevocationRequest.findAll.mockResolvedValue([request]);
+    const revert = new Error('execution reverted: not issuer');
+    revert.transient = false;
+    blockchainService.revokeOnChain.mockRejectedValue(revert);
+
+    const result = await processRevocationRequests(10);
+
+    expect(result).toMatchObject({ confirmed: 0, failed: 1, retrying: 0 });
+    expect(request.status).toBe('Failed');
+    expect(DocumentJob.update).toHaveBeenCalledWith({ revocationStatus: 'Failed' }, { where: { id: 'job-1' } });
+  });
+});
+
+describe('time-window invalidation', () => {
+  const ISSUER = ethers.utils.id('issuer-1');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RevocationRequest.create.mockImplementation(async (values) => ({ id: 'req-w', ...values }));
+  });
+
+  test('marks the batches the issuer anchored inside the window as pending', async () => {
+    DocumentBatch.findAll.mockResolvedValue([
+      { id: 'batch-1', revocationStatus: null },
+      { id: 'batch-2', revocationStatus: 'Revoked' },
+    ]);
+
+    const result = await requestTimeWindowInvalidation('issuer-1', '2025-03-01T00:00:00Z', 1741953600, 'key leaked');
+
+    expect(result).toEqual({
+      requestId: 'req-w',
+      requestIds: ['req-w'],
+      networks: ['polygon-amoy'],
+      issuerId: ISSUER,
+      start: 1740787200,
+      end: 1741953600,
+      batches: 1,
+    });
+    expect(DocumentBatch.findAll.mock.calls[0][0].where.anchorIssuerId).toBe(ISSUER);
+    expect(RevocationRequest.create).toHaveBeenCalledWith(expect.objectContaining({
+      scope: 'window',
+      method: 'invalidateTimeWindow',
+      issuerId: ISSUER,
+      windowStart: 1740787200,
+      windowEnd: 1741953600,
+    }));
+    expect(DocumentBatch.update).toHaveBeenCalledWith(
+      { revocationStatus: 'Pending', revocationReason: 'key leaked' },
+      { where: { id: ['batch-1'] } }
+    );
+  });
+
+  test('rejects a window that ends before it starts', async () => {
+    await expect(requestTimeWindowInvalidation('issuer-1', 200, 100, 'key leaked')).rejects.toMatchObject({ code: 'INVALID_WINDOW' });
+    await expect(requestTimeWindowInvalidation('issuer-1', 'yesterday-ish', 100, 'key leaked')).rejects.toMatchObject({ code: 'INVALID_WINDOW' });
+    expect(RevocationRequest.create).not.toHaveBeenCalled();
+  });
+
+  test('the revocation stage submits invalidateTimeWindow and revokes the affected batches', async () => {
+    const request = fakeRequest({
+      id: 'req-w', scope: 'window', method: 'invalidateTimeWindow', certHashes: [],
+      issuerId: ISSUER, windowStart: '100', windowEnd: '200', reason: 'key leaked',
+    });
+    RevocationRequest.findAll.mockResolvedValue([request]);
+    DocumentBatch.findAll.mockResolvedValue([{ id: 'batch-1', revocationStatus: 'Pending' }]);
+    DocumentJob.update.mockResolvedValue([3]);
+    blockchainService.invalidateTimeWindowOnChain.mockResolvedValue({ txHash: '0xinv', blockNumber: 77, network: 'polygon-amoy', issuerId: ISSUER });
+
+    const result = await processRevocationRequests(10);
+
+    expect(result).toMatchObject({ confirmed: 1, failed: 0 });
+    expect(blockchainService.invalidateTimeWindowOnChain).toHaveBeenCalledWith(ISSUER, 100, 200, { network: null });
+    expect(blockchainService.revokeOnChain).not.toHaveBeenCalled();
+    expect(DocumentBatch.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        revocationStatus: 'Revoked',
+        revocationReason: 'Issuer time window invalidated: key leaked',
+        revocationBlockNumber: 77,
+      }),
+      { where: { id: ['batch-1'] } }
+    );
+  });
+});
+
+describe('getTimeWindowStatus', () => {
+  test('reports the invalidated window that covers the anchoring time', async () => {
+    const { BigNumber } = ethers;
+    mockContract.isTimeWindowInvalidated.mockResolvedValue(true);
+    mockContract.getTimeWindowInvalidations.mockResolvedValue([
+      { start: BigNumber.from(10), end: BigNumber.from(20), invalidatedAt: BigNumber.from(25) },
+      { start: BigNumber.from(100), end: BigNumber.from(200), invalidatedAt: BigNumber.from(300) },
+    ]);
+
+    const status = await blockchainService.getTimeWindowStatus('issuer-1', '150');
+
+    expect(mockContract.isTimeWindowInvalidated).toHaveBeenCalledWith(ethers.utils.id('issuer-1'), BigNumber.from(150));
+    expect(status).toEqual({ checked: true, invalidated: true, start: 100, end: 200, invalidatedAt: 300 });
+  });
+});
+
+describe('getRevocationStatus', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('reports the reason and block number of a revoked certificate', async () => {
+    mockContract.isRevoked.mockResolvedValue(true);
+    mockContract.revokedRoots.mockResolvedValue(false);
+    mockContract.queryFilter.mockResolvedValue([
+      { args: { reason: 'wrong recipient', blockNumber: { toString: () => '120' } }, blockNumber: 121, transactionHash: '0xrev' },
+    ]);
+
+    const status = await blockchainService.getRevocationStatus(LEAF_1, MRU, { fromBlock: 100 });
+
+    expect(mockContract.queryFilter).toHaveBeenCalledWith({ event: 'Revoked', certHash: LEAF_1 }, 100, 'latest');
+    expect(status).toEqual({
+      checked: true,
+      revoked: true,
+      scope: 'certificate',
+      reason: 'wrong recipient',
+      blockNumber: 120,
+      txHash: '0xrev',
+    });
+  });
+
+  test('a revoked root revokes every certificate under it', async () => {
+    mockContract.isRevoked.mockResolvedValue(false);
+    mockContract.revokedRoots.mockResolvedValue(true);
+    mockContract.queryFilter.mockResolvedValue([]);
+
+    const status = await blockchainService.getRevocationStatus(LEAF_1, MRU);
+
+    expect(status).toMatchObject({ checked: true, revoked: true, scope: 'root' });
+    expect(mockContract.queryFilter).toHaveBeenCalledWith({ event: 'RootRevoked', root: MRU }, 0, 'latest');
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Test RPC failover across endpoints and quorum reads for transaction verification
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ethers } = require('ethers');
+const networks = require('../config/networks');
+const rpcProvider = require('../services/rpcProvider');
+const { verifyTransaction } = require('../services/blockchainService');
+
+const NETWORK = { name: 'testnet', chainId: 80002 };
+const URL_A = 'https://a.example/rpc';
+const URL_B = 'https://b.example/rpc';
+const URL_C = 'https://c.example/rpc';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const MRU = '0x' + 'cc'.repeat(32);
+const OTHER_MRU = '0x' + 'dd'.repeat(32);
+const ENV_KEYS = ['RPC_URLS_POLYGON_AMOY', 'RPC_QUORUM', 'RPC_QUORUM_POLYGON_AMOY', 'POLYGONSCAN_API_KEY', 'ETHERSCAN_API_KEY'];
+
+const saved = {};
+let handlers;
+let calls;
+
+function endpointError(code, message = 'endpoint failed') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// JSON-RPC error the node answered with, as ethers wraps it
+function nodeError(code, message) {
+  const error = new Error('processing response error');
+  error.code = 'SERVER_ERROR';
+  error.error = Object.assign(new Error(message), { code });
+  return error;
+}
+
+// Endpoint answering eth_chainId with chainId and the other methods from answers
+function endpoint(answers = {}, chainId = 80002) {
+  return async (method) => {
+    if (method === 'eth_chainId') return ethers.utils.hexValue(chainId);
+    const answer = answers[method];
+    if (answer instanceof Error) throw answer;
+    return typeof answer === 'function' ? answer() : answer;
+  };
+}
+
+function rawReceipt(root = MRU) {
+  const contract = networks.requireNetwork('polygon-amoy').contracts.anchorStore;
+  const iface = new ethers.utils.Interface(require('../abis/AnchorStore.json'));
+  const log = iface.encodeEventLog(iface.getEvent('MerkleRootSubmitted'), [1700000000, root, '0x' + '11'.repeat(20), 100]);
+  return {
+    transactionHash: TX_HASH,
+    transactionIndex: '0x0',
+    blockHash: '0x' + 'b1'.repeat(32),
+    blockNumber: '0x64',
+    from: '0x' + '11'.repeat(20),
+    to: contract,
+    contractAddress: null,
+    cumulativeGasUsed: '0x5208',
+    gasUsed: '0x5208',
+    effectiveGasPrice: '0x1',
+    logsBloom: '0x' + '00'.repeat(256),
+    status: '0x1',
+    type: '0x2',
+    logs: [{
+      ...log,
+      address: contract,
+      blockHash: '0x' + 'b1'.repeat(32),
+      blockNumber: '0x64',
+      transactionHash: TX_HASH,
+      transactionIndex: '0x0',
+      logIndex: '0x0',
+      removed: false,
+    }],
+  };
+}
+
+function receiptEndpoint(root, head = '0x70') {
+  return endpoint({ eth_getTransactionReceipt: rawReceipt(root), eth_blockNumber: head });
+}
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  networks.resetNetworks();
+  rpcProvider.resetEndpoints();
+  handlers = {};
+  calls = [];
+  jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'send').mockImplementation(function send(method, params) {
+    calls.push([this.connection.url, method]);
+    return handlers[this.connection.url](method, params);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+  networks.resetNetworks();
+});
+
+describe('sendWithFailover', () => {
+  test('moves on to the next endpoint and keeps a failing one on cooldown', async () => {
+    handlers[URL_A] = async () => { throw endpointError('TIMEOUT', 'timeout'); };
+    handlers[URL_B] = endpoint({ eth_blockNumber: '0x10' });
+
+    expect(await rpcProvider.sendWithFailover(NETWORK, [URL_A, URL_B], 'eth_blockNumber', [])).toBe('0x10');
+    calls = [];
+    expect(await rpcProvider.sendWithFailover(NETWORK, [URL_A, URL_B], 'eth_blockNumber', [])).toBe('0x10');
+
+    expect(calls.map(([url]) => url)).toEqual([URL_B]);
+  });
+
+  test('returns errors the node answered with instead of trying another endpoint', async () => {
+    handlers[URL_A] = endpoint({ eth_call: nodeError(-32000, 'execution reverted') });
+    handlers[URL_B] = endpoint({ eth_call: '0x' });
+
+    await expect(rpcProvider.sendWithFailover(NETWORK, [URL_A, URL_B], 'eth_call', [])).rejects.toThrow('processing response error');
+    expect(calls.some(([url]) => url === URL_B)).toBe(false);
+  });
+
+  test('fails over on rate limiting', async () => {
+    handlers[URL_A] = endpoint({ eth_gasPrice: nodeError(-32005, 'rate limit exceeded') });
+    handlers[URL_B] = endpoint({ eth_gasPrice: '0x1' });
+
+    expect(await rpcProvider.sendWithFailover(NETWORK, [URL_A, URL_B], 'eth_gasPrice', [])).toBe('0x1');
+  });
+
+  test('skips endpoints that serve another chain', async () => {
+    handlers[URL_A] = endpoint({ eth_blockNumber: '0x1' }, 1);
+    handlers[URL_B] = endpoint({ eth_blockNumber: '0x2' });
+
+    expect(await rpcProvider.sendWithFailover(NETWORK, [URL_A, URL_B], 'eth_blockNumber', [])).toBe('0x2');
+    await expect(rpcProvider.sendWithFailover(NETWORK, [URL_A], 'eth_blockNumber', []))
+      .rejects.toMatchObject({ code: 'CHAIN_MISMATCH', transient: false });
+  });
+
+  test('reports a transient error when every endpoint fails', async () => {
+    handlers[URL_A] = async () => { throw endpointError('SERVER_ERROR', 'bad response'); };
+    handlers[URL_B] = async () => { throw endpointError('TIMEOUT', 'timeout'); };
+
+    await expect(rpcProvider.sendWithFailover(NETWORK, [URL_A, URL_B], 'eth_blockNumber', []))
+      .rejects.toMatchObject({ message: expect.stringMatching(/All 2 RPC endpoints of network testnet failed, last: timeout/), transient: true });
+  });
+});
+
+describe('verifyTransaction quorum', () => {
+  beforeEach(() => {
+    process.env.RPC_URLS_POLYGON_AMOY = [URL_A, URL_B, URL_C].join(',');
+  });
+
+  test('reports mruMatches once enough endpoints return the same receipt and event', async () => {
+    process.env.RPC_QUORUM = '2';
+    handlers[URL_A] = receiptEndpoint(MRU, '0x70');
+    handlers[URL_B] = receiptEndpoint(MRU, '0x75'); // further ahead: confirmations differ
+    handlers[URL_C] = receiptEndpoint(OTHER_MRU);
+
+    const result = await verifyTransaction(TX_HASH, MRU, { network: 'polygon-amoy' });
+
+    expect(result).toMatchObject({
+      verified: true,
+      mruFromEvent: MRU,
+      mruMatches: true,
+      blockNumber: 100,
+      quorum: { required: 2, endpoints: 3, responded: 3, agreeing: 2, disagreeing: 1 },
+    });
+  });
+
+  test('does not report mruMatches when the endpoints disagree', async () => {
+    process.env.RPC_QUORUM_POLYGON_AMOY = '3';
+    handlers[URL_A] = receiptEndpoint(MRU);
+    handlers[URL_B] = receiptEndpoint(MRU);
+    handlers[URL_C] = endpoint({ eth_getTransactionReceipt: null });
+
+    const result = await verifyTransaction(TX_HASH, MRU, { network: 'polygon-amoy' });
+
+    expect(result.verified).toBe(false);
+    expect(result.mruMatches).toBeUndefined();
+    expect(result.error).toMatch(/disagree: at most 2 of 3/);
+    expect(result.quorum).toMatchObject({ required: 3, agreeing: 2, disagreeing: 1 });
+  });
+
+  test('does not count endpoints that fail', async () => {
+    handlers[URL_A] = receiptEndpoint(MRU);
+    handlers[URL_B] = async () => { throw endpointError('TIMEOUT', 'timeout'); };
+    handlers[URL_C] = async () => { throw endpointError('TIMEOUT', 'timeout'); };
+
+    const result = await verifyTransaction(TX_HASH, MRU, { network: 'polygon-amoy', quorum: 2 });
+
+    expect(result).toMatchObject({ verified: false, error: expect.stringMatching(/Only 1 of 3 RPC endpoints/) });
+  });
+
+  test('without a quorum the first healthy endpoint is trusted', async () => {
+    handlers[URL_A] = async () => { throw endpointError('TIMEOUT', 'timeout'); };
+    handlers[URL_B] = receiptEndpoint(OTHER_MRU);
+    handlers[URL_C] = receiptEndpoint(MRU);
+
+    const result = await verifyTransaction(TX_HASH, MRU, { network: 'polygon-amoy' });
+
+    expect(result).toMatchObject({ verified: false, mruMatches: false, actualMRU: OTHER_MRU });
+    expect(result.quorum).toBeUndefined();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Test per-tenant scheduling options and PDF concurrency caps
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../models/Tenant', () => ({ findByPk: jest.fn() }));
+jest.mock('../models/DocumentJob', () => ({ findByPk: jest.fn() }));
+jest.mock('../models/DocumentBatch', () => ({}));
+
+const Tenant = require('../models/Tenant');
+const { getTenantSchedulingOptions, createTenantLimiter, clearTenantCache } = require('../services/schedulingService');
+
+/**
+ * Minimal p-limit replacement that records the highest concurrency it allowed
+ */
+function countingLimit(concurrency) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    limit.maxActive = Math.max(limit.maxActive, active);
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  const limit = (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+  limit.maxActive = 0;
+  return limit;
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('tenant scheduling', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearTenantCache();
+    process.env = { ...originalEnv };
+    delete process.env.TENANT_DEFAULT_WEIGHT;
+    delete process.env.TENANT_PDF_CONCURRENCY;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('reads weight and cap from tenant metadata, falling back to defaults', async () => {
+    process.env.TENANT_PDF_CONCURRENCY = '3';
+    Tenant.findByPk.mockResolvedValueOnce({ metadata: { scheduling: { weight: 2, maxConcurrentPdf: 1 } } });
+    Tenant.findByPk.mockResolvedValueOnce({ metadata: { scheduling: { weight: 'heavy' } } });
+
+    await expect(getTenantSchedulingOptions('tenant-a')).resolves.toEqual({ weight: 2, maxConcurrentPdf: 1 });
+    await expect(getTenantSchedulingOptions('tenant-b')).resolves.toEqual({ weight: 1, maxConcurrentPdf: 3 });
+
+    // Cached
+    await getTenantSchedulingOptions('tenant-a');
+    expect(Tenant.findByPk).toHaveBeenCalledTimes(2);
+  });
+
+  test('caps a tenant without holding global slots for other tenants', async () => {
+    Tenant.findByPk.mockImplementation(async (id) => (
+      id === 'bulk' ? { metadata: { scheduling: { maxConcurrentPdf: 1 } } } : { metadata: {} }
+    ));
+
+    const globalLimit = countingLimit(2);
+    const limitTenantPdf = createTenantLimiter(countingLimit, globalLimit);
+
+    const order = [];
+    const job = (name) => async () => {
+      order.push(`start:${name}`);
+      await tick();
+      order.push(`end:${name}`);
+    };
+
+    await Promise.all([
+      limitTenantPdf('bulk', job('bulk-1')),
+      limitTenantPdf('bulk', job('bulk-2')),
+      limitTenantPdf('bulk', job('bulk-3')),
+      limitTenantPdf('api', job('api-1')),
+    ]);
+
+    // The API tenant's job starts before the bulk tenant's queue drains
+    expect(order.indexOf('start:api-1')).toBeLessThan(order.indexOf('start:bulk-2'));
+    // Never two bulk jobs at once
+    expect(order.indexOf('start:bulk-2')).toBeGreaterThan(order.indexOf('end:bulk-1'));
+    expect(order.indexOf('start:bulk-3')).toBeGreaterThan(order.indexOf('end:bulk-2'));
+    expect(globalLimit.maxActive).toBeLessThanOrEqual(2);
+  });
+});
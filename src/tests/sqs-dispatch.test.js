@@ -0,0 +1,263 @@
+/**
+ * Test SQS message parsing and the routing of actions to pipeline stages
+ */
+
+process.env.JOB_LEASE_REAPER_INTERVAL = '20';
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mockSqs = { receiveMessage: jest.fn(), deleteMessage: jest.fn(), changeMessageVisibility: jest.fn() };
+jest.mock('aws-sdk', () => ({ SQS: jest.fn(() => mockSqs) }));
+jest.mock('../services/jobService', () => ({
+  claimPendingJobs: jest.fn(),
+  getJobWithTemplate: jest.fn(),
+  updateJobStatus: jest.fn(),
+  markJobAsProcessing: jest.fn(),
+  renewJobLeases: jest.fn(),
+  releaseJobLeases: jest.fn(),
+  reapExpiredLeases: jest.fn(),
+  recordJobFailure: jest.fn(),
+  resetJobRetryState: jest.fn(),
+}));
+jest.mock('../services/pdfService', () => ({ generatePDF: jest.fn(), closeBrowser: jest.fn() }));
+jest.mock('../services/pipelineNotifier', () => ({
+  isNotifyEnabled: jest.fn(() => false),
+  isListening: jest.fn(() => false),
+  startListening: jest.fn(),
+  stopListening: jest.fn(),
+  waitForWork: jest.fn(),
+  notifyStage: jest.fn(),
+}));
+jest.mock('../services/schedulingService', () => ({
+  createTenantLimiter: () => (tenantId, fn) => fn(),
+  getJobTenantId: jest.fn(async () => 'tenant-1'),
+}));
+jest.mock('../services/batchService', () => ({ processMRUCalculation: jest.fn(), finalizeBatch: jest.fn() }));
+jest.mock('../services/revocationService', () => ({ processRevocationRequests: jest.fn() }));
+jest.mock('../services/stageLock', () => ({
+  withStageLock: jest.fn(async (stage, fn) => ({ acquired: true, result: await fn() })),
+}));
+jest.mock('../storage/StorageFactory', () => ({ getStorage: jest.fn(() => ({ getName: () => 'memory' })) }));
+jest.mock('../models/DocumentBatch', () => ({ findByPk: jest.fn() }));
+jest.mock('../models/DocumentJob', () => ({ findByPk: jest.fn() }));
+
+const { parseMessage, pollSQS } = require('../services/sqsService');
+const { dispatchMessage, startWorker, stopWorker } = require('../worker');
+const jobService = require('../services/jobService');
+const batchService = require('../services/batchService');
+const revocationService = require('../services/revocationService');
+const { withStageLock } = require('../services/stageLock');
+const DocumentBatch = require('../models/DocumentBatch');
+const DocumentJob = require('../models/DocumentJob');
+
+const ALL_ROLES = ['render', 'mri', 'mru', 'qr', 'embed'];
+
+function sqsMessage(body) {
+  return { MessageId: 'm-1', ReceiptHandle: 'r-1', Body: JSON.stringify(body) };
+}
+
+function awsResult(value) {
+  return { promise: () => Promise.resolve(value) };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('parseMessage', () => {
+  test('treats a message without an action as generate_certificate', () => {
+    expect(parseMessage(sqsMessage({ jobId: 'job-1' }))).toEqual({ action: 'generate_certificate', jobId: 'job-1' });
+  });
+
+  test('unwraps SNS notifications', () => {
+    const message = sqsMessage({ Message: JSON.stringify({ action: 'finalize_batch', batchId: 'batch-1' }) });
+    expect(parseMessage(message)).toEqual({ action: 'finalize_batch', batchId: 'batch-1' });
+  });
+
+  test('accepts every action with its identifier', () => {
+    expect(parseMessage(sqsMessage({ action: 'anchor' }))).toEqual({ action: 'anchor' });
+    expect(parseMessage(sqsMessage({ action: 'revoke' }))).toEqual({ action: 'revoke' });
+    expect(parseMessage(sqsMessage({ action: 'embed_qr', jobId: 'job-1' }))).toEqual({ action: 'embed_qr', jobId: 'job-1' });
+  });
+
+  test('rejects unknown actions, missing identifiers and invalid JSON', () => {
+    expect(() => parseMessage(sqsMessage({ action: 'print' }))).toThrow('Invalid message format: Unknown action: print');
+    expect(() => parseMessage(sqsMessage({ action: 'embed_qr' }))).toThrow('Missing jobId in embed_qr message');
+    expect(() => parseMessage({ Body: '{' })).toThrow(/^Invalid message format/);
+  });
+});
+
+describe('dispatchMessage', () => {
+  test('renders the job of a generate_certificate message', async () => {
+    jobService.markJobAsProcessing.mockResolvedValue(false);
+
+    await dispatchMessage({ action: 'generate_certificate', jobId: 'job-1' }, ALL_ROLES);
+
+    expect(jobService.markJobAsProcessing).toHaveBeenCalledWith('job-1', expect.any(String), expect.any(Number));
+  });
+
+  test('keeps the message of a job another consumer holds the lease for until it can be reaped', async () => {
+    jobService.markJobAsProcessing.mockResolvedValue(false);
+    DocumentJob.findByPk.mockResolvedValueOnce({
+      id: 'job-1', status: 'Processing', lockedBy: 'crashed-worker', leaseExpiresAt: new Date(Date.now() + 60000),
+    });
+
+    const error = await dispatchMessage({ action: 'generate_certificate', jobId: 'job-1' }, ALL_ROLES).catch(rejection => rejection);
+
+    expect(error.message).toBe('Job job-1 is leased by crashed-worker');
+    // Lease left plus one reaper interval, in whole seconds
+    expect(error.visibilityTimeout).toBe(61);
+
+    DocumentJob.findByPk.mockResolvedValueOnce({ id: 'job-1', status: 'PendingSigning', lockedBy: null });
+    await expect(dispatchMessage({ action: 'generate_certificate', jobId: 'job-1' }, ALL_ROLES)).resolves.toBeUndefined();
+  });
+
+  test('keeps the message of a rescheduled render until the retry is due', async () => {
+    jobService.markJobAsProcessing.mockResolvedValue(true);
+    jobService.getJobWithTemplate.mockRejectedValue(new Error('read ECONNRESET'));
+
+    jobService.recordJobFailure.mockResolvedValueOnce({ retry: true, nextAttemptAt: new Date(Date.now() + 30000) });
+    const error = await dispatchMessage({ action: 'generate_certificate', jobId: 'job-1' }, ALL_ROLES).catch(rejection => rejection);
+
+    expect(error.message).toBe('read ECONNRESET');
+    expect(error.visibilityTimeout).toBe(30);
+    expect(jobService.recordJobFailure).toHaveBeenCalledWith('job-1', error, expect.objectContaining({ stage: 'render', retryStatus: 'Pending' }));
+
+    // Failed and dead-lettered jobs are final: the message is dropped
+    jobService.recordJobFailure.mockResolvedValueOnce({ retry: false, nextAttemptAt: null });
+    await expect(dispatchMessage({ action: 'generate_certificate', jobId: 'job-1' }, ALL_ROLES)).resolves.toBeUndefined();
+  });
+
+  test('hands actions of a stage this process does not run straight back', async () => {
+    const error = await dispatchMessage({ action: 'anchor' }, ['render']).catch(rejection => rejection);
+
+    expect(error.message).toBe("Action 'anchor' requires worker role 'mru' (enabled: render)");
+    expect(error).toMatchObject({ code: 'ROLE_NOT_ENABLED', visibilityTimeout: 0 });
+    expect(batchService.processMRUCalculation).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown actions', async () => {
+    await expect(dispatchMessage({ action: 'print' }, ALL_ROLES)).rejects.toThrow('Unknown action: print');
+  });
+
+  test('finalize_batch skips finalized batches and fails for missing ones', async () => {
+    DocumentBatch.findByPk.mockResolvedValueOnce({ id: 'batch-1', merkleRoot: 'aa'.repeat(32) });
+    await dispatchMessage({ action: 'finalize_batch', batchId: 'batch-1' }, ALL_ROLES);
+    expect(batchService.finalizeBatch).not.toHaveBeenCalled();
+
+    DocumentBatch.findByPk.mockResolvedValueOnce(null);
+    await expect(dispatchMessage({ action: 'finalize_batch', batchId: 'batch-2' }, ALL_ROLES))
+      .rejects.toThrow('Batch not found: batch-2');
+  });
+
+  test('anchor is redelivered until the anchoring transaction is confirmed', async () => {
+    batchService.processMRUCalculation.mockResolvedValueOnce({ processed: 1, anchorStatus: null });
+    await expect(dispatchMessage({ action: 'anchor' }, ALL_ROLES)).rejects.toThrow('MRU calculated but not anchored yet');
+
+    batchService.processMRUCalculation.mockResolvedValueOnce({ processed: 1, anchorStatus: 'PendingConfirmation' });
+    await expect(dispatchMessage({ action: 'anchor' }, ALL_ROLES))
+      .rejects.toThrow('Anchoring transactions are waiting for confirmations');
+
+    batchService.processMRUCalculation.mockResolvedValueOnce({ processed: 1, anchorStatus: 'Confirmed', pendingAnchors: 0 });
+    await expect(dispatchMessage({ action: 'anchor' }, ALL_ROLES)).resolves.toBeUndefined();
+    expect(withStageLock).toHaveBeenCalledWith('anchor', expect.any(Function));
+  });
+
+  test('anchor and revoke are redelivered while another node holds the stage lock', async () => {
+    withStageLock.mockResolvedValue({ acquired: false, result: null });
+
+    await expect(dispatchMessage({ action: 'anchor' }, ALL_ROLES)).rejects.toThrow('Anchoring is running on another node');
+    await expect(dispatchMessage({ action: 'revoke' }, ALL_ROLES))
+      .rejects.toThrow('Revocations are being submitted on another node');
+    expect(withStageLock.mock.calls.map(([stage]) => stage)).toEqual(['anchor', 'revoke']);
+
+    withStageLock.mockImplementation(async (stage, fn) => ({ acquired: true, result: await fn() }));
+  });
+
+  test('revoke is redelivered while submissions are retried', async () => {
+    revocationService.processRevocationRequests.mockResolvedValueOnce({ retrying: 2 });
+    await expect(dispatchMessage({ action: 'revoke' }, ALL_ROLES)).rejects.toThrow('2 revocation request(s) will be retried');
+
+    revocationService.processRevocationRequests.mockResolvedValueOnce({ retrying: 0 });
+    await expect(dispatchMessage({ action: 'revoke' }, ALL_ROLES)).resolves.toBeUndefined();
+  });
+
+  test('embed_qr waits for the confirmation depth and skips halted batches', async () => {
+    DocumentJob.findByPk.mockResolvedValue({ id: 'job-1', batchId: 'batch-1', qrCodePath: null });
+
+    DocumentBatch.findByPk.mockResolvedValueOnce({ id: 'batch-1', status: 'Processing', anchorStatus: 'PendingConfirmation' });
+    await expect(dispatchMessage({ action: 'embed_qr', jobId: 'job-1' }, ALL_ROLES))
+      .rejects.toThrow('Batch batch-1 is not anchored with enough confirmations yet (PendingConfirmation)');
+
+    DocumentBatch.findByPk.mockResolvedValueOnce({ id: 'batch-1', status: 'Paused', anchorStatus: 'Confirmed' });
+    await expect(dispatchMessage({ action: 'embed_qr', jobId: 'job-1' }, ALL_ROLES)).resolves.toBeUndefined();
+    expect(jobService.recordJobFailure).not.toHaveBeenCalled();
+
+    DocumentJob.findByPk.mockResolvedValueOnce(null);
+    await expect(dispatchMessage({ action: 'embed_qr', jobId: 'job-2' }, ALL_ROLES)).rejects.toThrow('Job not found: job-2');
+  });
+});
+
+describe('pollSQS', () => {
+  test('deletes handled messages, resets the visibility of handed-back ones and keeps failed ones', async () => {
+    mockSqs.receiveMessage.mockReturnValue(awsResult({
+      Messages: [
+        { MessageId: 'done', ReceiptHandle: 'r-done' },
+        { MessageId: 'other-role', ReceiptHandle: 'r-other' },
+        { MessageId: 'failed', ReceiptHandle: 'r-failed' },
+      ],
+    }));
+    mockSqs.deleteMessage.mockReturnValue(awsResult({}));
+    mockSqs.changeMessageVisibility.mockReturnValue(awsResult({}));
+
+    await pollSQS('https://queue', async (message) => {
+      if (message.MessageId === 'other-role') {
+        throw Object.assign(new Error('not mine'), { visibilityTimeout: 0 });
+      }
+      if (message.MessageId === 'failed') {
+        throw new Error('boom');
+      }
+    });
+
+    expect(mockSqs.deleteMessage).toHaveBeenCalledTimes(1);
+    expect(mockSqs.deleteMessage).toHaveBeenCalledWith({ QueueUrl: 'https://queue', ReceiptHandle: 'r-done' });
+    expect(mockSqs.changeMessageVisibility).toHaveBeenCalledTimes(1);
+    expect(mockSqs.changeMessageVisibility).toHaveBeenCalledWith({ QueueUrl: 'https://queue', ReceiptHandle: 'r-other', VisibilityTimeout: 0 });
+  });
+});
+
+describe('startWorker in SQS mode', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    Object.assign(process.env, { WORKER_MODE: 'sqs', SQS_QUEUE_URL: 'https://queue' });
+    mockSqs.receiveMessage.mockImplementation(() => ({ promise: () => new Promise(resolve => setTimeout(() => resolve({}), 5)) }));
+    jobService.reapExpiredLeases.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  async function runWorker(roles) {
+    process.env.WORKER_ROLES = roles;
+    const running = startWorker();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await stopWorker();
+    await running;
+  }
+
+  test('runs the lease reaper next to the render consumer', async () => {
+    await runWorker('render');
+
+    expect(mockSqs.receiveMessage).toHaveBeenCalledWith(expect.objectContaining({ QueueUrl: 'https://queue' }));
+    expect(jobService.reapExpiredLeases).toHaveBeenCalledWith(120000);
+  });
+
+  test('does not reap leases without the render role', async () => {
+    await runWorker('mru');
+
+    expect(mockSqs.receiveMessage).toHaveBeenCalled();
+    expect(jobService.reapExpiredLeases).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Test the advisory locks that keep the mru stage on one node and the worker
+ * key's nonces in order
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mockSequelize = {
+  transaction: jest.fn(async (fn) => fn('tx')),
+  query: jest.fn(),
+};
+jest.mock('../config/database', () => ({ sequelize: mockSequelize }));
+
+const { withStageLock, withSignerLock, STAGE_LOCKS } = require('../services/stageLock');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('withStageLock', () => {
+  test('runs the pass inside the transaction that holds the lock', async () => {
+    mockSequelize.query.mockResolvedValue([[{ acquired: true }]]);
+    const pass = jest.fn(async () => ({ processed: 2 }));
+
+    await expect(withStageLock('anchor', pass)).resolves.toEqual({ acquired: true, result: { processed: 2 } });
+
+    expect(mockSequelize.query).toHaveBeenCalledWith(
+      'SELECT pg_try_advisory_xact_lock(hashtext(:name)) AS acquired',
+      { replacements: { name: STAGE_LOCKS.anchor }, transaction: 'tx' }
+    );
+    expect(pass).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips the pass while another node holds the lock', async () => {
+    mockSequelize.query.mockResolvedValue([[{ acquired: false }]]);
+    const pass = jest.fn();
+
+    await expect(withStageLock('revoke', pass)).resolves.toEqual({ acquired: false, result: null });
+    expect(pass).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown stages', async () => {
+    await expect(withStageLock('render', jest.fn())).rejects.toThrow('Unknown stage lock: render');
+  });
+});
+
+describe('withSignerLock', () => {
+  test('waits for the lock of the key on the chain, then runs fn in its transaction', async () => {
+    mockSequelize.query.mockResolvedValue([[]]);
+    const send = jest.fn(async () => '0xhash');
+
+    await expect(withSignerLock('0xABCDEF', 80002, send)).resolves.toBe('0xhash');
+
+    expect(mockSequelize.query).toHaveBeenCalledWith(
+      'SELECT pg_advisory_xact_lock(hashtext(:name))',
+      { replacements: { name: 'justifai:signer:80002:0xabcdef' }, transaction: 'tx' }
+    );
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('passes the error of fn on, which rolls the transaction back and releases the lock', async () => {
+    mockSequelize.query.mockResolvedValue([[]]);
+
+    await expect(withSignerLock('0xabcdef', 80002, async () => {
+      throw new Error('nonce too low');
+    })).rejects.toThrow('nonce too low');
+  });
+});
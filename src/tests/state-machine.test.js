@@ -0,0 +1,111 @@
+/**
+ * Test DocumentJob / DocumentBatch state machine
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/eventService', () => ({ recordJobEvent: jest.fn(), recordBatchEvent: jest.fn() }));
+
+const { canTransition, assertTransition, transition } = require('../services/stateMachine');
+const eventService = require('../services/eventService');
+
+/**
+ * Minimal stand-in for a Sequelize instance of the given model name
+ */
+function fakeEntity(modelName, values, affectedRows = 1) {
+  const Model = { [modelName]: class {} }[modelName];
+  Model.update = jest.fn().mockResolvedValue([affectedRows]);
+
+  const entity = new Model();
+  entity.id = values.id;
+  entity.values = { ...values };
+  entity.get = (key) => (typeof key === 'string' ? entity.values[key] : { ...entity.values });
+  entity.set = (updates) => Object.assign(entity.values, updates);
+  return { entity, Model };
+}
+
+const signedJob = {
+  id: 'job-1',
+  status: 'PendingSigning',
+  certificatePath: 'certificates/job-1.pdf',
+  fingerprintHash: '0xabc',
+};
+
+describe('canTransition', () => {
+  test('follows the job transition table', () => {
+    expect(canTransition('DocumentJob', 'Pending', 'Processing')).toBe(true);
+    expect(canTransition('DocumentJob', 'PendingSigning', 'Generated')).toBe(true);
+    expect(canTransition('DocumentJob', 'Generated', 'Pending')).toBe(true); // re-render
+    expect(canTransition('DocumentJob', 'Cancelled', 'Pending')).toBe(false);
+    expect(canTransition('DocumentJob', 'Pending', 'Completed')).toBe(false);
+  });
+
+  test('handles batch signingStatus starting from null', () => {
+    expect(canTransition('DocumentBatch', null, 'Signed', 'signingStatus')).toBe(true);
+    expect(canTransition('DocumentBatch', 'Finalized', 'Signed', 'signingStatus')).toBe(false);
+  });
+});
+
+describe('assertTransition', () => {
+  test('rejects Generated without a merkle leaf', () => {
+    expect(() => assertTransition('DocumentJob', { ...signedJob, issuerSignature: '0x1' }, 'PendingSigning', 'Generated'))
+      .toThrow(/missing merkleLeaf/);
+  });
+
+  test('completes a batch anchored on chain by its txHash and a timestamped one by its proof', () => {
+    const batch = { id: 'batch-1', merkleRootUltimate: '0xmru' };
+
+    expect(() => assertTransition('DocumentBatch', { ...batch, anchorBackend: 'polygon', txHash: '0xtx' }, 'Processing', 'Completed'))
+      .not.toThrow();
+    expect(() => assertTransition('DocumentBatch', { ...batch, txHash: '0xtx' }, 'Processing', 'Completed')).not.toThrow();
+    expect(() => assertTransition('DocumentBatch', { ...batch, anchorBackend: 'rfc3161', anchorProof: { token: 't' } }, 'Processing', 'Completed'))
+      .not.toThrow();
+    expect(() => assertTransition('DocumentBatch', { ...batch, anchorBackend: 'opentimestamps' }, 'Processing', 'Completed'))
+      .toThrow(/missing anchor/);
+    expect(() => assertTransition('DocumentBatch', { ...batch, anchorBackend: 'polygon', anchorProof: { token: 't' } }, 'Processing', 'Completed'))
+      .toThrow(/missing anchor/);
+  });
+
+  test('marks illegal transitions as permanent errors', () => {
+    try {
+      assertTransition('DocumentJob', signedJob, 'Cancelled', 'Pending');
+      throw new Error('expected to throw');
+    } catch (error) {
+      expect(error.code).toBe('INVALID_TRANSITION');
+      expect(error.transient).toBe(false);
+    }
+  });
+});
+
+describe('transition', () => {
+  test('writes the new state conditionally and records the transition', async () => {
+    const { entity, Model } = fakeEntity('DocumentJob', signedJob);
+
+    const applied = await transition(entity, 'Generated', {
+      updates: { issuerSignature: '0x1', merkleLeaf: '0x2' },
+      actor: 'signer',
+      reason: 'signature submitted',
+    });
+
+    expect(applied).toBe(true);
+    const [values, options] = Model.update.mock.calls[0];
+    expect(values).toMatchObject({ status: 'Generated', merkleLeaf: '0x2' });
+    expect(values.lastTransition).toMatchObject({ from: 'PendingSigning', to: 'Generated', actor: 'signer' });
+    expect(options.where).toEqual({ id: 'job-1', status: 'PendingSigning' });
+    expect(entity.get('status')).toBe('Generated');
+    expect(eventService.recordJobEvent).toHaveBeenCalledWith(entity, expect.objectContaining({
+      event: 'transition',
+      fromStatus: 'PendingSigning',
+      toStatus: 'Generated',
+      actor: 'signer',
+    }));
+  });
+
+  test('returns false when the entity changed concurrently', async () => {
+    const { entity } = fakeEntity('DocumentJob', signedJob, 0);
+
+    const applied = await transition(entity, 'Generated', { updates: { issuerSignature: '0x1', merkleLeaf: '0x2' } });
+
+    expect(applied).toBe(false);
+    expect(entity.get('status')).toBe('PendingSigning');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Test the on-chain verifyDocument / verifyDocumentSimple static calls
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mockContract = {
+  callStatic: {
+    verifyDocument: jest.fn(),
+    verifyDocumentSimple: jest.fn(),
+  },
+};
+
+jest.mock('ethers', () => {
+  const { ethers } = jest.requireActual('ethers');
+  return {
+    ethers: {
+      ...ethers,
+      providers: { JsonRpcProvider: class {} },
+      Contract: class {
+        constructor() { return mockContract; }
+      },
+    },
+  };
+});
+
+const { ethers } = require('ethers');
+const { verifyDocumentOnChain } = require('../services/blockchainService');
+
+const LEAF = 'aa'.repeat(32);
+const MRI = 'bb'.repeat(32);
+const MRU = 'cc'.repeat(32);
+const SIBLING = 'dd'.repeat(32);
+const DI_HASH = '0x' + 'ee'.repeat(32);
+const SI = '12'.repeat(65);
+
+function proof(values) {
+  return {
+    leaf: LEAF,
+    mpiProof: [SIBLING],
+    mpuProof: [{ data: MRU }],
+    mri: MRI,
+    mru: MRU,
+    timeWindow: '1700000000',
+    issuerId: 'issuer-1',
+    diHash: DI_HASH,
+    signature: SI,
+    issuanceTimestamp: '1700000000',
+    Ed: 1800000000,
+    Ei: null,
+    ...values,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('verifyDocumentOnChain', () => {
+  test('runs the full verifyDocument with the VD values', async () => {
+    mockContract.callStatic.verifyDocument.mockResolvedValue(true);
+
+    const result = await verifyDocumentOnChain(proof(), { network: 'polygon-amoy' });
+
+    expect(result).toEqual({ checked: true, method: 'verifyDocument', valid: true });
+    expect(mockContract.callStatic.verifyDocument).toHaveBeenCalledWith(
+      '0x' + LEAF,
+      ['0x' + SIBLING],
+      ['0x' + MRU],
+      '0x' + MRI,
+      '0x' + MRU,
+      '1700000000',
+      ethers.utils.id('issuer-1'),
+      DI_HASH,
+      '0x' + SI,
+      '1700000000',
+      '1800000000',
+      '0'
+    );
+  });
+
+  test('falls back to verifyDocumentSimple without a diHash', async () => {
+    mockContract.callStatic.verifyDocumentSimple.mockResolvedValue(false);
+
+    const result = await verifyDocumentOnChain(proof({ diHash: null }));
+
+    expect(result).toEqual({ checked: true, method: 'verifyDocumentSimple', valid: false });
+    expect(mockContract.callStatic.verifyDocumentSimple.mock.calls[0]).toHaveLength(7);
+    expect(mockContract.callStatic.verifyDocument).not.toHaveBeenCalled();
+  });
+
+  test('reports a revert with a reason as a rejection', async () => {
+    mockContract.callStatic.verifyDocument.mockRejectedValue(
+      Object.assign(new Error('call revert exception'), { code: 'CALL_EXCEPTION', reason: 'Root not anchored' })
+    );
+
+    const result = await verifyDocumentOnChain(proof());
+
+    expect(result).toEqual({ checked: true, method: 'verifyDocument', valid: false, reason: 'Root not anchored' });
+  });
+
+  test('reports a call that could not be made as unchecked', async () => {
+    mockContract.callStatic.verifyDocument.mockRejectedValue(
+      Object.assign(new Error('missing revert data in call exception'), { code: 'CALL_EXCEPTION' })
+    );
+
+    const result = await verifyDocumentOnChain(proof());
+
+    expect(result).toMatchObject({ checked: false, valid: null, error: expect.stringMatching(/missing revert data/) });
+  });
+
+  test('rejects malformed proof values without calling the contract', async () => {
+    const result = await verifyDocumentOnChain(proof({ mri: 'not-hex' }));
+
+    expect(result).toMatchObject({ checked: false, error: expect.stringMatching(/Invalid MRI format/) });
+    expect(mockContract.callStatic.verifyDocument).not.toHaveBeenCalled();
+  });
+});
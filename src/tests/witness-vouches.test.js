@@ -0,0 +1,216 @@
+/**
+ * Collect witness vouches for an issuer on a local chain (harness/localChain.js):
+ * signatures from configured witness keys and from the witness webhook, the
+ * vouch transactions, and the tenant mirror
+ */
+
+jest.mock('../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/stageLock', () => require('./harness/memoryLocks'));
+jest.mock('../models/Tenant', () => require('./harness/memoryModels').defineModel('Tenant', { metadata: {} }));
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { clearModels } = require('./harness/memoryModels');
+const { startLocalChain } = require('./harness/localChain');
+const Tenant = require('../models/Tenant');
+const cryptoService = require('../services/cryptoService');
+const blockchainService = require('../services/blockchainService');
+const issuerRegistryService = require('../services/issuerRegistryService');
+const networks = require('../config/networks');
+
+const ENV_KEYS = [
+  'ANCHOR_NETWORK', 'ANCHORSTORE_ADDRESS', 'RPC_URLS_POLYGON_AMOY', 'AMOY_RPC_URL', 'RPC_QUORUM', 'PRIVATE_KEY',
+  'WITNESS_PRIVATE_KEYS', 'WITNESS_WEBHOOK_URL', 'WITNESS_WEBHOOK_TOKEN',
+];
+const WEBHOOK_URL = 'http://witness.test/vouch';
+const saved = {};
+let chain;
+let issuerCount = 0;
+
+async function mined(txPromise) {
+  return (await txPromise).wait();
+}
+
+/**
+ * A witness account with gas and, unless told otherwise, WITNESS_ROLE
+ */
+async function newWitness({ role = true } = {}) {
+  const wallet = ethers.Wallet.createRandom();
+  await mined(chain.anchorStore.signer.sendTransaction({ to: wallet.address, value: ethers.utils.parseEther('1') }));
+  if (role) {
+    await mined(chain.anchorStore.addWitness(wallet.address));
+  }
+  return wallet;
+}
+
+/**
+ * A tenant registered as an issuer on the local chain
+ */
+async function registeredTenant() {
+  const issuerId = `vouched-issuer-${++issuerCount}`;
+  const publicKey = cryptoService.derivePublicKey(ethers.utils.hexlify(ethers.utils.randomBytes(32)).slice(2));
+  await chain.registerIssuer(issuerId, publicKey);
+  return Tenant.create({
+    publicKey,
+    metadata: {
+      issuer: {
+        issuerId,
+        anchorIssuerId: blockchainService.issuerIdToBytes32(issuerId),
+        network: chain.network,
+        keys: [],
+      },
+    },
+  });
+}
+
+beforeAll(async () => {
+  chain = await startLocalChain();
+}, 120000);
+
+afterAll(async () => {
+  if (chain) await chain.stop();
+});
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  clearModels();
+  chain.connectWorker();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+  networks.resetNetworks();
+});
+
+describe('witness vouches', () => {
+  test('the vouch message binds the issuer to the chain and the AnchorStore deployment', () => {
+    const request = blockchainService.vouchMessage('issuer-1');
+
+    expect(request).toMatchObject({
+      issuerId: ethers.utils.id('issuer-1'),
+      network: chain.network,
+      chainId: chain.chainId,
+      anchorStore: chain.anchorStore.address,
+    });
+    expect(ethers.utils.hexlify(request.message)).toBe(ethers.utils.solidityKeccak256(
+      ['bytes32', 'uint256', 'address'], [ethers.utils.id('issuer-1'), chain.chainId, chain.anchorStore.address]
+    ));
+    expect(request.messageHash).toBe(ethers.utils.hashMessage(request.message));
+  });
+
+  test('submits the vouches of witness keys and webhook witnesses and mirrors the count', async () => {
+    const tenant = await registeredTenant();
+    const keyWitnesses = [await newWitness(), await newWitness()];
+    const webhookWitness = await newWitness();
+    const outsider = await newWitness({ role: false });
+    process.env.WITNESS_PRIVATE_KEYS = keyWitnesses.map(wallet => wallet.privateKey).join(',');
+    process.env.WITNESS_WEBHOOK_URL = WEBHOOK_URL;
+    process.env.WITNESS_WEBHOOK_TOKEN = 'witness-token';
+
+    const post = jest.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+      const message = ethers.utils.arrayify(body.message);
+      return {
+        data: {
+          signatures: [
+            { witness: webhookWitness.address, signature: await webhookWitness.signMessage(message) },
+            // Signed by someone else than the witness it claims to be
+            { witness: webhookWitness.address, signature: await outsider.signMessage(message) },
+            // Valid signature, but no WITNESS_ROLE
+            { witness: outsider.address, signature: await outsider.signMessage(message) },
+          ],
+        },
+      };
+    });
+
+    const result = await issuerRegistryService.vouchForIssuer(tenant.id, { actor: 'test' });
+
+    const anchorIssuerId = tenant.metadata.issuer.anchorIssuerId;
+    expect(post).toHaveBeenCalledWith(WEBHOOK_URL, expect.objectContaining({
+      tenantId: tenant.id,
+      anchorIssuerId,
+      chainId: chain.chainId,
+      anchorStore: chain.anchorStore.address,
+      vouched: [],
+    }), expect.objectContaining({ headers: { Authorization: 'Bearer witness-token' } }));
+
+    expect(result).toMatchObject({ tenantId: tenant.id, anchorIssuerId, network: chain.network, vouchCount: 3 });
+    const byStatus = status => result.results.filter(entry => entry.status === status);
+    expect(byStatus('vouched').map(entry => entry.witness).sort())
+      .toEqual([...keyWitnesses, webhookWitness].map(wallet => wallet.address).sort());
+    expect(byStatus('failed')).toEqual([
+      expect.objectContaining({ witness: webhookWitness.address, source: 'webhook', error: expect.stringMatching(/does not recover/) }),
+      expect.objectContaining({ witness: outsider.address, source: 'webhook', error: expect.stringMatching(/NotWitness/) }),
+    ]);
+
+    // Key witnesses paid for their own vouch; the webhook signature was relayed by the worker
+    const keyVouch = byStatus('vouched').find(entry => entry.source === 'key');
+    expect((await chain.provider.getTransaction(keyVouch.txHash)).from).toBe(keyVouch.witness);
+    const relayed = byStatus('vouched').find(entry => entry.source === 'webhook');
+    expect((await chain.provider.getTransaction(relayed.txHash)).from).toBe(chain.address);
+
+    expect((await chain.anchorStore.getVouchCount(anchorIssuerId)).toNumber()).toBe(3);
+    const mirrored = (await Tenant.findByPk(tenant.id)).metadata.issuer;
+    expect(mirrored.vouches).toMatchObject({ count: 3 });
+    expect(mirrored.vouches.witnesses).toHaveLength(3);
+    expect(issuerRegistryService.recordedVouchCount(await Tenant.findByPk(tenant.id), anchorIssuerId)).toBe(3);
+    expect(issuerRegistryService.recordedVouchCount(await Tenant.findByPk(tenant.id), ethers.constants.HashZero)).toBeNull();
+
+    // A second run finds every configured witness vouched
+    post.mockResolvedValue({ data: { signatures: [] } });
+    const again = await issuerRegistryService.vouchForIssuer(tenant.id);
+
+    expect(again.vouchCount).toBe(3);
+    expect(again.results).toEqual([
+      expect.objectContaining({ witness: keyWitnesses[0].address, status: 'already_vouched' }),
+      expect.objectContaining({ witness: keyWitnesses[1].address, status: 'already_vouched' }),
+    ]);
+    expect(post.mock.calls[1][1].vouched).toHaveLength(3);
+  }, 60000);
+
+  test('reports a failing webhook and still submits the key witnesses', async () => {
+    const tenant = await registeredTenant();
+    const witness = await newWitness();
+    process.env.WITNESS_PRIVATE_KEYS = witness.privateKey;
+    process.env.WITNESS_WEBHOOK_URL = WEBHOOK_URL;
+    jest.spyOn(axios, 'post').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const result = await issuerRegistryService.vouchForIssuer(tenant.id);
+
+    expect(result.vouchCount).toBe(1);
+    expect(result.results).toEqual([
+      expect.objectContaining({ witness: null, source: 'webhook', status: 'failed', error: expect.stringMatching(/ECONNREFUSED/) }),
+      expect.objectContaining({ witness: witness.address, source: 'key', status: 'vouched' }),
+    ]);
+  }, 60000);
+
+  test('refuses to run without witnesses or for unregistered tenants', async () => {
+    const tenant = await registeredTenant();
+    await expect(issuerRegistryService.vouchForIssuer(tenant.id)).rejects.toMatchObject({ code: 'WITNESSES_NOT_CONFIGURED' });
+
+    process.env.WITNESS_PRIVATE_KEYS = ethers.Wallet.createRandom().privateKey;
+    const unregistered = await Tenant.create({ metadata: {} });
+    await expect(issuerRegistryService.vouchForIssuer(unregistered.id)).rejects.toMatchObject({ code: 'ISSUER_NOT_REGISTERED' });
+  }, 60000);
+
+  test('sync mirrors the on-chain vouches', async () => {
+    const tenant = await registeredTenant();
+    const witness = await newWitness();
+    const request = blockchainService.vouchMessage(tenant.metadata.issuer.issuerId);
+    await mined(chain.anchorStore.vouch(request.issuerId, await witness.signMessage(request.message)));
+
+    expect(await blockchainService.getIssuerVouches(request.issuerId)).toMatchObject({
+      checked: true,
+      count: 1,
+      vouches: [{ witness: witness.address, timestamp: expect.any(Number) }],
+    });
+    const synced = await issuerRegistryService.syncIssuerKeys(tenant.id);
+    expect(synced.vouches).toMatchObject({ count: 1, witnesses: [{ witness: witness.address }] });
+  }, 60000);
+});
@@ -0,0 +1,94 @@
+/**
+ * Test worker configuration parsing (WORKER_MODE / WORKER_ROLES)
+ */
+
+const { getWorkerMode, getWorkerRoles, getQueueUrls, WORKER_ROLES } = require('../config/worker');
+
+describe('getWorkerRoles', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('enables every stage when unset or "all"', () => {
+    expect(getWorkerRoles('')).toEqual(WORKER_ROLES);
+    expect(getWorkerRoles(undefined)).toEqual(WORKER_ROLES);
+    expect(getWorkerRoles('all')).toEqual(WORKER_ROLES);
+  });
+
+  test('returns only the listed stages in pipeline order', () => {
+    expect(getWorkerRoles('embed, render')).toEqual(['render', 'embed']);
+  });
+
+  test('maps anchor to the mru stage without duplicating it', () => {
+    expect(getWorkerRoles('mru,anchor')).toEqual(['mru']);
+  });
+
+  test('ignores unknown roles', () => {
+    expect(getWorkerRoles('qr,bogus')).toEqual(['qr']);
+    expect(getWorkerRoles('bogus')).toEqual(WORKER_ROLES);
+  });
+});
+
+describe('getWorkerMode', () => {
+  const original = process.env.WORKER_MODE;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.WORKER_MODE;
+    else process.env.WORKER_MODE = original;
+    jest.restoreAllMocks();
+  });
+
+  test('defaults to polling', () => {
+    delete process.env.WORKER_MODE;
+    expect(getWorkerMode()).toBe('polling');
+  });
+
+  test('accepts sqs and falls back on unknown values', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.WORKER_MODE = 'SQS';
+    expect(getWorkerMode()).toBe('sqs');
+    process.env.WORKER_MODE = 'kafka';
+    expect(getWorkerMode()).toBe('polling');
+  });
+});
+
+describe('getQueueUrls', () => {
+  const keys = ['SQS_QUEUE_URL', 'SQS_QUEUE_URL_RENDER', 'SQS_QUEUE_URL_MRU'];
+  const saved = {};
+
+  beforeEach(() => {
+    for (const key of keys) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+  });
+
+  afterEach(() => {
+    for (const key of keys) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  test('gives roles their own queue and lets the others share SQS_QUEUE_URL', () => {
+    process.env.SQS_QUEUE_URL = 'https://sqs/shared';
+    process.env.SQS_QUEUE_URL_MRU = 'https://sqs/mru';
+
+    expect(getQueueUrls(['render', 'mri', 'mru'])).toEqual([
+      { url: 'https://sqs/shared', roles: ['render', 'mri'] },
+      { url: 'https://sqs/mru', roles: ['mru'] },
+    ]);
+  });
+
+  test('requires a queue for every role', () => {
+    process.env.SQS_QUEUE_URL_RENDER = 'https://sqs/render';
+
+    expect(getQueueUrls(['render'])).toEqual([{ url: 'https://sqs/render', roles: ['render'] }]);
+    expect(() => getQueueUrls(['render', 'embed']))
+      .toThrow('SQS_QUEUE_URL or SQS_QUEUE_URL_EMBED is required when WORKER_MODE=sqs');
+  });
+});
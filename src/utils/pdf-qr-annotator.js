@@ -456,28 +456,6 @@ function decodeUTF16BE(hexString) {
     return hexString;
   }
 }
-function decodeUTF16BE(hexString) {
-  try {
-    // Remove BOM if present (FEFF)
-    let hex = hexString.toUpperCase();
-    if (hex.startsWith('FEFF')) {
-      hex = hex.substring(4);
-    }
-    
-    // Convert hex string to bytes (each 2 hex chars = 1 byte)
-    const bytes = [];
-    for (let i = 0; i < hex.length; i += 2) {
-      const byte = parseInt(hex.substring(i, i + 2), 16);
-      bytes.push(byte);
-    }
-    
-    // Convert bytes to string using UTF-16BE encoding
-    return Buffer.from(bytes).toString('utf16be');
-  } catch (error) {
-    // If decoding fails, return original
-    return hexString;
-  }
-}
 /**
  * Extract embedded original PDF from QR-embedded PDF
  * 
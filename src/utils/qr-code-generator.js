@@ -75,6 +75,9 @@ function generateQRCodePayload(job, batch, template) {
 
     txHash: batch.txHash || null,
     network: batch.network || null,
+    chainId: batch.chainId || null,
+    // 'direct': L itself is anchored (anchor / anchorBatch), there is no MPI / MRI / MPU / MRU
+    proofType: batch.proofType || 'merkle',
     // Proof positions are unnecessary because verification uses sorted-pairs.
     // Keeping only the sibling hashes makes the QR significantly smaller.
     MPU: (job.merkleProofUltimate || []).map((p) => (typeof p === 'string' ? p : p?.data)).filter(Boolean),
@@ -237,6 +240,7 @@ async function generateQRCodeImage(payload, outputPath) {
  */
 async function generateQRCodeForJob(jobId, options = {}) {
   const embedInPDF = options.embedInPDF === true; // Default to false - handled by separate worker
+  const startedAt = Date.now();
 
   try {
     // Fetch job with batch details
@@ -250,6 +254,13 @@ async function generateQRCodeForJob(jobId, options = {}) {
       throw new Error(`Batch not found for job: ${jobId}`);
     }
 
+    const { isBatchHalted } = require('../services/batchControlService');
+    if (isBatchHalted(batch)) {
+      const error = new Error(`Batch ${batch.id} is ${batch.status} - not generating QR code`);
+      error.transient = false;
+      throw error;
+    }
+
     const template = batch.templateId ? await DocumentTemplate.findByPk(batch.templateId) : null;
 
     // QR v2 preview depends on template hash + templateId being correct.
@@ -316,6 +327,14 @@ async function generateQRCodeForJob(jobId, options = {}) {
 
     // Update job with QR code path
     await job.update({ qrCodePath });
+    await require('../services/jobService').resetJobRetryState(job);
+    await require('../services/eventService').recordJobEvent(job, {
+      stage: 'qr',
+      event: 'completed',
+      hashes: { merkleRootIntermediate: batch.merkleRoot, merkleRootUltimate: batch.merkleRootUltimate, txHash: batch.txHash },
+      details: { qrCodePath },
+      durationMs: Date.now() - startedAt,
+    });
 
     logger.info('QR code generated successfully', { jobId, qrCodePath });
     return qrCodePath;
@@ -333,22 +352,41 @@ async function generateQRCodeForJob(jobId, options = {}) {
  */
 async function batchGenerateQRCodes(limit = 100) {
   const { Op } = require('sequelize');
+  const { recordJobFailure } = require('../services/jobService');
+  const { activeBatchWhere, confirmedAnchorWhere } = require('../services/batchControlService');
 
   try {
     // Find jobs that are Generated but don't have QR codes yet
-    // AND whose batch has been anchored to blockchain (has txHash)
+    // AND whose batch has been anchored to blockchain (has txHash) deep enough
+    // that a reorg will not drop the transaction (anchorStatus Confirmed)
     const jobs = await DocumentJob.findAll({
       where: {
         status: 'Generated',
         qrCodePath: null,
         issuerSignature: { [Op.not]: null },
+        // Skip jobs still waiting out a retry backoff
+        [Op.or]: [
+          { nextAttemptAt: null },
+          { nextAttemptAt: { [Op.lte]: new Date() } },
+        ],
       },
       include: [{
         model: DocumentBatch,
         as: 'batch',
         where: {
-          txHash: { [Op.not]: null },
-          merkleRootUltimate: { [Op.not]: null }
+          [Op.and]: [
+            // Anchored on chain (txHash) or by a TSA / calendar (anchorProof), including
+            // on-chain anchorings from before anchorStatus existed (txHash only)
+            confirmedAnchorWhere(),
+            // Anchored under an MRU, or each leaf directly
+            {
+              [Op.or]: [
+                { merkleRootUltimate: { [Op.not]: null } },
+                { proofType: 'direct' },
+              ],
+            },
+          ],
+          ...activeBatchWhere(),
         },
         required: true // Inner join - only return jobs with valid anchored batches
       }],
@@ -380,6 +418,7 @@ async function batchGenerateQRCodes(limit = 100) {
           error: error.message,
         });
         logger.error('Failed to generate QR code for job', { jobId: job.id, error: error.message });
+        await recordJobFailure(job.id, error, { stage: 'qr', retryStatus: 'Generated' });
       }
     }
 
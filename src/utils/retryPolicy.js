@@ -0,0 +1,145 @@
+/**
+ * Retry policy for pipeline stages
+ *
+ * Classifies failures as transient (worth retrying: storage timeouts, Playwright
+ * crashes, DB connection hiccups) or permanent (bad template data, missing rows)
+ * and computes exponential backoff for the next attempt.
+ */
+
+// Node / AWS SDK error codes that indicate a temporary condition
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'RequestTimeout',
+  'RequestTimeTooSkewed',
+  'SlowDown',
+  'ServiceUnavailable',
+  'InternalError',
+  'ThrottlingException',
+  'TimeoutError',
+  'NETWORK_ERROR',
+  'SERVER_ERROR',
+]);
+
+// Sequelize error classes caused by connectivity rather than by the data
+const TRANSIENT_ERROR_NAMES = new Set([
+  'SequelizeConnectionError',
+  'SequelizeConnectionRefusedError',
+  'SequelizeConnectionTimedOutError',
+  'SequelizeConnectionAcquireTimeoutError',
+  'SequelizeHostNotReachableError',
+  'SequelizeTimeoutError',
+  'TimeoutError',
+]);
+
+const TRANSIENT_MESSAGE = /timeout|timed out|socket hang up|ECONNRESET|ETIMEDOUT|ECONNREFUSED|target (page, context or browser )?(has been )?closed|browser has (been )?(closed|disconnected)|browser closed|crashed|deadlock detected|too many connections|rate exceeded|throttl|service unavailable|503|502|504/i;
+
+const PERMANENT_MESSAGE = /missing required parameters|not found|invalid|cannot generate|must be/i;
+
+/**
+ * Read retry settings from the environment
+ *
+ * @returns {object} - { maxAttempts, baseDelayMs, maxDelayMs }
+ */
+function getRetryConfig() {
+  return {
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+    baseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30000, // 30 seconds
+    maxDelayMs: parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 30 * 60 * 1000, // 30 minutes
+  };
+}
+
+/**
+ * Classify an error as transient or permanent
+ *
+ * Explicit `error.transient` / `error.retryable` flags win; otherwise error
+ * codes, names and messages are matched. Unrecognized errors are treated as
+ * transient - the attempt limit bounds how often they are retried.
+ *
+ * @param {Error} error - Error thrown by a stage
+ * @returns {string} - 'transient' | 'permanent'
+ */
+function classifyError(error) {
+  if (!error) return 'permanent';
+
+  if (error.transient === true || error.retryable === true) return 'transient';
+  if (error.transient === false || error.retryable === false) return 'permanent';
+
+  if (error.code && TRANSIENT_CODES.has(String(error.code))) return 'transient';
+  if (error.name && TRANSIENT_ERROR_NAMES.has(error.name)) return 'transient';
+
+  const status = Number(error.statusCode || error.status);
+  if (status >= 500 || status === 429) return 'transient';
+
+  const message = String(error.message || '');
+  if (TRANSIENT_MESSAGE.test(message)) return 'transient';
+  if (PERMANENT_MESSAGE.test(message)) return 'permanent';
+  if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeDatabaseError') return 'permanent';
+
+  return 'transient';
+}
+
+/**
+ * Backoff delay before the given attempt number (1-based): base * 2^(attempt-1),
+ * capped at maxDelayMs, with +/-20% jitter so retries of one batch spread out
+ *
+ * @param {number} attempt - Attempt number that just failed (1 = first attempt)
+ * @param {object} config - Retry config (see getRetryConfig)
+ * @param {function} random - Random source in [0, 1) (injectable for tests)
+ * @returns {number} - Delay in milliseconds
+ */
+function computeBackoffMs(attempt, config = getRetryConfig(), random = Math.random) {
+  const exponent = Math.max(0, attempt - 1);
+  const delay = Math.min(config.baseDelayMs * Math.pow(2, exponent), config.maxDelayMs);
+  const jitter = 1 + (random() * 0.4 - 0.2);
+  return Math.round(delay * jitter);
+}
+
+/**
+ * Decide what happens after a failed attempt
+ *
+ * @param {Error} error - Error thrown by the stage
+ * @param {number} previousAttempts - Failed attempts recorded before this one
+ * @param {object} options - Optional overrides
+ * @param {object} options.config - Retry config (default: getRetryConfig())
+ * @param {Date} options.now - Current time (injectable for tests)
+ * @param {function} options.random - Random source for jitter
+ * @returns {object} - { errorType, attempts, retry, nextAttemptAt, deadLettered }
+ */
+function planRetry(error, previousAttempts = 0, options = {}) {
+  const config = options.config || getRetryConfig();
+  const now = options.now || new Date();
+  const errorType = classifyError(error);
+  const attempts = (previousAttempts || 0) + 1;
+
+  if (errorType === 'permanent') {
+    return { errorType, attempts, retry: false, nextAttemptAt: null, deadLettered: false };
+  }
+
+  if (attempts >= config.maxAttempts) {
+    return { errorType, attempts, retry: false, nextAttemptAt: null, deadLettered: true };
+  }
+
+  const delayMs = computeBackoffMs(attempts, config, options.random);
+  return {
+    errorType,
+    attempts,
+    retry: true,
+    nextAttemptAt: new Date(now.getTime() + delayMs),
+    deadLettered: false,
+  };
+}
+
+module.exports = {
+  getRetryConfig,
+  classifyError,
+  computeBackoffMs,
+  planRetry,
+};
@@ -1,7 +1,29 @@
-const { fetchPendingJobs, getJobWithTemplate, updateJobStatus, markJobAsProcessing } = require('./services/jobService');
+const {
+  claimPendingJobs,
+  getJobWithTemplate,
+  updateJobStatus,
+  markJobAsProcessing,
+  renewJobLeases,
+  releaseJobLeases,
+  reapExpiredLeases,
+  recordJobFailure,
+  resetJobRetryState,
+} = require('./services/jobService');
 const { renderTemplate, validateParameters } = require('./services/templateService');
 const { generatePDF, closeBrowser } = require('./services/pdfService');
 const StorageFactory = require('./storage/StorageFactory');
+const { isBatchHalted, isAnchorConfirmed, activeBatchWhere, deleteArtifact } = require('./services/batchControlService');
+const { createTenantLimiter, getJobTenantId } = require('./services/schedulingService');
+const {
+  isNotifyEnabled,
+  isListening,
+  startListening,
+  stopListening,
+  waitForWork,
+  notifyStage,
+} = require('./services/pipelineNotifier');
+const { withStageLock } = require('./services/stageLock');
+const { getWorkerMode, getWorkerRoles, getQueueUrls, getWorkerId, getLeaseConfig } = require('./config/worker');
 const logger = require('./utils/logger');
 
 // Load p-limit with fallback
@@ -21,16 +43,37 @@ try {
 // Limit concurrent PDF jobs to avoid OOM on Render (Playwright: 1 browser per PDF).
 const pdfConcurrency = parseInt(process.env.PDF_CONCURRENCY, 10) || 2;
 const limitPdf = pLimit(pdfConcurrency);
+// Per-tenant cap (TENANT_PDF_CONCURRENCY / tenants.metadata.scheduling.maxConcurrentPdf) in front of limitPdf
+const limitTenantPdf = createTenantLimiter(pLimit, limitPdf);
+
+// With LISTEN/NOTIFY wakeups active, stage polling only runs as a slow safety net
+const safetyPollInterval = parseInt(process.env.PIPELINE_SAFETY_POLL_INTERVAL) || 60000;
+
+// Pipeline role each SQS action belongs to (see WORKER_ROLES)
+const ACTION_ROLES = {
+  generate_certificate: 'render',
+  finalize_batch: 'mri',
+  anchor: 'mru',
+  revoke: 'mru',
+  embed_qr: 'embed',
+};
 
 let isRunning = false;
 let processingJobs = new Set();
+let claimedJobs = new Set(); // claimed under a lease, possibly still queued behind limitPdf
+let leaseHeartbeat = null;
 const storage = StorageFactory.getStorage();
+const workerId = getWorkerId();
+const leaseConfig = getLeaseConfig();
 
 /**
  * Process a single job by ID
  * @param {string} jobId - Job ID to process
+ * @param {object} options - Optional settings
+ * @param {boolean} options.throwOnRetry - Rethrow failures that were rescheduled, with a
+ *   `visibilityTimeout` (seconds) until the retry is due, so a queue message is kept
  */
-async function processJobById(jobId) {
+async function processJobById(jobId, options = {}) {
   // Prevent duplicate processing
   if (processingJobs.has(jobId)) {
     logger.debug('Job already being processed, skipping', { jobId });
@@ -38,12 +81,13 @@ async function processJobById(jobId) {
   }
 
   processingJobs.add(jobId);
+  const startedAt = Date.now();
 
   try {
     logger.info('Processing job started', { jobId });
 
-    // Mark job as processing atomically
-    const marked = await markJobAsProcessing(jobId);
+    // Claim the job under a processing lease (atomic; no-op if we already hold it)
+    const marked = await markJobAsProcessing(jobId, workerId, leaseConfig.leaseMs);
     if (!marked) {
       logger.warn('Job already processed or not pending, skipping', { jobId });
       processingJobs.delete(jobId);
@@ -55,6 +99,15 @@ async function processJobById(jobId) {
     const template = jobWithTemplate.batch.template;
     const batch = jobWithTemplate.batch;
 
+    // The batch may have been paused or cancelled after the job was claimed
+    if (isBatchHalted(batch)) {
+      logger.info('Batch is halted, not rendering job', { jobId, batchId: batch.id, batchStatus: batch.status });
+      if (batch.status === 'Paused') {
+        await releaseJobLeases([jobId], workerId);
+      }
+      return;
+    }
+
     logger.debug('Job details fetched', {
       jobId,
       templateId: template.id,
@@ -172,7 +225,7 @@ async function processJobById(jobId) {
     }
 
     // Update job status with calculated values and optional signature
-    await updateJobStatus(jobId, nextStatus, {
+    const saved = await updateJobStatus(jobId, nextStatus, {
       certificatePath,
       documentHash,
       dataHash,
@@ -181,10 +234,30 @@ async function processJobById(jobId) {
       issuerSignature,
       merkleLeaf,
       errorMessage: null,
+      errorType: null,
+      attempts: 0,
+      nextAttemptAt: null,
+    }, {
+      workerId,
+      stage: 'render',
+      reason: issuerSignature ? 'rendered and auto-signed' : 'rendered',
+      durationMs: Date.now() - startedAt,
+      details: { certificatePath, storageDriver: storage.getName() },
     });
 
+    if (!saved) {
+      // Cancelled while rendering: do not leave the freshly stored PDF behind
+      const DocumentJob = require('./models/DocumentJob');
+      const current = await DocumentJob.findByPk(jobId, { attributes: ['id', 'status'] });
+      if (current?.status === 'Cancelled' && !isPdfUpload) {
+        await deleteArtifact(storage, certificatePath);
+      }
+      return;
+    }
+
     if (nextStatus === 'Generated') {
       logger.info('Job Phase 1 & 2 (Auto-Sign) completed', { jobId, status: nextStatus });
+      await notifyStage('mri', { batchId: batch.id });
     } else {
       logger.info('Job Phase 1 completed - waiting for manual signature', { jobId });
     }
@@ -196,12 +269,21 @@ async function processJobById(jobId) {
       stack: error.stack,
     });
 
-    // Update job status to Failed with error message
-    await updateJobStatus(jobId, 'Failed', {
-      errorMessage: error.message,
-    });
+    // Reschedule transient failures, fail permanent ones (only while we still hold the lease)
+    let plan = null;
+    try {
+      plan = await recordJobFailure(jobId, error, { stage: 'render', retryStatus: 'Pending', workerId });
+    } catch (recordError) {
+      logger.error('Failed to record job failure', { jobId, error: recordError.message });
+    }
+
+    if (options.throwOnRetry && plan?.retry) {
+      error.visibilityTimeout = Math.max(Math.ceil((new Date(plan.nextAttemptAt).getTime() - Date.now()) / 1000), 0);
+      throw error;
+    }
   } finally {
     processingJobs.delete(jobId);
+    claimedJobs.delete(jobId);
   }
 }
 
@@ -212,24 +294,28 @@ async function startPollingMode() {
   const pollInterval = parseInt(process.env.WORKER_POLL_INTERVAL) || 10000;
   const concurrentJobs = parseInt(process.env.WORKER_CONCURRENT_JOBS) || 5;
 
-  logger.info('Worker started in POLLING mode', { pollInterval, concurrentJobs, pdfConcurrency });
+  logger.info('Worker started in POLLING mode', { pollInterval, concurrentJobs, pdfConcurrency, workerId });
 
   isRunning = true;
 
   while (isRunning) {
     try {
-      // Fetch pending jobs
-      const jobs = await fetchPendingJobs(concurrentJobs);
+      // Claim pending jobs under a lease (safe with multiple replicas)
+      const jobs = await claimPendingJobs(concurrentJobs, workerId, leaseConfig.leaseMs);
 
       if (jobs.length > 0) {
         logger.info(`Found ${jobs.length} pending jobs`);
+        jobs.forEach(job => claimedJobs.add(job.id));
 
-        // Process jobs with concurrency limit (PDF: 1 browser per job; cap to avoid OOM).
-        await Promise.all(jobs.map((job) => limitPdf(() => processJobById(job.id))));
+        // Process jobs with concurrency limit (PDF: 1 browser per job; cap to avoid OOM),
+        // in scheduling order and within each tenant's cap.
+        await Promise.all(jobs.map((job) => limitTenantPdf(job.batch?.tenantId, () => processJobById(job.id))));
       }
 
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      // A full page means more jobs are probably waiting
+      if (jobs.length < concurrentJobs) {
+        await waitForStageWork('render', pollInterval);
+      }
 
     } catch (error) {
       logger.error('Worker loop error:', error);
@@ -242,6 +328,113 @@ async function startPollingMode() {
   logger.info('Worker stopped');
 }
 
+/**
+ * Start stale-job reaper
+ *
+ * Periodically returns jobs whose processing lease expired (crashed or stalled
+ * worker) to Pending so another replica can pick them up.
+ */
+async function startLeaseReaperMode() {
+  const { leaseMs, reaperIntervalMs } = leaseConfig;
+
+  logger.info('Lease reaper started', { leaseMs, reaperIntervalMs });
+
+  isRunning = true;
+
+  while (isRunning) {
+    try {
+      await reapExpiredLeases(leaseMs);
+    } catch (error) {
+      logger.error('Lease reaper loop error:', error);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, reaperIntervalMs));
+  }
+
+  logger.info('Lease reaper stopped');
+}
+
+/**
+ * Start renewing the leases of jobs this process is working on
+ */
+function startLeaseHeartbeat() {
+  if (leaseHeartbeat) return;
+
+  leaseHeartbeat = setInterval(async () => {
+    try {
+      const leased = new Set([...processingJobs, ...claimedJobs]);
+      await renewJobLeases([...leased], workerId, leaseConfig.leaseMs);
+    } catch (error) {
+      logger.warn('Failed to renew job leases', { error: error.message });
+    }
+  }, leaseConfig.heartbeatMs);
+  leaseHeartbeat.unref();
+}
+
+/**
+ * Wait until a stage is woken by a pipeline notification or its poll interval elapses
+ *
+ * While the listener is connected the poll interval is stretched to
+ * PIPELINE_SAFETY_POLL_INTERVAL; notifications do the fast path.
+ *
+ * @param {string} role - Pipeline stage
+ * @param {number} pollInterval - Stage poll interval (ms)
+ * @returns {Promise<boolean>} - True if woken by a notification
+ */
+function waitForStageWork(role, pollInterval) {
+  const timeoutMs = isListening() ? Math.max(pollInterval, safetyPollInterval) : pollInterval;
+  return waitForWork(role, timeoutMs);
+}
+
+/**
+ * Finalize a batch (calculate MRI) once every job in it has been signed
+ *
+ * @param {object} batch - DocumentBatch instance
+ * @returns {Promise<object|null>} - finalizeBatch() result, or null if the batch is not ready
+ */
+async function finalizeBatchIfReady(batch) {
+  const batchService = require('./services/batchService');
+  const DocumentJob = require('./models/DocumentJob');
+
+  if (isBatchHalted(batch)) {
+    logger.debug('Batch is halted, not finalizing', { batchId: batch.id, batchStatus: batch.status });
+    return null;
+  }
+
+  // Check if all jobs in batch are Generated (have merkleLeaf); jobs queued for
+  // (re-)rendering still have to be signed
+  const pendingCount = await DocumentJob.count({
+    where: { batchId: batch.id, status: ['Pending', 'Processing', 'PendingSigning'] },
+  });
+
+  const generatedCount = await DocumentJob.count({
+    where: { batchId: batch.id, status: 'Generated' },
+  });
+
+  // Only finalize if all jobs are signed (no pending, has generated jobs)
+  if (pendingCount === 0 && generatedCount > 0) {
+    logger.info('Finalizing batch (calculating MRI)', { batchId: batch.id });
+
+    const { transition } = require('./services/stateMachine');
+    if (batch.signingStatus !== 'Signed') {
+      await transition(batch, 'Signed', { field: 'signingStatus', actor: workerId, reason: 'all jobs signed', stage: 'mri' });
+    }
+    const result = await batchService.finalizeBatch(batch.id);
+
+    logger.info('Batch MRI calculated', {
+      batchId: batch.id,
+      merkleRoot: result.merkleRoot,
+      proofType: result.proofType,
+      totalJobs: result.totalJobs,
+    });
+
+    await notifyStage('mru', { batchId: batch.id });
+    return result;
+  }
+
+  return null;
+}
+
 /**
  * Start MRI calculation worker in polling mode
  * 
@@ -254,10 +447,8 @@ async function startMRIPollingMode() {
 
   isRunning = true;
 
-  const batchService = require('./services/batchService');
   const { Op } = require('sequelize');
   const DocumentBatch = require('./models/DocumentBatch');
-  const DocumentJob = require('./models/DocumentJob');
 
   while (isRunning) {
     try {
@@ -268,37 +459,21 @@ async function startMRIPollingMode() {
         where: {
           merkleRoot: null,
           signingStatus: { [Op.or]: ['Signed', null] },
+          ...activeBatchWhere(),
         },
         limit: 5,
       });
 
+      let finalized = 0;
       for (const batch of batches) {
-        // Check if all jobs in batch are Generated (have merkleLeaf)
-        const pendingCount = await DocumentJob.count({
-          where: { batchId: batch.id, status: 'PendingSigning' },
-        });
-
-        const generatedCount = await DocumentJob.count({
-          where: { batchId: batch.id, status: 'Generated' },
-        });
-
-        // Only finalize if all jobs are signed (no pending, has generated jobs)
-        if (pendingCount === 0 && generatedCount > 0) {
-          logger.info('Finalizing batch (calculating MRI)', { batchId: batch.id });
-
-          await batch.update({ signingStatus: 'Signed' });
-          const result = await batchService.finalizeBatch(batch.id);
-
-          logger.info('Batch MRI calculated', {
-            batchId: batch.id,
-            merkleRoot: result.merkleRoot,
-            totalJobs: result.totalJobs,
-          });
-        }
+        if (await finalizeBatchIfReady(batch)) finalized++;
       }
 
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      // Batches that are not ready stay in the result, so only loop again right
+      // away if this page made progress
+      if (batches.length < 5 || finalized === 0) {
+        await waitForStageWork('mri', pollInterval);
+      }
 
     } catch (error) {
       logger.error('MRI worker loop error:', error);
@@ -330,27 +505,48 @@ async function startMRUPollingMode() {
 
   while (isRunning) {
     try {
-      // Process MRU calculation for ready batches
-      const result = await batchService.processMRUCalculation(batchSize);
+      // Process MRU calculation for ready batches (one node at a time)
+      const { acquired, result } = await withStageLock('anchor', () => batchService.processMRUCalculation(batchSize));
+      if (!acquired) {
+        await waitForStageWork('mru', pollInterval);
+        continue;
+      }
+
+      // Transactions of earlier runs that reached the confirmation depth since
+      if (result.resumedBatchIds?.length > 0) {
+        await notifyStage('qr', { batchIds: result.resumedBatchIds });
+      }
+      // Batches anchored directly (anchor / anchorBatch) in this run
+      if (result.directBatchIds?.length > 0) {
+        await notifyStage('qr', { batchIds: result.directBatchIds });
+      }
 
       if (result.processed > 0) {
         logger.info('MRU calculation completed', {
           processed: result.processed,
           merkleRootUltimate: result.merkleRootUltimate,
           batchIds: result.batchIds,
+          anchorBackend: result.anchorBackend,
           blockchainAnchored: !!result.blockchainResult,
           txHash: result.blockchainResult?.txHash || null,
+          anchorStatus: result.anchorStatus,
         });
 
-        if (!result.blockchainResult) {
-          logger.warn('MRU calculated but blockchain anchoring was skipped or failed. Check logs above for details.');
+        if (!result.anchorStatus) {
+          logger.warn('MRU calculated but not anchored yet (transaction pending or failed). Check logs above for details.');
+        } else if (result.anchorStatus === 'Confirmed') {
+          await notifyStage('qr', { batchIds: result.batchIds });
+        } else {
+          logger.info('MRU anchored, QR codes wait for the confirmation depth', { batchIds: result.batchIds });
         }
       } else {
         logger.debug('MRU worker: No batches processed', { message: result.message });
       }
 
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      // Other issuers' batches or a full page are still waiting: run again right away
+      if (!result.anchorStatus || (result.processed < batchSize && !result.hasMore)) {
+        await waitForStageWork('mru', pollInterval);
+      }
 
     } catch (error) {
       logger.error('MRU worker loop error:', error);
@@ -363,6 +559,84 @@ async function startMRUPollingMode() {
   logger.info('MRU worker stopped');
 }
 
+/**
+ * Start revocation worker in polling mode
+ *
+ * Submits pending revocation requests to AnchorStore. Runs with the mru role:
+ * it uses the same key as anchoring, and only on the node holding the 'revoke'
+ * stage lock.
+ */
+async function startRevocationPollingMode() {
+  const pollInterval = parseInt(process.env.REVOCATION_POLL_INTERVAL) || 30000; // 30 seconds default
+  const batchSize = parseInt(process.env.REVOCATION_BATCH_SIZE) || 50;
+
+  logger.info('Revocation worker started in POLLING mode', { pollInterval, batchSize });
+
+  isRunning = true;
+
+  const revocationService = require('./services/revocationService');
+
+  while (isRunning) {
+    try {
+      const { acquired, result } = await withStageLock('revoke',
+        () => revocationService.processRevocationRequests(batchSize, { actor: workerId }));
+
+      if (!acquired || result.processed < batchSize) {
+        await waitForStageWork('mru', pollInterval);
+      }
+
+    } catch (error) {
+      logger.error('Revocation worker loop error:', error);
+
+      // Wait a bit before retrying
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+
+  logger.info('Revocation worker stopped');
+}
+
+/**
+ * Start chain indexer in polling mode
+ *
+ * Indexes AnchorStore events and reconciles them with the local batches (see
+ * chainIndexerService). Runs with the mru role; CHAIN_INDEXER_ENABLED=false
+ * turns it off.
+ */
+async function startChainIndexerPollingMode() {
+  if (String(process.env.CHAIN_INDEXER_ENABLED || 'true').toLowerCase() === 'false') {
+    logger.info('Chain indexer disabled (CHAIN_INDEXER_ENABLED=false)');
+    return;
+  }
+
+  const pollInterval = parseInt(process.env.CHAIN_INDEXER_POLL_INTERVAL) || 60000; // 1 minute default
+
+  logger.info('Chain indexer started in POLLING mode', { pollInterval });
+
+  isRunning = true;
+
+  const chainIndexerService = require('./services/chainIndexerService');
+
+  while (isRunning) {
+    try {
+      const results = await chainIndexerService.indexChains();
+
+      // Catching up on a long range: continue right away
+      if (!results.some(result => result.behind)) {
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+      }
+
+    } catch (error) {
+      logger.error('Chain indexer loop error:', error);
+
+      // Wait a bit before retrying
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+
+  logger.info('Chain indexer stopped');
+}
+
 /**
  * Start QR code generation worker in polling mode
  * 
@@ -388,10 +662,12 @@ async function startQRCodePollingMode() {
           failed: result.failed,
           total: result.total,
         });
+        await notifyStage('embed');
       }
 
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      if (result.succeeded === 0 || result.total < 10) {
+        await waitForStageWork('qr', pollInterval);
+      }
 
     } catch (error) {
       logger.error('QR Code worker loop error:', error);
@@ -405,7 +681,8 @@ async function startQRCodePollingMode() {
 }
 
 /**
- * Check if all jobs in a batch have PDFs written with QR codes and batch has txHash
+ * Check if all jobs in a batch have PDFs written with QR codes and batch is anchored
+ * (txHash, or the proof of a TSA / calendar backend)
  * If so, update batch status to 'Completed'
  * 
  * @param {string} batchId - Batch ID to check
@@ -423,14 +700,14 @@ async function checkAndUpdateBatchStatus(batchId) {
       return;
     }
 
-    // Check if batch already has 'Completed' status
-    if (batch.status === 'Completed') {
+    // Check if batch already has 'Completed' status (or is paused / cancelled)
+    if (batch.status === 'Completed' || isBatchHalted(batch)) {
       return;
     }
 
-    // Check if batch has txHash (blockchain anchoring completed)
-    if (!batch.txHash) {
-      logger.debug('Batch does not have txHash yet, skipping status update', { batchId });
+    // Check if batch has txHash (blockchain anchoring completed) or the proof of another backend
+    if (!batch.txHash && !batch.anchorProof) {
+      logger.debug('Batch is not anchored yet, skipping status update', { batchId });
       return;
     }
 
@@ -450,12 +727,14 @@ async function checkAndUpdateBatchStatus(batchId) {
     if (jobsWithoutPDF.length === 0) {
       // All jobs have PDFs written with QR codes and verification bundles
       // Update batch status to Completed
-      await batch.update({ status: 'Completed' });
+      const { transition } = require('./services/stateMachine');
+      await transition(batch, 'Completed', { actor: workerId, reason: 'all PDFs embedded', stage: 'embed' });
 
       logger.info('Batch marked as Completed - all PDFs written with txHash and verification data', {
         batchId,
         totalJobs: jobs.length,
         txHash: batch.txHash,
+        anchorBackend: batch.anchorBackend,
       });
     } else {
       logger.debug('Not all jobs have PDFs written yet', {
@@ -473,23 +752,240 @@ async function checkAndUpdateBatchStatus(batchId) {
 }
 
 /**
- * Start PDF QR embedding worker in polling mode
- * 
- * Finds jobs with QR codes but no QR-embedded PDF, creates new PDFs with QR annotations
+ * Embed the QR code and verification bundle (VD) into a job's certificate
+ *
+ * Writes a new PDF (original attached, QR annotation + VD embedded) and stores
+ * its path in certificateWithQRPath. The job must already have a QR code.
+ *
+ * @param {object} job - DocumentJob instance
+ * @returns {Promise<string>} - certificateWithQRPath of the new PDF
  */
-// ==========================================
-// ADD THIS TO THE TOP OF worker.js
-// ==========================================
-const { PDFDocument } = require('pdf-lib'); // Ensure this is installed: npm install pdf-lib
+async function embedQRForJob(job) {
+  const startedAt = Date.now();
+  const { PDFDocument } = require('pdf-lib');
+  const DocumentBatch = require('./models/DocumentBatch');
+  const DocumentTemplate = require('./models/DocumentTemplate');
+  const batchService = require('./services/batchService');
+  const pdfAnnotator = require('./utils/pdf-qr-annotator');
+  const qrGenerator = require('./utils/qr-code-generator');
+  const { encodePayloadToQrFragment } = require('./utils/qr-payload-v2');
+  const path = require('path');
+  const fs = require('fs').promises;
+
+  const batch = await DocumentBatch.findByPk(job.batchId);
+
+  // Fetch template to get QR config
+  const template = await DocumentTemplate.findByPk(batch.templateId);
+
+  // IMPORTANT:
+  // QR placement must be deterministic and driven by DB template configuration.
+  // We only use HTML/CSS (.qr-placeholder) as a fallback when DB values are missing.
+  let qrConfig = {
+    x: template?.qrX,
+    y: template?.qrY,
+    width: template?.qrWidth,
+    height: template?.qrHeight,
+    page: template?.qrPage,
+  };
+
+  const needsFallback =
+    qrConfig.x === null || qrConfig.x === undefined ||
+    qrConfig.y === null || qrConfig.y === undefined ||
+    qrConfig.width === null || qrConfig.width === undefined ||
+    qrConfig.height === null || qrConfig.height === undefined ||
+    qrConfig.page === null || qrConfig.page === undefined;
+
+  if (needsFallback && template?.content) {
+    // Parse CSS from template content to find .qr-placeholder position.
+    // This is best-effort and NEVER overrides DB values.
+    const widthMatch = template.content.match(/\.container\s*{[^}]*width:\s*(\d+)px/);
+    const heightMatch = template.content.match(/\.container\s*{[^}]*height:\s*(\d+)px/);
+    const containerWidth = widthMatch ? parseInt(widthMatch[1]) : 800;
+    const containerHeight = heightMatch ? parseInt(heightMatch[1]) : 1100;
+
+    const qrPlaceholderMatch = template.content.match(/\.qr-placeholder\s*{([^}]*)}/);
+    if (qrPlaceholderMatch) {
+      const css = qrPlaceholderMatch[1];
+      const rightMatch = css.match(/right:\s*(\d+)px/);
+      const bottomMatch = css.match(/bottom:\s*(\d+)px/);
+      const leftMatch = css.match(/left:\s*(\d+)px/);
+      const leftCenterMatch = css.match(/left:\s*50%/);
+      const cssWidthMatch = css.match(/width:\s*(\d+)px/);
+      const cssHeightMatch = css.match(/height:\s*(\d+)px/);
+
+      const qrW = qrConfig.width ?? (cssWidthMatch ? parseInt(cssWidthMatch[1]) : 100);
+      const qrH = qrConfig.height ?? (cssHeightMatch ? parseInt(cssHeightMatch[1]) : 100);
+
+      if (qrConfig.width === null || qrConfig.width === undefined) qrConfig.width = qrW;
+      if (qrConfig.height === null || qrConfig.height === undefined) qrConfig.height = qrH;
+
+      if (qrConfig.x === null || qrConfig.x === undefined) {
+        if (rightMatch) {
+          const right = parseInt(rightMatch[1]);
+          qrConfig.x = containerWidth - qrW - right;
+        } else if (leftCenterMatch) {
+          qrConfig.x = (containerWidth / 2) - (qrW / 2);
+        } else if (leftMatch) {
+          qrConfig.x = parseInt(leftMatch[1]);
+        }
+      }
+
+      if (qrConfig.y === null || qrConfig.y === undefined) {
+        if (bottomMatch) {
+          qrConfig.y = parseInt(bottomMatch[1]);
+        }
+      }
+
+      if (qrConfig.page === null || qrConfig.page === undefined) qrConfig.page = 0;
+
+      logger.info('Resolved QR config (DB + optional CSS fallback)', {
+        jobId: job.id,
+        templateId: batch.templateId,
+        qrConfig,
+        containerWidth,
+        containerHeight,
+      });
+    }
+  }
 
+  const payload = qrGenerator.generateQRCodePayload(job, batch, template);
+  // Persist QR payload so later verification (even without VD) can regenerate preview
+  // using immutable issuance-time data (same as the QR link), not mutable DB fields.
+  try {
+    await job.update({
+      qrPayloadFragment: encodePayloadToQrFragment(payload),
+    });
+  } catch (e) {
+    logger.warn('Failed to persist qrPayload on job', { jobId: job.id, error: e.message });
+  }
+  let verificationBundle;
+  try {
+    verificationBundle = await batchService.generateVerificationBundle(job.id);
+  } catch (error) {
+    logger.warn('Using fallback VD', { jobId: job.id });
+    verificationBundle = {
+      documentHash: job.documentHash,
+      documentFingerprint: job.documentFingerprint,
+      fingerprintHash: job.fingerprintHash,
+      issuerSignature: job.issuerSignature,
+      merkleLeaf: job.merkleLeaf,
+      expiryDate: batch.expiryDate,
+      invalidationExpiry: batch.invalidationExpiry,
+      issuerId: batch.issuerId,
+      issuerPublicKey: process.env.ISSUER_PUBLIC_KEY || batch.issuerPublicKey,
+      merkleProofIntermediate: job.merkleProofIntermediate || [],
+      merkleRootIntermediate: batch.merkleRoot,
+      merkleRootUltimate: batch.merkleRootUltimate,
+      merkleProofUltimate: batch.merkleProofUltimate || [],
+      txHash: batch.txHash,
+      network: batch.network,
+      chainId: batch.chainId || null,
+      proofType: batch.proofType || 'merkle',
+      anchorIssuerId: batch.anchorIssuerId || null,
+      timeWindow: batch.timeWindow != null ? String(batch.timeWindow) : null,
+      anchorNonce: batch.anchorNonce || null,
+      canonicalizationVersion: batch.canonicalizationVersion || null,
+      diHash: batch.diHash || null,
+    };
+  }
 
-// ==========================================
-// REPLACE THE ENTIRE startPDFQRPollingMode FUNCTION
-// ==========================================
+  // Load original PDF from configured storage (local or S3)
+  const originalPdfBuffer = await storage.retrieve(job.certificatePath);
+
+  // 1. Get the PDF with QR (visual + VD embedding hook)
+  const pdfWithQRBuffer = await pdfAnnotator.addQRAnnotationToPDF(
+    originalPdfBuffer,
+    payload,
+    {
+      originalPdfBuffer,
+      verificationBundle,
+      ...qrConfig
+    }
+  );
+
+  // ============================================================
+  // 🔥 CRITICAL FIX: FORCE INJECT METADATA & ATTACHMENT 🔥
+  // ============================================================
+  logger.info('Force-injecting Metadata and Attachments...', { jobId: job.id });
+
+  const finalDoc = await PDFDocument.load(pdfWithQRBuffer);
+
+  // A. Inject Verification Data (VD) into Metadata 'Keywords'
+  // REMOVED: User requested to hide hash from "Tag" fields in Word/Properties.
+  // The VD is already embedded as an attachment in addQRAnnotationToPDF.
+  // const vdString = JSON.stringify(verificationBundle);
+  // finalDoc.setKeywords([vdString]);
+
+  // B. Attach Original PDF
+  // This fixes "Could not find embedded original PDF"
+  await finalDoc.attach(originalPdfBuffer, 'Justifai_Original_PDF.pdf', {
+    mimeType: 'application/pdf',
+    description: 'Original Unmodified Certificate',
+    creationDate: new Date(),
+    modificationDate: new Date(),
+  });
+
+  // C. Save Final PDF
+  const finalPdfBytes = await finalDoc.save();
+  // ============================================================
+
+  const storageName = storage.getName();
+  let certificateWithQRPath;
+
+  if (storageName === 'local') {
+    // Local filesystem: keep existing folder structure under STORAGE_PATH
+    const baseDir = process.env.STORAGE_PATH || './storage';
+    const relativePath = path.join(
+      'qr-embedded-certificates',
+      batch.tenantId,
+      batch.id,
+      `${job.id}-with-qr.pdf`
+    );
+    const qrPdfPath = path.join(baseDir, relativePath);
+
+    await fs.mkdir(path.dirname(qrPdfPath), { recursive: true });
+    await fs.writeFile(qrPdfPath, finalPdfBytes);
+
+    certificateWithQRPath = relativePath;
+  } else {
+    // S3 / remote storage: store under qr-embedded-certificates/ folder in bucket
+    const qrJobId = `${job.id}-with-qr`;
+    certificateWithQRPath = await storage.store(
+      finalPdfBytes,
+      batch.tenantId,
+      batch.id,
+      qrJobId,
+      {
+        __folder: 'qr-embedded-certificates',
+        __contentType: 'application/pdf',
+        __extension: '.pdf',
+      }
+    );
+  }
 
+  await job.update({ certificateWithQRPath });
+  await resetJobRetryState(job);
+  await require('./services/eventService').recordJobEvent(job, {
+    stage: 'embed',
+    event: 'completed',
+    actor: workerId,
+    hashes: { txHash: batch.txHash },
+    details: { certificateWithQRPath },
+    durationMs: Date.now() - startedAt,
+  });
+
+  await checkAndUpdateBatchStatus(job.batchId);
+
+  return certificateWithQRPath;
+}
+
+/**
+ * Start PDF QR embedding worker in polling mode
+ * 
+ * Finds jobs with QR codes but no QR-embedded PDF, creates new PDFs with QR annotations
+ */
 async function startPDFQRPollingMode() {
   const pollInterval = parseInt(process.env.PDF_QR_POLL_INTERVAL) || 25000;
-  const { PDFDocument } = require('pdf-lib'); // Require inside function to be safe
 
   logger.info('PDF QR embedding worker started in POLLING mode', { pollInterval });
 
@@ -498,12 +994,6 @@ async function startPDFQRPollingMode() {
   const { Op } = require('sequelize');
   const DocumentJob = require('./models/DocumentJob');
   const DocumentBatch = require('./models/DocumentBatch');
-  const pdfAnnotator = require('./utils/pdf-qr-annotator');
-  const qrGenerator = require('./utils/qr-code-generator');
-  const { encodePayloadToQrFragment } = require('./utils/qr-payload-v2');
-  const StorageFactory = require('./storage/StorageFactory');
-  const path = require('path');
-  const fs = require('fs').promises;
 
   while (isRunning) {
     try {
@@ -513,7 +1003,18 @@ async function startPDFQRPollingMode() {
           qrCodePath: { [Op.not]: null },
           certificateWithQRPath: null,
           certificatePath: { [Op.not]: null },
+          [Op.or]: [
+            { nextAttemptAt: null },
+            { nextAttemptAt: { [Op.lte]: new Date() } },
+          ],
         },
+        include: [{
+          model: DocumentBatch,
+          as: 'batch',
+          attributes: ['id', 'status'],
+          where: activeBatchWhere(),
+          required: true,
+        }],
         limit: 10,
       });
 
@@ -522,204 +1023,17 @@ async function startPDFQRPollingMode() {
 
         for (const job of jobs) {
           try {
-            const batch = await DocumentBatch.findByPk(job.batchId);
-
-            // Fetch template to get QR config
-            const DocumentTemplate = require('./models/DocumentTemplate');
-            const template = await DocumentTemplate.findByPk(batch.templateId);
-
-            // IMPORTANT:
-            // QR placement must be deterministic and driven by DB template configuration.
-            // We only use HTML/CSS (.qr-placeholder) as a fallback when DB values are missing.
-            let qrConfig = {
-              x: template?.qrX,
-              y: template?.qrY,
-              width: template?.qrWidth,
-              height: template?.qrHeight,
-              page: template?.qrPage,
-            };
-
-            const needsFallback =
-              qrConfig.x === null || qrConfig.x === undefined ||
-              qrConfig.y === null || qrConfig.y === undefined ||
-              qrConfig.width === null || qrConfig.width === undefined ||
-              qrConfig.height === null || qrConfig.height === undefined ||
-              qrConfig.page === null || qrConfig.page === undefined;
-
-            if (needsFallback && template?.content) {
-              // Parse CSS from template content to find .qr-placeholder position.
-              // This is best-effort and NEVER overrides DB values.
-              const widthMatch = template.content.match(/\.container\s*{[^}]*width:\s*(\d+)px/);
-              const heightMatch = template.content.match(/\.container\s*{[^}]*height:\s*(\d+)px/);
-              const containerWidth = widthMatch ? parseInt(widthMatch[1]) : 800;
-              const containerHeight = heightMatch ? parseInt(heightMatch[1]) : 1100;
-
-              const qrPlaceholderMatch = template.content.match(/\.qr-placeholder\s*{([^}]*)}/);
-              if (qrPlaceholderMatch) {
-                const css = qrPlaceholderMatch[1];
-                const rightMatch = css.match(/right:\s*(\d+)px/);
-                const bottomMatch = css.match(/bottom:\s*(\d+)px/);
-                const leftMatch = css.match(/left:\s*(\d+)px/);
-                const leftCenterMatch = css.match(/left:\s*50%/);
-                const cssWidthMatch = css.match(/width:\s*(\d+)px/);
-                const cssHeightMatch = css.match(/height:\s*(\d+)px/);
-
-                const qrW = qrConfig.width ?? (cssWidthMatch ? parseInt(cssWidthMatch[1]) : 100);
-                const qrH = qrConfig.height ?? (cssHeightMatch ? parseInt(cssHeightMatch[1]) : 100);
-
-                if (qrConfig.width === null || qrConfig.width === undefined) qrConfig.width = qrW;
-                if (qrConfig.height === null || qrConfig.height === undefined) qrConfig.height = qrH;
-
-                if (qrConfig.x === null || qrConfig.x === undefined) {
-                  if (rightMatch) {
-                    const right = parseInt(rightMatch[1]);
-                    qrConfig.x = containerWidth - qrW - right;
-                  } else if (leftCenterMatch) {
-                    qrConfig.x = (containerWidth / 2) - (qrW / 2);
-                  } else if (leftMatch) {
-                    qrConfig.x = parseInt(leftMatch[1]);
-                  }
-                }
-
-                if (qrConfig.y === null || qrConfig.y === undefined) {
-                  if (bottomMatch) {
-                    qrConfig.y = parseInt(bottomMatch[1]);
-                  }
-                }
-
-                if (qrConfig.page === null || qrConfig.page === undefined) qrConfig.page = 0;
-
-                logger.info('Resolved QR config (DB + optional CSS fallback)', {
-                  jobId: job.id,
-                  templateId: batch.templateId,
-                  qrConfig,
-                  containerWidth,
-                  containerHeight,
-                });
-              }
-            }
-
-            const payload = qrGenerator.generateQRCodePayload(job, batch, template);
-            // Persist QR payload so later verification (even without VD) can regenerate preview
-            // using immutable issuance-time data (same as the QR link), not mutable DB fields.
-            try {
-              await job.update({
-                qrPayloadFragment: encodePayloadToQrFragment(payload),
-              });
-            } catch (e) {
-              logger.warn('Failed to persist qrPayload on job', { jobId: job.id, error: e.message });
-            }
-            const batchService = require('./services/batchService');
-
-            let verificationBundle;
-            try {
-              verificationBundle = await batchService.generateVerificationBundle(job.id);
-            } catch (error) {
-              logger.warn('Using fallback VD', { jobId: job.id });
-              verificationBundle = {
-                documentHash: job.documentHash,
-                documentFingerprint: job.documentFingerprint,
-                fingerprintHash: job.fingerprintHash,
-                issuerSignature: job.issuerSignature,
-                merkleLeaf: job.merkleLeaf,
-                expiryDate: batch.expiryDate,
-                invalidationExpiry: batch.invalidationExpiry,
-                issuerId: batch.issuerId,
-                issuerPublicKey: process.env.ISSUER_PUBLIC_KEY || batch.issuerPublicKey,
-                merkleProofIntermediate: job.merkleProofIntermediate || [],
-                merkleRootIntermediate: batch.merkleRoot,
-                merkleRootUltimate: batch.merkleRootUltimate,
-                merkleProofUltimate: batch.merkleProofUltimate || [],
-                txHash: batch.txHash,
-                network: batch.network,
-              };
-            }
-
-            const storage = StorageFactory.getStorage();
-
-            // Load original PDF from configured storage (local or S3)
-            const originalPdfBuffer = await storage.retrieve(job.certificatePath);
-
-            // 1. Get the PDF with QR (visual + VD embedding hook)
-            const pdfWithQRBuffer = await pdfAnnotator.addQRAnnotationToPDF(
-              originalPdfBuffer,
-              payload,
-              {
-                originalPdfBuffer,
-                verificationBundle,
-                ...qrConfig
-              }
-            );
-
-            // ============================================================
-            // 🔥 CRITICAL FIX: FORCE INJECT METADATA & ATTACHMENT 🔥
-            // ============================================================
-            logger.info('Force-injecting Metadata and Attachments...', { jobId: job.id });
-
-            const finalDoc = await PDFDocument.load(pdfWithQRBuffer);
-
-            // A. Inject Verification Data (VD) into Metadata 'Keywords'
-            // REMOVED: User requested to hide hash from "Tag" fields in Word/Properties.
-            // The VD is already embedded as an attachment in addQRAnnotationToPDF.
-            // const vdString = JSON.stringify(verificationBundle);
-            // finalDoc.setKeywords([vdString]);
-
-            // B. Attach Original PDF
-            // This fixes "Could not find embedded original PDF"
-            await finalDoc.attach(originalPdfBuffer, 'Justifai_Original_PDF.pdf', {
-              mimeType: 'application/pdf',
-              description: 'Original Unmodified Certificate',
-              creationDate: new Date(),
-              modificationDate: new Date(),
-            });
-
-            // C. Save Final PDF
-            const finalPdfBytes = await finalDoc.save();
-            // ============================================================
-
-            const storageName = storage.getName();
-            let certificateWithQRPath;
-
-            if (storageName === 'local') {
-              // Local filesystem: keep existing folder structure under STORAGE_PATH
-              const baseDir = process.env.STORAGE_PATH || './storage';
-              const relativePath = path.join(
-                'qr-embedded-certificates',
-                batch.tenantId,
-                batch.id,
-                `${job.id}-with-qr.pdf`
-              );
-              const qrPdfPath = path.join(baseDir, relativePath);
-
-              await fs.mkdir(path.dirname(qrPdfPath), { recursive: true });
-              await fs.writeFile(qrPdfPath, finalPdfBytes);
-
-              certificateWithQRPath = relativePath;
-            } else {
-              // S3 / remote storage: store under qr-embedded-certificates/ folder in bucket
-              const qrJobId = `${job.id}-with-qr`;
-              certificateWithQRPath = await storage.store(
-                finalPdfBytes,
-                batch.tenantId,
-                batch.id,
-                qrJobId,
-                {
-                  __folder: 'qr-embedded-certificates',
-                  __contentType: 'application/pdf',
-                  __extension: '.pdf',
-                }
-              );
-            }
-
-            await job.update({ certificateWithQRPath });
-
-            await checkAndUpdateBatchStatus(job.batchId);
+            await embedQRForJob(job);
           } catch (error) {
             logger.error('Failed to embed QR/VD for job', { jobId: job.id, error: error.message });
+            await recordJobFailure(job.id, error, { stage: 'embed', retryStatus: 'Generated' });
           }
         }
       }
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+
+      if (jobs.length < 10) {
+        await waitForStageWork('embed', pollInterval);
+      }
     } catch (error) {
       logger.error('PDF QR embedding worker loop error:', error);
       await new Promise(resolve => setTimeout(resolve, 5000));
@@ -1024,22 +1338,244 @@ async function updateVerificationBatchCounters(batchId) {
 }
 
 /**
- * Start worker - runs all six workers in parallel
+ * Keep the message of a job another consumer still holds the lease for
+ *
+ * Redelivery of a job whose consumer died finds it still 'Processing'. The
+ * message comes back once the lease has expired and the reaper has run, when
+ * the job is Pending again (or done, if the holder was alive after all).
+ *
+ * @param {string} jobId - Job ID of a generate_certificate message
+ * @returns {Promise<void>}
+ */
+async function keepLeasedJobMessage(jobId) {
+  const DocumentJob = require('./models/DocumentJob');
+  const job = await DocumentJob.findByPk(jobId, { attributes: ['id', 'status', 'lockedBy', 'leaseExpiresAt'] });
+  if (!job || job.status !== 'Processing' || job.lockedBy === workerId) {
+    return;
+  }
+
+  // Legacy 'Processing' rows without a lease are reaped a full lease period after their last update
+  const expiresAt = job.leaseExpiresAt ? new Date(job.leaseExpiresAt).getTime() : Date.now() + leaseConfig.leaseMs;
+  const untilReaped = expiresAt - Date.now() + leaseConfig.reaperIntervalMs;
+  const error = new Error(`Job ${jobId} is leased by ${job.lockedBy}`);
+  error.visibilityTimeout = Math.max(Math.ceil(untilReaped / 1000), 0);
+  throw error;
+}
+
+/**
+ * Dispatch a parsed queue message to the matching pipeline stage
+ *
+ * Throws on failure so the SQS consumer / Lambda leaves the message on the
+ * queue for redelivery. Errors with a `visibilityTimeout` (seconds) make the
+ * SQS consumer redeliver the message after that time instead.
+ *
+ * @param {object} message - Parsed message ({ action, jobId?, batchId? })
+ * @param {Array<string>} [roles] - Enabled worker roles (default: WORKER_ROLES)
+ * @returns {Promise<void>}
+ */
+async function dispatchMessage(message, roles = getWorkerRoles()) {
+  const { action, jobId, batchId } = message;
+
+  // Hand messages for stages this process does not run straight back to the queue
+  const role = ACTION_ROLES[action];
+  if (role && !roles.includes(role)) {
+    const error = new Error(`Action '${action}' requires worker role '${role}' (enabled: ${roles.join(',')})`);
+    error.code = 'ROLE_NOT_ENABLED';
+    error.visibilityTimeout = 0;
+    throw error;
+  }
+
+  switch (action) {
+    case 'generate_certificate':
+      // No polling loop runs in SQS mode: a rescheduled job keeps its message until the retry is due
+      await limitTenantPdf(message.tenantId || await getJobTenantId(jobId), () => processJobById(jobId, { throwOnRetry: true }));
+      await keepLeasedJobMessage(jobId);
+      return;
+
+    case 'finalize_batch': {
+      const DocumentBatch = require('./models/DocumentBatch');
+      const batch = await DocumentBatch.findByPk(batchId);
+      if (!batch) {
+        throw new Error(`Batch not found: ${batchId}`);
+      }
+      if (batch.merkleRoot || batch.signingStatus === 'Finalized') {
+        logger.debug('Batch already finalized, skipping finalize', { batchId });
+        return;
+      }
+      const result = await finalizeBatchIfReady(batch);
+      if (!result) {
+        logger.info('Batch not ready for finalization yet', { batchId });
+      }
+      return;
+    }
+
+    case 'anchor': {
+      const batchService = require('./services/batchService');
+      const batchSize = parseInt(process.env.MRU_BATCH_SIZE) || 10;
+      const { acquired, result } = await withStageLock('anchor', () => batchService.processMRUCalculation(batchSize));
+      if (!acquired) {
+        throw new Error('Anchoring is running on another node');
+      }
+      // Redeliver until the transaction is confirmed (resumed on the next delivery)
+      if (result.processed > 0 && !result.anchorStatus) {
+        throw new Error('MRU calculated but not anchored yet');
+      }
+      if (result.anchorStatus === 'PendingConfirmation' || result.pendingAnchors > 0) {
+        throw new Error('Anchoring transactions are waiting for confirmations');
+      }
+      return;
+    }
+
+    case 'revoke': {
+      const revocationService = require('./services/revocationService');
+      const batchSize = parseInt(process.env.REVOCATION_BATCH_SIZE) || 50;
+      const { acquired, result } = await withStageLock('revoke',
+        () => revocationService.processRevocationRequests(batchSize, { actor: workerId }));
+      if (!acquired) {
+        throw new Error('Revocations are being submitted on another node');
+      }
+      // Redeliver while a submission is scheduled for retry; failed requests are final
+      if (result.retrying > 0) {
+        throw new Error(`${result.retrying} revocation request(s) will be retried`);
+      }
+      return;
+    }
+
+    case 'embed_qr': {
+      const DocumentJob = require('./models/DocumentJob');
+      const qrCodeGenerator = require('./utils/qr-code-generator');
+      const DocumentBatch = require('./models/DocumentBatch');
+      const job = await DocumentJob.findByPk(jobId);
+      if (!job) {
+        throw new Error(`Job not found: ${jobId}`);
+      }
+      const batch = await DocumentBatch.findByPk(job.batchId, { attributes: ['id', 'status', 'anchorStatus', 'txHash'] });
+      if (isBatchHalted(batch)) {
+        // Polling stages pick the job up again once the batch is resumed
+        logger.info('Batch is halted, skipping QR embedding', { jobId, batchId: job.batchId, batchStatus: batch.status });
+        return;
+      }
+      if (!job.qrCodePath && !isAnchorConfirmed(batch)) {
+        // Redeliver until the anchoring transaction reaches the confirmation depth
+        throw new Error(`Batch ${batch.id} is not anchored with enough confirmations yet (${batch.anchorStatus || 'not anchored'})`);
+      }
+      try {
+        if (!job.qrCodePath) {
+          await qrCodeGenerator.generateQRCodeForJob(job.id);
+          await job.reload();
+        }
+        await embedQRForJob(job);
+      } catch (error) {
+        // Rethrow only when a retry is scheduled so SQS redelivers the message;
+        // failed and dead-lettered jobs are final and the message is dropped
+        const stage = job.qrCodePath ? 'embed' : 'qr';
+        const plan = await recordJobFailure(job.id, error, { stage, retryStatus: 'Generated' });
+        if (plan.retry) throw error;
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}
+
+/**
+ * Start worker in SQS consumer mode
+ *
+ * Long-polls the queue of every enabled role (SQS_QUEUE_URL_<ROLE>, else
+ * SQS_QUEUE_URL) and dispatches each message by its `action`
+ */
+async function startSQSMode() {
+  const roles = getWorkerRoles();
+  const queues = getQueueUrls(roles);
+
+  logger.info('Worker started in SQS mode', { queues, roles, pdfConcurrency });
+
+  isRunning = true;
+
+  await Promise.all(queues.map(({ url }) => consumeQueue(url, roles)));
+}
+
+/**
+ * Consume one SQS queue until the worker stops
+ *
+ * @param {string} queueUrl - SQS queue URL
+ * @param {Array<string>} roles - Enabled worker roles
+ */
+async function consumeQueue(queueUrl, roles) {
+  const { pollSQS, parseMessage } = require('./services/sqsService');
+
+  while (isRunning) {
+    try {
+      await pollSQS(queueUrl, async (message) => {
+        await dispatchMessage(parseMessage(message), roles);
+      });
+    } catch (error) {
+      logger.error('SQS worker loop error:', error);
+
+      // Wait a bit before retrying to avoid hammering the queue
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+
+  logger.info('SQS worker stopped', { queueUrl });
+}
+
+/**
+ * Start worker in the mode selected by WORKER_MODE
+ *
+ * - polling: runs the polling loop of every stage enabled in WORKER_ROLES
+ * - sqs: consumes SQS_QUEUE_URL and dispatches messages by action
  */
 async function startWorker() {
+  const mode = getWorkerMode();
+  const roles = getWorkerRoles();
+
   logger.info('Starting worker', {
+    mode,
+    roles,
+    workerId,
     storageDriver: storage.getName()
   });
 
-  // Run all six workers in parallel
-  await Promise.all([
-    startPollingMode(),            // 1. Generate PDFs and fingerprints
-    startMRIPollingMode(),         // 2. Calculate MRI from signed jobs
-    startMRUPollingMode(),         // 3. Calculate MRU from finalized batches
-    startQRCodePollingMode(),      // 4. Generate QR codes for completed jobs
-    startPDFQRPollingMode(),       // 5. Embed QR codes into PDFs (new files)
+  startLeaseHeartbeat();
+
+  if (mode === 'sqs') {
+    // Messages only start jobs; a consumer that dies mid-render leaves its lease behind
+    await Promise.all([
+      startSQSMode(),
+      ...(roles.includes('render') ? [startLeaseReaperMode()] : []),
+    ]);
+    return;
+  }
+
+  if (mode === 'lambda') {
+    logger.warn('WORKER_MODE=lambda is handled by src/lambda.js; falling back to polling');
+  }
+
+  if (isNotifyEnabled()) {
+    await startListening(roles);
+  }
+
+  const stageLoops = {
+    render: () => Promise.all([      // 1. Generate PDFs and fingerprints
+      startPollingMode(),
+      startLeaseReaperMode(),        //    (+ return stale leases to Pending)
+    ]),
+    mri: startMRIPollingMode,        // 2. Calculate MRI from signed jobs
+    mru: () => Promise.all([         // 3. Calculate MRU from finalized batches and anchor it
+      startMRUPollingMode(),
+      startRevocationPollingMode(),  //    (+ submit revocations with the same key)
+      startChainIndexerPollingMode(), //   (+ index AnchorStore events, flag discrepancies)
+    ]),
+    qr: startQRCodePollingMode,      // 4. Generate QR codes for completed jobs
+    embed: startPDFQRPollingMode,    // 5. Embed QR codes into PDFs (new files)
     // startVerificationPollingMode(), // 6. Process verification batches and jobs (Moved to Backend)
-  ]);
+  };
+
+  // Run the enabled pipeline workers in parallel
+  await Promise.all(roles.map(role => stageLoops[role]()));
 }
 
 /**
@@ -1049,6 +1585,9 @@ async function stopWorker() {
   logger.info('Stopping worker...');
   isRunning = false;
 
+  // Release stage loops waiting for a wakeup
+  await stopListening();
+
   // Wait for all current jobs to complete
   const maxWait = 30000; // 30 seconds
   const startTime = Date.now();
@@ -1058,8 +1597,21 @@ async function stopWorker() {
     await new Promise(resolve => setTimeout(resolve, 1000));
   }
 
-  if (processingJobs.size > 0) {
+  if (processingJobs.size > 0 || claimedJobs.size > 0) {
     logger.warn(`Force stopping with ${processingJobs.size} jobs still processing`);
+
+    // Hand unfinished jobs back right away instead of waiting for the reaper
+    try {
+      const released = await releaseJobLeases([...new Set([...processingJobs, ...claimedJobs])], workerId);
+      logger.info('Released job leases on shutdown', { released });
+    } catch (error) {
+      logger.warn('Failed to release job leases on shutdown', { error: error.message });
+    }
+  }
+
+  if (leaseHeartbeat) {
+    clearInterval(leaseHeartbeat);
+    leaseHeartbeat = null;
   }
 
   // Close browser
@@ -1068,4 +1620,4 @@ async function stopWorker() {
   logger.info('Worker shutdown complete');
 }
 
-module.exports = { startWorker, stopWorker, processJobById };
+module.exports = { startWorker, stopWorker, processJobById, dispatchMessage };